@@ -0,0 +1,81 @@
+/**
+ * @file arena.js
+ * @description Arena mode: one prompt sent to several models at once, each
+ * answer stored as a sibling branch of the same user message. Holds the
+ * models picked in the message form and groups the replies of a round for
+ * side-by-side display.
+ */
+
+import { ref, computed } from "vue";
+import { getSiblings } from "./branchManager.js";
+
+// Most models a single prompt is sent to
+export const MAX_ARENA_MODELS = 4;
+
+// Models picked for the arena, shared by the message form and the pages
+const arenaModelIds = ref([]);
+
+/**
+ * The arena model selection. Arena mode is on once two or more models
+ * are picked.
+ */
+export function useArena() {
+  return {
+    arenaModelIds,
+    isArenaActive: computed(() => arenaModelIds.value.length >= 2),
+    toggleArenaModel: (modelId) => {
+      if (arenaModelIds.value.includes(modelId)) {
+        arenaModelIds.value = arenaModelIds.value.filter((id) => id !== modelId);
+      } else if (arenaModelIds.value.length < MAX_ARENA_MODELS) {
+        arenaModelIds.value = [...arenaModelIds.value, modelId];
+      }
+    },
+    clearArena: () => {
+      arenaModelIds.value = [];
+    },
+  };
+}
+
+/**
+ * The replies of the arena round a message belongs to, in branch order.
+ * Regenerating one of them later adds a sibling that isn't part of the
+ * round, so only messages marked as arena replies are included.
+ * @param {Array} messages - All messages of the conversation
+ * @param {Object} message - A visible message
+ * @returns {Array|null} The round's replies, or null if the message isn't part of one
+ */
+export function getArenaReplies(messages, message) {
+  if (message.role !== "assistant" || !message.arena) return null;
+  const replies = getSiblings(messages, message.id).filter((m) => m.arena);
+  return replies.length > 1 ? replies : null;
+}
+
+/**
+ * Marks one reply of an arena round as preferred and clears the mark from
+ * the others.
+ * @param {Array} messages - All messages of the conversation
+ * @param {string} messageId - The preferred reply
+ * @returns {Array<{ id: string, preferred: boolean }>} The replies whose mark changed
+ */
+export function voteForReply(messages, messageId) {
+  const message = messages.find((m) => m.id === messageId);
+  const replies = message ? getArenaReplies(messages, message) : null;
+  if (!replies) return [];
+
+  return replies
+    .filter((reply) => !!reply.preferred !== (reply.id === messageId))
+    .map((reply) => ({ id: reply.id, preferred: reply.id === messageId }));
+}
+
+/**
+ * The text of a reply as it streams in, from its content parts.
+ * @param {Object} reply - Assistant message
+ * @returns {string}
+ */
+export function getReplyText(reply) {
+  if (!Array.isArray(reply.parts) || reply.parts.length === 0) return reply.content || "";
+  return reply.parts
+    .filter((part) => part.type === "content" && part.content)
+    .map((part) => part.content)
+    .join("\n\n");
+}
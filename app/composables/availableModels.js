@@ -38,10 +38,49 @@
  * ================================================
  * 
  * providers: ["provider-id"], // Optional - restricts model to specific OpenRouter provider(s)
+ *
+ * ================================================
+ * CONTEXT WINDOW
+ * ================================================
+ *
+ * context_length: 1000000, // Optional - tokens; DEFAULT_CONTEXT_LENGTH when omitted
+ *
+ * ================================================
+ * FILE INPUT
+ * ================================================
+ *
+ * file_input: true/false, // Optional - accepts PDFs as `file` parts; defaults to `vision`
+ * audio_input: true,       // Optional - accepts recordings as `input_audio` parts
+ *
+ * ================================================
+ * ASSISTANT PREFILL
+ * ================================================
+ *
+ * prefill: true, // Optional - continues a trailing assistant message instead of answering it
+ *
+ * ================================================
+ * IMAGE OUTPUT
+ * ================================================
+ *
+ * image_output: true,                    // Optional - generates images; default options
+ * image_output: {                        // Or, with the options the model takes:
+ *   aspect_ratios: ["1:1", "16:9"],      //   defaults to IMAGE_ASPECT_RATIOS
+ *   sizes: ["1K", "2K", "4K"],           //   omitted when the model has no size option
+ *   max_images: 4                        //   defaults to MAX_IMAGES_PER_REQUEST
+ * }
  */
 
 export const DEFAULT_MODEL_ID = "moonshotai/kimi-k2.6";
 
+// Context window assumed for models that don't declare one
+export const DEFAULT_CONTEXT_LENGTH = 128000;
+
+// Aspect ratios offered for image models that don't list their own
+export const IMAGE_ASPECT_RATIOS = ["1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"];
+
+// Images requested at once for image models that don't set `max_images`
+export const MAX_IMAGES_PER_REQUEST = 4;
+
 /**
  * Normalizes legacy reasoning formats to the new schema
  * @param {Object} model - The model object
@@ -250,6 +289,95 @@ export function supportsToolUse(model) {
   return model?.tool_use !== false;
 }
 
+/**
+ * Whether a model accepts PDFs natively as `file` content parts. Models
+ * without it get the PDF's extracted text instead. Unless `file_input` is
+ * set, multimodal (vision) models are assumed to accept files.
+ *
+ * @param {Object} model - The model object
+ * @returns {boolean}
+ */
+export function supportsFileInput(model) {
+  return model?.file_input ?? model?.vision === true;
+}
+
+/**
+ * Whether a model accepts voice recordings as `input_audio` content parts.
+ * Recordings for other models are transcribed first.
+ *
+ * @param {Object} model - The model object
+ * @returns {boolean}
+ */
+export function supportsAudioInput(model) {
+  return model?.audio_input === true;
+}
+
+/**
+ * Whether a model continues a trailing assistant message in the request
+ * (assistant prefill). Truncated replies to other models are continued
+ * by asking for the rest in a follow-up user message.
+ *
+ * @param {Object} model - The model object
+ * @returns {boolean}
+ */
+export function supportsPrefill(model) {
+  return model?.prefill === true;
+}
+
+/**
+ * The image options a model takes, or null when it doesn't generate images.
+ *
+ * @param {Object} model - The model object
+ * @returns {{ aspectRatios: string[], sizes: string[], maxImages: number }|null}
+ */
+export function getImageOutputOptions(model) {
+  const config = model?.image_output;
+  if (!config) return null;
+  const options = config === true ? {} : config;
+  return {
+    aspectRatios: options.aspect_ratios ?? IMAGE_ASPECT_RATIOS,
+    sizes: options.sizes ?? [],
+    maxImages: options.max_images ?? MAX_IMAGES_PER_REQUEST,
+  };
+}
+
+/**
+ * Build API request parameters for image generation. Choices the model
+ * doesn't offer are left out.
+ * @param {Object} model - The model object
+ * @param {Object} modelParameters - With image_aspect_ratio, image_size and image_count
+ * @returns {Object} Fields to merge into the request body; empty for models without image output
+ */
+export function buildImageParams(model, modelParameters = {}) {
+  const options = getImageOutputOptions(model);
+  if (!options) return {};
+
+  const params = { modalities: ["image", "text"] };
+  const imageConfig = {};
+  if (options.aspectRatios.includes(modelParameters.image_aspect_ratio)) {
+    imageConfig.aspect_ratio = modelParameters.image_aspect_ratio;
+  }
+  if (options.sizes.includes(modelParameters.image_size)) {
+    imageConfig.image_size = modelParameters.image_size;
+  }
+  if (Object.keys(imageConfig).length > 0) params.image_config = imageConfig;
+
+  const count = Math.min(Math.max(Math.round(modelParameters.image_count ?? 1), 1), options.maxImages);
+  if (count > 1) params.n = count;
+
+  return params;
+}
+
+/**
+ * Returns a model's context window in tokens.
+ * @param {Object} model - The model object
+ * @returns {number}
+ */
+export function getContextLength(model) {
+  const length = Number(model?.context_length);
+  return Number.isFinite(length) && length > 0 ? length : DEFAULT_CONTEXT_LENGTH;
+}
+
 /**
  * Finds a model by its ID in the available models list, including nested categories.
  * @param {Array} models - The list of models to search.
@@ -354,6 +482,7 @@ export const availableModels = [
           toggleable: true,
         },
         vision: true,
+        prefill: true,
       },
       {
         id: "anthropic/claude-haiku-4.5",
@@ -364,6 +493,7 @@ export const availableModels = [
           toggleable: true,
         },
         vision: true,
+        prefill: true,
       },
     ],
   },
@@ -437,6 +567,7 @@ export const availableModels = [
           }
         },
         vision: true,
+        audio_input: true,
       },
       {
         id: "google/gemini-3-flash-preview",
@@ -451,6 +582,7 @@ export const availableModels = [
           }
         },
         vision: true,
+        audio_input: true,
       },
       {
         id: "google/gemini-2.5-flash",
@@ -465,6 +597,7 @@ export const availableModels = [
           }
         },
         vision: true,
+        audio_input: true,
       },
       {
         id: "google/gemini-2.5-flash-lite-preview-09-2025",
@@ -479,6 +612,7 @@ export const availableModels = [
           }
         },
         vision: true,
+        audio_input: true,
       },
       {
         id: "google/gemini-3.1-flash-image-preview",
@@ -489,6 +623,9 @@ export const availableModels = [
           supported: true
         },
         vision: true,
+        image_output: {
+          sizes: ["1K", "2K", "4K"]
+        },
       },
       {
         id: "google/gemini-2.5-flash-image",
@@ -499,6 +636,7 @@ export const availableModels = [
           supported: false
         },
         vision: true,
+        image_output: true,
       },
     ]
   },
@@ -577,6 +715,7 @@ export const availableModels = [
           defaultEnabled: false,
           alternateModel: "moonshotai/kimi-k2-thinking"
         },
+        prefill: true,
       },
     ],
   },
@@ -588,6 +727,7 @@ export const availableModels = [
         id: "minimax/minimax-m3",
         name: "MiniMax M3",
         description: "Frontier coding model with 1M token context window and enhanced architecture.",
+        context_length: 1000000,
         vision: true,
         reasoning: {
           supported: true,
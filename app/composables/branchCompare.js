@@ -0,0 +1,185 @@
+/**
+ * @file branchCompare.js
+ * @description Helpers for comparing sibling branches side by side: the
+ * response each branch leads to, a word-level diff between two responses,
+ * the model, token and timing stats stored with each response, and the
+ * request for merging two of them.
+ */
+
+import { getSiblings } from "./branchManager.js";
+
+// Above this many word pairs, the differing middle of two texts is shown
+// as one removal and one addition instead of being diffed word by word
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * The assistant response a sibling stands for: the sibling itself when it
+ * is a response, or for an edited prompt, the first response to it.
+ * @param {Array} messages - All messages of the conversation
+ * @param {Object} message
+ * @returns {Object|null}
+ */
+function findResponse(messages, message) {
+  if (message.role === "assistant") return message;
+  const reply = messages.find((m) => m.parentId === message.id);
+  if (!reply) return null;
+  return getSiblings(messages, reply.id).find((m) => m.role === "assistant") ?? null;
+}
+
+/**
+ * One comparison column per sibling of a message, in branch order.
+ * @param {Array} messages - All messages of the conversation
+ * @param {string} messageId - Any of the siblings
+ * @returns {Array<{ message: Object, response: Object|null, text: string }>}
+ */
+export function getComparisonColumns(messages, messageId) {
+  return getSiblings(messages, messageId).map((message) => {
+    const response = findResponse(messages, message);
+    return { message, response, text: response?.content ?? "" };
+  });
+}
+
+/**
+ * Splits text into words and the whitespace between them, so joining the
+ * tokens gives back the original text.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return text.split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Word-level diff of two texts.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: "equal"|"added"|"removed", text: string }>} Segments in reading order
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last?.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+
+  a.slice(0, start).forEach((token) => push("equal", token));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    push("removed", midA.join(""));
+    push("added", midB.join(""));
+  } else {
+    // lcs[i][j]: longest common subsequence of midA[i..] and midB[j..]
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push("equal", midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        push("removed", midA[i++]);
+      } else {
+        push("added", midB[j++]);
+      }
+    }
+    midA.slice(i).forEach((token) => push("removed", token));
+    midB.slice(j).forEach((token) => push("added", token));
+  }
+
+  a.slice(endA).forEach((token) => push("equal", token));
+  return segments.filter((segment) => segment.text);
+}
+
+/**
+ * Milliseconds between two stored times, which are Dates once loaded and
+ * strings before that.
+ */
+function elapsed(from, to) {
+  if (!from || !to) return undefined;
+  const ms = new Date(to).getTime() - new Date(from).getTime();
+  return Number.isNaN(ms) ? undefined : ms;
+}
+
+/**
+ * Model, token and timing stats of a response, from its stored usage,
+ * timestamps and parts. Values the response doesn't have are left out.
+ * @param {Object|null} response - Assistant message
+ * @returns {{
+ *   model?: string, promptTokens?: number, completionTokens?: number,
+ *   delay?: number, generationTime?: number, tokensPerSecond?: number,
+ *   toolCalls: number, images: number, words: number
+ * }}
+ */
+export function getResponseStats(response) {
+  if (!response) return { toolCalls: 0, images: 0, words: 0 };
+
+  const parts = Array.isArray(response.parts) ? response.parts : [];
+  const stats = {
+    toolCalls: parts.filter((p) => p.type === "tool_group").reduce((sum, p) => sum + (p.tools?.length ?? 0), 0),
+    images: parts.filter((p) => p.type === "image").reduce((sum, p) => sum + (p.images?.length ?? 0), 0),
+    words: (response.content ?? "").split(/\s+/).filter(Boolean).length,
+  };
+
+  if (response.model) stats.model = response.model;
+  if (response.promptTokens !== undefined) stats.promptTokens = response.promptTokens;
+  if (response.tokenCount !== undefined) stats.completionTokens = response.tokenCount;
+
+  const delay = elapsed(response.apiCallTime, response.firstTokenTime);
+  if (delay !== undefined) stats.delay = delay;
+  const generationTime = elapsed(response.firstTokenTime, response.completionTime);
+  if (generationTime !== undefined) {
+    stats.generationTime = generationTime;
+    if (generationTime > 0 && response.tokenCount > 0) {
+      stats.tokensPerSecond = (response.tokenCount / generationTime) * 1000;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * The request that asks a model to merge the final answers of two
+ * branches: the prompt being answered, followed by both answers and
+ * instructions to combine them.
+ * @param {string} prompt - The user message the merged answer replies to
+ * @param {string} first - Final answer of the first branch
+ * @param {string} second - Final answer of the second branch
+ * @returns {string}
+ */
+export function buildMergePrompt(prompt, first, second) {
+  return [
+    prompt,
+    "---",
+    "Two earlier answers to this conversation are given below. Write one answer that combines them: keep what each gets right, settle any points where they disagree, and leave out repetition. Reply with the combined answer only, without mentioning that it was merged.",
+    `<answer_1>\n${first}\n</answer_1>`,
+    `<answer_2>\n${second}\n</answer_2>`,
+  ].join("\n\n");
+}
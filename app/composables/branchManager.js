@@ -271,6 +271,106 @@ export function switchBranch(currentPath, forkIndex, newBranchIndex) {
     return newPath;
 }
 
+/**
+ * Gets the ids of a message and of every message below it in the tree
+ * @param {Array} messages - All messages
+ * @param {string} messageId - The top of the subtree
+ * @returns {Set<string>} Ids in the subtree (empty if the message doesn't exist)
+ */
+export function getSubtreeIds(messages, messageId) {
+    const ids = new Set();
+    const tree = buildMessageTree(messages);
+    if (!tree.has(messageId)) return ids;
+
+    const stack = [messageId];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        ids.add(id);
+        stack.push(...tree.get(id).children);
+    }
+
+    return ids;
+}
+
+/**
+ * Deletes a branch: a message and everything that follows from it.
+ * Remaining siblings keep their branchIndex, so their order is unchanged
+ * @param {Array} messages - All messages
+ * @param {string} messageId - The message the branch starts at
+ * @returns {Object} { messages: Array, removedIds: Set<string> }
+ */
+export function deleteBranch(messages, messageId) {
+    const removedIds = getSubtreeIds(messages, messageId);
+
+    return {
+        messages: messages.filter(m => !removedIds.has(m.id)),
+        removedIds
+    };
+}
+
+/**
+ * Carries a branch path over to a changed set of messages. The path is
+ * recalculated for the deepest message it showed that still exists, which
+ * corrects fork indices shifted by a deleted sibling and, when the branch
+ * itself was deleted, stops at the fork it came from.
+ * @param {Array} oldMessages - Messages the path was calculated for
+ * @param {Array} newMessages - Messages after the change
+ * @param {Array<number>} branchPath - Path into oldMessages
+ * @returns {Array<number>} The equivalent path into newMessages
+ */
+export function remapBranchPath(oldMessages, newMessages, branchPath) {
+    const remainingIds = new Set(newMessages.map(m => m.id));
+    const visible = getMessagesForBranchPath(oldMessages, branchPath);
+
+    for (let i = visible.length - 1; i >= 0; i--) {
+        if (remainingIds.has(visible[i].id)) {
+            return calculateBranchPath(newMessages, visible[i].id);
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Copies a branch as an unbranched conversation: the messages shown for a
+ * branch path, each re-parented to the one before it
+ * @param {Array} messages - All messages
+ * @param {Array<number>} branchPath - The branch to copy
+ * @param {string|null} untilMessageId - Last message to copy, or null for the whole branch
+ * @returns {Array} The copied messages (empty if untilMessageId isn't on the branch)
+ */
+export function forkBranchPath(messages, branchPath, untilMessageId = null) {
+    const visible = getMessagesForBranchPath(messages, branchPath);
+    const endIndex = untilMessageId
+        ? visible.findIndex(m => m.id === untilMessageId)
+        : visible.length - 1;
+    if (endIndex === -1) return [];
+
+    return visible.slice(0, endIndex + 1).map((msg, index) => ({
+        ...msg,
+        parentId: index > 0 ? visible[index - 1].id : null,
+        branchIndex: 0
+    }));
+}
+
+/**
+ * Gets the final answer of the branch a message starts: the last completed
+ * assistant message from that message on, following the first branch at
+ * every fork below it
+ * @param {Array} messages - All messages
+ * @param {string} messageId - The message the branch starts at
+ * @returns {Object|null} The final answer, or null if the branch has none
+ */
+export function getBranchFinalAnswer(messages, messageId) {
+    if (!messages.some(m => m.id === messageId)) return null;
+
+    const branch = getMessagesForBranchPath(messages, calculateBranchPath(messages, messageId));
+    const startIndex = branch.findIndex(m => m.id === messageId);
+    const answers = branch.slice(startIndex).filter(m => m.role === 'assistant' && m.complete);
+
+    return answers.length > 0 ? answers[answers.length - 1] : null;
+}
+
 /**
  * Migrates old conversation messages to support branching
  * Adds parentId, branchIndex, and other branching metadata to legacy messages
@@ -397,3 +497,114 @@ export function buildSiblingInfoMap(messages, visibleMessages) {
 
     return infoMap;
 }
+
+// Characters of a message shown next to its node in the branch tree
+const TREE_PREVIEW_LENGTH = 80;
+
+/**
+ * Orders siblings the way branch paths count them: by branchIndex, or by
+ * timestamp for messages without one
+ */
+function compareSiblings(a, b) {
+    if (a.branchIndex !== undefined && b.branchIndex !== undefined) {
+        return a.branchIndex - b.branchIndex;
+    }
+    return new Date(a.timestamp) - new Date(b.timestamp);
+}
+
+/**
+ * One-line preview of a message for the branch tree
+ * @param {Object} message
+ * @returns {string}
+ */
+export function getMessagePreview(message) {
+    const text = (typeof message.content === 'string' ? message.content : '').replace(/\s+/g, ' ').trim();
+    if (text) {
+        return text.length > TREE_PREVIEW_LENGTH ? `${text.slice(0, TREE_PREVIEW_LENGTH - 1)}…` : text;
+    }
+    if (message.parts?.some(p => p.type === 'image')) return '[Image]';
+    if (message.attachments?.length) {
+        return message.attachments.map(a => a.filename).filter(Boolean).join(', ') || '[Attachment]';
+    }
+    return message.complete === false ? '…' : '(empty)';
+}
+
+/**
+ * Lays out the whole message tree as a graph: one row per message in
+ * depth-first order, and one lane (column) per branch. A message's first
+ * child continues its lane; every other child starts a new one.
+ * @param {Array} messages - All messages
+ * @param {Array<number>} branchPath - The active branch path
+ * @param {Set<string>} [collapsedIds] - Messages whose descendants are hidden
+ * @returns {{
+ *   nodes: Array<{ id: string, role: string, preview: string, row: number, lane: number,
+ *     active: boolean, isFork: boolean, collapsible: boolean, collapsed: boolean, hiddenCount: number }>,
+ *   edges: Array<{ from: { row: number, lane: number }, to: { row: number, lane: number }, active: boolean }>,
+ *   laneCount: number
+ * }}
+ */
+export function layoutMessageTree(messages, branchPath = [], collapsedIds = new Set()) {
+    const tree = buildMessageTree(messages);
+    const activeIds = new Set(getMessagesForBranchPath(messages, branchPath).map(m => m.id));
+    const childrenOf = (id) => tree.get(id).children.map(childId => tree.get(childId)).sort(compareSiblings);
+    const countDescendants = (id) => {
+        let count = 0;
+        const pending = [id];
+        while (pending.length) {
+            for (const childId of tree.get(pending.pop()).children) {
+                count++;
+                pending.push(childId);
+            }
+        }
+        return count;
+    };
+
+    const nodes = [];
+    const edges = [];
+    const placed = new Map();
+    let laneCount = 0;
+
+    const roots = getRootMessages(messages);
+    // Depth-first with an explicit stack, so long conversations can't overflow the call stack
+    const stack = roots.map((message, index) => ({ message, parent: null, firstChild: index === 0, startsBranch: roots.length > 1 })).reverse();
+
+    while (stack.length) {
+        const { message, parent, firstChild, startsBranch } = stack.pop();
+        const children = childrenOf(message.id);
+        const lane = parent && firstChild ? parent.lane : laneCount++;
+        const collapsed = collapsedIds.has(message.id) && children.length > 0;
+
+        const node = {
+            id: message.id,
+            role: message.role,
+            preview: getMessagePreview(message),
+            row: nodes.length,
+            lane,
+            active: activeIds.has(message.id),
+            isFork: children.length > 1,
+            // Forks and the first message of each branch can fold away what follows
+            collapsible: children.length > 0 && (children.length > 1 || startsBranch),
+            collapsed,
+            hiddenCount: collapsed ? countDescendants(message.id) : 0
+        };
+        nodes.push(node);
+        placed.set(message.id, node);
+
+        if (parent) {
+            edges.push({
+                from: { row: parent.row, lane: parent.lane },
+                to: { row: node.row, lane: node.lane },
+                active: parent.active && node.active
+            });
+        }
+
+        if (!collapsed) {
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push({ message: children[i], parent: node, firstChild: i === 0, startsBranch: children.length > 1 });
+            }
+        }
+    }
+
+    return { nodes, edges, laneCount };
+}
+
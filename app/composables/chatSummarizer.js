@@ -10,6 +10,7 @@
 
 import localforage from "localforage";
 import { getSessionToken } from "~/composables/useSession";
+import { getStoredProviderFields } from "~/composables/providers";
 
 export const CHAT_SUMMARY_KEY_PREFIX = "chat_summary_";
 
@@ -181,7 +182,7 @@ Guidelines:
           },
         ],
         stream: false,
-        ...(apiKey && { customApiKey: apiKey }),
+        ...(await getStoredProviderFields(apiKey)),
       }),
     });
 
@@ -262,7 +263,7 @@ Guidelines:
           },
         ],
         stream: false,
-        ...(apiKey && { customApiKey: apiKey }),
+        ...(await getStoredProviderFields(apiKey)),
       }),
     });
 
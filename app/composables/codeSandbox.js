@@ -0,0 +1,299 @@
+/**
+ * @file codeSandbox.js
+ * @description Runs model-written JavaScript in a throwaway Web Worker for the
+ * `runJavaScript` tool. The worker has network and storage APIs removed,
+ * code that loads modules with `import()` is rejected, it is terminated when
+ * it exceeds its time limit, and its captured output is capped.
+ *
+ * Memory is NOT limited. Browsers offer no per-worker heap cap and no
+ * reliable way to measure a worker's heap (`performance.memory` is
+ * Chromium-only and coarsely cached), so a runaway allocation runs until the
+ * time limit or until the browser kills the worker, which is reported as an
+ * error; the page itself is unaffected.
+ */
+
+export const DEFAULT_TIMEOUT_MS = 5000;
+export const MAX_TIMEOUT_MS = 30000;
+export const MAX_OUTPUT_CHARS = 20000;
+
+// Globals removed inside the worker so code cannot reach the network or this origin's storage
+const BLOCKED_GLOBALS = [
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "WebSocketStream",
+  "EventSource",
+  "WebTransport",
+  "FontFace",
+  "fonts",
+  "BroadcastChannel",
+  "indexedDB",
+  "caches",
+  "importScripts",
+  "Worker",
+  "SharedWorker",
+  "navigator",
+];
+
+/**
+ * Throws when code loads a module with `import()`, which would reach the
+ * network. Whitespace and comments between `import` and `(` are allowed for,
+ * including line comments ended by any line terminator and the HTML-like
+ * `<!--` and `-->` comments scripts accept.
+ * Must stay self-contained: it is serialized into the worker.
+ * @param {string} code
+ */
+export function rejectDynamicImport(code) {
+  if (/\bimport(?:\s|\/\*[\s\S]*?\*\/|(?:\/\/|<!--|-->)[^\n\r\u2028\u2029]*[\n\r\u2028\u2029])*\(/.test(String(code))) {
+    const error = new Error("import() is not available in the sandbox, which has no network access");
+    error.name = "SecurityError";
+    throw error;
+  }
+}
+
+/**
+ * Formats a value the way a REPL would, for the tool result.
+ * Must stay self-contained: it is serialized into the worker.
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatSandboxValue(value) {
+  if (value === undefined) return "undefined";
+  if (typeof value === "string") return value;
+  if (typeof value === "function") return `[Function ${value.name || "anonymous"}]`;
+  if (typeof value === "bigint") return `${value}n`;
+  if (typeof value === "symbol") return value.toString();
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+
+  const seen = new WeakSet();
+  try {
+    return JSON.stringify(value, (key, v) => {
+      if (typeof v === "bigint") return `${v}n`;
+      if (typeof v === "function") return `[Function ${v.name || "anonymous"}]`;
+      if (v === undefined) return "undefined";
+      if (v instanceof Map) return { "[Map]": [...v.entries()] };
+      if (v instanceof Set) return { "[Set]": [...v.values()] };
+      if (v && typeof v === "object") {
+        if (seen.has(v)) return "[Circular]";
+        seen.add(v);
+      }
+      return v;
+    }, 2);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Runs code and captures console output, the completion value and any error.
+ * Code using top-level `await` runs as an async function body, so its result
+ * is whatever it returns; other code is evaluated as a script, so the result
+ * is the value of its last expression. Runs inside the worker; exported so
+ * the capture logic can be tested without one.
+ * Must stay self-contained: it is serialized into the worker.
+ * @param {string} code
+ * @param {{maxOutputChars: number}} limits
+ * @returns {Promise<{stdout: string, result: string|null, error: {name: string, message: string, stack?: string}|null, truncated: boolean}>}
+ */
+export async function runSandboxedCode(code, { maxOutputChars }) {
+  let stdout = "";
+  let truncated = false;
+  const write = (level, args) => {
+    if (truncated) return;
+    const line = args.map((arg) => formatSandboxValue(arg)).join(" ");
+    stdout += (level === "log" ? "" : `[${level}] `) + line + "\n";
+    if (stdout.length > maxOutputChars) {
+      stdout = stdout.slice(0, maxOutputChars);
+      truncated = true;
+    }
+  };
+
+  const originalConsole = {};
+  for (const level of ["log", "info", "warn", "error", "debug"]) {
+    originalConsole[level] = console[level];
+    console[level] = (...args) => write(level, args);
+  }
+
+  try {
+    rejectDynamicImport(code);
+
+    let value;
+    if (/\bawait\b/.test(code)) {
+      const AsyncFunction = (async () => {}).constructor;
+      value = await new AsyncFunction(code)();
+    } else {
+      // Indirect eval runs in global scope and returns the completion value
+      value = await (0, eval)(code);
+    }
+
+    let result = value === undefined ? null : formatSandboxValue(value);
+    if (result && result.length > maxOutputChars) {
+      result = result.slice(0, maxOutputChars);
+      truncated = true;
+    }
+    return { stdout, result, error: null, truncated };
+  } catch (error) {
+    return {
+      stdout,
+      result: null,
+      error: {
+        name: error?.name || "Error",
+        message: error?.message || String(error),
+        ...(error?.stack && { stack: String(error.stack).split("\n").slice(0, 6).join("\n") }),
+      },
+      truncated,
+    };
+  } finally {
+    Object.assign(console, originalConsole);
+  }
+}
+
+/**
+ * Removes network and storage globals from the worker scope, including the
+ * copies on its prototype chain.
+ * Must stay self-contained: it is serialized into the worker.
+ * @param {string[]} names
+ */
+function lockDownWorkerScope(names) {
+  for (const name of names) {
+    for (let target = self; target && target !== Object.prototype; target = Object.getPrototypeOf(target)) {
+      try {
+        Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false });
+      } catch {
+        // Non-configurable on this object; the closer definition still shadows it
+      }
+    }
+  }
+}
+
+/**
+ * Runs every string the worker turns into code (eval, the Function
+ * constructors, string timers) through `check`, so code can't build an
+ * `import()` at run time.
+ * Must stay self-contained: it is serialized into the worker.
+ * @param {(code: string) => void} check - Throws to refuse the code
+ */
+function guardCodeEvaluation(check) {
+  const originalEval = self.eval;
+  self.eval = function (source) {
+    if (typeof source === "string") check(source);
+    return originalEval(source);
+  };
+
+  const constructors = [
+    Function,
+    (async () => {}).constructor,
+    function* () {}.constructor,
+    async function* () {}.constructor,
+  ];
+  for (const Original of constructors) {
+    const Guarded = function (...args) {
+      check(args.map(String).join("\n"));
+      return Original(...args);
+    };
+    Guarded.prototype = Original.prototype;
+    Object.defineProperty(Original.prototype, "constructor", { value: Guarded, writable: false, configurable: false });
+    if (Original === Function) self.Function = Guarded;
+  }
+
+  for (const name of ["setTimeout", "setInterval"]) {
+    const original = self[name];
+    self[name] = function (handler, ...rest) {
+      if (typeof handler === "string") check(handler);
+      return original.call(self, handler, ...rest);
+    };
+  }
+}
+
+/**
+ * Builds the worker script from the self-contained functions above.
+ * @returns {string}
+ */
+export function buildWorkerSource() {
+  return [
+    formatSandboxValue.toString(),
+    rejectDynamicImport.toString(),
+    runSandboxedCode.toString(),
+    lockDownWorkerScope.toString(),
+    guardCodeEvaluation.toString(),
+    // Called by .name, which stays in sync with the serialized source if a build renames them
+    `${lockDownWorkerScope.name}(${JSON.stringify(BLOCKED_GLOBALS)});`,
+    `${guardCodeEvaluation.name}(${rejectDynamicImport.name});`,
+    `self.onmessage = async (event) => {
+      const { code, limits } = event.data;
+      self.postMessage(await ${runSandboxedCode.name}(code, limits));
+    };`,
+  ].join("\n\n");
+}
+
+let workerUrl = null;
+
+/**
+ * @returns {string} Object URL of the worker script
+ */
+function getWorkerUrl() {
+  if (workerUrl) return workerUrl;
+  workerUrl = URL.createObjectURL(new Blob([buildWorkerSource()], { type: "text/javascript" }));
+  return workerUrl;
+}
+
+/**
+ * Runs JavaScript in a fresh sandboxed worker.
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Wall-clock limit, capped at MAX_TIMEOUT_MS
+ * @param {AbortSignal} [options.signal] - Stops the worker early
+ * @returns {Promise<{stdout: string, result: string|null, error: Object|null, truncated: boolean, durationMs: number, timedOut?: boolean}>}
+ */
+export function runJavaScript(code, { timeoutMs = DEFAULT_TIMEOUT_MS, signal } = {}) {
+  const limit = Math.min(Math.max(100, Number(timeoutMs) || DEFAULT_TIMEOUT_MS), MAX_TIMEOUT_MS);
+
+  return new Promise((resolve, reject) => {
+    if (typeof Worker === "undefined") {
+      reject(new Error("Code execution requires Web Worker support"));
+      return;
+    }
+
+    const startedAt = performance.now();
+    const worker = new Worker(getWorkerUrl());
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      worker.terminate();
+      resolve({ ...outcome, durationMs: Math.round(performance.now() - startedAt) });
+    };
+
+    const timer = setTimeout(() => {
+      finish({
+        stdout: "",
+        result: null,
+        error: { name: "TimeoutError", message: `Execution timed out after ${limit / 1000}s` },
+        truncated: false,
+        timedOut: true,
+      });
+    }, limit);
+
+    const onAbort = () => {
+      finish({
+        stdout: "",
+        result: null,
+        error: { name: "AbortError", message: "Execution was stopped" },
+        truncated: false,
+      });
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    worker.onmessage = (event) => finish(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      finish({
+        stdout: "",
+        result: null,
+        error: { name: "WorkerError", message: event.message || "The sandbox crashed, possibly from running out of memory" },
+        truncated: false,
+      });
+    };
+
+    worker.postMessage({ code, limits: { maxOutputChars: MAX_OUTPUT_CHARS } });
+  });
+}
@@ -27,6 +27,8 @@ import {
   callCompressionModel,
   buildSummaryRecord,
   hashBranchPath,
+  reconcileChunksAfterDelete,
+  selectChunksForFork,
   MAX_RANGE_TOKENS,
 } from "./contextCompressor";
 
@@ -437,6 +439,53 @@ export async function maybeAutoCompress(params) {
   return compressConversation({ ...params, mode: "auto" });
 }
 
+// ---------------------------------------------------------------------------
+// Branch deletion and forks
+// ---------------------------------------------------------------------------
+
+/**
+ * Updates the sidecar after a branch of the conversation was deleted:
+ * drops summaries of deleted messages and remaps the branch path hash
+ * of the rest. Waits for an in-flight run first, so a summary it is
+ * about to save is reconciled too.
+ *
+ * @param {string} conversationId
+ * @param {Set<string>} removedIds
+ * @param {(branchPath: Array<number>) => Array<number>} remapBranchPath
+ */
+export async function pruneDeletedBranch(conversationId, removedIds, remapBranchPath) {
+  const state = getCompressionState(conversationId);
+  if (!state) return;
+
+  await inFlightRuns.get(conversationId);
+  if (state.destroyed) return;
+
+  const { chunks } = await loadContextSummary(conversationId);
+  const reconciled = reconcileChunksAfterDelete(chunks, removedIds, remapBranchPath);
+  await saveContextSummary(conversationId, { chunks: reconciled });
+  state.chunks = reconciled;
+  state.loaded = true;
+}
+
+/**
+ * Gives a fork the summaries of the conversation it was copied from
+ * that cover only copied messages, so it starts out just as compressed.
+ *
+ * @param {string} fromConversationId
+ * @param {string} toConversationId
+ * @param {Array} forkedMessages
+ */
+export async function copySummariesToFork(fromConversationId, toConversationId, forkedMessages) {
+  const { chunks } = await loadContextSummary(fromConversationId);
+  const carried = selectChunksForFork(
+    chunks,
+    new Set(forkedMessages.map((m) => m.id)),
+  );
+  if (carried.length > 0) {
+    await saveContextSummary(toConversationId, { chunks: carried });
+  }
+}
+
 // ---------------------------------------------------------------------------
 // UI helpers
 // ---------------------------------------------------------------------------
@@ -26,6 +26,7 @@
 import localforage from "localforage";
 import { toRaw } from "vue";
 import { getSessionToken } from "~/composables/useSession";
+import { getStoredProviderFields } from "~/composables/providers";
 
 // ---------------------------------------------------------------------------
 // Defaults & keys
@@ -176,7 +177,8 @@ export async function deleteContextSummary(conversationId) {
 }
 
 // ---------------------------------------------------------------------------
-// Branch-path hashing (informational — validity itself is id-based)
+// Branch-path hashing (informational — validity itself is id-based) and
+// keeping records consistent when branches are deleted or forked
 // ---------------------------------------------------------------------------
 
 /**
@@ -189,6 +191,53 @@ export function hashBranchPath(branchPath) {
   return branchPath.join("-");
 }
 
+/**
+ * Inverse of hashBranchPath.
+ * @param {string} branchPathHash
+ * @returns {Array<number>}
+ */
+export function parseBranchPathHash(branchPathHash) {
+  if (typeof branchPathHash !== "string" || branchPathHash === "root") return [];
+  return branchPathHash.split("-").map(Number);
+}
+
+/**
+ * Reconciles summary records with a conversation whose branch was
+ * deleted. Records covering any deleted message can never match again
+ * and are dropped; the rest have their branch path hash recalculated,
+ * since removing a sibling shifts the indices of later forks.
+ *
+ * @param {Array} chunks
+ * @param {Set<string>} removedIds
+ * @param {(branchPath: Array<number>) => Array<number>} remapBranchPath
+ *   Maps a branch path from before the deletion to after it.
+ * @returns {Array}
+ */
+export function reconcileChunksAfterDelete(chunks, removedIds, remapBranchPath) {
+  return (chunks || [])
+    .filter((chunk) => !chunk.sourceMessageIds.some((id) => removedIds.has(id)))
+    .map((chunk) => ({
+      ...chunk,
+      branchPathHash: hashBranchPath(
+        remapBranchPath(parseBranchPathHash(chunk.branchPathHash)),
+      ),
+    }));
+}
+
+/**
+ * Summary records that carry over to a fork: those covering only copied
+ * messages. A fork has no branches, so they all belong to its root path.
+ *
+ * @param {Array} chunks
+ * @param {Set<string>} messageIds  Ids of the copied messages.
+ * @returns {Array}
+ */
+export function selectChunksForFork(chunks, messageIds) {
+  return (chunks || [])
+    .filter((chunk) => chunk.sourceMessageIds.every((id) => messageIds.has(id)))
+    .map((chunk) => ({ ...chunk, branchPathHash: "root" }));
+}
+
 // ---------------------------------------------------------------------------
 // Settings resolution
 // ---------------------------------------------------------------------------
@@ -237,6 +286,8 @@ export function estimateMessageTokens(msg) {
   if (Array.isArray(msg.attachments)) {
     for (const a of msg.attachments) {
       if (a?.filename) chars += a.filename.length + 8;
+      // Text attachments are inlined in full; PDFs count their extracted text
+      if (typeof a?.text === "string") chars += a.text.length;
     }
   }
   if (Array.isArray(msg.parts)) {
@@ -760,7 +811,7 @@ export async function callCompressionModel(chunk, options) {
           { role: "user", content: userContent },
         ],
         stream: false,
-        ...(apiKey ? { customApiKey: apiKey } : {}),
+        ...(await getStoredProviderFields(apiKey)),
       }),
       ...(signal ? { signal } : {}),
     });
@@ -0,0 +1,227 @@
+/**
+ * @file customTools.js
+ * @description User-defined HTTP tools. Each tool is a name, description,
+ * JSON-schema parameters and an HTTP request template stored in settings.
+ * Valid tools are registered into the ToolManager at startup and called
+ * through `/api/tool-proxy`, which avoids CORS restrictions on the target API.
+ */
+
+import { getSessionToken } from "./useSession";
+
+export const CUSTOM_TOOL_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+// Tool names the chat completions APIs accept
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const DEFAULT_PARAMETERS = `{
+  "type": "object",
+  "properties": {},
+  "required": []
+}`;
+
+// Names of the custom tools currently registered, so re-registering can drop stale ones
+const registeredNames = new Set();
+
+/**
+ * Creates an empty custom tool entry for the settings UI.
+ * @returns {Object}
+ */
+export function createCustomTool() {
+  return {
+    id: `tool-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 7)}`,
+    name: "",
+    description: "",
+    parameters: DEFAULT_PARAMETERS,
+    method: "GET",
+    url: "",
+    headers: [],
+    enabled: true,
+  };
+}
+
+/**
+ * Parses a tool's parameters, which are stored as JSON text.
+ * @param {string|Object} parameters
+ * @returns {Object|null} The schema, or null if it is not a JSON object schema
+ */
+export function parseToolParameters(parameters) {
+  let schema = parameters;
+  if (typeof parameters === "string") {
+    try {
+      schema = JSON.parse(parameters || "{}");
+    } catch {
+      return null;
+    }
+  }
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) return null;
+  if (schema.type !== undefined && schema.type !== "object") return null;
+  return { type: "object", properties: {}, ...schema };
+}
+
+/**
+ * Checks a custom tool definition.
+ * @param {Object} tool
+ * @param {string[]} [reservedNames] - Names already taken by built-in tools
+ * @returns {string|null} A description of the problem, or null if valid
+ */
+export function validateCustomTool(tool, reservedNames = []) {
+  if (!tool || !TOOL_NAME_PATTERN.test(tool.name || "")) {
+    return "Name must be 1-64 letters, numbers, underscores or dashes.";
+  }
+  if (reservedNames.includes(tool.name)) {
+    return `'${tool.name}' is already used by a built-in tool.`;
+  }
+  if (!tool.description?.trim()) {
+    return "A description is required so the model knows when to call the tool.";
+  }
+  if (!parseToolParameters(tool.parameters)) {
+    return "Parameters must be a JSON schema object.";
+  }
+  if (!CUSTOM_TOOL_METHODS.includes(tool.method)) {
+    return `Unsupported method '${tool.method}'.`;
+  }
+  if (!/^https?:\/\//i.test(tool.url?.trim() || "")) {
+    return "URL must start with http:// or https://.";
+  }
+  return null;
+}
+
+/**
+ * Builds the OpenAI-format schema offered to the model.
+ * @param {Object} tool
+ * @returns {Object}
+ */
+export function buildCustomToolSchema(tool) {
+  return {
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description.trim(),
+      parameters: parseToolParameters(tool.parameters),
+    },
+  };
+}
+
+/**
+ * Replaces `{param}` placeholders with argument values.
+ * @param {string} template
+ * @param {Object} args
+ * @param {Set<string>} used - Receives the names of substituted arguments
+ * @param {(value: string) => string} [encode]
+ * @returns {string}
+ */
+function fillTemplate(template, args, used, encode = (value) => value) {
+  return template.replace(/\{([a-zA-Z0-9_-]+)\}/g, (match, key) => {
+    if (!(key in args)) return match;
+    used.add(key);
+    const value = args[key];
+    return encode(typeof value === "string" ? value : JSON.stringify(value));
+  });
+}
+
+/**
+ * Turns a tool call into the request sent through the proxy. Arguments named
+ * in the URL or header templates are substituted there; the rest become the
+ * query string for GET/DELETE, or the JSON body otherwise.
+ * @param {Object} tool
+ * @param {Object} args - Parsed tool-call arguments
+ * @returns {{method: string, url: string, headers: Object<string, string>, body?: Object}}
+ */
+export function buildCustomToolRequest(tool, args = {}) {
+  const used = new Set();
+  const url = new URL(fillTemplate(tool.url.trim(), args, used, encodeURIComponent));
+
+  const headers = {};
+  for (const header of tool.headers || []) {
+    if (!header?.name?.trim()) continue;
+    headers[header.name.trim()] = fillTemplate(header.value || "", args, used);
+  }
+
+  const rest = Object.fromEntries(Object.entries(args).filter(([key]) => !used.has(key)));
+  const request = { method: tool.method, url: "", headers };
+
+  if (tool.method === "GET" || tool.method === "DELETE") {
+    for (const [key, value] of Object.entries(rest)) {
+      url.searchParams.set(key, typeof value === "string" ? value : JSON.stringify(value));
+    }
+  } else if (Object.keys(rest).length > 0) {
+    request.body = rest;
+  }
+
+  request.url = url.toString();
+  return request;
+}
+
+/**
+ * Creates the executor that runs a custom tool through the server proxy.
+ * @param {Object} tool
+ * @returns {(args: Object, messageHistory?: Array, context?: {signal?: AbortSignal}) => Promise<Object>}
+ */
+function createCustomToolExecutor(tool) {
+  return async (args, messageHistory, { signal } = {}) => {
+    const sessionToken = await getSessionToken();
+    const response = await fetch("/api/tool-proxy", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-session-token": sessionToken,
+      },
+      body: JSON.stringify(buildCustomToolRequest(tool, args || {})),
+      signal,
+    });
+
+    if (!response.ok) {
+      let message = `Tool request failed with status ${response.status}`;
+      try {
+        const data = await response.json();
+        message = data?.statusMessage || data?.message || message;
+      } catch {
+        // Keep the status message
+      }
+      throw new Error(message);
+    }
+
+    const data = await response.json();
+    if (!data.ok) {
+      return { error: `The API responded with HTTP ${data.status}`, status: data.status, body: data.body };
+    }
+    return data.truncated ? { body: data.body, truncated: true } : data.body;
+  };
+}
+
+/**
+ * Registers the user's enabled, valid custom tools into a ToolManager,
+ * replacing any registered earlier. Invalid tools are skipped with a warning.
+ * @param {import('./toolsManager').ToolManager} manager
+ * @param {Array} tools - `settings.custom_tools`
+ * @returns {string[]} Names of the registered tools
+ */
+export function registerCustomTools(manager, tools = []) {
+  for (const name of registeredNames) manager.unregisterTool(name);
+  registeredNames.clear();
+
+  const reservedNames = manager.getToolNames();
+  for (const tool of Array.isArray(tools) ? tools : []) {
+    if (!tool || tool.enabled === false) continue;
+
+    const problem = validateCustomTool(tool, reservedNames);
+    if (problem) {
+      console.warn(`[customTools] Skipping tool '${tool.name || tool.id}': ${problem}`);
+      continue;
+    }
+
+    manager.registerTool(tool.name, createCustomToolExecutor(tool), buildCustomToolSchema(tool));
+    registeredNames.add(tool.name);
+    reservedNames.push(tool.name);
+  }
+
+  return [...registeredNames];
+}
+
+/**
+ * Names of the custom tools currently registered.
+ * @returns {string[]}
+ */
+export function getCustomToolNames() {
+  return [...registeredNames];
+}
@@ -8,7 +8,11 @@ export const DEFAULT_PARAMETERS = {
   top_p: 0.95,
   seed: null,
   max_tokens: 8192,
-  grounding: false
+  grounding: false,
+  // Image models only; null leaves the choice to the model
+  image_aspect_ratio: null,
+  image_size: null,
+  image_count: 1
 };
 
 export default DEFAULT_PARAMETERS;
@@ -0,0 +1,78 @@
+/**
+ * @file docxText.js
+ * @description Extracts plain text from Word (.docx) documents in the
+ * browser. A .docx file is a zip archive; the body text lives in
+ * `word/document.xml` as runs (`w:t`) inside paragraphs (`w:p`). Tables
+ * become one line per row with cells separated by tabs. Formatting,
+ * images, headers and footers are dropped.
+ */
+
+import { unzipSync, strFromU8 } from "fflate";
+
+const DOCUMENT_PATH = "word/document.xml";
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+// Text of one paragraph: runs, tabs and line breaks
+function paragraphText(xml) {
+  let text = "";
+  for (const [, tag, body] of xml.matchAll(/<w:(t|tab|br|cr)\b[^>]*?(?:\/>|>([\s\S]*?)<\/w:\1>)/g)) {
+    if (tag === "t") text += decodeEntities(body ?? "");
+    else if (tag === "tab") text += "\t";
+    else text += "\n";
+  }
+  return text;
+}
+
+function tableText(xml) {
+  const rows = [];
+  for (const [row] of xml.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)) {
+    const cells = [...row.matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)].map(([cell]) =>
+      [...cell.matchAll(/<w:p\b[\s\S]*?<\/w:p>/g)].map(([p]) => paragraphText(p)).join(" ").trim());
+    rows.push(cells.join("\t"));
+  }
+  return rows.join("\n");
+}
+
+/**
+ * Extracts the body text of a .docx file.
+ * @param {ArrayBuffer|Uint8Array} data - The .docx file
+ * @returns {string} Paragraphs separated by newlines
+ * @throws {Error} If the file is not a Word document
+ */
+export function extractDocxText(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  let files;
+  try {
+    files = unzipSync(bytes, { filter: (file) => file.name === DOCUMENT_PATH });
+  } catch {
+    throw new Error("Not a Word document");
+  }
+  if (!files[DOCUMENT_PATH]) {
+    throw new Error("Not a Word document");
+  }
+
+  const xml = strFromU8(files[DOCUMENT_PATH]);
+  const body = xml.match(/<w:body\b[^>]*>([\s\S]*)<\/w:body>/)?.[1] ?? xml;
+
+  // Top-level tables and paragraphs in document order; tables are matched
+  // first so their cell paragraphs are not read twice
+  const blocks = [];
+  for (const [block] of body.matchAll(/<w:tbl\b[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>/g)) {
+    if (block.startsWith("<w:tbl")) blocks.push(tableText(block));
+    else if (block.endsWith("/>")) blocks.push("");
+    else blocks.push(paragraphText(block));
+  }
+
+  return blocks.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
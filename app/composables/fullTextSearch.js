@@ -0,0 +1,300 @@
+/**
+ * @file fullTextSearch.js
+ * @description Full-text search over message content, reasoning and tool
+ * results. Each conversation stores its searchable text and the terms of
+ * every message in localforage, updated when the conversation is saved;
+ * only messages whose text changed are tokenized again. The inverted index
+ * (term → conversation → message ids) is assembled in memory from those
+ * records on the first search, and the stored text lets results show a
+ * snippet with the matched terms highlighted.
+ */
+
+import localforage from "localforage";
+
+export const FULL_TEXT_DOCS_KEY_PREFIX = "fulltext_docs_";
+
+// Global index stored by earlier versions; removed when the index is built
+const LEGACY_INDEX_KEY = "fulltext_index";
+
+// Bump to rebuild every index after changing how text is tokenized
+const INDEX_VERSION = 2;
+
+const SNIPPET_CHARS = 160;
+const SNIPPET_LEAD_CHARS = 50;
+
+// Longest tool result indexed per call, so large page dumps stay cheap
+const MAX_TOOL_RESULT_CHARS = 20000;
+
+// In-memory index, built on the first search and kept current by updates
+let indexCache = null;
+
+// Index writes run one at a time so concurrent saves don't lose postings
+let writeChain = Promise.resolve();
+
+/**
+ * Splits text into lowercase search terms. Letters, digits and underscores
+ * form terms, so identifiers like `use_state` or `fetchJson` stay whole.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+function toolResultText(result) {
+  if (result === null || result === undefined) return "";
+  const text = typeof result === "string" ? result : JSON.stringify(result);
+  return text.slice(0, MAX_TOOL_RESULT_CHARS);
+}
+
+/**
+ * Builds the searchable text of each message: content, reasoning and the
+ * results of the tools it called.
+ * @param {Array} messages - Stored messages of one conversation
+ * @returns {Array<{id: string, text: string}>}
+ */
+export function extractSearchableText(messages = []) {
+  const docs = [];
+  for (const message of messages) {
+    if (!message?.id || !["user", "assistant"].includes(message.role)) continue;
+
+    const fields = [message.content, message.reasoning];
+    for (const toolCall of message.tool_calls || []) {
+      fields.push(toolResultText(toolCall.result));
+    }
+
+    const text = fields.filter((field) => typeof field === "string" && field.trim()).join("\n\n");
+    if (text) docs.push({ id: message.id, text });
+  }
+  return docs;
+}
+
+const docsKey = (conversationId) => `${FULL_TEXT_DOCS_KEY_PREFIX}${conversationId}`;
+
+/**
+ * Builds a conversation's index record, reusing the terms of messages whose
+ * text is unchanged since the previous record.
+ * @param {Array} messages - Stored messages
+ * @param {Object|null} previous - The stored record, if any
+ * @returns {{version: number, docs: Array<{id: string, text: string, terms: string[]}>}}
+ */
+function buildRecord(messages, previous) {
+  const previousDocs = new Map(
+    previous?.version === INDEX_VERSION ? previous.docs.map((doc) => [doc.id, doc]) : [],
+  );
+  const docs = extractSearchableText(messages).map(({ id, text }) => {
+    const before = previousDocs.get(id);
+    return before?.text === text ? before : { id, text, terms: [...new Set(tokenize(text))] };
+  });
+  return { version: INDEX_VERSION, docs };
+}
+
+function isSameRecord(a, b) {
+  return a?.version === b.version &&
+    a.docs.length === b.docs.length &&
+    a.docs.every((doc, i) => doc.id === b.docs[i].id && doc.text === b.docs[i].text);
+}
+
+// Drops a conversation from the in-memory posting lists of its terms
+function removePostings(index, conversationId, record) {
+  for (const term of new Set(record?.docs.flatMap((doc) => doc.terms) || [])) {
+    const postings = index[term];
+    if (!postings) continue;
+    delete postings[conversationId];
+    if (Object.keys(postings).length === 0) delete index[term];
+  }
+}
+
+function addPostings(index, conversationId, record) {
+  for (const doc of record.docs) {
+    for (const term of doc.terms) {
+      const postings = (index[term] ||= {});
+      (postings[conversationId] ||= []).push(doc.id);
+    }
+  }
+}
+
+/**
+ * Re-indexes one conversation: stores its record when any message text
+ * changed and updates the in-memory index if it is loaded.
+ * @param {string} conversationId
+ * @param {Array|null} messages - Stored messages, or null when deleted
+ */
+async function applyUpdate(conversationId, messages) {
+  const previous = await localforage.getItem(docsKey(conversationId));
+
+  if (!messages) {
+    if (indexCache) removePostings(indexCache, conversationId, previous);
+    await localforage.removeItem(docsKey(conversationId));
+    return;
+  }
+
+  const record = buildRecord(messages, previous);
+  if (isSameRecord(previous, record)) return;
+
+  if (indexCache) {
+    removePostings(indexCache, conversationId, previous?.version === INDEX_VERSION ? previous : null);
+    addPostings(indexCache, conversationId, record);
+  }
+  await localforage.setItem(docsKey(conversationId), record);
+}
+
+/**
+ * Assembles the in-memory index from the stored records, building the
+ * records of conversations saved before indexing existed.
+ * @returns {Promise<Object>} term → conversation id → message ids
+ */
+async function buildIndex() {
+  const index = {};
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  for (const { id } of metadata) {
+    let record = await localforage.getItem(docsKey(id));
+    if (record?.version !== INDEX_VERSION) {
+      const conversation = await localforage.getItem(`conversation_${id}`);
+      if (!conversation?.messages) continue;
+      record = buildRecord(conversation.messages, null);
+      await localforage.setItem(docsKey(id), record);
+    }
+    addPostings(index, id, record);
+  }
+  await localforage.removeItem(LEGACY_INDEX_KEY);
+  indexCache = index;
+  return index;
+}
+
+function enqueue(task) {
+  const run = writeChain.then(task);
+  writeChain = run.catch((error) => {
+    console.error("[fullTextSearch] Index update failed:", error);
+  });
+  return run;
+}
+
+// Loads the index, building it from stored conversations on first use
+function ensureIndex() {
+  return enqueue(async () => indexCache || buildIndex());
+}
+
+/**
+ * Re-indexes one conversation after it is saved. Only messages whose text
+ * changed are tokenized, and only that conversation's record is written.
+ * @param {string} conversationId
+ * @param {Array} messages - Stored messages
+ * @returns {Promise<void>}
+ */
+export function updateFullTextIndex(conversationId, messages) {
+  return enqueue(() => applyUpdate(conversationId, messages)).catch(() => {
+    // Logged by enqueue; a stale index must not fail the save
+  });
+}
+
+/**
+ * Removes a deleted conversation from the index.
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+export function removeFromFullTextIndex(conversationId) {
+  return enqueue(() => applyUpdate(conversationId, null)).catch(() => {
+    // Logged by enqueue
+  });
+}
+
+/**
+ * Cuts a snippet around the first matched term and marks every term in it.
+ * @param {string} text
+ * @param {string[]} terms - Query terms; the last one matches as a prefix
+ * @returns {Array<{text: string, highlight: boolean}>}
+ */
+export function buildSnippet(text, terms) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  const escaped = terms.map((term, i) =>
+    term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + (i === terms.length - 1 ? "[\\p{L}\\p{N}_]*" : "(?![\\p{L}\\p{N}_])"));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${escaped.join("|")})`, "giu");
+
+  const first = flat.search(pattern);
+  const start = Math.max(0, (first === -1 ? 0 : first) - SNIPPET_LEAD_CHARS);
+  const window = flat.slice(start, start + SNIPPET_CHARS);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = start + SNIPPET_CHARS < flat.length ? "…" : "";
+
+  const segments = [];
+  let last = 0;
+  for (const match of window.matchAll(pattern)) {
+    if (match.index > last) segments.push({ text: window.slice(last, match.index), highlight: false });
+    segments.push({ text: match[0], highlight: true });
+    last = match.index + match[0].length;
+  }
+  if (last < window.length) segments.push({ text: window.slice(last), highlight: false });
+
+  if (prefix) segments.unshift({ text: prefix, highlight: false });
+  if (suffix) segments.push({ text: suffix, highlight: false });
+  return segments;
+}
+
+/**
+ * Finds messages containing every term of the query. The last term matches
+ * as a prefix so results update while typing.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{conversationId: string, messageId: string, snippet: string, segments: Array<{text: string, highlight: boolean}>}>>}
+ *   The best-matching message per conversation
+ */
+export async function searchMessages(query, { limit = 50 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  const index = await ensureIndex();
+  const prefix = terms[terms.length - 1];
+  const prefixTerms = Object.keys(index).filter((term) => term.startsWith(prefix));
+
+  // Message ids per conversation matching one query term
+  const lookup = (term) => {
+    const matches = new Map();
+    const sources = term === prefix ? prefixTerms : [term];
+    for (const source of sources) {
+      for (const [conversationId, ids] of Object.entries(index[source] || {})) {
+        const set = matches.get(conversationId) || new Set();
+        ids.forEach((id) => set.add(id));
+        matches.set(conversationId, set);
+      }
+    }
+    return matches;
+  };
+
+  // Intersect per conversation, then per message
+  let candidates = lookup(terms[0]);
+  for (const term of terms.slice(1)) {
+    const next = lookup(term);
+    const narrowed = new Map();
+    for (const [conversationId, ids] of candidates) {
+      const other = next.get(conversationId);
+      if (!other) continue;
+      const both = new Set([...ids].filter((id) => other.has(id)));
+      if (both.size > 0) narrowed.set(conversationId, both);
+    }
+    candidates = narrowed;
+  }
+
+  const results = [];
+  for (const [conversationId, ids] of candidates) {
+    if (results.length >= limit) break;
+    const stored = await localforage.getItem(docsKey(conversationId));
+    // Prefer the latest matching message in the conversation
+    const doc = [...(stored?.docs || [])].reverse().find((d) => ids.has(d.id));
+    if (!doc) continue;
+
+    const segments = buildSnippet(doc.text, terms);
+    results.push({
+      conversationId,
+      messageId: doc.id,
+      snippet: segments.map((segment) => segment.text).join(""),
+      segments,
+    });
+  }
+  return results;
+}
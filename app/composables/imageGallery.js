@@ -0,0 +1,122 @@
+/**
+ * @file imageGallery.js
+ * @description Collects the images generated across stored conversations
+ * for the gallery page, with the prompt behind each one and the message
+ * that holds it.
+ */
+
+import localforage from "localforage";
+
+// File extensions for the image types models return
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+/**
+ * The user message an assistant message answers: its parent, or for
+ * messages stored before branching, the closest user message before it.
+ * @param {Array} messages - Stored messages of one conversation
+ * @param {number} index - Index of the assistant message
+ * @returns {Object|null}
+ */
+function findPromptMessage(messages, index) {
+  const message = messages[index];
+  if (message.parentId) {
+    return messages.find((m) => m.id === message.parentId && m.role === "user") ?? null;
+  }
+  for (let i = index - 1; i >= 0; i--) {
+    if (messages[i].role === "user") return messages[i];
+  }
+  return null;
+}
+
+/**
+ * Lists the generated images in one conversation, in message order.
+ * @param {string} conversationId
+ * @param {{ title?: string, messages?: Array }} conversation - Stored conversation
+ * @returns {Array<{
+ *   id: string,
+ *   url: string,
+ *   revisedPrompt: string|null,
+ *   prompt: string,
+ *   model: string|null,
+ *   timestamp: string|null,
+ *   conversationId: string,
+ *   conversationTitle: string,
+ *   messageId: string,
+ * }>}
+ */
+export function collectConversationImages(conversationId, conversation) {
+  const messages = conversation?.messages || [];
+  const images = [];
+
+  messages.forEach((message, index) => {
+    if (message.role !== "assistant" || !Array.isArray(message.parts)) return;
+    const imageParts = message.parts.filter((part) => part.type === "image" && Array.isArray(part.images));
+    if (imageParts.length === 0) return;
+
+    const prompt = findPromptMessage(messages, index)?.content ?? "";
+    let imageIndex = 0;
+    for (const part of imageParts) {
+      for (const image of part.images) {
+        if (!image?.url) continue;
+        images.push({
+          id: `${message.id}:${imageIndex++}`,
+          url: image.url,
+          revisedPrompt: image.revised_prompt ?? null,
+          prompt,
+          model: message.model ?? null,
+          timestamp: message.timestamp ?? null,
+          conversationId,
+          conversationTitle: conversation.title || "Untitled",
+          messageId: message.id,
+        });
+      }
+    }
+  });
+
+  return images;
+}
+
+/**
+ * Loads every generated image in stored conversations, newest first.
+ * @returns {Promise<Array>} Items as returned by collectConversationImages
+ */
+export async function loadGalleryImages() {
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  const images = [];
+
+  for (const { id } of metadata) {
+    const conversation = await localforage.getItem(`conversation_${id}`);
+    if (conversation) images.push(...collectConversationImages(id, conversation));
+  }
+
+  return images.sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+}
+
+/**
+ * The prompt to copy for an image: the model's revised prompt if it gave
+ * one, otherwise what the user asked for.
+ * @param {Object} image - Gallery item
+ * @returns {string}
+ */
+export function getImagePrompt(image) {
+  return image.revisedPrompt || image.prompt || "";
+}
+
+/**
+ * A download filename for an image, with an extension from its data URL.
+ * @param {Object} image - Gallery item
+ * @param {number} [position] - Position in the gallery, to keep names apart
+ * @returns {string}
+ */
+export function getImageFilename(image, position = 0) {
+  const mimeType = /^data:([^;,]+)/.exec(image.url)?.[1];
+  const extension = IMAGE_EXTENSIONS[mimeType] || "png";
+  const date = new Date(image.timestamp ?? NaN);
+  const day = Number.isNaN(date.getTime()) ? "" : `${date.toISOString().split("T")[0]}-`;
+  return `image-${day}${position + 1}.${extension}`;
+}
@@ -10,6 +10,7 @@ import localforage from "localforage";
 import { zipSync, unzipSync, strFromU8, strToU8 } from "fflate";
 import { emitter } from "~/composables/emitter";
 import { loadNotepad, saveNotepad } from "~/composables/notepad";
+import { removeFromFullTextIndex, updateFullTextIndex } from "~/composables/fullTextSearch";
 import packageJson from "../../package.json";
 
 export const EXPORT_FORMAT = "libre-assistant-export";
@@ -59,6 +60,9 @@ export function stripSecrets(settings) {
   if (!settings || typeof settings !== "object") return settings;
   const copy = JSON.parse(JSON.stringify(settings));
   copy.custom_api_key = "";
+  if (Array.isArray(copy.custom_providers)) {
+    copy.custom_providers = copy.custom_providers.map((p) => ({ ...p, apiKey: "" }));
+  }
   return copy;
 }
 
@@ -404,6 +408,7 @@ export async function persistImportedChats(chats, mode) {
     }
 
     await localforage.setItem(`conversation_${chat.id}`, chat);
+    await updateFullTextIndex(chat.id, chat.messages);
     metadataMap.set(chat.id, { id: chat.id, title: chat.title || "Untitled", lastUpdated: chat.lastUpdated });
     importedIds.add(chat.id);
     if (existing) replacedCount++;
@@ -416,6 +421,7 @@ export async function persistImportedChats(chats, mode) {
     for (const oldId of metadata.map((m) => m.id)) {
       if (!importedIds.has(oldId)) {
         await localforage.removeItem(`conversation_${oldId}`);
+        await removeFromFullTextIndex(oldId);
         metadataMap.delete(oldId);
       }
     }
@@ -456,6 +462,14 @@ export async function persistImportedSettings(settings, settingsManager) {
       if (value) {
         merged[key] = value;
       }
+    } else if (key === "custom_providers" && Array.isArray(value)) {
+      // Keep existing provider keys when the import was stripped of them.
+      const existing = Array.isArray(merged.custom_providers) ? merged.custom_providers : [];
+      merged[key] = value.map((provider) => {
+        if (provider?.apiKey) return provider;
+        const match = existing.find((p) => p?.id === provider?.id);
+        return match?.apiKey ? { ...provider, apiKey: match.apiKey } : provider;
+      });
     } else {
       merged[key] = value;
     }
@@ -0,0 +1,346 @@
+/**
+ * @file knowledgeBases.js
+ * @description Knowledge bases: named collections of PDF, text and Markdown
+ * documents stored on the device. Documents are split into chunks per page,
+ * embedded through `/api/embeddings` and kept as binary vectors. Collections
+ * are attached to conversations, and the `searchKnowledge` tool retrieves
+ * the chunks closest to the model's query with their source file and page.
+ */
+
+import { ref, watch } from "vue";
+import localforage from "localforage";
+import { embedTexts, splitText, hammingDistance, EMBED_BATCH_SIZE, EMBEDDING_DIMENSIONS, EMBEDDING_MODEL } from "./semanticSearch";
+import { readPdfPages } from "./pdfText";
+
+export const KNOWLEDGE_BASES_KEY = "knowledge_bases";
+export const KNOWLEDGE_CHUNKS_KEY_PREFIX = "knowledge_chunks_";
+export const KNOWLEDGE_ATTACHMENTS_KEY_PREFIX = "knowledge_attachments_";
+
+// Attachments chosen before a conversation exists use this id
+const NEW_CONVERSATION_KEY = "new";
+
+// Conversation id of incognito chats, whose attachments are kept in memory only
+export const INCOGNITO_CHAT_ID = "incognito";
+
+export const MAX_DOCUMENT_SIZE = 20 * 1024 * 1024;
+export const DOCUMENT_EXTENSIONS = ["pdf", "txt", "md", "markdown"];
+
+const CHUNK_CHARS = 1200;
+const DEFAULT_RESULT_LIMIT = 5;
+const MAX_RESULT_LIMIT = 10;
+
+// Chunks below this share of equal bits are too far from the query to return
+const MIN_SIMILARITY = 0.55;
+
+// Collections shown in the UI, loaded on first use
+const knowledgeBases = ref([]);
+let loaded = null;
+
+// Knowledge bases attached to the incognito chat
+let incognitoAttachedIds = [];
+
+// Last queued write of each knowledge base's chunks, by knowledge base id
+const chunkWrites = new Map();
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+}
+
+/**
+ * Loads the list of knowledge bases.
+ * @returns {Promise<Array<{id: string, name: string, createdAt: string, documents: Array}>>}
+ */
+export async function loadKnowledgeBases() {
+  loaded ||= localforage.getItem(KNOWLEDGE_BASES_KEY)
+    .then((stored) => {
+      knowledgeBases.value = Array.isArray(stored) ? stored : [];
+    })
+    .catch((error) => {
+      console.error("[knowledgeBases] Failed to load knowledge bases:", error);
+      loaded = null;
+    });
+  await loaded;
+  // Saves replace the list, so read it after loading rather than caching it
+  return knowledgeBases.value;
+}
+
+async function saveKnowledgeBases(list) {
+  knowledgeBases.value = list;
+  await localforage.setItem(KNOWLEDGE_BASES_KEY, JSON.parse(JSON.stringify(list)));
+}
+
+/**
+ * Runs a read-modify-write of a knowledge base's chunks after the ones
+ * already queued for it, so documents finishing together don't drop each
+ * other's chunks.
+ * @param {string} knowledgeBaseId
+ * @param {(chunksKey: string) => Promise<void>} write
+ * @returns {Promise<void>}
+ */
+function queueChunkWrite(knowledgeBaseId, write) {
+  const chunksKey = `${KNOWLEDGE_CHUNKS_KEY_PREFIX}${knowledgeBaseId}`;
+  const previous = chunkWrites.get(knowledgeBaseId) || Promise.resolve();
+  const next = previous.then(() => write(chunksKey), () => write(chunksKey));
+  chunkWrites.set(knowledgeBaseId, next);
+  const cleanUp = () => {
+    if (chunkWrites.get(knowledgeBaseId) === next) chunkWrites.delete(knowledgeBaseId);
+  };
+  next.then(cleanUp, cleanUp);
+  return next;
+}
+
+/**
+ * Creates an empty knowledge base.
+ * @param {string} name
+ * @returns {Promise<Object>} The new knowledge base
+ */
+export async function createKnowledgeBase(name) {
+  const list = await loadKnowledgeBases();
+  const knowledgeBase = {
+    id: generateId(),
+    name: name?.trim() || "Untitled knowledge base",
+    createdAt: new Date().toISOString(),
+    documents: [],
+  };
+  await saveKnowledgeBases([...list, knowledgeBase]);
+  return knowledgeBase;
+}
+
+/**
+ * Renames a knowledge base.
+ * @param {string} id
+ * @param {string} name
+ */
+export async function renameKnowledgeBase(id, name) {
+  if (!name?.trim()) return;
+  const list = await loadKnowledgeBases();
+  await saveKnowledgeBases(list.map((kb) => (kb.id === id ? { ...kb, name: name.trim() } : kb)));
+}
+
+/**
+ * Deletes a knowledge base and its chunks. Conversations it was attached to
+ * simply stop seeing it.
+ * @param {string} id
+ */
+export async function deleteKnowledgeBase(id) {
+  const list = await loadKnowledgeBases();
+  await saveKnowledgeBases(list.filter((kb) => kb.id !== id));
+  await queueChunkWrite(id, (chunksKey) => localforage.removeItem(chunksKey));
+}
+
+/**
+ * Reads the text of a document, per page for PDFs, which are parsed in a
+ * worker so large files don't block the page.
+ * @param {File} file
+ * @returns {Promise<Array<{page: number|null, text: string}>>}
+ */
+export async function readDocumentPages(file) {
+  const extension = file.name.split(".").pop()?.toLowerCase();
+  if (!DOCUMENT_EXTENSIONS.includes(extension)) {
+    throw new Error(`${file.name}: unsupported file type. Allowed: PDF, TXT, Markdown.`);
+  }
+  if (file.size > MAX_DOCUMENT_SIZE) {
+    throw new Error(`${file.name} is larger than ${MAX_DOCUMENT_SIZE / 1024 / 1024}MB.`);
+  }
+
+  if (extension === "pdf") {
+    const pages = await readPdfPages(await file.arrayBuffer());
+    return pages.map((text, index) => ({ page: index + 1, text }));
+  }
+  return [{ page: null, text: await file.text() }];
+}
+
+/**
+ * Adds a document to a knowledge base: extracts, chunks and embeds its text.
+ * @param {string} knowledgeBaseId
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {(done: number, total: number) => void} [options.onProgress] - Called as chunks are embedded
+ * @returns {Promise<Object>} The document entry
+ * @throws {Error} If the file cannot be read, has no text, or embedding fails
+ */
+export async function addDocument(knowledgeBaseId, file, { onProgress } = {}) {
+  const pages = await readDocumentPages(file);
+  const documentId = generateId();
+
+  const pieces = pages.flatMap(({ page, text }) =>
+    splitText(text, CHUNK_CHARS).map((chunk) => ({ page, text: chunk })));
+  if (pieces.length === 0) {
+    throw new Error(`${file.name} has no extractable text. Scanned PDFs are not supported.`);
+  }
+
+  const chunks = [];
+  for (let i = 0; i < pieces.length; i += EMBED_BATCH_SIZE) {
+    const batch = pieces.slice(i, i + EMBED_BATCH_SIZE);
+    const bits = await embedTexts(batch.map((piece) => piece.text));
+    batch.forEach((piece, j) => chunks.push({
+      id: `${documentId}:${i + j}`,
+      documentId,
+      page: piece.page,
+      text: piece.text,
+      bits: bits[j],
+    }));
+    onProgress?.(chunks.length, pieces.length);
+  }
+
+  const document = {
+    id: documentId,
+    name: file.name,
+    size: file.size,
+    pageCount: pages.length,
+    chunkCount: chunks.length,
+    model: EMBEDDING_MODEL,
+    addedAt: new Date().toISOString(),
+  };
+
+  // Re-read both lists: other documents may have finished meanwhile
+  await queueChunkWrite(knowledgeBaseId, async (chunksKey) => {
+    const existingChunks = (await localforage.getItem(chunksKey)) || [];
+    await localforage.setItem(chunksKey, [...existingChunks, ...chunks]);
+  });
+
+  const list = await loadKnowledgeBases();
+  if (!list.some((kb) => kb.id === knowledgeBaseId)) {
+    await queueChunkWrite(knowledgeBaseId, (chunksKey) => localforage.removeItem(chunksKey));
+    throw new Error("The knowledge base was deleted while the document was processed.");
+  }
+  await saveKnowledgeBases(list.map((kb) =>
+    kb.id === knowledgeBaseId ? { ...kb, documents: [...kb.documents, document] } : kb));
+  return document;
+}
+
+/**
+ * Removes a document and its chunks from a knowledge base.
+ * @param {string} knowledgeBaseId
+ * @param {string} documentId
+ */
+export async function removeDocument(knowledgeBaseId, documentId) {
+  await queueChunkWrite(knowledgeBaseId, async (chunksKey) => {
+    const chunks = (await localforage.getItem(chunksKey)) || [];
+    await localforage.setItem(chunksKey, chunks.filter((chunk) => chunk.documentId !== documentId));
+  });
+
+  const list = await loadKnowledgeBases();
+  await saveKnowledgeBases(list.map((kb) =>
+    kb.id === knowledgeBaseId ? { ...kb, documents: kb.documents.filter((d) => d.id !== documentId) } : kb));
+}
+
+/**
+ * Finds the chunks most similar to a query across knowledge bases.
+ * @param {string[]} knowledgeBaseIds
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{source: string, page: number|null, knowledgeBase: string, text: string, similarity: number}>>}
+ *   Most similar first
+ */
+export async function searchKnowledge(knowledgeBaseIds, query, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+  const list = await loadKnowledgeBases();
+  const selected = list.filter((kb) => knowledgeBaseIds.includes(kb.id));
+  if (selected.length === 0 || !query?.trim()) return [];
+
+  const [queryBits] = await embedTexts([query.trim()]);
+  const scored = [];
+  for (const kb of selected) {
+    const documents = new Map(kb.documents.map((d) => [d.id, d]));
+    const chunks = (await localforage.getItem(`${KNOWLEDGE_CHUNKS_KEY_PREFIX}${kb.id}`)) || [];
+    for (const chunk of chunks) {
+      const document = documents.get(chunk.documentId);
+      if (!document) continue;
+      const similarity = 1 - hammingDistance(queryBits, chunk.bits) / EMBEDDING_DIMENSIONS;
+      if (similarity < MIN_SIMILARITY) continue;
+      scored.push({
+        source: document.name,
+        page: chunk.page,
+        knowledgeBase: kb.name,
+        text: chunk.text,
+        similarity,
+      });
+    }
+  }
+
+  const count = Math.min(Math.max(1, Math.round(Number(limit) || DEFAULT_RESULT_LIMIT)), MAX_RESULT_LIMIT);
+  return scored.sort((a, b) => b.similarity - a.similarity).slice(0, count);
+}
+
+function attachmentsKey(conversationId) {
+  return `${KNOWLEDGE_ATTACHMENTS_KEY_PREFIX}${conversationId || NEW_CONVERSATION_KEY}`;
+}
+
+/**
+ * Knowledge bases attached to a conversation. Ids of deleted knowledge
+ * bases are dropped.
+ * @param {string|null} conversationId - Null for a new chat, INCOGNITO_CHAT_ID for an incognito one
+ * @returns {Promise<string[]>}
+ */
+export async function getConversationKnowledgeBases(conversationId) {
+  try {
+    const [ids, list] = await Promise.all([
+      conversationId === INCOGNITO_CHAT_ID ? incognitoAttachedIds : localforage.getItem(attachmentsKey(conversationId)),
+      loadKnowledgeBases(),
+    ]);
+    return (ids || []).filter((id) => list.some((kb) => kb.id === id));
+  } catch (error) {
+    console.error("[knowledgeBases] Failed to load attachments:", error);
+    return [];
+  }
+}
+
+/**
+ * Sets the knowledge bases attached to a conversation. Incognito chats
+ * keep theirs in memory only.
+ * @param {string|null} conversationId
+ * @param {string[]} ids
+ */
+export async function setConversationKnowledgeBases(conversationId, ids) {
+  if (conversationId === INCOGNITO_CHAT_ID) {
+    incognitoAttachedIds = [...ids];
+    return;
+  }
+  await localforage.setItem(attachmentsKey(conversationId), [...ids]);
+}
+
+/**
+ * Moves the knowledge bases chosen for a new chat onto the conversation
+ * created from it.
+ * @param {string} conversationId
+ */
+export async function adoptNewConversationKnowledgeBases(conversationId) {
+  const ids = await localforage.getItem(attachmentsKey(null));
+  if (!ids?.length) return;
+  await setConversationKnowledgeBases(conversationId, ids);
+  await localforage.removeItem(attachmentsKey(null));
+}
+
+/**
+ * Forgets which knowledge bases a deleted conversation used.
+ * @param {string} conversationId
+ */
+export async function deleteConversationKnowledgeBases(conversationId) {
+  await localforage.removeItem(attachmentsKey(conversationId));
+}
+
+/**
+ * Reactive access to the knowledge bases and the ones attached to a
+ * conversation.
+ * @param {import('vue').Ref<string>} [conversationIdRef] - Empty for a new chat, INCOGNITO_CHAT_ID for an incognito one
+ * @returns {{knowledgeBases: import('vue').Ref<Array>, attachedIds: import('vue').Ref<string[]>, toggleAttached: (id: string) => Promise<void>}}
+ */
+export function useKnowledgeBases(conversationIdRef = ref("")) {
+  const attachedIds = ref([]);
+
+  loadKnowledgeBases();
+  watch(conversationIdRef, async (id) => {
+    attachedIds.value = await getConversationKnowledgeBases(id);
+  }, { immediate: true });
+
+  async function toggleAttached(id) {
+    const ids = attachedIds.value.includes(id)
+      ? attachedIds.value.filter((other) => other !== id)
+      : [...attachedIds.value, id];
+    attachedIds.value = ids;
+    await setConversationKnowledgeBases(conversationIdRef.value, ids);
+  }
+
+  return { knowledgeBases, attachedIds, toggleAttached };
+}
@@ -0,0 +1,296 @@
+/**
+ * @file mcp.js
+ * @description Model Context Protocol servers. The user's servers are listed
+ * through `/api/mcp/list` at startup and their tools are registered into the
+ * ToolManager. Resources and prompts are exposed as two extra tools per
+ * server, so the model can read them the same way it calls tools. All
+ * traffic goes through the server, which speaks the MCP transports.
+ */
+
+import { getSessionToken } from "./useSession";
+
+export const MCP_TRANSPORTS = {
+  http: "Streamable HTTP",
+  sse: "HTTP + SSE (legacy)",
+};
+
+const TOOL_NAME_PREFIX = "mcp__";
+const MAX_TOOL_NAME_LENGTH = 64;
+
+// Names of the MCP tools currently registered, so re-registering can drop stale ones
+const registeredNames = new Set();
+
+// Bumped per registerMcpTools call, so a slow listing can't overwrite a newer one
+let registrationRun = 0;
+
+/**
+ * Creates an empty MCP server entry for the settings UI.
+ * @returns {Object}
+ */
+export function createMcpServer() {
+  return {
+    id: `mcp-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 7)}`,
+    name: "",
+    url: "",
+    transport: "http",
+    headers: [],
+    enabled: true,
+  };
+}
+
+/**
+ * Serializes a server entry for the `/api/mcp` routes.
+ * @param {Object} server
+ * @returns {{url: string, transport: string, headers: Object<string, string>}}
+ */
+function toMcpServerPayload(server) {
+  const headers = {};
+  for (const header of server.headers || []) {
+    if (header?.name?.trim()) headers[header.name.trim()] = header.value || "";
+  }
+  return { url: server.url.trim(), transport: server.transport || "http", headers };
+}
+
+function slugify(value) {
+  return String(value || "").replace(/[^a-zA-Z0-9_-]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Builds the name a server's tool is registered under:
+ * `mcp__<server>__<tool>`, limited to the 64 characters APIs accept.
+ * @param {Object} server
+ * @param {string} toolName
+ * @returns {string}
+ */
+export function buildMcpToolName(server, toolName) {
+  const serverSlug = (slugify(server.name) || slugify(server.id)).slice(0, 20);
+  return `${TOOL_NAME_PREFIX}${serverSlug}__${slugify(toolName)}`.slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
+/**
+ * Splits a registered MCP tool name back into its parts, for display.
+ * @param {string} name
+ * @returns {{server: string, tool: string}|null}
+ */
+export function parseMcpToolName(name) {
+  if (typeof name !== "string" || !name.startsWith(TOOL_NAME_PREFIX)) return null;
+  const rest = name.slice(TOOL_NAME_PREFIX.length);
+  const separator = rest.indexOf("__");
+  if (separator === -1) return null;
+  return { server: rest.slice(0, separator), tool: rest.slice(separator + 2) };
+}
+
+/**
+ * Sends a request to the user's MCP server through the server routes.
+ * @param {string} route - `list` or `call`
+ * @param {Object} server
+ * @param {Object} [payload]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+async function postMcp(route, server, payload = {}, signal) {
+  const sessionToken = await getSessionToken();
+  const response = await fetch(`/api/mcp/${route}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-session-token": sessionToken,
+    },
+    body: JSON.stringify({ server: toMcpServerPayload(server), ...payload }),
+    signal,
+  });
+
+  if (!response.ok) {
+    let message = `MCP request failed with status ${response.status}`;
+    try {
+      const data = await response.json();
+      message = data?.statusMessage || data?.message || message;
+    } catch {
+      // Keep the status message
+    }
+    throw new Error(message);
+  }
+  return response.json();
+}
+
+/**
+ * Lists a server's tools, resources and prompts.
+ * @param {Object} server
+ * @returns {Promise<{serverInfo: Object|null, tools: Array, resources: Array, prompts: Array}>}
+ */
+export function listMcpServer(server) {
+  return postMcp("list", server);
+}
+
+/**
+ * Flattens MCP content blocks into a result the model can read.
+ * @param {{content?: Array, structuredContent?: Object, isError?: boolean}} result - A `tools/call` result
+ * @returns {Object}
+ */
+export function formatMcpToolResult(result) {
+  const parts = [];
+  for (const block of result?.content || []) {
+    if (block.type === "text") parts.push(block.text);
+    else if (block.type === "resource") parts.push(block.resource?.text ?? `[resource: ${block.resource?.uri}]`);
+    else if (block.type === "resource_link") parts.push(`[resource: ${block.uri}]`);
+    else parts.push(`[${block.type}${block.mimeType ? `: ${block.mimeType}` : ""}]`);
+  }
+  const text = parts.join("\n\n");
+
+  if (result?.isError) return { error: text || "The MCP tool reported an error." };
+  if (result?.structuredContent) return { content: text, structuredContent: result.structuredContent };
+  return { content: text };
+}
+
+/**
+ * Flattens `resources/read` contents, and `prompts/get` messages, to text.
+ * @param {Object} result
+ * @returns {Object}
+ */
+function formatMcpReadResult(result) {
+  if (Array.isArray(result?.contents)) {
+    return {
+      contents: result.contents.map((c) => ({
+        uri: c.uri,
+        mimeType: c.mimeType,
+        text: c.text ?? (c.blob ? `[binary ${c.mimeType || "data"}]` : ""),
+      })),
+    };
+  }
+  if (Array.isArray(result?.messages)) {
+    return {
+      description: result.description,
+      messages: result.messages.map((m) => ({
+        role: m.role,
+        content: m.content?.type === "text" ? m.content.text : `[${m.content?.type}]`,
+      })),
+    };
+  }
+  return result ?? null;
+}
+
+/**
+ * Registers one server's tools, plus resource and prompt readers when the
+ * server has any.
+ * @param {import('./toolsManager').ToolManager} manager
+ * @param {Object} server
+ * @param {{tools: Array, resources: Array, prompts: Array}} listing
+ * @param {string[]} reservedNames
+ */
+function registerServerTools(manager, server, listing, reservedNames) {
+  const label = server.name || listing.serverInfo?.name || server.url;
+  const register = (name, executor, description, parameters) => {
+    if (reservedNames.includes(name)) {
+      console.warn(`[mcp] Skipping '${name}' from ${label}: the name is already registered`);
+      return;
+    }
+    manager.registerTool(name, executor, {
+      type: "function",
+      function: { name, description, parameters },
+    });
+    registeredNames.add(name);
+    reservedNames.push(name);
+  };
+
+  for (const tool of listing.tools || []) {
+    register(
+      buildMcpToolName(server, tool.name),
+      async (args, messageHistory, { signal } = {}) => formatMcpToolResult(await postMcp("call", server, {
+        method: "tools/call",
+        params: { name: tool.name, arguments: args || {} },
+      }, signal)),
+      `${tool.description || tool.title || tool.name} (from MCP server ${label})`,
+      { type: "object", properties: {}, ...tool.inputSchema },
+    );
+  }
+
+  if (listing.resources?.length) {
+    const catalogue = listing.resources
+      .map((r) => `- ${r.uri}${r.name ? ` (${r.name})` : ""}${r.description ? `: ${r.description}` : ""}`)
+      .join("\n");
+    register(
+      buildMcpToolName(server, "read_resource"),
+      async (args, messageHistory, { signal } = {}) => formatMcpReadResult(await postMcp("call", server, {
+        method: "resources/read",
+        params: { uri: args?.uri },
+      }, signal)),
+      `Read a resource from MCP server ${label}. Available resources:\n${catalogue}`,
+      {
+        type: "object",
+        properties: { uri: { type: "string", enum: listing.resources.map((r) => r.uri) } },
+        required: ["uri"],
+      },
+    );
+  }
+
+  if (listing.prompts?.length) {
+    const catalogue = listing.prompts
+      .map((p) => {
+        const args = (p.arguments || []).map((a) => `${a.name}${a.required ? "" : "?"}`).join(", ");
+        return `- ${p.name}(${args})${p.description ? `: ${p.description}` : ""}`;
+      })
+      .join("\n");
+    register(
+      buildMcpToolName(server, "get_prompt"),
+      async (args, messageHistory, { signal } = {}) => formatMcpReadResult(await postMcp("call", server, {
+        method: "prompts/get",
+        params: { name: args?.name, arguments: args?.arguments || {} },
+      }, signal)),
+      `Get a prompt template from MCP server ${label}. Available prompts:\n${catalogue}`,
+      {
+        type: "object",
+        properties: {
+          name: { type: "string", enum: listing.prompts.map((p) => p.name) },
+          arguments: { type: "object", description: "Prompt arguments as string values" },
+        },
+        required: ["name"],
+      },
+    );
+  }
+}
+
+/**
+ * Lists the user's enabled MCP servers and registers their tools into a
+ * ToolManager, replacing any registered earlier. A server that cannot be
+ * reached is skipped and reported.
+ * @param {import('./toolsManager').ToolManager} manager
+ * @param {Array} servers - `settings.mcp_servers`
+ * @returns {Promise<{names: string[], errors: Array<{server: string, message: string}>}>}
+ */
+export async function registerMcpTools(manager, servers = []) {
+  const run = ++registrationRun;
+  const enabled = (Array.isArray(servers) ? servers : []).filter((s) => s?.enabled !== false && s?.url?.trim());
+  const listings = await Promise.all(enabled.map(async (server) => {
+    try {
+      return { server, listing: await listMcpServer(server) };
+    } catch (error) {
+      console.warn(`[mcp] Could not list ${server.name || server.url}:`, error.message);
+      return { server, error };
+    }
+  }));
+
+  if (run !== registrationRun) return { names: getMcpToolNames(), errors: [] };
+
+  for (const name of registeredNames) manager.unregisterTool(name);
+  registeredNames.clear();
+
+  const reservedNames = manager.getToolNames();
+  const errors = [];
+  for (const { server, listing, error } of listings) {
+    if (error) {
+      errors.push({ server: server.name || server.url, message: error.message });
+      continue;
+    }
+    registerServerTools(manager, server, listing, reservedNames);
+  }
+
+  return { names: [...registeredNames], errors };
+}
+
+/**
+ * Names of the MCP tools currently registered.
+ * @returns {string[]}
+ */
+export function getMcpToolNames() {
+  return [...registeredNames];
+}
@@ -14,22 +14,144 @@ import {
   findModelById,
   DEFAULT_MODEL_ID,
   buildReasoningParams,
+  isReasoningEnabled,
+  buildImageParams,
+  supportsFileInput,
+  supportsAudioInput,
+  supportsPrefill,
 } from "~/composables/availableModels";
 import { generateSystemPrompt } from "~/composables/systemPrompt";
 import { toolManager } from "~/composables/toolsManager";
+import { getCustomToolNames } from "~/composables/customTools";
+import { getMcpToolNames } from "~/composables/mcp";
+import { runToolCalls } from "~/composables/toolRunner";
+import { getConversationKnowledgeBases, INCOGNITO_CHAT_ID } from "~/composables/knowledgeBases";
+import { readPdfText } from "~/composables/pdfText";
 import { getSessionToken } from "~/composables/useSession";
+import { buildProviderFields } from "~/composables/providers";
+import {
+  ModelFallbackChain,
+  buildFallbackChain,
+  createModelRequestError,
+  getBackoffDelay,
+  parseRetryAfter,
+  waitForRetry,
+  DEFAULT_FALLBACK_RETRIES,
+} from "~/composables/modelFallback";
+
+/**
+ * Inlines a text attachment as a fenced block headed by its filename. The
+ * fence is longer than any backtick run in the text so it can't close early.
+ *
+ * @param {Object} attachment - A text attachment with `filename`, `language` and `text`
+ * @returns {string}
+ */
+function formatTextAttachment(attachment) {
+  const text = attachment.text || "";
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(Math.max(3, longestRun + 1));
+  return `File: ${attachment.filename}\n${fence}${attachment.language || ""}\n${text}\n${fence}`;
+}
+
+/**
+ * Stores the page-marked text on PDF attachments added before it was kept
+ * with them. It is extracted in a worker and saved back to the attachment,
+ * so it is read once rather than on every request.
+ *
+ * @param {Array} attachments - Attachments of any type
+ */
+async function fillMissingPdfText(attachments) {
+  const pending = attachments.filter((a) => a.type === "pdf" && typeof a.text !== "string" && a.dataUrl);
+  await Promise.all(
+    pending.map(async (attachment) => {
+      try {
+        attachment.text = await readPdfText(attachment.dataUrl);
+      } catch (error) {
+        // Encrypted or malformed: the PDF is sent as a file instead
+        console.warn(`[message] Could not extract text from "${attachment.filename}":`, error.message);
+        attachment.text = "";
+      }
+    }),
+  );
+}
+
+// Sent before a mask image so the model knows how to read it
+export const IMAGE_MASK_NOTE = "The next image is a mask for the image before it: white marks the area to edit, black the area to keep unchanged.";
+
+/**
+ * Builds the content parts of a user message: its text followed by one part
+ * per attachment.
+ *
+ * @param {string} text - The message text
+ * @param {Array} attachments - Attachments of type image, pdf or text; image
+ *   masks for edit requests are introduced by IMAGE_MASK_NOTE
+ * @param {Object} [options]
+ * @param {boolean} [options.fileInput=true] - Whether the model accepts PDFs as files;
+ *   otherwise their stored text is sent, falling back to the file when there is none
+ * @param {boolean} [options.audioInput=false] - Whether the model accepts recordings;
+ *   otherwise they are left out, as their transcript is already in the text
+ * @returns {Array} Content parts for the API
+ */
+function buildUserContentParts(text, attachments, { fileInput = true, audioInput = false } = {}) {
+  const contentParts = [{ type: "text", text }];
+
+  for (const attachment of attachments) {
+    const pdfText = attachment.type === "pdf" && !fileInput ? attachment.text || "" : "";
+
+    if (attachment.type === "image") {
+      if (attachment.mask) {
+        contentParts.push({ type: "text", text: IMAGE_MASK_NOTE });
+      }
+      contentParts.push({
+        type: "image_url",
+        image_url: { url: attachment.dataUrl },
+      });
+    } else if (pdfText) {
+      contentParts.push({
+        type: "text",
+        text: formatTextAttachment({ filename: attachment.filename, text: pdfText }),
+      });
+    } else if (attachment.type === "pdf") {
+      contentParts.push({
+        type: "file",
+        file: {
+          filename: attachment.filename,
+          file_data: attachment.dataUrl,
+        },
+      });
+    } else if (attachment.type === "text") {
+      contentParts.push({
+        type: "text",
+        text: formatTextAttachment(attachment),
+      });
+    } else if (attachment.type === "audio" && audioInput) {
+      contentParts.push({
+        type: "input_audio",
+        input_audio: {
+          data: attachment.dataUrl.split(",")[1] || "",
+          format: attachment.format || "wav",
+        },
+      });
+    }
+  }
+
+  return contentParts;
+}
 
 /**
  * Formats a message object for the API, handling multimodal content including:
- * - User attachments (images, PDFs)
+ * - User attachments (images, PDFs, text and code files, voice recordings)
  * - Assistant generated images
  * - Reasoning/thinking content
  * - Tool calls and results
  *
  * @param {Object} msg - The message object from the messages array
+ * @param {Object} [options]
+ * @param {boolean} [options.fileInput=true] - Whether the model accepts PDFs as files
+ * @param {boolean} [options.audioInput=false] - Whether the model accepts voice recordings
  * @returns {Object|Array} Formatted message(s) for the API. Returns array for assistant messages with tools.
  */
-function formatMessageForAPI(msg) {
+function formatMessageForAPI(msg, { fileInput = true, audioInput = false } = {}) {
   // User messages: handle attachments
   if (msg.role === "user") {
     const baseMessage = { 
@@ -38,26 +160,7 @@ function formatMessageForAPI(msg) {
     };
     
     if (msg.attachments && msg.attachments.length > 0) {
-      const contentParts = [{ type: "text", text: msg.content || "" }];
-
-      for (const attachment of msg.attachments) {
-        if (attachment.type === "image") {
-          contentParts.push({
-            type: "image_url",
-            image_url: { url: attachment.dataUrl },
-          });
-        } else if (attachment.type === "pdf") {
-          contentParts.push({
-            type: "file",
-            file: {
-              filename: attachment.filename,
-              file_data: attachment.dataUrl,
-            },
-          });
-        }
-      }
-
-      baseMessage.content = contentParts;
+      baseMessage.content = buildUserContentParts(msg.content || "", msg.attachments, { fileInput, audioInput });
     } else {
       baseMessage.content = msg.content || "";
     }
@@ -219,6 +322,106 @@ function formatAssistantMessageForAPI(msg) {
   return messages;
 }
 
+// Follow-up user message that asks models without prefill to finish a cut-off reply
+export const CONTINUE_INSTRUCTION =
+  "Your previous reply was cut off. Continue it exactly where it stopped, without repeating anything or adding a preamble.";
+
+// Finish reasons of a reply that stopped before the model was done with it
+const CONTINUABLE_FINISH_REASONS = ["length", "cancelled"];
+
+/**
+ * Whether an assistant reply was cut off (at max_tokens, or cancelled) and
+ * can be continued in place.
+ *
+ * @param {Object} msg - A stored message
+ * @returns {boolean}
+ */
+export function canContinueMessage(msg) {
+  return (
+    msg?.role === "assistant" &&
+    msg.complete === true &&
+    !msg.error &&
+    msg.parts?.length > 0 &&
+    CONTINUABLE_FINISH_REASONS.includes(msg.finishReason)
+  );
+}
+
+/**
+ * Formats a partial assistant reply so the model continues it rather than
+ * starting over. With prefill the reply is sent as the trailing assistant
+ * message (without its reasoning, which would otherwise be continued too).
+ * Otherwise, or when the reply doesn't end in plain text, it is followed
+ * by CONTINUE_INSTRUCTION.
+ *
+ * @param {Object} partial - The assistant message to continue
+ * @param {Object} [options]
+ * @param {boolean} [options.prefill=false] - Whether the model supports assistant prefill
+ * @returns {Array} API messages to append after the user turn
+ */
+export function buildContinuationMessages(partial, { prefill = false } = {}) {
+  if (prefill) {
+    const messages = formatAssistantMessageForAPI({
+      ...partial,
+      reasoning: null,
+      parts: partial.parts?.filter((part) => part.type !== "reasoning"),
+    });
+    const last = messages[messages.length - 1];
+    if (last?.role === "assistant" && !last.tool_calls && typeof last.content === "string" && last.content.trim()) {
+      // Providers reject a final assistant message ending in whitespace
+      messages[messages.length - 1] = { ...last, content: last.content.trimEnd() };
+      return messages;
+    }
+  }
+
+  return [...formatAssistantMessageForAPI(partial), { role: "user", content: CONTINUE_INSTRUCTION }];
+}
+
+/**
+ * Merges streamed reasoning details into the ones collected so far. Details
+ * stream in pieces sharing an `index`; their text and data are joined and
+ * the other fields (signature, format) kept from whichever piece has them.
+ * @param {Array<Object>} collected - Details so far, updated in place
+ * @param {Array<Object>} pieces - Details from one delta
+ */
+function mergeReasoningDetails(collected, pieces) {
+  for (const piece of pieces) {
+    const existing = collected.find((d) => d.index === piece.index && d.type === piece.type);
+    if (!existing || piece.index === undefined) {
+      collected.push({ ...piece });
+      continue;
+    }
+    for (const [key, value] of Object.entries(piece)) {
+      if (key === "text" || key === "data" || key === "summary") {
+        existing[key] = (existing[key] || "") + (value || "");
+      } else if (value !== undefined && value !== null) {
+        existing[key] = value;
+      }
+    }
+  }
+}
+
+/**
+ * The choice a streamed chunk carries for the first (or only) completion.
+ * With `n` above 1 every choice streams separately, tagged by `index`.
+ * @param {Object} chunk - Parsed stream chunk
+ * @returns {Object|undefined}
+ */
+function primaryChoice(chunk) {
+  return chunk.choices?.find((choice) => (choice.index ?? 0) === 0);
+}
+
+/**
+ * Images streamed for the other choices of a request with `n` above 1.
+ * Only their images are kept; their text would repeat the first choice's.
+ * @param {Object} chunk - Parsed stream chunk
+ * @returns {Array}
+ */
+function extraChoiceImages(chunk) {
+  return (chunk.choices || [])
+    .filter((choice) => (choice.index ?? 0) !== 0)
+    .flatMap((choice) => choice.delta?.images || []);
+}
+
 /**
  * Accumulates streaming chunks and tracks tool calls
  */
@@ -233,18 +436,24 @@ class StreamAccumulator {
     this.images = [];
     this.finished = false;
     this.finishReason = null;
+    this.reasoningDetails = [];
   }
 
   /**
    * Process a streaming chunk from the API
    */
   processChunk(chunk) {
+    // Images from the other choices when several were requested
+    this.images.push(...extraChoiceImages(chunk));
+
+    const choice = primaryChoice(chunk);
+
     // Track finish reason
-    if (chunk.choices?.[0]?.finish_reason) {
-      this.finishReason = chunk.choices[0].finish_reason;
+    if (choice?.finish_reason) {
+      this.finishReason = choice.finish_reason;
     }
 
-    const delta = chunk.choices?.[0]?.delta;
+    const delta = choice?.delta;
     if (!delta) return;
 
     // Accumulate content
@@ -257,6 +466,11 @@ class StreamAccumulator {
       this.reasoning += delta.reasoning;
     }
 
+    // Reasoning details (e.g. signed thinking) are replayed with tool calls
+    if (delta.reasoning_details) {
+      mergeReasoningDetails(this.reasoningDetails, delta.reasoning_details);
+    }
+
     // Accumulate tool calls
     if (delta.tool_calls) {
       this.hasToolCalls = true;
@@ -286,10 +500,10 @@ class StreamAccumulator {
     }
 
     // Capture annotations
-    if (chunk.annotations || chunk.choices?.[0]?.message?.annotations || chunk.choices?.[0]?.delta?.annotations) {
+    if (chunk.annotations || choice.message?.annotations || delta.annotations) {
       this.annotations = chunk.annotations || 
-                        chunk.choices?.[0]?.message?.annotations || 
-                        chunk.choices?.[0]?.delta?.annotations;
+                        choice.message?.annotations || 
+                        delta.annotations;
     }
 
     // Capture images
@@ -334,6 +548,387 @@ class StreamAccumulator {
     this.images = [];
     this.finished = false;
     this.finishReason = null;
+    this.reasoningDetails = [];
+  }
+}
+
+// Reconnect attempts after a dropped stream before giving up on it
+const MAX_STREAM_RECONNECTS = 3;
+
+// Minimum time between resume checkpoints yielded to the caller
+const CHECKPOINT_INTERVAL_MS = 2000;
+
+/**
+ * Reads one /api/ai SSE response into the accumulator, yielding UI updates.
+ * `stream.offset` counts the events consumed so the stream can be resumed.
+ *
+ * @param {Response} response - Streaming response from /api/ai or /api/ai/resume
+ * @param {{id: string|null, offset: number, lastCheckpoint: number}} stream - Resume cursor, updated in place
+ * @param {StreamAccumulator} accumulator - Receives the parsed chunks
+ * @yields {Object} UI update chunks and resume checkpoints
+ */
+async function* readChatStream(response, stream, accumulator) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  
+  // Stream timeout configuration
+  const STREAM_TIMEOUT_MS = 60000;
+  let streamTimeoutId = null;
+  let timedOut = false;
+
+  const resetStreamTimeout = () => {
+    if (streamTimeoutId) clearTimeout(streamTimeoutId);
+    streamTimeoutId = setTimeout(() => {
+      timedOut = true;
+      reader.cancel("Stream timeout: no data received for 60 seconds");
+    }, STREAM_TIMEOUT_MS);
+  };
+
+  const clearStreamTimeout = () => {
+    if (streamTimeoutId) clearTimeout(streamTimeoutId);
+  };
+
+  try {
+    resetStreamTimeout();
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      resetStreamTimeout();
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith("data: ")) continue;
+
+        const data = line.slice(6);
+        stream.offset++;
+        if (data === "[DONE]") {
+          accumulator.finished = true;
+          break;
+        }
+
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (error) {
+          continue;
+        }
+
+        // Handle errors; the caller decides whether to fall back or report
+        if (parsed.error) {
+          throw createModelRequestError(parsed.error.message || "API error", {
+            status: parsed.error.code,
+            streamError: parsed.error,
+          });
+        }
+
+        // Process the chunk
+        if (parsed.choices && parsed.choices[0]) {
+          accumulator.processChunk(parsed);
+
+          const delta = primaryChoice(parsed)?.delta;
+          const images = [...(delta?.images || []), ...extraChoiceImages(parsed)];
+
+          // Yield content updates
+          if (delta?.content) {
+            yield {
+              content: delta.content,
+              reasoning: null,
+            };
+          }
+
+          // Yield reasoning updates
+          if (delta?.reasoning && delta.reasoning.trim() !== "None") {
+            yield {
+              content: null,
+              reasoning: delta.reasoning,
+            };
+          }
+
+          // Yield tool call updates for UI
+          if (delta?.tool_calls) {
+            yield {
+              content: null,
+              reasoning: null,
+              tool_calls: delta.tool_calls,
+            };
+          }
+
+          // Yield usage
+          if (parsed.usage) {
+            yield {
+              content: null,
+              reasoning: null,
+              usage: parsed.usage,
+            };
+          }
+
+          // Yield images
+          if (images.length > 0) {
+            yield {
+              content: delta?.content !== undefined ? delta.content : null,
+              reasoning: null,
+              images,
+            };
+          }
+
+          // Yield annotations
+          const annotations = delta?.annotations || parsed.annotations;
+          if (annotations) {
+            yield {
+              content: null,
+              reasoning: null,
+              annotations: annotations,
+            };
+          }
+        }
+
+        // Let the caller persist how far into the stream it has applied
+        if (stream.id && Date.now() - stream.lastCheckpoint >= CHECKPOINT_INTERVAL_MS) {
+          stream.lastCheckpoint = Date.now();
+          yield {
+            content: null,
+            reasoning: null,
+            checkpoint: { streamId: stream.id, offset: stream.offset },
+          };
+        }
+
+        if (accumulator.finished) break;
+      }
+
+      if (accumulator.finished) break;
+    }
+
+    // The server always ends with [DONE]; a stream that stops short of it
+    // (closed early, or cancelled by the stall timeout) was cut off
+    if (!accumulator.finished) {
+      throw new Error(timedOut
+        ? "Stream timeout: no data received for 60 seconds"
+        : "Stream ended before the response finished");
+    }
+  } finally {
+    clearStreamTimeout();
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Reconnects to a buffered stream at the cursor's offset.
+ * @param {{id: string, offset: number}} stream
+ * @param {AbortSignal} signal
+ * @returns {Promise<Response|null>} Null when the server no longer has the stream
+ * @throws {Error} When the resume request itself fails, so it can be retried
+ */
+async function fetchStreamResume(stream, signal) {
+  const sessionToken = await getSessionToken();
+  const params = new URLSearchParams({ id: stream.id, offset: String(stream.offset) });
+  const response = await fetch(`/api/ai/resume?${params}`, {
+    headers: { "x-session-token": sessionToken },
+    signal,
+  });
+  if (response.ok) return response;
+  if (response.status === 404) return null;
+  throw new Error(`Resuming the stream failed with status ${response.status}`);
+}
+
+// Abort reason that stops reading a stream but leaves it running on the
+// server, so it can be resumed later
+export const DETACH_STREAM = "detach";
+
+/**
+ * Stops a buffered stream on the server. Streams outlive their connection so
+ * they can be resumed, so aborting the fetch alone does not stop generation.
+ * @param {string} streamId
+ */
+async function cancelRemoteStream(streamId) {
+  try {
+    const sessionToken = await getSessionToken();
+    await fetch("/api/ai/cancel", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-session-token": sessionToken,
+      },
+      body: JSON.stringify({ streamId }),
+    });
+  } catch (error) {
+    console.warn("[message] Failed to cancel stream:", error);
+  }
+}
+
+/**
+ * Reads a stream to the end, reconnecting through /api/ai/resume when the
+ * connection drops. The server keeps generating into its buffer meanwhile,
+ * so the reconnected stream continues exactly where this one stopped.
+ * Also cancels the server-side stream when the controller aborts, unless it
+ * was aborted with DETACH_STREAM.
+ *
+ * @param {Response} response - Initial streaming response
+ * @param {{id: string|null, offset: number, lastCheckpoint: number}} stream - Resume cursor
+ * @param {AbortController} controller
+ * @param {StreamAccumulator} accumulator
+ * @yields {Object} UI update chunks and resume checkpoints
+ */
+async function* readResumableStream(response, stream, controller, accumulator) {
+  const cancel = () => {
+    if (controller.signal.reason !== DETACH_STREAM) cancelRemoteStream(stream.id);
+  };
+  if (stream.id) controller.signal.addEventListener("abort", cancel, { once: true });
+
+  try {
+    let current = response;
+    let dropped = null;
+    let reconnects = 0;
+
+    while (true) {
+      try {
+        // Reconnecting is part of the retried step, so a failed resume
+        // request is retried like a dropped read
+        if (dropped) current = await fetchStreamResume(stream, controller.signal);
+        if (!current) break;
+
+        yield* readChatStream(current, stream, accumulator);
+        return;
+      } catch (error) {
+        // Errors reported by the API itself are not connection problems
+        if (error.name === "AbortError" || error.name === "ModelRequestError") throw error;
+        if (!stream.id || reconnects >= MAX_STREAM_RECONNECTS) throw error;
+
+        dropped = error;
+        reconnects++;
+        console.warn(`[message] Stream dropped (${error.message}); reconnecting at offset ${stream.offset}`);
+        await waitForRetry(getBackoffDelay(reconnects), controller.signal);
+      }
+    }
+
+    // The server no longer has the stream, so there is nothing to reconnect to
+    throw dropped;
+  } finally {
+    controller.signal.removeEventListener("abort", cancel);
+  }
+}
+
+/**
+ * Sends one chat-completions request and streams the response into the
+ * accumulator, yielding UI updates as chunks arrive.
+ * Throws on HTTP and in-stream errors so the agent loop can fall back.
+ *
+ * @param {Object} requestBody - Body for /api/ai
+ * @param {AbortController} controller - Cancels the request
+ * @param {StreamAccumulator} accumulator - Receives the parsed chunks
+ * @yields {Object} UI update chunks (content, reasoning, tool_calls, usage, images, annotations, checkpoint)
+ */
+async function* streamChatCompletion(requestBody, controller, accumulator) {
+  const sessionToken = await getSessionToken();
+
+  // Make the API request
+  const response = await fetch("/api/ai", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-session-token": sessionToken,
+    },
+    body: JSON.stringify(requestBody),
+    signal: controller.signal,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || "Unknown error";
+    throw createModelRequestError(
+      `API request failed with status ${response.status}: ${errorMessage}`,
+      {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers?.get?.("retry-after")),
+      },
+    );
+  }
+
+  const stream = {
+    id: response.headers?.get?.("x-stream-id") || null,
+    offset: 0,
+    lastCheckpoint: 0,
+  };
+
+  yield* readResumableStream(response, stream, controller, accumulator);
+}
+
+/**
+ * Converts an error that ended a turn into the final chunk yielded to the UI.
+ * @param {Error} error
+ * @returns {Object}
+ */
+function createTerminalErrorChunk(error) {
+  if (error.name === "AbortError") {
+    return { content: "\n\n[STREAM CANCELED]", reasoning: null, complete: true, finishReason: "cancelled" };
+  }
+
+  const errorMessage = error.message || "No detailed information";
+  return {
+    content: `\n\n[CRITICAL ERROR: Libre Assistant failed to dispatch request. ${errorMessage}]`,
+    reasoning: null,
+    error: true,
+    errorDetails: {
+      name: error.name || "UnknownError",
+      message: errorMessage,
+      rawError: error.toString(),
+    },
+    complete: true,
+  };
+}
+
+/**
+ * Resumes a stream that was interrupted by a reload, replaying it from the
+ * last offset the client persisted. Yields the same chunk shapes as
+ * handleIncomingMessage. The agent loop itself is not resumed: tool calls
+ * in the resumed stream are reported but not executed.
+ *
+ * @param {string} streamId - Id from the X-Stream-Id header of the original request
+ * @param {number} offset - Number of events already applied to the message
+ * @param {AbortController} controller - Cancels the resumed stream
+ * @yields {Object} UI update chunks, ending with a `complete` chunk
+ */
+export async function* resumeChatStream(streamId, offset, controller) {
+  const accumulator = new StreamAccumulator();
+  const stream = { id: streamId, offset: offset || 0, lastCheckpoint: Date.now() };
+
+  try {
+    const response = await fetchStreamResume(stream, controller.signal);
+    if (!response) {
+      throw createModelRequestError("The response could not be resumed because the server no longer has it.", {
+        status: 404,
+      });
+    }
+
+    yield* readResumableStream(response, stream, controller, accumulator);
+
+    yield {
+      content: accumulator.content,
+      reasoning: accumulator.reasoning,
+      complete: true,
+      finalToolCalls: accumulator.getCompletedToolCalls(),
+      usage: accumulator.usage,
+      annotations: accumulator.annotations,
+      finishReason: accumulator.finishReason,
+    };
+  } catch (error) {
+    if (error.streamError) {
+      yield {
+        content: `\n\n[ERROR: ${error.streamError.message}]`,
+        reasoning: null,
+        error: true,
+        errorDetails: {
+          name: error.streamError.type || "APIError",
+          message: error.streamError.message,
+        },
+      };
+    }
+    yield createTerminalErrorChunk(error);
   }
 }
 
@@ -347,7 +942,7 @@ class StreamAccumulator {
  * - This ensures no duplication between history and the current turn
  * 
  * The final messages array sent to the API is:
- *   [systemPrompt, ...plainMessages (history), { role: "user", content: query }, ...intermediateMessages]
+ *   [systemPrompt, ...plainMessages (history), { role: "user", content: query }, ...continuation, ...intermediateMessages]
  *
  * @param {string} query - The user's message (current turn)
  * @param {Array} plainMessages - Conversation history WITHOUT the current user message
@@ -358,7 +953,10 @@ class StreamAccumulator {
  * @param {string[]} toolNames - Array of available tool names
  * @param {boolean} isSearchEnabled - Whether the Exa search tools are enabled
  * @param {boolean} isIncognito - Whether incognito mode is enabled
- * @param {Array} attachments - Array of file attachments [{ type: 'image'|'pdf', filename, dataUrl, mimeType }]
+ * @param {Array} attachments - Array of file attachments [{ type: 'image'|'pdf', filename, dataUrl, mimeType } or { type: 'text', filename, language, text }]
+ * @param {string|null} conversationId - Conversation the turn belongs to, for remembered tool approvals
+ * @param {Object} [options]
+ * @param {Object} [options.continuation] - A partial assistant reply to `query` to continue instead of answering anew
  * @yields {Object} A chunk object with content and/or reasoning
  * @property {string|null} content - The main content of the response chunk
  * @property {string|null} reasoning - Any reasoning information included in the response chunk
@@ -368,6 +966,9 @@ class StreamAccumulator {
  * @property {Array} annotations - PDF annotations for reuse
  * @property {Array} images - Generated images
  * @property {boolean} iterationComplete - Signals end of one agent iteration
+ * @property {Object} fallback - A request failed and is being retried ({ from, model, switched, reason, discardPartial })
+ * @property {string} model - On the complete chunk, the model that answered
+ * @property {string|null} finishReason - On the complete chunk, why generation stopped ("length" when cut off at max_tokens, "cancelled" when aborted)
  **/
 export async function* handleIncomingMessage(
   query,
@@ -380,6 +981,8 @@ export async function* handleIncomingMessage(
   isSearchEnabled = false,
   isIncognito = false,
   attachments = [],
+  conversationId = null,
+  options = {},
 ) {
   try {
     // Validate required parameters
@@ -393,6 +996,11 @@ export async function* handleIncomingMessage(
     // Determine which tools are actually being used
     const modelHasToolUse = selectedModelInfo?.tool_use !== false;
 
+    // Models without native file input get the text of attached PDFs instead
+    const fileInput = supportsFileInput(selectedModelInfo);
+    // Recordings go to audio-capable models; others rely on the transcript
+    const audioInput = supportsAudioInput(selectedModelInfo);
+
     const enabledToolNames = [];
 
     // Enable Exa search tools if search is enabled
@@ -400,6 +1008,21 @@ export async function* handleIncomingMessage(
       enabledToolNames.push("search", "getPageContents");
     }
 
+    // Enable the sandboxed code interpreter unless the user turned it off
+    if (modelHasToolUse && settings.code_interpreter_enabled !== false) {
+      enabledToolNames.push("runJavaScript");
+    }
+
+    // Offer knowledge base retrieval when collections are attached to the chat
+    if (modelHasToolUse && (await getConversationKnowledgeBases(isIncognito ? INCOGNITO_CHAT_ID : conversationId)).length > 0) {
+      enabledToolNames.push("searchKnowledge");
+    }
+
+    // Offer the user's own HTTP and MCP tools alongside search
+    if (modelHasToolUse) {
+      enabledToolNames.push(...getCustomToolNames(), ...getMcpToolNames());
+    }
+
     // Generate system prompt based on settings and used tools
     const systemPrompt = await generateSystemPrompt(
       enabledToolNames,
@@ -408,27 +1031,15 @@ export async function* handleIncomingMessage(
       modelHasToolUse,
     );
 
+    // Models without file input get the text of PDFs, which older attachments lack
+    if (!fileInput) {
+      await fillMissingPdfText([...(attachments || []), ...plainMessages.flatMap((msg) => msg.attachments || [])]);
+    }
+
     // Build user message content based on attachments
     let userMessageContent;
     if (attachments && attachments.length > 0) {
-      const contentParts = [{ type: "text", text: query }];
-      for (const attachment of attachments) {
-        if (attachment.type === "image") {
-          contentParts.push({
-            type: "image_url",
-            image_url: { url: attachment.dataUrl },
-          });
-        } else if (attachment.type === "pdf") {
-          contentParts.push({
-            type: "file",
-            file: {
-              filename: attachment.filename,
-              file_data: attachment.dataUrl,
-            },
-          });
-        }
-      }
-      userMessageContent = contentParts;
+      userMessageContent = buildUserContentParts(query, attachments, { fileInput, audioInput });
     } else {
       userMessageContent = query;
     }
@@ -436,7 +1047,7 @@ export async function* handleIncomingMessage(
     // Build base messages for this user turn
     // formatMessageForAPI can return single message or array (for assistant with tools)
     const formattedHistory = plainMessages
-      .map(formatMessageForAPI)
+      .map((msg) => formatMessageForAPI(msg, { fileInput, audioInput }))
       .flat()
       .filter((m) => m !== null);
     
@@ -446,6 +1057,16 @@ export async function* handleIncomingMessage(
       { role: "user", content: userMessageContent },
     ];
 
+    // Pick up a cut-off reply where it stopped. Providers reject a prefilled
+    // assistant turn while extended thinking is on, so reasoning requests ask
+    // for the rest instead.
+    if (options.continuation) {
+      const prefill =
+        supportsPrefill(selectedModelInfo) &&
+        !isReasoningEnabled(selectedModelInfo, modelParameters?.reasoning?.effort);
+      baseMessages.push(...buildContinuationMessages(options.continuation, { prefill }));
+    }
+
     // Tools configuration
     const enabledToolSchemas = enabledToolNames.length
       ? toolManager.getSchemasByNames(enabledToolNames)
@@ -456,30 +1077,31 @@ export async function* handleIncomingMessage(
     const maxToolIterations = settings.tool_max_iterations ?? 10; // Reasonable default
     let iteration = 0;
 
+    // Models to try when a request fails, primary first
+    const fallbackChain = new ModelFallbackChain(
+      buildFallbackChain(selectedModel, settings.model_fallback_chain),
+      { retriesPerModel: settings.model_fallback_retries ?? DEFAULT_FALLBACK_RETRIES },
+    );
+
     // Accumulator for this assistant turn
     const accumulator = new StreamAccumulator();
-    
-    // Track if we've yielded initial content
-    let hasYieldedContent = false;
 
-    while (iteration < maxToolIterations) {
-      iteration++;
-
-      // Build messages for this call
-      // Note: baseMessages now contains all previous turns including:
-      // - system prompt
-      // - conversation history
-      // - current user message
-      // - previous assistant messages with tool_calls
-      // - previous tool results
-      const messagesForThisCall = baseMessages;
+    /**
+     * Builds the request body for one call of the agent loop.
+     * Model-specific fields (reasoning, provider order, tools) follow the
+     * model currently selected by the fallback chain.
+     */
+    const buildRequestBody = (modelId) => {
+      const modelInfo = findModelById(availableModels, modelId);
+      const useTools = modelSupportsTools && modelInfo?.tool_use !== false;
 
-      // Build request body
       const requestBody = {
-        model: selectedModel,
-        messages: messagesForThisCall,
+        model: modelId,
+        // baseMessages contains all previous turns including the system
+        // prompt, history, current user message, and earlier tool rounds
+        messages: baseMessages,
         stream: true,
-        ...(modelSupportsTools && {
+        ...(useTools && {
           tools: enabledToolSchemas,
           tool_choice: "auto",
         }),
@@ -489,19 +1111,17 @@ export async function* handleIncomingMessage(
           seed: modelParameters.seed,
           max_tokens: modelParameters.max_tokens,
         }),
-        ...(settings.custom_api_key && {
-          customApiKey: settings.custom_api_key,
-        }),
+        ...buildProviderFields(settings),
       };
 
       // Add reasoning parameters
-      if (selectedModelInfo) {
+      if (modelInfo) {
         const userSettings = {
           reasoning_effort: modelParameters?.reasoning?.effort,
         };
 
         const { reasoningParams, alternateModel } = buildReasoningParams(
-          selectedModelInfo,
+          modelInfo,
           userSettings,
         );
 
@@ -513,169 +1133,75 @@ export async function* handleIncomingMessage(
           requestBody.reasoning = reasoningParams;
         }
 
-        if (selectedModelInfo.providers && selectedModelInfo.providers.length > 0) {
+        if (modelInfo.providers && modelInfo.providers.length > 0) {
           requestBody.provider = {
-            order: selectedModelInfo.providers,
+            order: modelInfo.providers,
           };
         }
-      }
-
-      const sessionToken = await getSessionToken();
-
-      // Make the API request
-      const response = await fetch("/api/ai", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-session-token": sessionToken,
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal,
-      });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || "Unknown error";
-        throw new Error(
-          `API request failed with status ${response.status}: ${errorMessage}`,
-        );
+        Object.assign(requestBody, buildImageParams(modelInfo, modelParameters));
       }
 
-      // Process the stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-      
-      // Reset accumulator for this iteration
-      accumulator.reset();
-      
-      // Stream timeout configuration
-      const STREAM_TIMEOUT_MS = 60000;
-      let streamTimeoutId = null;
-
-      const resetStreamTimeout = () => {
-        if (streamTimeoutId) clearTimeout(streamTimeoutId);
-        streamTimeoutId = setTimeout(() => {
-          reader.cancel("Stream timeout: no data received for 60 seconds");
-        }, STREAM_TIMEOUT_MS);
-      };
-
-      const clearStreamTimeout = () => {
-        if (streamTimeoutId) clearTimeout(streamTimeoutId);
-      };
-
-      try {
-        resetStreamTimeout();
-        
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          resetStreamTimeout();
-
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split("\n");
-          buffer = lines.pop();
+      return requestBody;
+    };
 
-          for (const line of lines) {
-            if (!line.startsWith("data: ")) continue;
+    while (iteration < maxToolIterations) {
+      iteration++;
 
-            const data = line.slice(6);
-            if (data === "[DONE]") {
-              accumulator.finished = true;
-              break;
-            }
+      // Retry this iteration through the fallback chain until a model answers
+      let iterationYielded = false;
+      while (true) {
+        const activeModel = fallbackChain.current;
+        accumulator.reset();
 
-            let parsed;
-            try {
-              parsed = JSON.parse(data);
-            } catch (error) {
-              continue;
-            }
+        try {
+          for await (const update of streamChatCompletion(buildRequestBody(activeModel), controller, accumulator)) {
+            iterationYielded = true;
+            yield update;
+          }
+          fallbackChain.succeed();
+          break;
+        } catch (error) {
+          if (error.name === "AbortError") throw error;
 
-            // Handle errors
-            if (parsed.error) {
+          const nextAttempt = fallbackChain.next(error);
+          if (!nextAttempt) {
+            if (error.streamError) {
               yield {
-                content: `\n\n[ERROR: ${parsed.error.message}]`,
+                content: `\n\n[ERROR: ${error.streamError.message}]`,
                 reasoning: null,
                 error: true,
                 errorDetails: {
-                  name: parsed.error.type || "APIError",
-                  message: parsed.error.message,
+                  name: error.streamError.type || "APIError",
+                  message: error.streamError.message,
                 },
               };
-              throw new Error(parsed.error.message || "API error");
             }
+            throw error;
+          }
 
-            // Process the chunk
-            if (parsed.choices && parsed.choices[0]) {
-              accumulator.processChunk(parsed);
-
-              const delta = parsed.choices[0].delta;
-
-              // Yield content updates
-              if (delta?.content) {
-                hasYieldedContent = true;
-                yield {
-                  content: delta.content,
-                  reasoning: null,
-                };
-              }
-
-              // Yield reasoning updates
-              if (delta?.reasoning && delta.reasoning.trim() !== "None") {
-                yield {
-                  content: null,
-                  reasoning: delta.reasoning,
-                };
-              }
-
-              // Yield tool call updates for UI
-              if (delta?.tool_calls) {
-                yield {
-                  content: null,
-                  reasoning: null,
-                  tool_calls: delta.tool_calls,
-                };
-              }
-
-              // Yield usage
-              if (parsed.usage) {
-                yield {
-                  content: null,
-                  reasoning: null,
-                  usage: parsed.usage,
-                };
-              }
-
-              // Yield images
-              if (delta?.images) {
-                yield {
-                  content: delta.content !== undefined ? delta.content : null,
-                  reasoning: null,
-                  images: delta.images,
-                };
-              }
-
-              // Yield annotations
-              const annotations = delta?.annotations || parsed.annotations;
-              if (annotations) {
-                yield {
-                  content: null,
-                  reasoning: null,
-                  annotations: annotations,
-                };
-              }
-            }
+          console.warn(
+            `[message] Request to ${activeModel} failed (${error.message}); retrying with ${nextAttempt.model} in ${nextAttempt.delayMs}ms`,
+          );
+
+          // Tell the UI to drop output from the failed attempt before retrying
+          yield {
+            content: null,
+            reasoning: null,
+            fallback: {
+              from: activeModel,
+              model: nextAttempt.model,
+              switched: nextAttempt.switched,
+              reason: error.message,
+              discardPartial: iterationYielded,
+            },
+          };
+          iterationYielded = false;
 
-            if (accumulator.finished) break;
+          if (nextAttempt.delayMs > 0) {
+            await waitForRetry(nextAttempt.delayMs, controller.signal);
           }
-
-          if (accumulator.finished) break;
         }
-      } finally {
-        clearStreamTimeout();
-        reader.releaseLock();
       }
 
       // Check if we need to execute tools
@@ -691,6 +1217,7 @@ export async function* handleIncomingMessage(
       baseMessages.push({
         role: "assistant",
         content: accumulator.content || "",
+        ...(accumulator.reasoningDetails.length > 0 && { reasoning_details: accumulator.reasoningDetails }),
         tool_calls: completedToolCalls.map((tc) => ({
           id: tc.id,
           type: tc.type,
@@ -702,10 +1229,16 @@ export async function* handleIncomingMessage(
       });
 
       // Execute tools and get results
-      const toolResults = await executeTools(completedToolCalls, plainMessages);
-
-      // Yield tool results for UI updates
-      for (const result of toolResults) {
+      // Run the calls concurrently, yielding each result as its tool finishes.
+      // Calls waiting for the user's approval hold the iteration open.
+      const toolResults = [];
+      for await (const result of runToolCalls(completedToolCalls, plainMessages, {
+        settings,
+        conversationId,
+        isIncognito,
+        signal: controller.signal,
+      })) {
+        toolResults.push(result);
         yield {
           content: null,
           reasoning: null,
@@ -717,8 +1250,11 @@ export async function* handleIncomingMessage(
         };
       }
 
-      // Add tool results to baseMessages AFTER the assistant message
+      // Add tool results to baseMessages AFTER the assistant message, in the
+      // order the model called them
       // Correct order: assistant (with tool_calls) → tool results
+      const resultOrder = completedToolCalls.map((tc) => tc.id);
+      toolResults.sort((a, b) => resultOrder.indexOf(a.tool_call_id) - resultOrder.indexOf(b.tool_call_id));
       const toolMessages = [];
       for (const result of toolResults) {
         const toolMsg = {
@@ -747,89 +1283,13 @@ export async function* handleIncomingMessage(
       finalToolCalls: accumulator.getCompletedToolCalls(),
       usage: accumulator.usage,
       annotations: accumulator.annotations,
+      model: fallbackChain.current,
+      finishReason: accumulator.finishReason,
     };
 
   } catch (error) {
-    // Handle abort errors specifically
-    if (error.name === "AbortError") {
-      yield { content: "\n\n[STREAM CANCELED]", reasoning: null, complete: true };
-      return;
-    }
-
-    const errorMessage = error.message || "No detailed information";
-    yield {
-      content: `\n\n[CRITICAL ERROR: Libre Assistant failed to dispatch request. ${errorMessage}]`,
-      reasoning: null,
-      error: true,
-      errorDetails: {
-        name: error.name || "UnknownError",
-        message: errorMessage,
-        rawError: error.toString(),
-      },
-      complete: true,
-    };
-  }
-}
-
-/**
- * Execute tools and return results
- */
-async function executeTools(toolCalls, messageHistory = []) {
-  const results = [];
-
-  for (const toolCall of toolCalls) {
-    const name = toolCall.function.name;
-    let args = {};
-
-    try {
-      args = JSON.parse(toolCall.function.arguments || "{}");
-    } catch (err) {
-      console.error("Failed to parse tool arguments:", toolCall.function.arguments, err);
-      results.push({
-        role: "tool",
-        tool_call_id: toolCall.id,
-        name,
-        content: JSON.stringify({
-          error: `Invalid JSON in tool arguments: ${err.message}`,
-        }),
-      });
-      continue;
-    }
-
-    const tool = toolManager.getTool(name);
-    if (!tool) {
-      console.warn(`Tool not found: ${name}`);
-      results.push({
-        role: "tool",
-        tool_call_id: toolCall.id,
-        name,
-        content: JSON.stringify({ error: `Unknown tool '${name}'` }),
-      });
-      continue;
-    }
-
-    try {
-      const result = await tool.executor(args, messageHistory);
-      results.push({
-        role: "tool",
-        tool_call_id: toolCall.id,
-        name,
-        content: JSON.stringify(result ?? null),
-      });
-    } catch (err) {
-      console.error(`Error executing tool "${name}"`, err);
-      results.push({
-        role: "tool",
-        tool_call_id: toolCall.id,
-        name,
-        content: JSON.stringify({
-          error: `Tool execution failed: ${err.message || String(err)}`,
-        }),
-      });
-    }
+    yield createTerminalErrorChunk(error);
   }
-
-  return results;
 }
 
 // Re-export for backward compatibility
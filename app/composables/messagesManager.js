@@ -2,12 +2,13 @@ import { ref, computed, nextTick, onMounted, onUnmounted, toRaw } from 'vue';
 import { useRouter } from 'vue-router';
 import localforage from 'localforage';
 import { createConversation as createNewConversation, storeMessages, deleteConversation as deleteConv, updateBranchPath, loadConversation } from './storeConversations';
-import { handleIncomingMessage } from './message';
+import { handleIncomingMessage, resumeChatStream, canContinueMessage, DETACH_STREAM } from './message';
 import { availableModels, findModelById, normalizeReasoningConfig, getDefaultReasoningEffort } from './availableModels';
 import DEFAULT_PARAMETERS from './defaultParameters';
 import { useSettings } from './useSettings';
 import { useGlobalIncognito } from './useGlobalIncognito';
 import { emitter } from './emitter';
+import { hasUsableApiKey } from './providers';
 import { PartsBuilder, TimingTracker } from './partsBuilder';
 import { buildApiHistory } from './contextCompressor';
 import {
@@ -16,14 +17,23 @@ import {
   getCachedValidSummaries,
   loadCompressionState,
   clearCompressionState,
+  pruneDeletedBranch,
+  copySummariesToFork,
 } from './contextCompressionPipeline';
 import {
   getMessagesForBranchPath,
   createBranch,
   switchBranch,
   buildSiblingInfoMap,
-  calculateBranchPath
+  calculateBranchPath,
+  deleteBranch as removeBranch,
+  remapBranchPath,
+  forkBranchPath,
+  getBranchFinalAnswer
 } from './branchManager';
+import { getArenaReplies, voteForReply, getReplyText } from './arena';
+import { buildMergePrompt } from './branchCompare';
+import { getConversationKnowledgeBases, setConversationKnowledgeBases } from './knowledgeBases';
 
 /**
  * Creates a centralized message manager for handling all chat message operations
@@ -51,6 +61,12 @@ export function useMessagesManager(chatPanel) {
   const isTyping = ref(false);
   const chatLoading = ref(false);
 
+  // Last queued resume-checkpoint write, awaited before the final store
+  let pendingCheckpoint = Promise.resolve();
+
+  // Controller of the interrupted stream being resumed, if any
+  let resumeController = null;
+
   // Computed properties
   const visibleMessages = computed(() => {
     if (isIncognito.value) return messages.value;
@@ -61,6 +77,16 @@ export function useMessagesManager(chatPanel) {
     return buildSiblingInfoMap(messages.value, visibleMessages.value);
   });
 
+  // Replies of arena rounds on the visible branch, by the visible reply's id
+  const arenaReplies = computed(() => {
+    const rounds = new Map();
+    for (const message of visibleMessages.value) {
+      const replies = getArenaReplies(messages.value, message);
+      if (replies) rounds.set(message.id, replies);
+    }
+    return rounds;
+  });
+
   const hasMessages = computed(() => visibleMessages.value.length > 0);
   const isEmptyConversation = computed(() => !currConvo.value && messages.value.length === 0);
 
@@ -93,9 +119,19 @@ export function useMessagesManager(chatPanel) {
     emitter.off('conversationDeleted', handleConversationDeleted);
   });
 
+  // Message to scroll to once the chat panel is available
+  let pendingReveal = null;
+
   // Method to update chat panel reference
   function setChatPanel(newChatPanel) {
     chatPanel.value = newChatPanel;
+
+    // Finish a reveal requested before the panel mounted
+    if (pendingReveal && newChatPanel) {
+      const messageId = pendingReveal;
+      pendingReveal = null;
+      nextTick(() => newChatPanel.scrollToMessage?.(messageId));
+    }
   }
 
   /**
@@ -124,7 +160,11 @@ export function useMessagesManager(chatPanel) {
         type: a.type,
         filename: a.filename,
         dataUrl: a.dataUrl,
-        mimeType: a.mimeType
+        mimeType: a.mimeType,
+        ...(a.mask && { mask: true }),
+        ...(a.type === 'text' && { kind: a.kind, language: a.language }),
+        ...(a.type === 'audio' && { format: a.format, duration: a.duration, transcript: a.transcript }),
+        ...(a.text !== undefined && { text: a.text })
       })),
       timestamp: new Date(),
       complete: true,
@@ -140,15 +180,10 @@ export function useMessagesManager(chatPanel) {
   }
 
   /**
-   * Creates a new assistant message and adds it to the messages array
+   * Fields of an assistant message that hasn't started streaming
    */
-  function createAssistantMessage() {
-    const parentId = visibleMessages.value.length > 0
-      ? visibleMessages.value[visibleMessages.value.length - 1].id
-      : null;
-
-    const assistantMsg = {
-      id: generateId(),
+  function blankAssistantMessage() {
+    return {
       role: "assistant",
       reasoning: "",
       content: "",
@@ -156,8 +191,6 @@ export function useMessagesManager(chatPanel) {
       parts: [], // Structured parts: reasoning, content, tool_group, image
       timestamp: new Date(),
       complete: false,
-      parentId: parentId,
-      branchIndex: 0,
       apiCallTime: new Date(),
       firstTokenTime: null,
       completionTime: null,
@@ -169,7 +202,24 @@ export function useMessagesManager(chatPanel) {
       reasoningDuration: null,
       error: false,
       errorDetails: null,
-      annotations: null
+      annotations: null,
+      finishReason: null
+    };
+  }
+
+  /**
+   * Creates a new assistant message and adds it to the messages array
+   */
+  function createAssistantMessage() {
+    const parentId = visibleMessages.value.length > 0
+      ? visibleMessages.value[visibleMessages.value.length - 1].id
+      : null;
+
+    const assistantMsg = {
+      id: generateId(),
+      ...blankAssistantMessage(),
+      parentId: parentId,
+      branchIndex: 0
     };
 
     messages.value.push(assistantMsg);
@@ -210,6 +260,77 @@ export function useMessagesManager(chatPanel) {
     });
   }
 
+  /**
+   * Answers in place of the model when no API key is set
+   */
+  function showApiKeyRequired() {
+    const tempAssistantMsg = createAssistantMessage();
+    updateAssistantMessage(tempAssistantMsg, {
+      content: `⚠️ **API Key Required**\n\nPlease add your own API key in Settings → General to use models.`,
+      complete: true,
+      error: true,
+      errorDetails: { name: 'APIKeyRequired', message: 'API key is required to use models' }
+    });
+  }
+
+  /**
+   * Creates the conversation on the first message, outside incognito mode
+   */
+  async function ensureConversation() {
+    if (!currConvo.value && !isIncognito.value) {
+      currConvo.value = await createNewConversation(messages.value, new Date());
+      if (currConvo.value) {
+        const convData = await loadConversation(currConvo.value);
+        conversationTitle.value = convData?.title || "";
+      }
+    }
+  }
+
+  /**
+   * Model parameters for a request: the parameter panel's values, the
+   * model's own extras and its saved reasoning effort
+   */
+  function buildModelParameters(modelDetails) {
+    const reasoningConfig = normalizeReasoningConfig(modelDetails);
+    const savedReasoningEffort = settingsManager.getModelSetting(modelDetails.id, "reasoning_effort") ||
+      getDefaultReasoningEffort(modelDetails);
+
+    const parameterConfig = settingsManager.settings.parameter_config || { ...DEFAULT_PARAMETERS };
+
+    return {
+      ...parameterConfig,
+      ...modelDetails.extra_parameters,
+      reasoning: {
+        effort: savedReasoningEffort,
+        enabled: reasoningConfig.toggleable ? savedReasoningEffort !== 'none' : true
+      }
+    };
+  }
+
+  /**
+   * Conversation history for the API: the visible branch up to, but not
+   * including, the prompt being answered
+   */
+  function buildHistoryForApi() {
+    // Tool results are now stored in assistant message parts, not as separate messages
+    const rawHistory = visibleMessages.value.filter(msg => {
+      if (!msg.complete) return false;
+      if (msg.role === 'tool') return false; // Skip tool messages - they're in assistant parts
+      if (msg.role === 'user') {
+        const lastUserMsg = [...visibleMessages.value].reverse().find(m => m.role === 'user');
+        if (lastUserMsg && msg.id === lastUserMsg.id) return false;
+      }
+      return true;
+    });
+
+    // Apply context compression: swap spans covered by valid sidecar
+    // summaries for labeled summary messages. Skipped in incognito
+    // mode (where nothing is persisted or compressed).
+    return isIncognito.value
+      ? rawHistory
+      : buildApiHistory(rawHistory, getCachedValidSummaries(currConvo.value));
+  }
+
   /**
    * Sends a message to the AI and handles the response
    */
@@ -219,14 +340,8 @@ export function useMessagesManager(chatPanel) {
     if ((!message.trim() && attachments.length === 0) || isLoading.value) return;
 
     // Check if API key is provided
-    if (!settingsManager.settings.custom_api_key) {
-      const tempAssistantMsg = createAssistantMessage();
-      updateAssistantMessage(tempAssistantMsg, {
-        content: `⚠️ **API Key Required**\n\nPlease add your own API key in Settings → General to use models.`,
-        complete: true,
-        error: true,
-        errorDetails: { name: 'APIKeyRequired', message: 'API key is required to use models' }
-      });
+    if (!hasUsableApiKey(settingsManager.settings)) {
+      showApiKeyRequired();
       return;
     }
 
@@ -244,14 +359,7 @@ export function useMessagesManager(chatPanel) {
       assistantMsg.parentId = explicitParentId;
     }
 
-    // Create conversation if needed
-    if (!currConvo.value && !isIncognito.value) {
-      currConvo.value = await createNewConversation(messages.value, new Date());
-      if (currConvo.value) {
-        const convData = await loadConversation(currConvo.value);
-        conversationTitle.value = convData?.title || "";
-      }
-    }
+    await ensureConversation();
 
     // Fire-and-forget: auto-compress after the user message is added, in
     // case the user turn itself pushed the context over the threshold.
@@ -275,61 +383,152 @@ export function useMessagesManager(chatPanel) {
       return;
     }
 
-    // Construct model parameters
-    const reasoningConfig = normalizeReasoningConfig(selectedModelDetails);
-    const savedReasoningEffort = settingsManager.getModelSetting(selectedModelDetails.id, "reasoning_effort") ||
-      getDefaultReasoningEffort(selectedModelDetails);
+    try {
+      await streamAssistantResponse(assistantMsg, selectedModelDetails, {
+        message,
+        history: buildHistoryForApi(),
+        attachments,
+        searchEnabled
+      });
+    } finally {
+      isLoading.value = false;
 
-    const parameterConfig = settingsManager.settings.parameter_config || { ...DEFAULT_PARAMETERS };
+      // Store messages if not in incognito mode, after any in-flight checkpoint
+      if (!isIncognito.value) {
+        await pendingCheckpoint;
+        await storeMessages(currConvo.value, toRaw(messages.value), new Date());
+      }
 
-    const model_parameters = {
-      ...parameterConfig,
-      ...selectedModelDetails.extra_parameters,
-      reasoning: {
-        effort: savedReasoningEffort,
-        enabled: reasoningConfig.toggleable ? savedReasoningEffort !== 'none' : true
+      // Fire-and-forget: auto-compress after the assistant turn completes,
+      // in case the assistant response pushed the context over the threshold.
+      triggerAutoCompression();
+    }
+  }
+
+  /**
+   * Sends one prompt to several models at once. Each reply is a sibling
+   * branch of the same user message, marked as part of an arena round, and
+   * they all stream at the same time. The first model's reply stays the
+   * active branch until another one is voted for.
+   * @param {string} message - The prompt
+   * @param {Array} attachments
+   * @param {boolean} searchEnabled
+   * @param {Array<string>} modelIds - Models to ask, in column order
+   * @param {Object} [options]
+   * @param {boolean} [options.skipUserMessage] - The prompt is already the last visible message
+   */
+  async function sendArenaMessage(message, attachments = [], searchEnabled = false, modelIds = [], options = {}) {
+    const { skipUserMessage = false } = options;
+
+    if ((!message.trim() && attachments.length === 0) || isLoading.value) return;
+
+    const models = modelIds.map(id => findModelById(availableModels, id)).filter(Boolean);
+    if (models.length === 0) return;
+
+    if (!hasUsableApiKey(settingsManager.settings)) {
+      showApiKeyRequired();
+      return;
+    }
+
+    controller.value = new AbortController();
+    isLoading.value = true;
+    isTyping.value = false;
+
+    if (!skipUserMessage) {
+      addUserMessage(message, attachments);
+    }
+
+    // The first reply is created as usual; the others branch from it
+    const firstReply = createAssistantMessage();
+    firstReply.arena = true;
+    const replies = [firstReply];
+    for (let i = 1; i < models.length; i++) {
+      const branchResult = createBranch(messages.value, firstReply.id, { ...blankAssistantMessage(), arena: true });
+      messages.value = branchResult.messages;
+      replies.push(branchResult.newMessage);
+    }
+
+    await ensureConversation();
+    triggerAutoCompression();
+
+    await nextTick();
+    requestAnimationFrame(() => {
+      chatPanel?.value?.scrollToEnd("smooth");
+    });
+
+    // Every model gets the same history
+    const request = { message, history: buildHistoryForApi(), attachments, searchEnabled };
+
+    try {
+      await Promise.all(replies.map((reply, index) => streamAssistantResponse(reply, models[index], request)));
+    } finally {
+      isLoading.value = false;
+
+      if (!isIncognito.value) {
+        await pendingCheckpoint;
+        await storeMessages(currConvo.value, toRaw(messages.value), new Date());
       }
-    };
+
+      triggerAutoCompression();
+    }
+  }
+
+  /**
+   * Streams one model's response into an assistant message and marks it
+   * complete. Errors end up on the message rather than being thrown.
+   * @param {Object} assistantMsg - The message to fill
+   * @param {Object} modelDetails - Model from availableModels
+   * @param {{ message: string, history: Array, attachments: Array, searchEnabled: boolean, continuation?: boolean }} request
+   *   With `continuation`, the model continues the message's existing parts instead of starting it
+   */
+  async function streamAssistantResponse(assistantMsg, modelDetails, { message, history, attachments, searchEnabled, continuation = false }) {
+    const model_parameters = buildModelParameters(modelDetails);
 
     // Initialize parts builder and timing tracker
     const partsBuilder = new PartsBuilder();
     const timing = new TimingTracker(assistantMsg);
 
-    // Track tool calls and their results
-    let currentToolCalls = [];
-    let hasExecutedTools = false;
+    // The reply so far, sent back for the model to continue
+    const partial = continuation ? { ...assistantMsg, parts: [...(assistantMsg.parts || [])] } : null;
+    if (continuation) {
+      partsBuilder.loadParts(assistantMsg.parts || []);
+      partsBuilder.reopenContent();
+      timing.firstTokenReceived = !!assistantMsg.firstTokenTime;
+    } else {
+      // Record the requested model; a fallback may answer instead
+      assistantMsg.requestedModel = modelDetails.id;
+    }
+    assistantMsg.model = modelDetails.id;
 
-    try {
-      // Build conversation history for the API
-      // Tool results are now stored in assistant message parts, not as separate messages
-      const rawHistory = visibleMessages.value.filter(msg => {
-        if (!msg.complete) return false;
-        if (msg.role === 'tool') return false; // Skip tool messages - they're in assistant parts
-        if (msg.role === 'user') {
-          const lastUserMsg = [...visibleMessages.value].reverse().find(m => m.role === 'user');
-          if (lastUserMsg && msg.id === lastUserMsg.id) return false;
-        }
-        return true;
-      });
+    // Track tool calls and their results
+    const toolState = {
+      currentToolCalls: continuation ? [...(assistantMsg.tool_calls || [])] : [],
+      hasExecutedTools: false
+    };
 
-      // Apply context compression: swap spans covered by valid sidecar
-      // summaries for labeled summary messages. Skipped in incognito
-      // mode (where nothing is persisted or compressed).
-      const historyForAPI = isIncognito.value
-        ? rawHistory
-        : buildApiHistory(rawHistory, getCachedValidSummaries(currConvo.value));
+    // Rollback point for failed attempts: the start of the current agent iteration
+    const takeIterationSnapshot = () => ({
+      parts: partsBuilder.snapshot(),
+      content: assistantMsg.content,
+      reasoning: assistantMsg.reasoning,
+      toolCallCount: toolState.currentToolCalls.length
+    });
+    let iterationSnapshot = takeIterationSnapshot();
 
+    try {
       const streamGenerator = handleIncomingMessage(
         message,
-        historyForAPI,
+        history,
         controller.value,
-        settingsManager.settings.selected_model_id,
+        modelDetails.id,
         model_parameters,
         settingsManager.settings,
-        selectedModelDetails.extra_functions || [],
+        modelDetails.extra_functions || [],
         searchEnabled,
         isIncognito.value,
-        attachments
+        attachments,
+        isIncognito.value ? null : currConvo.value,
+        { continuation: partial }
       );
 
       // RAF batching for UI updates
@@ -348,97 +547,34 @@ export function useMessagesManager(chatPanel) {
       };
 
       for await (const chunk of streamGenerator) {
-        // Process content - skip if this is the final complete chunk (content already accumulated)
-        if (chunk.content && !chunk.complete) {
-          partsBuilder.appendContent(chunk.content);
-          assistantMsg.content = (assistantMsg.content || '') + chunk.content;
-          timing.markFirstToken();
-          timing.endReasoning();
-        }
-
-        // Process images
-        if (chunk.images && chunk.images.length > 0) {
-          for (const image of chunk.images) {
-            partsBuilder.processImage(image);
-          }
-        }
-
-        // Process reasoning - skip if this is the final complete chunk (reasoning already accumulated)
-        if (chunk.reasoning && chunk.reasoning.trim() !== 'None' && !chunk.complete) {
-          partsBuilder.appendReasoning(chunk.reasoning);
-          if (assistantMsg.reasoning.trim() === '' && chunk.reasoning.trim() !== '') {
-            assistantMsg.reasoning = chunk.reasoning;
-          } else {
-            assistantMsg.reasoning += chunk.reasoning;
+        // A request failed and is being retried: drop the failed attempt's output
+        if (chunk.fallback) {
+          if (chunk.fallback.discardPartial) {
+            partsBuilder.restore(iterationSnapshot.parts);
+            assistantMsg.content = iterationSnapshot.content;
+            assistantMsg.reasoning = iterationSnapshot.reasoning;
+            toolState.currentToolCalls = toolState.currentToolCalls.slice(0, iterationSnapshot.toolCallCount);
           }
-          timing.markFirstToken();
-          timing.startReasoning();
-        }
-
-        // Process tool calls
-        if (chunk.tool_calls && chunk.tool_calls.length > 0) {
-          // Tool calls separate reasoning segments the same way they separate content segments.
-          // Close out the current reasoning part in the parts builder (defensive - addOrUpdateTool
-          // also finalizes reasoning internally) and reset the flat-string accumulator so the
-          // next reasoning chunk starts a fresh segment.
-          partsBuilder.finalizeReasoning();
-          assistantMsg.reasoning = '';
-
-          for (const tool of chunk.tool_calls) {
-            const toolType = tool.type || 'function';
-            partsBuilder.addOrUpdateTool(toolType, tool);
-
-            // Track tool calls
-            if (tool.id && !currentToolCalls.find(tc => tc.id === tool.id)) {
-              currentToolCalls.push({
-                id: tool.id,
-                type: toolType,
-                function: {
-                  name: tool.function?.name || '',
-                  arguments: tool.function?.arguments || ''
-                }
-              });
-            }
+          if (chunk.fallback.switched) {
+            assistantMsg.model = chunk.fallback.model;
           }
+          scheduleUIUpdate();
+          continue;
         }
 
-        // Process tool results
-        if (chunk.tool_result) {
-          partsBuilder.setToolResult(chunk.tool_result.id, chunk.tool_result.result);
-          hasExecutedTools = true;
-          
-          // Update currentToolCalls with results
-          const toolCall = currentToolCalls.find(tc => tc.id === chunk.tool_result.id);
-          if (toolCall) {
-            toolCall.result = chunk.tool_result.result;
-          }
+        if (chunk.iterationComplete) {
+          iterationSnapshot = takeIterationSnapshot();
         }
 
-        // Tool results are now stored in the assistant message's parts via partsBuilder
-        // No separate tool messages needed - this keeps branching simple (1 message per turn)
-
-        // Process usage
-        if (chunk.usage) {
-          if (chunk.usage.completion_tokens !== undefined) {
-            assistantMsg.tokenCount = chunk.usage.completion_tokens;
-          }
-          if (chunk.usage.total_tokens !== undefined) {
-            assistantMsg.totalTokens = chunk.usage.total_tokens;
-          }
-          if (chunk.usage.prompt_tokens !== undefined) {
-            assistantMsg.promptTokens = chunk.usage.prompt_tokens;
-          }
+        if (chunk.complete && chunk.model) {
+          assistantMsg.model = chunk.model;
         }
 
-        // Process annotations
-        if (chunk.annotations) {
-          assistantMsg.annotations = chunk.annotations;
-        }
+        applyStreamChunk(chunk, assistantMsg, partsBuilder, timing, toolState);
 
-        // Process errors
-        if (chunk.error && chunk.errorDetails) {
-          assistantMsg.error = true;
-          assistantMsg.errorDetails = chunk.errorDetails;
+        // Persist progress so a reload can resume this stream
+        if (chunk.checkpoint) {
+          saveResumeCheckpoint(assistantMsg, partsBuilder, chunk.checkpoint);
         }
 
         // Schedule UI update
@@ -456,53 +592,7 @@ export function useMessagesManager(chatPanel) {
         message: error.message || 'An unexpected error occurred'
       };
     } finally {
-      // Ensure parts are stored from partsBuilder
-      syncAssistantMessage(assistantMsg, partsBuilder, true);
-
-      // Discard empty reasoning
-      if (assistantMsg.reasoning?.trim() === '') {
-        assistantMsg.reasoning = '';
-      }
-
-      // Mark message as complete
-      const finalUpdates = {
-        complete: true,
-        completionTime: new Date(),
-        reasoningDuration: timing.calculateReasoningDuration(),
-        tool_calls: currentToolCalls
-      };
-
-      Object.assign(assistantMsg, finalUpdates);
-      updateAssistantMessage(assistantMsg, finalUpdates);
-
-      // Handle error display
-      if (assistantMsg.error && assistantMsg.errorDetails) {
-        const errorSuffix = `\n\n---\n⚠️ **Error:** ${assistantMsg.errorDetails.message}` +
-          (assistantMsg.errorDetails.status ? ` (HTTP ${assistantMsg.errorDetails.status})` : '');
-        
-        partsBuilder.appendContent(errorSuffix);
-        
-        const errorUpdates = {
-          content: assistantMsg.content + errorSuffix,
-          parts: partsBuilder.getParts(),
-          error: true,
-          errorDetails: assistantMsg.errorDetails
-        };
-
-        Object.assign(assistantMsg, errorUpdates);
-        updateAssistantMessage(assistantMsg, errorUpdates);
-      }
-
-      isLoading.value = false;
-
-      // Store messages if not in incognito mode
-      if (!isIncognito.value) {
-        await storeMessages(currConvo.value, toRaw(messages.value), new Date());
-      }
-
-      // Fire-and-forget: auto-compress after the assistant turn completes,
-      // in case the assistant response pushed the context over the threshold.
-      triggerAutoCompression();
+      completeAssistantMessage(assistantMsg, partsBuilder, timing, toolState.currentToolCalls);
     }
   }
 
@@ -528,12 +618,259 @@ export function useMessagesManager(chatPanel) {
     }
   }
 
+  /**
+   * Applies one chunk from handleIncomingMessage or resumeChatStream to the
+   * assistant message being streamed.
+   */
+  function applyStreamChunk(chunk, assistantMsg, partsBuilder, timing, toolState) {
+    // Process content - skip if this is the final complete chunk (content already accumulated)
+    if (chunk.content && !chunk.complete) {
+      partsBuilder.appendContent(chunk.content);
+      assistantMsg.content = (assistantMsg.content || '') + chunk.content;
+      timing.markFirstToken();
+      timing.endReasoning();
+    }
+
+    // Process images
+    if (chunk.images && chunk.images.length > 0) {
+      for (const image of chunk.images) {
+        partsBuilder.processImage(image);
+      }
+    }
+
+    // Process reasoning - skip if this is the final complete chunk (reasoning already accumulated)
+    if (chunk.reasoning && chunk.reasoning.trim() !== 'None' && !chunk.complete) {
+      partsBuilder.appendReasoning(chunk.reasoning);
+      if (assistantMsg.reasoning.trim() === '' && chunk.reasoning.trim() !== '') {
+        assistantMsg.reasoning = chunk.reasoning;
+      } else {
+        assistantMsg.reasoning += chunk.reasoning;
+      }
+      timing.markFirstToken();
+      timing.startReasoning();
+    }
+
+    // Process tool calls
+    if (chunk.tool_calls && chunk.tool_calls.length > 0) {
+      // Tool calls separate reasoning segments the same way they separate content segments.
+      // Close out the current reasoning part in the parts builder (defensive - addOrUpdateTool
+      // also finalizes reasoning internally) and reset the flat-string accumulator so the
+      // next reasoning chunk starts a fresh segment.
+      partsBuilder.finalizeReasoning();
+      assistantMsg.reasoning = '';
+
+      for (const tool of chunk.tool_calls) {
+        const toolType = tool.type || 'function';
+        partsBuilder.addOrUpdateTool(toolType, tool);
+
+        // Track tool calls
+        if (tool.id && !toolState.currentToolCalls.find(tc => tc.id === tool.id)) {
+          toolState.currentToolCalls.push({
+            id: tool.id,
+            type: toolType,
+            function: {
+              name: tool.function?.name || '',
+              arguments: tool.function?.arguments || ''
+            }
+          });
+        }
+      }
+    }
+
+    // Process tool results
+    if (chunk.tool_result) {
+      partsBuilder.setToolResult(chunk.tool_result.id, chunk.tool_result.result);
+      toolState.hasExecutedTools = true;
+      
+      // Update tracked tool calls with results
+      const toolCall = toolState.currentToolCalls.find(tc => tc.id === chunk.tool_result.id);
+      if (toolCall) {
+        toolCall.result = chunk.tool_result.result;
+      }
+    }
+
+    // Tool results are now stored in the assistant message's parts via partsBuilder
+    // No separate tool messages needed - this keeps branching simple (1 message per turn)
+
+    // Process usage
+    if (chunk.usage) {
+      if (chunk.usage.completion_tokens !== undefined) {
+        assistantMsg.tokenCount = chunk.usage.completion_tokens;
+      }
+      if (chunk.usage.total_tokens !== undefined) {
+        assistantMsg.totalTokens = chunk.usage.total_tokens;
+      }
+      if (chunk.usage.prompt_tokens !== undefined) {
+        assistantMsg.promptTokens = chunk.usage.prompt_tokens;
+      }
+    }
+
+    // Process annotations
+    if (chunk.annotations) {
+      assistantMsg.annotations = chunk.annotations;
+    }
+
+    // Remember why generation stopped, so a cut-off reply can be continued
+    if (chunk.complete) {
+      assistantMsg.finishReason = chunk.finishReason ?? null;
+    }
+
+    // Process errors
+    if (chunk.error && chunk.errorDetails) {
+      assistantMsg.error = true;
+      assistantMsg.errorDetails = chunk.errorDetails;
+    }
+  }
+
+  /**
+   * Marks a streamed assistant message complete: final parts, timing, tool
+   * calls, and the error notice if the stream failed.
+   */
+  function completeAssistantMessage(assistantMsg, partsBuilder, timing, toolCalls) {
+    // Ensure parts are stored from partsBuilder
+    syncAssistantMessage(assistantMsg, partsBuilder, true);
+
+    // Discard empty reasoning
+    if (assistantMsg.reasoning?.trim() === '') {
+      assistantMsg.reasoning = '';
+    }
+
+    // Mark message as complete
+    const finalUpdates = {
+      complete: true,
+      completionTime: new Date(),
+      reasoningDuration: timing.calculateReasoningDuration(),
+      tool_calls: toolCalls,
+      model: assistantMsg.model,
+      requestedModel: assistantMsg.requestedModel,
+      finishReason: assistantMsg.finishReason ?? null,
+      resumable: null
+    };
+
+    Object.assign(assistantMsg, finalUpdates);
+    updateAssistantMessage(assistantMsg, finalUpdates);
+
+    // Handle error display
+    if (assistantMsg.error && assistantMsg.errorDetails) {
+      const errorSuffix = `\n\n---\n⚠️ **Error:** ${assistantMsg.errorDetails.message}` +
+        (assistantMsg.errorDetails.status ? ` (HTTP ${assistantMsg.errorDetails.status})` : '');
+      
+      partsBuilder.appendContent(errorSuffix);
+      
+      const errorUpdates = {
+        content: assistantMsg.content + errorSuffix,
+        parts: partsBuilder.getParts(),
+        error: true,
+        errorDetails: assistantMsg.errorDetails
+      };
+
+      Object.assign(assistantMsg, errorUpdates);
+      updateAssistantMessage(assistantMsg, errorUpdates);
+    }
+  }
+
+  /**
+   * Stores the streaming assistant message with its resume cursor, so it can
+   * be picked up again after a reload. Writes are chained so the final store
+   * can wait for the last checkpoint.
+   */
+  function saveResumeCheckpoint(assistantMsg, partsBuilder, checkpoint) {
+    if (isIncognito.value || !currConvo.value) return;
+
+    syncAssistantMessage(assistantMsg, partsBuilder);
+    const checkpointUpdates = {
+      content: assistantMsg.content,
+      reasoning: assistantMsg.reasoning,
+      resumable: { ...checkpoint }
+    };
+    Object.assign(assistantMsg, checkpointUpdates);
+    updateAssistantMessage(assistantMsg, checkpointUpdates);
+
+    const conversationId = currConvo.value;
+    const snapshot = toRaw(messages.value);
+    pendingCheckpoint = pendingCheckpoint
+      .then(() => storeMessages(conversationId, snapshot, new Date()))
+      .catch((error) => {
+        console.error('[messagesManager] Failed to store resume checkpoint:', error);
+      });
+  }
+
+  /**
+   * Continues an assistant message whose stream was interrupted by a reload,
+   * replaying the buffered response from its last checkpoint. Only the
+   * interrupted request is resumed: tool calls it requested are shown but
+   * not executed.
+   */
+  async function resumeIncompleteMessage(message) {
+    const conversationId = currConvo.value;
+    const assistantMsg = message;
+    const partsBuilder = new PartsBuilder();
+    partsBuilder.loadParts(assistantMsg.parts || []);
+    const timing = new TimingTracker(assistantMsg);
+    timing.firstTokenReceived = !!assistantMsg.firstTokenTime;
+    const toolState = { currentToolCalls: [...(assistantMsg.tool_calls || [])], hasExecutedTools: false };
+
+    assistantMsg.reasoning = assistantMsg.reasoning || '';
+    const ownController = new AbortController();
+    resumeController = ownController;
+    isLoading.value = true;
+    controller.value = ownController;
+
+    // The user opened another conversation; the stored checkpoint lets a later visit resume again
+    const superseded = () => resumeController !== ownController || currConvo.value !== conversationId;
+
+    try {
+      const streamGenerator = resumeChatStream(
+        assistantMsg.resumable.streamId,
+        assistantMsg.resumable.offset,
+        ownController
+      );
+
+      for await (const chunk of streamGenerator) {
+        if (superseded()) return;
+
+        applyStreamChunk(chunk, assistantMsg, partsBuilder, timing, toolState);
+
+        if (chunk.checkpoint) {
+          saveResumeCheckpoint(assistantMsg, partsBuilder, chunk.checkpoint);
+        } else {
+          syncAssistantMessage(assistantMsg, partsBuilder);
+        }
+      }
+    } catch (error) {
+      console.error('Error resuming stream:', error);
+      assistantMsg.error = true;
+      assistantMsg.errorDetails = {
+        name: error.name || 'Error',
+        message: error.message || 'An unexpected error occurred'
+      };
+    } finally {
+      // Another request may own the loading state by now
+      if (controller.value === ownController) isLoading.value = false;
+      if (resumeController === ownController) resumeController = null;
+    }
+
+    if (superseded()) return;
+
+    completeAssistantMessage(assistantMsg, partsBuilder, timing, toolState.currentToolCalls);
+
+    await pendingCheckpoint;
+    await storeMessages(conversationId, toRaw(messages.value), new Date());
+  }
+
   /**
    * Changes the current conversation
    */
   async function changeConversation(id) {
     if (isIncognito.value) return;
 
+    // Stop replaying the previous conversation's stream without cancelling it on the server
+    if (resumeController) {
+      resumeController.abort(DETACH_STREAM);
+      if (controller.value === resumeController) isLoading.value = false;
+      resumeController = null;
+    }
+
     chatLoading.value = true;
     messages.value = [];
     branchPath.value = [];
@@ -565,6 +902,12 @@ export function useMessagesManager(chatPanel) {
     conversationTitle.value = conv?.title || '';
     chatLoading.value = false;
 
+    // Pick up a response that was still streaming when the page was left
+    const interrupted = messages.value.find(msg => msg.role === 'assistant' && msg.complete === false && msg.resumable);
+    if (interrupted && !isLoading.value) {
+      resumeIncompleteMessage(interrupted);
+    }
+
     // Load compression sidecar and derive threshold/summary state.
     if (id) {
       await loadCompressionState(id);
@@ -600,6 +943,24 @@ export function useMessagesManager(chatPanel) {
     await sendMessage(newContent, null, attachments, searchEnabled, { skipUserMessage: true });
   }
 
+  /**
+   * Sends an image edit request as a new branch of the user message the
+   * image belongs to: the prompt that generated it, or the message it was
+   * uploaded with
+   * @param {string} messageId - Message holding the image
+   * @param {string} instruction - What to change
+   * @param {Array} attachments - The image, and its mask when one was drawn
+   */
+  async function editImage(messageId, instruction, attachments) {
+    const message = messages.value.find(m => m.id === messageId);
+    if (!message || isLoading.value) return;
+
+    const userMessageId = message.role === 'assistant' ? message.parentId : message.id;
+    if (!messages.value.some(m => m.id === userMessageId && m.role === 'user')) return;
+
+    await editUserMessage(userMessageId, instruction, attachments);
+  }
+
   /**
    * Regenerates an assistant message and creates a new branch
    */
@@ -634,6 +995,67 @@ export function useMessagesManager(chatPanel) {
     });
   }
 
+  /**
+   * Continues an assistant reply that was cut off at max_tokens or
+   * cancelled. The model that wrote it picks up where it stopped, and the
+   * text is appended to the same message rather than a new branch.
+   * @param {string} messageId - The reply to continue; must be the last visible message
+   */
+  async function continueAssistantMessage(messageId) {
+    if (isLoading.value) return;
+
+    const assistantMsg = visibleMessages.value[visibleMessages.value.length - 1];
+    if (assistantMsg?.id !== messageId || !canContinueMessage(assistantMsg)) return;
+
+    const prompt = messages.value.find(m => m.id === assistantMsg.parentId);
+    if (prompt?.role !== 'user') return;
+
+    if (!hasUsableApiKey(settingsManager.settings)) {
+      showApiKeyRequired();
+      return;
+    }
+
+    const modelDetails = findModelById(availableModels, assistantMsg.model) ||
+      findModelById(availableModels, settingsManager.settings.selected_model_id);
+    if (!modelDetails) {
+      console.error("No model selected or model details not found. Aborting continuation.");
+      return;
+    }
+
+    controller.value = new AbortController();
+    isLoading.value = true;
+
+    // Streaming again: the reply drops out of the history until it completes
+    const previousTokenCount = assistantMsg.tokenCount || 0;
+    updateAssistantMessage(assistantMsg, {
+      complete: false,
+      finishReason: null,
+      tokenCount: 0,
+      content: getReplyText(assistantMsg)
+    });
+
+    try {
+      await streamAssistantResponse(assistantMsg, modelDetails, {
+        message: prompt.content,
+        history: buildHistoryForApi(),
+        attachments: prompt.attachments || [],
+        searchEnabled: settingsManager.settings?.search_enabled ?? false,
+        continuation: true
+      });
+    } finally {
+      // Count the tokens of both requests
+      updateAssistantMessage(assistantMsg, { tokenCount: previousTokenCount + (assistantMsg.tokenCount || 0) });
+      isLoading.value = false;
+
+      if (!isIncognito.value) {
+        await pendingCheckpoint;
+        await storeMessages(currConvo.value, toRaw(messages.value), new Date());
+      }
+
+      triggerAutoCompression();
+    }
+  }
+
   /**
    * Navigates to a different branch
    */
@@ -649,6 +1071,163 @@ export function useMessagesManager(chatPanel) {
     }
   }
 
+  /**
+   * Switches to the branch containing a message and scrolls to it
+   * @param {string} messageId
+   */
+  async function revealMessage(messageId) {
+    if (!messages.value.some(m => m.id === messageId)) return;
+
+    const path = calculateBranchPath(messages.value, messageId);
+    if (path.join() !== branchPath.value.join()) {
+      branchPath.value = path;
+      if (!isIncognito.value) {
+        await updateBranchPath(currConvo.value, [...path]);
+      }
+    }
+
+    await nextTick();
+    if (chatPanel?.value?.scrollToMessage) {
+      chatPanel.value.scrollToMessage(messageId);
+    } else {
+      pendingReveal = messageId;
+    }
+  }
+
+  /**
+   * Marks an arena reply as the preferred one of its round and continues
+   * the conversation from it
+   * @param {string} messageId
+   */
+  async function voteArenaReply(messageId) {
+    if (isLoading.value) return;
+
+    const changes = voteForReply(messages.value, messageId);
+    if (changes.length === 0) return;
+
+    for (const { id, preferred } of changes) {
+      const reply = messages.value.find(m => m.id === id);
+      updateAssistantMessage(reply, { preferred });
+    }
+
+    if (!isIncognito.value) {
+      await storeMessages(currConvo.value, toRaw(messages.value), new Date());
+    }
+    await revealMessage(messageId);
+  }
+
+  /**
+   * Deletes a branch: a message and everything that follows from it. The
+   * branch path and the context summaries are carried over to the
+   * remaining messages.
+   * @param {string} messageId - The message the branch starts at
+   */
+  async function deleteBranch(messageId) {
+    if (isLoading.value || isIncognito.value || !currConvo.value) return;
+
+    const previousMessages = messages.value;
+    const { messages: remaining, removedIds } = removeBranch(previousMessages, messageId);
+    // Deleting everything is deleting the conversation
+    if (removedIds.size === 0 || remaining.length === 0) return;
+
+    const remapPath = path => remapBranchPath(previousMessages, remaining, path);
+    messages.value = remaining;
+    branchPath.value = remapPath(branchPath.value);
+
+    await storeMessages(currConvo.value, toRaw(messages.value), new Date());
+    await updateBranchPath(currConvo.value, [...toRaw(branchPath.value)]);
+
+    await pruneDeletedBranch(currConvo.value, removedIds, remapPath);
+    refreshCompressionState(currConvo.value, visibleMessages.value, settingsManager.settings);
+  }
+
+  /**
+   * Copies the visible branch, up to and including a message, into a new
+   * conversation and opens it. Context summaries of the copied messages
+   * and the attached knowledge bases come along.
+   * @param {string} messageId - The last message to copy
+   */
+  async function forkConversation(messageId) {
+    if (isLoading.value || isIncognito.value || !currConvo.value) return;
+
+    const forkedMessages = forkBranchPath(toRaw(messages.value), branchPath.value, messageId);
+    if (forkedMessages.length === 0) return;
+
+    const forkId = await createNewConversation(forkedMessages, new Date(), {
+      title: `${conversationTitle.value || 'Untitled'} (fork)`
+    });
+    if (!forkId) return;
+
+    await copySummariesToFork(currConvo.value, forkId, forkedMessages);
+    await setConversationKnowledgeBases(forkId, await getConversationKnowledgeBases(currConvo.value));
+
+    router.push(`/${forkId}`);
+  }
+
+  /**
+   * Asks the selected model to combine the final answers of two branches.
+   * The merged answer is added as a new branch beside the first branch's
+   * final answer, replying to the same prompt, and becomes the visible one.
+   * @param {string} firstId - The message the first branch starts at
+   * @param {string} secondId - The message the second branch starts at
+   */
+  async function mergeBranches(firstId, secondId) {
+    if (isLoading.value || isIncognito.value || !currConvo.value) return;
+
+    const first = getBranchFinalAnswer(messages.value, firstId);
+    const second = getBranchFinalAnswer(messages.value, secondId);
+    if (!first || !second || first.id === second.id) return;
+
+    const prompt = messages.value.find(m => m.id === first.parentId);
+    if (prompt?.role !== 'user') return;
+
+    if (!hasUsableApiKey(settingsManager.settings)) {
+      showApiKeyRequired();
+      return;
+    }
+
+    const selectedModelDetails = findModelById(availableModels, settingsManager.settings.selected_model_id);
+    if (!selectedModelDetails) {
+      console.error("No model selected or model details not found. Aborting merge.");
+      return;
+    }
+
+    controller.value = new AbortController();
+    isLoading.value = true;
+
+    const branchResult = createBranch(messages.value, first.id, {
+      ...blankAssistantMessage(),
+      mergedFrom: [first.id, second.id]
+    });
+    const mergedMsg = branchResult.newMessage;
+    messages.value = branchResult.messages;
+    branchPath.value = branchResult.branchPath;
+    await updateBranchPath(currConvo.value, [...toRaw(branchPath.value)]);
+
+    triggerAutoCompression();
+
+    await nextTick();
+    requestAnimationFrame(() => {
+      chatPanel?.value?.scrollToEnd("smooth");
+    });
+
+    try {
+      await streamAssistantResponse(mergedMsg, selectedModelDetails, {
+        message: buildMergePrompt(prompt.content, getReplyText(first), getReplyText(second)),
+        history: buildHistoryForApi(),
+        attachments: prompt.attachments || [],
+        searchEnabled: false
+      });
+    } finally {
+      isLoading.value = false;
+
+      await pendingCheckpoint;
+      await storeMessages(currConvo.value, toRaw(messages.value), new Date());
+
+      triggerAutoCompression();
+    }
+  }
+
   /**
    * Deletes a conversation
    */
@@ -687,6 +1266,7 @@ export function useMessagesManager(chatPanel) {
     visibleMessages,
     branchPath,
     branchInfo,
+    arenaReplies,
     isLoading,
     controller,
     currConvo,
@@ -701,6 +1281,7 @@ export function useMessagesManager(chatPanel) {
 
     // Methods
     sendMessage,
+    sendArenaMessage,
     changeConversation,
     deleteConversation,
     newConversation,
@@ -708,7 +1289,14 @@ export function useMessagesManager(chatPanel) {
     generateId,
     setChatPanel,
     editUserMessage,
+    editImage,
     regenerateAssistantMessage,
-    navigateBranch
+    continueAssistantMessage,
+    navigateBranch,
+    revealMessage,
+    voteArenaReply,
+    deleteBranch,
+    forkConversation,
+    mergeBranches
   };
 }
\ No newline at end of file
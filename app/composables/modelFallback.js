@@ -0,0 +1,191 @@
+/**
+ * @file modelFallback.js
+ * @description Model fallback chain for the agent loop. When a request fails
+ * with a transient error (429/5xx, network failure, stream error), the same
+ * model is retried with exponential backoff, then the next model in the
+ * user's chain is tried. Non-transient errors skip straight to the next model;
+ * auth errors stop the chain since every model shares the same credentials.
+ */
+
+import { availableModels, findModelById } from "~/composables/availableModels";
+
+// Statuses worth retrying on the same model before falling back
+export const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+// Statuses that no other model can fix
+const FATAL_STATUSES = [401, 402, 403];
+
+export const DEFAULT_FALLBACK_RETRIES = 1;
+export const DEFAULT_BACKOFF_MS = 1000;
+export const MAX_BACKOFF_MS = 8000;
+
+/**
+ * Creates an Error describing a failed model request.
+ * @param {string} message
+ * @param {Object} [details]
+ * @param {number} [details.status] - HTTP status, or the code from a stream error
+ * @param {number} [details.retryAfterMs] - Server-requested wait before retrying
+ * @param {Object} [details.streamError] - Error payload received mid-stream
+ * @returns {Error}
+ */
+export function createModelRequestError(message, { status, retryAfterMs, streamError } = {}) {
+  const error = new Error(message);
+  error.name = "ModelRequestError";
+  if (status !== undefined) error.status = status;
+  if (retryAfterMs !== undefined) error.retryAfterMs = retryAfterMs;
+  if (streamError) error.streamError = streamError;
+  return error;
+}
+
+/**
+ * Parses a Retry-After header value (seconds or HTTP date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|undefined}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether retrying the same model may succeed.
+ * Errors without a status (network failures, dropped streams) count as transient.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error?.name === "AbortError") return false;
+  if (error?.status === undefined) return true;
+  return RETRYABLE_STATUSES.includes(Number(error.status));
+}
+
+/**
+ * Whether trying another model may succeed.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRecoverableError(error) {
+  if (error?.name === "AbortError") return false;
+  return !FATAL_STATUSES.includes(Number(error?.status));
+}
+
+/**
+ * Exponential backoff delay for a retry attempt, capped at MAX_BACKOFF_MS.
+ * A server-provided Retry-After wins when present.
+ * @param {number} attempt - 1 for the first retry
+ * @param {number} [retryAfterMs]
+ * @returns {number}
+ */
+export function getBackoffDelay(attempt, retryAfterMs) {
+  if (Number.isFinite(retryAfterMs)) return Math.min(retryAfterMs, MAX_BACKOFF_MS);
+  return Math.min(DEFAULT_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Builds the ordered list of models to try: the selected model first, then
+ * the user's fallbacks. Unknown and duplicate ids are dropped.
+ * @param {string} primaryModelId
+ * @param {string[]} [fallbackIds]
+ * @param {Array} [models] - Model catalogue to validate against
+ * @returns {string[]}
+ */
+export function buildFallbackChain(primaryModelId, fallbackIds = [], models = availableModels) {
+  const chain = [primaryModelId];
+  for (const id of Array.isArray(fallbackIds) ? fallbackIds : []) {
+    if (!id || chain.includes(id)) continue;
+    if (!findModelById(models, id)) continue;
+    chain.push(id);
+  }
+  return chain;
+}
+
+/**
+ * Waits for `ms`, rejecting early with an AbortError if the signal fires.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Tracks progress through a fallback chain across the agent loop.
+ * The position persists between iterations, so once a model has failed the
+ * rest of the turn stays on the model that answered.
+ */
+export class ModelFallbackChain {
+  /**
+   * @param {string[]} models - Ordered model ids, primary first
+   * @param {Object} [options]
+   * @param {number} [options.retriesPerModel] - Same-model retries for transient errors
+   */
+  constructor(models, { retriesPerModel = DEFAULT_FALLBACK_RETRIES } = {}) {
+    this.models = models;
+    this.retriesPerModel = Math.max(0, retriesPerModel);
+    this.index = 0;
+    this.attempt = 0;
+  }
+
+  /**
+   * The model id to use for the next request.
+   */
+  get current() {
+    return this.models[this.index];
+  }
+
+  /**
+   * Whether the chain has moved past the primary model.
+   */
+  get hasFallenBack() {
+    return this.index > 0;
+  }
+
+  /**
+   * Call after a successful request to reset the per-model retry budget.
+   */
+  succeed() {
+    this.attempt = 0;
+  }
+
+  /**
+   * Decides how to proceed after a failed request.
+   * @param {Error} error
+   * @returns {{model: string, delayMs: number, switched: boolean}|null} Next attempt, or null to give up
+   */
+  next(error) {
+    if (!isRecoverableError(error)) return null;
+
+    if (isRetryableError(error) && this.attempt < this.retriesPerModel) {
+      this.attempt++;
+      return {
+        model: this.current,
+        delayMs: getBackoffDelay(this.attempt, error.retryAfterMs),
+        switched: false,
+      };
+    }
+
+    if (this.index + 1 >= this.models.length) return null;
+
+    this.index++;
+    this.attempt = 0;
+    return { model: this.current, delayMs: 0, switched: true };
+  }
+}
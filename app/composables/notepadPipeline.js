@@ -22,6 +22,7 @@
 import localforage from "localforage";
 import mitt from "mitt";
 import { getSessionToken } from "~/composables/useSession";
+import { getStoredProviderFields } from "~/composables/providers";
 import {
   loadNotepad,
   saveNotepad,
@@ -291,7 +292,7 @@ async function stage2Consolidate(apiKey) {
         stream: false,
         temperature: 0.3,
         max_tokens: 6000,
-        ...(apiKey && { customApiKey: apiKey }),
+        ...(await getStoredProviderFields(apiKey)),
       }),
     });
 
@@ -340,6 +340,79 @@ export class PartsBuilder {
     return this.getParts();
   }
 
+  /**
+   * Capture the builder state so a failed attempt can be rolled back.
+   * Parts are never mutated in place, so shallow copies are enough.
+   */
+  snapshot() {
+    return {
+      parts: [...this.parts],
+      partMap: new Map(this.partMap),
+      toolIndexToPartId: new Map(this.toolIndexToPartId),
+      toolIdToPartId: new Map(this.toolIdToPartId),
+      completedToolIds: new Set(this.completedToolIds),
+      nextToolIndex: this.nextToolIndex
+    };
+  }
+
+  /**
+   * Restore state captured by snapshot()
+   */
+  restore(snapshot) {
+    this.parts = [...snapshot.parts];
+    this.partMap = new Map(snapshot.partMap);
+    this.toolIndexToPartId = new Map(snapshot.toolIndexToPartId);
+    this.toolIdToPartId = new Map(snapshot.toolIdToPartId);
+    this.completedToolIds = new Set(snapshot.completedToolIds);
+    this.nextToolIndex = snapshot.nextToolIndex;
+    return this.getParts();
+  }
+
+  /**
+   * Rebuild builder state from stored parts, so a resumed stream continues
+   * the message where it stopped. Tools without a result are assumed to
+   * belong to the interrupted request and are mapped to API indices in order.
+   */
+  loadParts(parts = []) {
+    this.parts = deepClone(parts);
+    this.partMap = new Map();
+    this.toolIndexToPartId = new Map();
+    this.toolIdToPartId = new Map();
+    this.completedToolIds = new Set();
+    this.nextToolIndex = 0;
+
+    let pendingIndex = 0;
+    for (const part of this.parts) {
+      this.partMap.set(part._id, part);
+      if (part.type !== 'tool_group') continue;
+
+      for (const tool of part.tools) {
+        if (tool.id) this.toolIdToPartId.set(tool.id, part._id);
+        if (tool.result !== null && tool.result !== undefined) {
+          this.markToolCompleted(tool.id);
+        } else {
+          this.toolIndexToPartId.set(pendingIndex++, part._id);
+        }
+        if (Number.isInteger(tool.index)) {
+          this.nextToolIndex = Math.max(this.nextToolIndex, tool.index + 1);
+        }
+      }
+    }
+    return this.getParts();
+  }
+
+  /**
+   * Reopen the last part when it is content, so a continued reply extends
+   * its text instead of starting a new part
+   */
+  reopenContent() {
+    const lastPart = this.parts[this.parts.length - 1];
+    if (lastPart?.type === 'content' && lastPart._finalized) {
+      this._replacePart(lastPart._id, { ...lastPart, _finalized: false });
+    }
+    return this.getParts();
+  }
+
   /**
    * Internal: Add a part
    */
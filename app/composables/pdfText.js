@@ -0,0 +1,590 @@
+/**
+ * @file pdfText.js
+ * @description Extracts plain text from PDF files in the browser, page by
+ * page, without a PDF rendering library. It reads the object table
+ * (including compressed object streams), follows the page tree in order,
+ * inflates Flate-encoded content streams with fflate and collects the
+ * strings drawn by text operators. Fonts with a ToUnicode map are decoded
+ * through it. Scanned PDFs have no text layer and yield empty pages.
+ */
+
+import { unzlibSync, inflateSync } from "fflate";
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set("()<>[]{}/%".split("").map((c) => c.charCodeAt(0)));
+
+const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", "(": "(", ")": ")", "\\": "\\" };
+
+/**
+ * Tokenizer and parser for PDF objects and content streams. Values are:
+ * numbers, booleans, null, names as `{ name }`, strings as `{ string }`
+ * (raw bytes as a latin1 string), references as `{ ref }`, arrays and
+ * dictionaries (plain objects keyed by name). Content-stream operators are
+ * returned as `{ op }`.
+ */
+class PdfParser {
+  constructor(source, position = 0) {
+    this.s = source;
+    this.i = position;
+  }
+
+  skipWhitespace() {
+    const s = this.s;
+    while (this.i < s.length) {
+      const c = s.charCodeAt(this.i);
+      if (WHITESPACE.has(c)) {
+        this.i++;
+      } else if (c === 0x25) {
+        // Comment runs to the end of the line
+        while (this.i < s.length && s[this.i] !== "\n" && s[this.i] !== "\r") this.i++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readRegular() {
+    const start = this.i;
+    while (this.i < this.s.length) {
+      const c = this.s.charCodeAt(this.i);
+      if (WHITESPACE.has(c) || DELIMITERS.has(c)) break;
+      this.i++;
+    }
+    return this.s.slice(start, this.i);
+  }
+
+  readLiteralString() {
+    const s = this.s;
+    let depth = 1;
+    let out = "";
+    this.i++; // (
+    while (this.i < s.length) {
+      const ch = s[this.i++];
+      if (ch === "\\") {
+        const next = s[this.i++];
+        if (next in ESCAPES) {
+          out += ESCAPES[next];
+        } else if (next >= "0" && next <= "7") {
+          let octal = next;
+          while (octal.length < 3 && s[this.i] >= "0" && s[this.i] <= "7") octal += s[this.i++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === "\r") {
+          if (s[this.i] === "\n") this.i++;
+        } else if (next !== "\n") {
+          out += next;
+        }
+      } else if (ch === "(") {
+        depth++;
+        out += ch;
+      } else if (ch === ")") {
+        if (--depth === 0) break;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    return { string: out };
+  }
+
+  readHexString() {
+    const end = this.s.indexOf(">", this.i);
+    const hex = this.s.slice(this.i + 1, end === -1 ? this.s.length : end).replace(/[^0-9a-fA-F]/g, "");
+    this.i = end === -1 ? this.s.length : end + 1;
+    return { string: hexToBytes(hex.length % 2 ? `${hex}0` : hex) };
+  }
+
+  /**
+   * Reads the next value, or `undefined` at the end of input.
+   */
+  readValue() {
+    this.skipWhitespace();
+    const s = this.s;
+    if (this.i >= s.length) return undefined;
+
+    const ch = s[this.i];
+    if (ch === "<" && s[this.i + 1] === "<") {
+      this.i += 2;
+      const dict = {};
+      for (;;) {
+        this.skipWhitespace();
+        if (this.i >= s.length) return dict;
+        if (s[this.i] === ">" && s[this.i + 1] === ">") {
+          this.i += 2;
+          return dict;
+        }
+        const key = this.readValue();
+        if (!key?.name) continue;
+        dict[key.name] = this.readValue();
+      }
+    }
+    if (ch === "<") return this.readHexString();
+    if (ch === "(") return this.readLiteralString();
+    if (ch === "[") {
+      this.i++;
+      const array = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (this.i >= s.length) return array;
+        if (s[this.i] === "]") {
+          this.i++;
+          return array;
+        }
+        array.push(this.readValue());
+      }
+    }
+    if (ch === "/") {
+      this.i++;
+      return { name: this.readRegular().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))) };
+    }
+    if (ch === "]" || ch === ">" || ch === ")" || ch === "{" || ch === "}") {
+      this.i++;
+      return { op: ch };
+    }
+
+    const word = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      // "12 0 R" is an indirect reference
+      const match = /^\s+(\d+)\s+R(?![^\s()<>[\]{}/%])/.exec(s.slice(this.i, this.i + 24));
+      if (/^\d+$/.test(word) && match) {
+        this.i += match[0].length;
+        return { ref: Number(word) };
+      }
+      return Number(word);
+    }
+    if (word === "true") return true;
+    if (word === "false") return false;
+    if (word === "null") return null;
+    if (!word) {
+      this.i++;
+      return { op: ch };
+    }
+    return { op: word };
+  }
+}
+
+function hexToBytes(hex) {
+  let out = "";
+  for (let i = 0; i + 1 < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+  return out;
+}
+
+function bytesToLatin1(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+function latin1ToBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+function decodeUtf16Be(bytes) {
+  let out = "";
+  for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  return out;
+}
+
+/**
+ * Applies a stream's filters. Returns null for filters that are not
+ * supported (images and rarely used encodings).
+ * @param {Object} dict - Stream dictionary
+ * @param {string} raw - Raw stream bytes as latin1
+ * @returns {string|null}
+ */
+function decodeStream(dict, raw) {
+  const filters = [].concat(dict.Filter ?? []).map((f) => f?.name);
+  let data = raw;
+  for (const filter of filters) {
+    if (filter === "FlateDecode" || filter === "Fl") {
+      const bytes = latin1ToBytes(data);
+      try {
+        data = bytesToLatin1(unzlibSync(bytes));
+      } catch {
+        try {
+          data = bytesToLatin1(inflateSync(bytes));
+        } catch {
+          return null;
+        }
+      }
+    } else if (filter === "ASCIIHexDecode" || filter === "AHx") {
+      data = hexToBytes(data.replace(/>.*$/s, "").replace(/[^0-9a-fA-F]/g, ""));
+    } else {
+      return null;
+    }
+  }
+  return data;
+}
+
+/**
+ * Reads every indirect object in the file, including those packed into
+ * object streams. Later definitions win, as with incremental updates.
+ * @param {string} source - File bytes as latin1
+ * @returns {Map<number, {value: any, stream?: string}>}
+ */
+function readObjects(source) {
+  const objects = new Map();
+  const header = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+
+  while ((match = header.exec(source))) {
+    const parser = new PdfParser(source, header.lastIndex);
+    const value = parser.readValue();
+    const entry = { value };
+
+    parser.skipWhitespace();
+    if (source.startsWith("stream", parser.i)) {
+      let start = parser.i + 6;
+      if (source[start] === "\r") start++;
+      if (source[start] === "\n") start++;
+
+      let end = typeof value?.Length === "number" ? start + value.Length : -1;
+      if (end < 0 || !/^\s*endstream/.test(source.slice(end, end + 20))) {
+        end = source.indexOf("endstream", start);
+        if (end === -1) end = source.length;
+        while (end > start && (source[end - 1] === "\n" || source[end - 1] === "\r")) end--;
+      }
+      entry.stream = source.slice(start, end);
+      header.lastIndex = end;
+    } else {
+      header.lastIndex = parser.i;
+    }
+    objects.set(Number(match[1]), entry);
+  }
+
+  // Unpack compressed object streams
+  for (const entry of [...objects.values()]) {
+    if (entry.value?.Type?.name !== "ObjStm" || entry.stream === undefined) continue;
+    const data = decodeStream(entry.value, entry.stream);
+    if (!data) continue;
+
+    const parser = new PdfParser(data);
+    const offsets = [];
+    for (let n = 0; n < (entry.value.N || 0); n++) {
+      offsets.push([parser.readValue(), parser.readValue()]);
+    }
+    for (const [number, offset] of offsets) {
+      if (objects.has(number)) continue;
+      objects.set(number, { value: new PdfParser(data, (entry.value.First || 0) + offset).readValue() });
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Parses a ToUnicode CMap into a code → text map.
+ * @param {string} cmap
+ * @returns {{map: Map<number, string>, bytesPerCode: number}}
+ */
+function parseToUnicode(cmap) {
+  const map = new Map();
+  let bytesPerCode = 1;
+  const noteWidth = (hex) => {
+    if (hex.length > 2) bytesPerCode = 2;
+  };
+
+  for (const [, body] of cmap.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const [, lo] of body.matchAll(/<([0-9a-fA-F]+)>\s*<[0-9a-fA-F]+>/g)) noteWidth(lo);
+  }
+  for (const [, body] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      noteWidth(src);
+      map.set(parseInt(src, 16), decodeUtf16Be(hexToBytes(dst)));
+    }
+  }
+  for (const [, body] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, dst] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      noteWidth(lo);
+      const start = parseInt(lo, 16);
+      const end = parseInt(hi, 16);
+      if (dst.startsWith("[")) {
+        const targets = [...dst.matchAll(/<([0-9a-fA-F]*)>/g)].map(([, hex]) => decodeUtf16Be(hexToBytes(hex)));
+        targets.forEach((text, k) => map.set(start + k, text));
+      } else {
+        const base = decodeUtf16Be(hexToBytes(dst.slice(1, -1)));
+        for (let code = start; code <= end && code - start < 0x10000; code++) {
+          const last = base.charCodeAt(base.length - 1) + (code - start);
+          map.set(code, base.slice(0, -1) + String.fromCharCode(last));
+        }
+      }
+    }
+  }
+  return { map, bytesPerCode };
+}
+
+/**
+ * Extracts the text of every page of a PDF.
+ * @param {ArrayBuffer|Uint8Array} data - The PDF file
+ * @returns {{pages: string[]}} Text per page, in page order
+ * @throws {Error} If the file is not a PDF or is encrypted
+ */
+export function extractPdfText(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const source = bytesToLatin1(bytes);
+  if (!source.startsWith("%PDF")) {
+    throw new Error("Not a PDF file");
+  }
+
+  const objects = readObjects(source);
+  const resolve = (value) => {
+    const seen = new Set();
+    while (value && typeof value === "object" && "ref" in value && !seen.has(value.ref)) {
+      seen.add(value.ref);
+      value = objects.get(value.ref)?.value;
+    }
+    return value;
+  };
+  const streamOf = (value) => {
+    const entry = value && typeof value === "object" && "ref" in value ? objects.get(value.ref) : null;
+    return entry?.stream !== undefined ? decodeStream(entry.value || {}, entry.stream) : null;
+  };
+
+  const values = [...objects.values()].map((entry) => entry.value);
+  if (values.some((v) => v?.Encrypt) || /\/Encrypt\s/.test(source.slice(source.lastIndexOf("trailer")))) {
+    throw new Error("Encrypted PDFs are not supported");
+  }
+
+  // Walk the page tree from the catalog; inherit resources from parents
+  const pages = [];
+  const visit = (node, inherited, depth) => {
+    node = resolve(node);
+    if (!node || depth > 64) return;
+    const resources = node.Resources !== undefined ? resolve(node.Resources) : inherited;
+    if (node.Type?.name === "Pages" || Array.isArray(node.Kids)) {
+      for (const kid of resolve(node.Kids) || []) visit(kid, resources, depth + 1);
+    } else {
+      pages.push({ node, resources });
+    }
+  };
+
+  const catalog = values.find((v) => v?.Type?.name === "Catalog");
+  if (catalog?.Pages) {
+    visit(catalog.Pages, null, 0);
+  } else {
+    values.filter((v) => v?.Type?.name === "Page").forEach((node) => pages.push({ node, resources: resolve(node.Resources) }));
+  }
+
+  const fontCache = new Map();
+  const fontFor = (resources, name) => {
+    const fontRef = resolve(resources?.Font)?.[name];
+    const key = fontRef?.ref ?? name;
+    if (fontCache.has(key)) return fontCache.get(key);
+
+    const font = resolve(fontRef) || {};
+    const cmapData = font.ToUnicode ? streamOf(font.ToUnicode) : null;
+    const info = {
+      composite: font.Subtype?.name === "Type0",
+      toUnicode: cmapData ? parseToUnicode(cmapData) : null,
+    };
+    fontCache.set(key, info);
+    return info;
+  };
+
+  return {
+    pages: pages.map(({ node, resources }) => {
+      const content = [].concat(node.Contents ?? []).map((ref) => {
+        const resolved = resolve(ref);
+        // Contents may be a reference to an array of streams
+        return Array.isArray(resolved) ? resolved.map(streamOf).join("\n") : streamOf(ref);
+      }).filter(Boolean).join("\n");
+      return extractContentText(content, (name) => fontFor(resources, name));
+    }),
+  };
+}
+
+/**
+ * Joins the text of each page under a page marker, for sending a PDF as
+ * text. Returns an empty string when no page has text (e.g. scanned PDFs).
+ * @param {string[]} pages - Text per page, from extractPdfText
+ * @returns {string}
+ */
+export function formatPdfPages(pages) {
+  if (!pages.some((text) => text.trim())) return "";
+  return pages.map((text, index) => `[Page ${index + 1}]\n${text}`.trim()).join("\n\n");
+}
+
+/**
+ * Decodes a base64 data URL of a PDF; other input is passed through.
+ * @param {ArrayBuffer|Uint8Array|string} data
+ * @returns {ArrayBuffer|Uint8Array}
+ */
+export function toPdfBytes(data) {
+  if (typeof data !== "string") return data;
+  const binary = atob(data.slice(data.indexOf(",") + 1));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+/**
+ * The page-marked text of a PDF, as sent to models without file input.
+ * @param {ArrayBuffer|Uint8Array|string} data - The PDF file, or a base64 data URL of it
+ * @returns {string} Empty when no page has text
+ * @throws {Error} If the file is not a PDF or is encrypted
+ */
+export function getPdfPageText(data) {
+  return formatPdfPages(extractPdfText(toPdfBytes(data)).pages);
+}
+
+/**
+ * Extracts a PDF in a Web Worker so large files don't block the page.
+ * Falls back to extracting it here where workers are unavailable.
+ * @param {ArrayBuffer|Uint8Array|string} data - The PDF file, or a base64 data URL of it
+ * @returns {Promise<{text: string, pages: string[]}>}
+ */
+function extractInWorker(data) {
+  if (typeof Worker === "undefined") {
+    return Promise.resolve().then(() => {
+      const { pages } = extractPdfText(toPdfBytes(data));
+      return { text: formatPdfPages(pages), pages };
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("../workers/pdfText.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data: reply }) => {
+      worker.terminate();
+      if (reply.error) reject(new Error(reply.error));
+      else resolve(reply);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "The PDF could not be read"));
+    };
+    worker.postMessage(data);
+  });
+}
+
+/**
+ * Runs getPdfPageText in a Web Worker so large PDFs don't block the page.
+ * @param {ArrayBuffer|Uint8Array|string} data - The PDF file, or a base64 data URL of it
+ * @returns {Promise<string>}
+ */
+export async function readPdfText(data) {
+  return (await extractInWorker(data)).text;
+}
+
+/**
+ * Runs extractPdfText in a Web Worker, for callers that need each page.
+ * @param {ArrayBuffer|Uint8Array|string} data - The PDF file, or a base64 data URL of it
+ * @returns {Promise<string[]>} Text per page, in page order
+ */
+export async function readPdfPages(data) {
+  return (await extractInWorker(data)).pages;
+}
+
+/**
+ * Decodes a shown string with the current font.
+ */
+function decodeShownString(raw, font) {
+  const cmap = font?.toUnicode;
+  if (cmap) {
+    let out = "";
+    const step = cmap.bytesPerCode;
+    for (let i = 0; i + step - 1 < raw.length; i += step) {
+      const code = step === 2 ? (raw.charCodeAt(i) << 8) | raw.charCodeAt(i + 1) : raw.charCodeAt(i);
+      out += cmap.map.get(code) ?? (step === 1 ? raw[i] : "");
+    }
+    return out;
+  }
+  // Composite fonts without a map use glyph ids we cannot turn into text
+  if (font?.composite) return "";
+  return raw;
+}
+
+/**
+ * Collects the text drawn by one page's content stream, starting a new
+ * line whenever the text position moves down.
+ * @param {string} content - Decoded content stream
+ * @param {(name: string) => Object} getFont
+ * @returns {string}
+ */
+function extractContentText(content, getFont) {
+  const parser = new PdfParser(content);
+  const operands = [];
+  let font = null;
+  let text = "";
+  let lineY = null;
+
+  const newLine = () => {
+    if (text && !text.endsWith("\n")) text += "\n";
+  };
+  const space = () => {
+    if (text && !/\s$/.test(text)) text += " ";
+  };
+  const show = (value) => {
+    if (value?.string !== undefined) text += decodeShownString(value.string, font);
+  };
+
+  for (;;) {
+    const value = parser.readValue();
+    if (value === undefined) break;
+    if (!value || typeof value !== "object" || !("op" in value)) {
+      operands.push(value);
+      continue;
+    }
+
+    const args = operands.splice(0);
+    switch (value.op) {
+      case "Tf":
+        font = getFont(args[0]?.name);
+        break;
+      case "Tj":
+        show(args[0]);
+        break;
+      case "'":
+        newLine();
+        show(args[0]);
+        break;
+      case '"':
+        newLine();
+        show(args[2]);
+        break;
+      case "TJ":
+        for (const item of args[0] || []) {
+          // Large negative adjustments separate words
+          if (typeof item === "number") {
+            if (item < -200) space();
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case "Td":
+      case "TD":
+        if (args[1]) newLine();
+        else if (args[0] > 0) space();
+        break;
+      case "T*":
+        newLine();
+        break;
+      case "Tm":
+        if (lineY !== null && args[5] !== lineY) newLine();
+        else space();
+        lineY = args[5];
+        break;
+      case "BT":
+        lineY = null;
+        break;
+      case "ET":
+        space();
+        break;
+      case "ID": {
+        // Skip inline image data
+        const end = content.indexOf("EI", parser.i);
+        parser.i = end === -1 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return text
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
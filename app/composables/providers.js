@@ -0,0 +1,218 @@
+/**
+ * @file providers.js
+ * @description Client side of the provider registry. Turns the user's provider
+ * selection (a server-registered provider id, or a user-defined
+ * OpenAI-compatible endpoint) into the request fields and headers that
+ * `/api/ai`, `/api/embeddings`, `/api/search` and `/api/exa-contents`
+ * use to route the call.
+ */
+
+import localforage from "localforage";
+
+export const DEFAULT_PROVIDER_ID = "hackclub";
+
+export const AUTH_SCHEMES = ["bearer", "header", "none"];
+
+// Wire formats the server can translate, with the auth each one expects
+export const PROVIDER_APIS = {
+  openai: { label: "OpenAI-compatible", authScheme: "bearer", authHeader: "" },
+  anthropic: { label: "Anthropic Messages", authScheme: "header", authHeader: "x-api-key" },
+  gemini: { label: "Google Gemini", authScheme: "header", authHeader: "x-goog-api-key" },
+};
+
+// Providers registered on the server, as last fetched from /api/providers
+let serverProviders = null;
+
+/**
+ * Creates an empty user-defined provider entry for the settings UI.
+ * @returns {Object}
+ */
+export function createCustomProvider() {
+  return {
+    id: `custom-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 7)}`,
+    name: "",
+    api: "openai",
+    baseURL: "",
+    authScheme: "bearer",
+    authHeader: "",
+    apiKey: "",
+  };
+}
+
+/**
+ * Switches a user-defined provider to another API, resetting its auth to
+ * what that API expects.
+ * @param {Object} provider - Provider entry, updated in place
+ * @param {string} api - Key of PROVIDER_APIS
+ */
+export function applyProviderApi(provider, api) {
+  const defaults = PROVIDER_APIS[api] || PROVIDER_APIS.openai;
+  provider.api = PROVIDER_APIS[api] ? api : "openai";
+  provider.authScheme = defaults.authScheme;
+  provider.authHeader = defaults.authHeader;
+}
+
+/**
+ * Finds a user-defined provider by id.
+ * @param {Object} settings - User settings
+ * @param {string} id - Provider id
+ * @returns {Object|null}
+ */
+export function getCustomProvider(settings, id) {
+  const list = Array.isArray(settings?.custom_providers) ? settings.custom_providers : [];
+  return list.find((p) => p && p.id === id) || null;
+}
+
+/**
+ * Returns the user-defined provider that is currently selected, if any.
+ * @param {Object} settings - User settings
+ * @returns {Object|null}
+ */
+export function getSelectedCustomProvider(settings) {
+  return getCustomProvider(settings, settings?.selected_provider_id);
+}
+
+/**
+ * Returns the API key to send for the selected provider. A user-defined
+ * provider only ever gets its own key, so the general API key never leaks
+ * to a third-party endpoint; other providers use the general key.
+ * @param {Object} settings - User settings
+ * @returns {string}
+ */
+export function getProviderApiKey(settings) {
+  const custom = getSelectedCustomProvider(settings);
+  if (custom) return custom.authScheme === "none" ? "" : custom.apiKey || "";
+  return settings?.custom_api_key || "";
+}
+
+/**
+ * Whether the selected provider needs an API key from the user.
+ * @param {Object} settings - User settings
+ * @returns {boolean}
+ */
+export function providerRequiresApiKey(settings) {
+  const custom = getSelectedCustomProvider(settings);
+  if (custom) return custom.authScheme !== "none";
+
+  const id = settings?.selected_provider_id || DEFAULT_PROVIDER_ID;
+  const server = serverProviders?.find((p) => p.id === id);
+  if (server && (server.authScheme === "none" || server.hasServerKey)) return false;
+  return true;
+}
+
+/**
+ * Whether the user can send requests with the current provider and key.
+ * @param {Object} settings - User settings
+ * @returns {boolean}
+ */
+export function hasUsableApiKey(settings) {
+  return !providerRequiresApiKey(settings) || !!getProviderApiKey(settings);
+}
+
+/**
+ * Serializes a user-defined provider for the server, without its key.
+ * @param {Object} provider
+ * @returns {Object}
+ */
+function toCustomProviderPayload(provider) {
+  return {
+    name: provider.name || provider.id,
+    api: provider.api || "openai",
+    baseURL: provider.baseURL,
+    authScheme: provider.authScheme || "bearer",
+    ...(provider.authScheme === "header" && { authHeader: provider.authHeader || "x-api-key" }),
+  };
+}
+
+/**
+ * Builds the JSON body fields that route a request to the selected provider.
+ * Spread this into the body of `/api/ai` and `/api/embeddings` requests.
+ * @param {Object} settings - User settings
+ * @returns {{providerId?: string, customProvider?: Object, customApiKey?: string}}
+ */
+export function buildProviderFields(settings) {
+  const fields = {};
+  const custom = getSelectedCustomProvider(settings);
+
+  if (custom) {
+    fields.customProvider = toCustomProviderPayload(custom);
+  } else if (settings?.selected_provider_id) {
+    fields.providerId = settings.selected_provider_id;
+  }
+
+  const apiKey = getProviderApiKey(settings);
+  if (apiKey) fields.customApiKey = apiKey;
+
+  return fields;
+}
+
+/**
+ * Builds the request headers that route a search/contents call to the
+ * selected provider.
+ * @param {Object} settings - User settings
+ * @returns {Object<string, string>}
+ */
+export function buildProviderHeaders(settings) {
+  const headers = {};
+  const custom = getSelectedCustomProvider(settings);
+
+  if (custom) {
+    headers["X-Provider"] = encodeURIComponent(JSON.stringify(toCustomProviderPayload(custom)));
+  } else if (settings?.selected_provider_id) {
+    headers["X-Provider-Id"] = settings.selected_provider_id;
+  }
+
+  const apiKey = getProviderApiKey(settings);
+  if (apiKey) headers["X-API-Key"] = apiKey;
+
+  return headers;
+}
+
+/**
+ * Provider fields for background callers (titles, summaries, compression)
+ * that only receive an API key. Reads the persisted settings so requests go
+ * to the same provider as the chat. The caller's key is not sent to a
+ * user-defined provider.
+ * @param {string} [apiKey] - API key passed by the caller
+ * @returns {Promise<Object>}
+ */
+export async function getStoredProviderFields(apiKey) {
+  let settings = null;
+  try {
+    settings = await localforage.getItem("settings");
+  } catch {
+    settings = null;
+  }
+
+  const fields = buildProviderFields(settings || {});
+  if (!fields.customApiKey && !fields.customProvider && apiKey) fields.customApiKey = apiKey;
+  return fields;
+}
+
+/**
+ * Fetches the providers registered on the server. Results are cached for
+ * `providerRequiresApiKey`.
+ * @returns {Promise<{providers: Array, defaultProviderId: string, allowUserProviders: boolean}>}
+ */
+export async function fetchServerProviders() {
+  try {
+    const response = await fetch("/api/providers");
+    if (!response.ok) {
+      throw new Error(`Provider list request failed with status ${response.status}`);
+    }
+    const data = await response.json();
+    serverProviders = Array.isArray(data.providers) ? data.providers : [];
+    return {
+      providers: serverProviders,
+      defaultProviderId: data.defaultProviderId || DEFAULT_PROVIDER_ID,
+      allowUserProviders: data.allowUserProviders !== false,
+    };
+  } catch (error) {
+    console.error("[providers] Failed to fetch provider list:", error);
+    return {
+      providers: serverProviders || [{ id: DEFAULT_PROVIDER_ID, name: "Hack Club AI", authScheme: "bearer", hasServerKey: false }],
+      defaultProviderId: DEFAULT_PROVIDER_ID,
+      allowUserProviders: true,
+    };
+  }
+}
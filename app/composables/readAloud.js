@@ -0,0 +1,358 @@
+/**
+ * @file readAloud.js
+ * @description Reads assistant messages aloud, one sentence at a time, with
+ * the browser's SpeechSynthesis API or an OpenAI-compatible speech endpoint
+ * behind `/api/speech`. Text is taken from the rendered message so code
+ * blocks and math can be skipped, and the sentence being spoken is
+ * highlighted with the CSS Custom Highlight API where the browser has it.
+ */
+
+import { ref } from "vue";
+import { getSessionToken } from "./useSession";
+import { buildProviderFields } from "./providers";
+
+export const READ_ALOUD_ENGINES = ["browser", "server"];
+export const DEFAULT_SPEECH_MODEL = "tts-1";
+export const DEFAULT_SPEECH_VOICE = "alloy";
+
+// Voices offered by OpenAI-compatible speech endpoints
+export const SPEECH_VOICES = ["alloy", "ash", "coral", "echo", "fable", "nova", "onyx", "sage", "shimmer"];
+
+// Name used with CSS.highlights and the ::highlight() selector
+export const READ_ALOUD_HIGHLIGHT = "read-aloud";
+
+// Rendered content that is not read: code, math and controls
+const SKIPPED_SELECTOR = "pre, code, .code-block-wrapper, .katex, .katex-display, math, svg, button, script, style";
+
+// Elements whose text is kept apart, so their sentences don't run together
+const BLOCK_SELECTOR = "p, li, h1, h2, h3, h4, h5, h6, blockquote, td, th, dt, dd, div";
+
+const LETTER_OR_DIGIT = /[\p{L}\p{N}]/u;
+
+/**
+ * Collects the readable text under the given elements.
+ * @param {Element[]} roots - Rendered message content
+ * @returns {{ text: string, nodes: Array<{ node: Text, start: number }> }}
+ *   The text, and where each text node starts in it
+ */
+export function collectSpeakableText(roots) {
+  let text = "";
+  const nodes = [];
+  let lastBlock = null;
+
+  for (const root of roots) {
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.parentElement?.closest(SKIPPED_SELECTOR)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT),
+    });
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const block = node.parentElement.closest(BLOCK_SELECTOR) || root;
+      if (block !== lastBlock && text) text += "\n";
+      lastBlock = block;
+      nodes.push({ node, start: text.length });
+      text += node.data;
+    }
+  }
+
+  return { text, nodes };
+}
+
+/**
+ * Splits text into sentences. Line breaks always end a sentence.
+ * @param {string} text
+ * @returns {Array<{ text: string, start: number, end: number }>} Trimmed
+ *   sentences with their offsets; pieces without letters or digits are dropped
+ */
+export function splitSentences(text) {
+  const segmenter = typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(undefined, { granularity: "sentence" })
+    : null;
+  const sentences = [];
+
+  let lineStart = 0;
+  for (const line of text.split("\n")) {
+    const pieces = segmenter
+      ? Array.from(segmenter.segment(line), ({ segment, index }) => ({ segment, index }))
+      : Array.from(line.matchAll(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g), (match) => ({ segment: match[0], index: match.index }));
+
+    for (const { segment, index } of pieces) {
+      const leading = segment.length - segment.trimStart().length;
+      const trimmed = segment.trim();
+      if (!LETTER_OR_DIGIT.test(trimmed)) continue;
+      const start = lineStart + index + leading;
+      sentences.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+    lineStart += line.length + 1;
+  }
+
+  return sentences;
+}
+
+/**
+ * Creates a DOM range over part of the text from collectSpeakableText.
+ * @param {Array<{ node: Text, start: number }>} nodes
+ * @param {number} start
+ * @param {number} end
+ * @returns {Range|null}
+ */
+export function rangeForOffsets(nodes, start, end) {
+  const locate = (offset, isEnd) => {
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const { node, start: nodeStart } = nodes[i];
+      if (isEnd ? offset > nodeStart : offset >= nodeStart) {
+        return { node, offset: Math.min(offset - nodeStart, node.data.length) };
+      }
+    }
+    return null;
+  };
+  const from = locate(start, false);
+  const to = locate(end, true);
+  if (!from || !to) return null;
+
+  const range = from.node.ownerDocument.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  return range;
+}
+
+/**
+ * Provider fields for speech requests: the provider chosen for read-aloud
+ * in settings, or the chat provider.
+ * @param {Object} settings - User settings
+ * @returns {Object}
+ */
+export function buildSpeechProviderFields(settings = {}) {
+  const providerId = settings.speech_provider_id;
+  return buildProviderFields(providerId ? { ...settings, selected_provider_id: providerId } : settings);
+}
+
+/**
+ * Fetches spoken audio for a piece of text from `/api/speech`.
+ * @param {string} text
+ * @param {Object} settings - User settings
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Blob>} MP3 audio
+ * @throws {Error} With the server's message when the request fails
+ */
+export async function fetchSpeech(text, settings = {}, signal) {
+  const sessionToken = await getSessionToken();
+  const response = await fetch("/api/speech", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-session-token": sessionToken,
+    },
+    body: JSON.stringify({
+      input: text,
+      model: settings.speech_model || DEFAULT_SPEECH_MODEL,
+      voice: settings.speech_voice || DEFAULT_SPEECH_VOICE,
+      ...buildSpeechProviderFields(settings),
+    }),
+    signal,
+  });
+
+  if (!response.ok) {
+    let message = `Speech failed with status ${response.status}`;
+    try {
+      const data = await response.json();
+      message = data?.error?.message || message;
+    } catch {
+      // Keep the status message
+    }
+    throw new Error(message);
+  }
+
+  return response.blob();
+}
+
+/**
+ * Whether the browser can read aloud without a server.
+ * @returns {boolean}
+ */
+export function hasBrowserSpeech() {
+  return typeof window !== "undefined" && "speechSynthesis" in window && typeof SpeechSynthesisUtterance !== "undefined";
+}
+
+// --- Playback ---
+
+function speakWithBrowser(text, settings, isStopped) {
+  return new Promise((resolve, reject) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = settings.read_aloud_voice
+      && window.speechSynthesis.getVoices().find((v) => v.name === settings.read_aloud_voice);
+    if (voice) utterance.voice = voice;
+    utterance.onend = () => resolve();
+    // Cancelling reports an "interrupted" or "canceled" error
+    utterance.onerror = (event) => (isStopped() ? resolve() : reject(new Error(event.error || "Speech failed")));
+    window.speechSynthesis.speak(utterance);
+  });
+}
+
+function playAudio(blob, player) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    const finish = (error) => {
+      URL.revokeObjectURL(url);
+      player.stop = null;
+      error ? reject(error) : resolve();
+    };
+    player.stop = () => {
+      audio.pause();
+      finish();
+    };
+    audio.onended = () => finish();
+    audio.onerror = () => finish(new Error("Could not play speech audio"));
+    audio.play().catch(finish);
+  });
+}
+
+/**
+ * Speaks pieces of text in order as they are added, with the engine chosen
+ * in settings. With the server engine the next piece is fetched while the
+ * current one plays.
+ * @param {Object} settings - User settings
+ * @returns {{
+ *   enqueue: (text: string, onStart?: () => void) => void,
+ *   finish: () => void,
+ *   stop: () => void,
+ *   done: Promise<void>,
+ * }} `done` settles once every piece has been spoken after `finish()`, or
+ *   when the queue is stopped; it rejects when speech fails
+ */
+export function createSpeechQueue(settings = {}) {
+  const useServer = settings.read_aloud_engine === "server" || !hasBrowserSpeech();
+  const controller = new AbortController();
+  const items = [];
+  const player = { stop: null };
+  let index = 0;
+  let finished = false;
+  let stopped = false;
+  let wake = null;
+
+  const prefetch = (i) => {
+    const item = items[i];
+    if (!useServer || !item || item.audio) return;
+    item.audio = fetchSpeech(item.text, settings, controller.signal);
+    item.audio.catch(() => {}); // Reported when awaited
+  };
+
+  const notify = () => {
+    wake?.();
+    wake = null;
+  };
+
+  async function run() {
+    while (!stopped) {
+      if (index >= items.length) {
+        if (finished) return;
+        await new Promise((resolve) => (wake = resolve));
+        continue;
+      }
+      const item = items[index++];
+      prefetch(index - 1);
+      prefetch(index);
+      const audio = item.audio ? await item.audio : null;
+      if (stopped) return;
+
+      item.onStart?.();
+      if (audio) await playAudio(audio, player);
+      else await speakWithBrowser(item.text, settings, () => stopped);
+    }
+  }
+
+  const done = run();
+  done.catch(() => {}); // Callers that only stop the queue never await it
+
+  return {
+    enqueue(text, onStart) {
+      if (stopped || finished) return;
+      items.push({ text, onStart, audio: null });
+      if (items.length - index <= 2) prefetch(items.length - 1);
+      notify();
+    },
+    finish() {
+      finished = true;
+      notify();
+    },
+    stop() {
+      if (stopped) return;
+      stopped = true;
+      controller.abort();
+      player.stop?.();
+      if (!useServer) window.speechSynthesis.cancel();
+      notify();
+    },
+    done,
+  };
+}
+
+// One message is read at a time, across every chat panel
+const activeMessageId = ref(null);
+const readAloudError = ref(null);
+let session = null;
+
+function setHighlight(range) {
+  if (typeof CSS === "undefined" || !CSS.highlights || typeof Highlight === "undefined") return;
+  if (range) CSS.highlights.set(READ_ALOUD_HIGHLIGHT, new Highlight(range));
+  else CSS.highlights.delete(READ_ALOUD_HIGHLIGHT);
+}
+
+/**
+ * Stops reading aloud.
+ */
+export function stopReadAloud() {
+  if (!session) return;
+  session.stop();
+  session = null;
+  activeMessageId.value = null;
+  setHighlight(null);
+}
+
+/**
+ * Reads a rendered message aloud, highlighting each sentence as it is spoken.
+ * Stops whatever was being read before.
+ * @param {string} messageId
+ * @param {Element[]} roots - The message's rendered content
+ * @param {Object} settings - User settings
+ * @returns {Promise<void>} Resolves when reading finishes or is stopped
+ */
+export async function readAloud(messageId, roots, settings = {}) {
+  stopReadAloud();
+  readAloudError.value = null;
+
+  const { text, nodes } = collectSpeakableText(roots);
+  const sentences = splitSentences(text);
+  if (sentences.length === 0) return;
+
+  const queue = createSpeechQueue(settings);
+  session = queue;
+  activeMessageId.value = messageId;
+  for (const sentence of sentences) {
+    queue.enqueue(sentence.text, () => setHighlight(rangeForOffsets(nodes, sentence.start, sentence.end)));
+  }
+  queue.finish();
+
+  try {
+    await queue.done;
+  } catch (error) {
+    console.error("[readAloud] Failed to read message aloud:", error);
+    readAloudError.value = error.message;
+  } finally {
+    if (session === queue) {
+      session = null;
+      activeMessageId.value = null;
+      setHighlight(null);
+    }
+  }
+}
+
+/**
+ * Read-aloud state shared by every chat panel.
+ * @returns {{ activeMessageId: import('vue').Ref<string|null>, error: import('vue').Ref<string|null> }}
+ */
+export function useReadAloud() {
+  return { activeMessageId, error: readAloudError };
+}
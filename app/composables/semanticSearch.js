@@ -0,0 +1,326 @@
+/**
+ * @file semanticSearch.js
+ * @description Local semantic search over past conversations. Messages are
+ * split into chunks, embedded in the background through `/api/embeddings`
+ * (which returns binary-quantized vectors), and stored per conversation in
+ * localforage as packed bits. A query is embedded the same way and compared
+ * with every chunk by Hamming distance; the best chunk per conversation is
+ * returned so the sidebar can jump straight to the matching message.
+ */
+
+import localforage from "localforage";
+import { getSessionToken } from "./useSession";
+import { getStoredProviderFields, hasUsableApiKey } from "./providers";
+
+export const SEMANTIC_INDEX_KEY_PREFIX = "semantic_index_";
+
+export const EMBEDDING_MODEL = "qwen/qwen3-embedding-8b";
+export const EMBEDDING_DIMENSIONS = 768;
+
+// Matches below this share of equal bits are treated as unrelated
+export const MIN_SIMILARITY = 0.62;
+
+const MAX_CHUNK_CHARS = 1000;
+const SNIPPET_CHARS = 160;
+export const EMBED_BATCH_SIZE = 16;
+
+// Wait this long after a conversation changes before re-indexing it
+const INDEX_DELAY_MS = 5000;
+
+// Loaded indexes, keyed by conversation id
+const indexCache = new Map();
+
+/**
+ * Packs a 0/1 embedding into bytes, eight dimensions per byte.
+ * @param {number[]} bits
+ * @returns {Uint8Array}
+ */
+export function packBits(bits) {
+  const packed = new Uint8Array(Math.ceil(bits.length / 8));
+  for (let i = 0; i < bits.length; i++) {
+    if (bits[i]) packed[i >> 3] |= 1 << (7 - (i & 7));
+  }
+  return packed;
+}
+
+// Set-bit count for every byte value
+const POPCOUNT = Uint8Array.from({ length: 256 }, (_, n) => {
+  let count = 0;
+  for (let v = n; v; v >>= 1) count += v & 1;
+  return count;
+});
+
+/**
+ * Number of differing bits between two packed embeddings.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += POPCOUNT[a[i] ^ b[i]];
+  }
+  return distance;
+}
+
+// FNV-1a, to notice when a chunk's text changed
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Splits a text into chunks of at most `maxChars`, preferring paragraph,
+ * then sentence, then word boundaries.
+ * @param {string} text
+ * @param {number} [maxChars]
+ * @returns {string[]}
+ */
+export function splitText(text, maxChars = MAX_CHUNK_CHARS) {
+  const chunks = [];
+  let rest = text.trim();
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    const cut = [window.lastIndexOf("\n\n"), window.lastIndexOf(". "), window.lastIndexOf(" ")]
+      .find((index) => index > maxChars / 2) ?? maxChars;
+    chunks.push(rest.slice(0, cut + 1).trim());
+    rest = rest.slice(cut + 1).trim();
+  }
+  if (rest) chunks.push(rest);
+  return chunks;
+}
+
+/**
+ * Splits a conversation's user and assistant messages into chunks to embed.
+ * @param {Array} messages
+ * @returns {Array<{id: string, messageId: string, text: string, hash: string}>}
+ */
+export function chunkMessages(messages = []) {
+  const chunks = [];
+  for (const message of messages) {
+    if (!["user", "assistant"].includes(message?.role) || message.complete === false) continue;
+    if (typeof message.content !== "string" || !message.content.trim()) continue;
+
+    splitText(message.content).forEach((text, index) => {
+      chunks.push({ id: `${message.id}:${index}`, messageId: message.id, text, hash: hashText(text) });
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Embeds texts through `/api/embeddings`.
+ * @param {string[]} texts
+ * @returns {Promise<Uint8Array[]>} Packed binary embeddings, in input order
+ */
+export async function embedTexts(texts) {
+  const sessionToken = await getSessionToken();
+  const response = await fetch("/api/embeddings", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-session-token": sessionToken,
+    },
+    body: JSON.stringify({
+      input: texts,
+      model: EMBEDDING_MODEL,
+      ...(await getStoredProviderFields()),
+    }),
+  });
+
+  if (!response.ok) {
+    let message = `Embedding request failed with status ${response.status}`;
+    try {
+      const data = await response.json();
+      message = data?.error?.message || message;
+    } catch {
+      // Keep the status message
+    }
+    throw new Error(message);
+  }
+
+  const data = await response.json();
+  const embeddings = [...(data.data || [])].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+  if (embeddings.length !== texts.length) {
+    throw new Error("Embedding response did not include every input");
+  }
+  return embeddings.map((item) => packBits(item.embedding));
+}
+
+/**
+ * Loads a conversation's index.
+ * @param {string} conversationId
+ * @returns {Promise<{model: string, updatedAt: string, chunks: Array}|null>}
+ */
+export async function loadSemanticIndex(conversationId) {
+  if (indexCache.has(conversationId)) return indexCache.get(conversationId);
+  try {
+    const index = await localforage.getItem(`${SEMANTIC_INDEX_KEY_PREFIX}${conversationId}`);
+    const usable = index?.model === EMBEDDING_MODEL ? index : null;
+    indexCache.set(conversationId, usable);
+    return usable;
+  } catch (error) {
+    console.error(`[semanticSearch] Failed to load index for ${conversationId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Deletes a conversation's index.
+ * @param {string} conversationId
+ */
+export async function deleteSemanticIndex(conversationId) {
+  indexCache.delete(conversationId);
+  try {
+    await localforage.removeItem(`${SEMANTIC_INDEX_KEY_PREFIX}${conversationId}`);
+  } catch (error) {
+    console.error(`[semanticSearch] Failed to delete index for ${conversationId}:`, error);
+  }
+}
+
+/**
+ * Brings a conversation's index up to date, embedding only chunks that are
+ * new or changed since it was last indexed.
+ * @param {string} conversationId
+ * @returns {Promise<number>} Number of chunks embedded
+ */
+export async function indexConversation(conversationId) {
+  const conversation = await localforage.getItem(`conversation_${conversationId}`);
+  if (!conversation?.messages) return 0;
+
+  const existing = await loadSemanticIndex(conversationId);
+  const known = new Map((existing?.chunks || []).map((chunk) => [`${chunk.id}|${chunk.hash}`, chunk]));
+
+  const chunks = chunkMessages(conversation.messages);
+  const missing = chunks.filter((chunk) => !known.has(`${chunk.id}|${chunk.hash}`));
+  const embedded = new Map();
+  for (let i = 0; i < missing.length; i += EMBED_BATCH_SIZE) {
+    const batch = missing.slice(i, i + EMBED_BATCH_SIZE);
+    const bits = await embedTexts(batch.map((chunk) => chunk.text));
+    batch.forEach((chunk, j) => embedded.set(chunk.id, bits[j]));
+  }
+
+  const index = {
+    model: EMBEDDING_MODEL,
+    updatedAt: new Date().toISOString(),
+    chunks: chunks.map((chunk) => known.get(`${chunk.id}|${chunk.hash}`) || {
+      id: chunk.id,
+      messageId: chunk.messageId,
+      hash: chunk.hash,
+      snippet: chunk.text.slice(0, SNIPPET_CHARS),
+      bits: embedded.get(chunk.id),
+    }),
+  };
+
+  // The conversation may have been deleted while its chunks were embedding
+  if (!(await localforage.getItem(`conversation_${conversationId}`))) return 0;
+
+  await localforage.setItem(`${SEMANTIC_INDEX_KEY_PREFIX}${conversationId}`, index);
+  indexCache.set(conversationId, index);
+  return missing.length;
+}
+
+// Background indexing queue: conversations are indexed one at a time.
+// Pending entries keep their timer and the callers waiting on them.
+const pending = new Map();
+const ready = [];
+let queueRunning = null;
+
+async function drainQueue() {
+  while (ready.length > 0) {
+    const { conversationId, waiters } = ready.shift();
+    try {
+      await indexConversation(conversationId);
+    } catch (error) {
+      console.warn(`[semanticSearch] Indexing ${conversationId} failed:`, error.message);
+    }
+    waiters.forEach((resolve) => resolve());
+  }
+  queueRunning = null;
+}
+
+/**
+ * Whether semantic search can run with the given settings. It is opt-in,
+ * as every stored message is sent to the embeddings provider.
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+export function isSemanticSearchEnabled(settings = {}) {
+  return settings.semantic_search_enabled === true && hasUsableApiKey(settings);
+}
+
+/**
+ * Queues a conversation for background indexing.
+ * @param {string} conversationId
+ * @param {Object} [options]
+ * @param {number} [options.delayMs] - Wait before indexing, so bursts of saves index once
+ * @returns {Promise<void>} Resolves when the queue has drained
+ */
+export function scheduleIndexing(conversationId, { delayMs = INDEX_DELAY_MS } = {}) {
+  if (!conversationId) return Promise.resolve();
+
+  const entry = pending.get(conversationId) || { conversationId, waiters: [] };
+  clearTimeout(entry.timer);
+  pending.set(conversationId, entry);
+
+  return new Promise((resolve) => {
+    entry.waiters.push(resolve);
+    entry.timer = setTimeout(() => {
+      pending.delete(conversationId);
+      ready.push(entry);
+      if (!queueRunning) queueRunning = drainQueue();
+    }, delayMs);
+  });
+}
+
+/**
+ * Queues every conversation whose index is missing or older than its last
+ * update.
+ * @returns {Promise<void>}
+ */
+export async function indexAllConversations() {
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  const scheduled = [];
+  for (const conversation of metadata) {
+    const index = await loadSemanticIndex(conversation.id);
+    if (!index || new Date(index.updatedAt) < new Date(conversation.lastUpdated)) {
+      scheduled.push(scheduleIndexing(conversation.id, { delayMs: 0 }));
+    }
+  }
+  await Promise.all(scheduled);
+}
+
+/**
+ * Finds the conversations most similar in meaning to a query.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{conversationId: string, messageId: string, snippet: string, similarity: number}>>}
+ *   The best-matching chunk per conversation, most similar first
+ */
+export async function searchConversations(query, { limit = 20 } = {}) {
+  if (!query?.trim()) return [];
+  const [queryBits] = await embedTexts([query.trim()]);
+
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  const matches = [];
+  for (const conversation of metadata) {
+    const index = await loadSemanticIndex(conversation.id);
+    let best = null;
+    for (const chunk of index?.chunks || []) {
+      if (!chunk.bits) continue;
+      const similarity = 1 - hammingDistance(queryBits, chunk.bits) / EMBEDDING_DIMENSIONS;
+      if (similarity >= MIN_SIMILARITY && (!best || similarity > best.similarity)) {
+        best = { conversationId: conversation.id, messageId: chunk.messageId, snippet: chunk.snippet, similarity };
+      }
+    }
+    if (best) matches.push(best);
+  }
+
+  return matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+}
@@ -2,6 +2,10 @@ import localforage from "localforage";
 import { reactive } from "vue";
 import { availableModels, findModelById, DEFAULT_MODEL_ID } from './availableModels';
 import DEFAULT_PARAMETERS from './defaultParameters';
+import { DEFAULT_PROVIDER_ID } from './providers';
+import { DEFAULT_FALLBACK_RETRIES } from './modelFallback';
+import { DEFAULT_TRANSCRIPTION_MODEL } from './voiceInput';
+import { DEFAULT_SPEECH_MODEL, DEFAULT_SPEECH_VOICE } from './readAloud';
 import {
   DEFAULT_COMPRESSION_MODEL,
   DEFAULT_THRESHOLD_TOKENS,
@@ -37,6 +41,8 @@ class Settings {
 
       // --- Model Settings ---
       selected_model_id: DEFAULT_MODEL_ID, // Default model ID
+      model_fallback_chain: [], // Model ids tried in order when the selected model fails
+      model_fallback_retries: DEFAULT_FALLBACK_RETRIES, // Same-model retries before falling back
 
       // --- Search Settings ---
       search_enabled: false, // Whether search is enabled by default
@@ -52,6 +58,31 @@ class Settings {
 
       // --- API Key Settings ---
       custom_api_key: '', // User's own API key (required for all API calls)
+
+      // --- Provider Settings ---
+      selected_provider_id: DEFAULT_PROVIDER_ID, // Server-registered or user-defined provider id
+      custom_providers: [], // User-defined OpenAI-compatible providers
+
+      // --- Tool Settings ---
+      code_interpreter_enabled: true, // Whether models can run JavaScript in the sandbox
+      custom_tools: [], // User-defined HTTP tools offered to tool-capable models
+      tool_policies: {}, // Per-tool permission policy: { toolName: "allow" | "ask" | "deny" }
+      tool_concurrency: 4, // How many tool calls from one response run at the same time
+      tool_timeout_seconds: 60, // Time limit for a single tool call
+      mcp_servers: [], // MCP servers whose tools, resources and prompts are offered to models
+
+      // --- Search Settings ---
+      semantic_search_enabled: false, // Whether past conversations are embedded for sidebar semantic search
+
+      // --- Voice Settings ---
+      transcription_provider_id: '', // Provider that transcribes voice recordings; empty uses the chat provider
+      transcription_model: DEFAULT_TRANSCRIPTION_MODEL, // OpenAI-compatible speech-to-text model
+      read_aloud_engine: 'browser', // "browser" (SpeechSynthesis) or "server" (/api/speech)
+      read_aloud_voice: '', // Browser voice name; empty uses the system default
+      speech_provider_id: '', // Provider that reads aloud with the server engine; empty uses the chat provider
+      speech_model: DEFAULT_SPEECH_MODEL, // OpenAI-compatible text-to-speech model
+      speech_voice: DEFAULT_SPEECH_VOICE, // Voice for the server engine
+      auto_read_aloud: false, // Whether new responses are read aloud when they finish
     });
 
     // Add type information for better type safety
@@ -66,11 +97,30 @@ class Settings {
       context_compression_threshold_tokens: DEFAULT_THRESHOLD_TOKENS, // Compress once effective context exceeds this
       context_compression_keep_recent_tokens: DEFAULT_KEEP_RECENT_TOKENS, // How much recent context always stays verbatim
       selected_model_id: DEFAULT_MODEL_ID, // Default model ID
+      model_fallback_chain: [], // Default: no fallback models
+      model_fallback_retries: DEFAULT_FALLBACK_RETRIES, // Default same-model retries
       search_enabled: false, // Default value for search setting
       model_settings: {}, // Default value for model settings
       parameter_config: { ...DEFAULT_PARAMETERS },
       gpt_oss_limit_tables: false, // Default value for GPT-OSS table limiting
       custom_api_key: '', // Default empty API key (user must provide their own)
+      selected_provider_id: DEFAULT_PROVIDER_ID, // Default provider
+      custom_providers: [], // Default value for user-defined providers
+      code_interpreter_enabled: true, // Default: code interpreter available
+      custom_tools: [], // Default: no user-defined tools
+      tool_policies: {}, // Default: every tool is allowed
+      tool_concurrency: 4, // Default: up to 4 tool calls at once
+      tool_timeout_seconds: 60, // Default: 1 minute per tool call
+      mcp_servers: [], // Default: no MCP servers
+      semantic_search_enabled: false, // Default: off until the user opts in, since it sends history to the provider
+      transcription_provider_id: '', // Default: transcribe with the chat provider
+      transcription_model: DEFAULT_TRANSCRIPTION_MODEL, // Default speech-to-text model
+      read_aloud_engine: 'browser', // Default: read aloud with the browser
+      read_aloud_voice: '', // Default: system voice
+      speech_provider_id: '', // Default: read aloud with the chat provider
+      speech_model: DEFAULT_SPEECH_MODEL, // Default text-to-speech model
+      speech_voice: DEFAULT_SPEECH_VOICE, // Default server voice
+      auto_read_aloud: false, // Default: don't read responses automatically
     };
 
     // Load settings asynchronously
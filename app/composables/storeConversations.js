@@ -3,8 +3,13 @@ import { emitter } from "~/composables/emitter";
 import { migrateMessages } from "./branchManager";
 import { getSessionToken } from "~/composables/useSession";
 import { useSettings } from "~/composables/useSettings";
+import { buildProviderFields, hasUsableApiKey } from "~/composables/providers";
 import { deleteChatSummary } from "./chatSummarizer";
 import { deleteContextSummary } from "./contextCompressor";
+import { deleteConversationToolDecisions } from "./toolPermissions";
+import { deleteSemanticIndex, isSemanticSearchEnabled, scheduleIndexing } from "./semanticSearch";
+import { removeFromFullTextIndex, updateFullTextIndex } from "./fullTextSearch";
+import { adoptNewConversationKnowledgeBases, deleteConversationKnowledgeBases } from "./knowledgeBases";
 
 /**
  * Serializes a message object for storage, removing Vue reactivity proxies
@@ -44,12 +49,24 @@ function serializeMessage(msg) {
     baseMessage.tokenCount = msg.tokenCount;
     baseMessage.totalTokens = msg.totalTokens;
     baseMessage.promptTokens = msg.promptTokens;
+    baseMessage.model = msg.model ?? null;
+    baseMessage.requestedModel = msg.requestedModel ?? null;
+    // Why generation stopped; "length" or "cancelled" offers to continue the reply
+    baseMessage.finishReason = msg.finishReason ?? null;
+    baseMessage.resumable = msg.resumable
+      ? { streamId: msg.resumable.streamId, offset: msg.resumable.offset }
+      : null;
     baseMessage.annotations = msg.annotations
       ? JSON.parse(JSON.stringify(msg.annotations))
       : null;
     baseMessage.parts = msg.parts
       ? JSON.parse(JSON.stringify(msg.parts))
       : null;
+    // Arena round membership and vote
+    if (msg.arena) baseMessage.arena = true;
+    if (msg.preferred) baseMessage.preferred = true;
+    // Final answers a merged answer was made from
+    if (msg.mergedFrom) baseMessage.mergedFrom = [...msg.mergedFrom];
   }
 
   // Add tool message properties
@@ -61,10 +78,19 @@ function serializeMessage(msg) {
   return baseMessage;
 }
 
-export async function createConversation(plainMessages, lastUpdated) {
+/**
+ * Creates and stores a new conversation. Without a title, one is
+ * generated from the messages in the background.
+ * @param {Array} plainMessages - The conversation's messages
+ * @param {Date} lastUpdated
+ * @param {Object} [options]
+ * @param {string} [options.title] - Title to use instead of generating one
+ * @returns {Promise<string|undefined>} The new conversation's id
+ */
+export async function createConversation(plainMessages, lastUpdated, options = {}) {
   const conversationId = crypto.randomUUID();
   const rawMessages = plainMessages.map(serializeMessage);
-  const title = "Untitled";
+  const title = options.title || "Untitled";
 
   try {
     await localforage.setItem(`conversation_${conversationId}`, {
@@ -79,10 +105,19 @@ export async function createConversation(plainMessages, lastUpdated) {
     metadata.push({ id: conversationId, title, lastUpdated });
     await localforage.setItem("conversations_metadata", metadata);
 
+    await updateFullTextIndex(conversationId, rawMessages);
+
+    // Keep the knowledge bases chosen before the conversation existed
+    await adoptNewConversationKnowledgeBases(conversationId);
+
     emitter.emit("updateConversations");
-    console.log("Conversation saved successfully with Untitled title!");
 
-    generateTitleInBackground(conversationId, plainMessages, lastUpdated);
+    if (options.title) {
+      console.log(`Conversation saved successfully as "${title}"!`);
+    } else {
+      console.log("Conversation saved successfully with Untitled title!");
+      generateTitleInBackground(conversationId, plainMessages, lastUpdated);
+    }
 
     return conversationId;
   } catch (error) {
@@ -96,9 +131,7 @@ async function generateTitleInBackground(conversationId, plainMessages, lastUpda
   try {
     // Load settings to get the API key
     const settings = await localforage.getItem("settings") || {};
-    const customApiKey = settings.custom_api_key;
-
-    if (!customApiKey) {
+    if (!hasUsableApiKey(settings)) {
       console.warn("No API key found in settings, skipping title generation");
       return;
     }
@@ -120,9 +153,7 @@ async function generateTitleInBackground(conversationId, plainMessages, lastUpda
         ],
         model: "z-ai/glm-4.7-flash",
         stream: false,
-        ...(customApiKey && {
-          customApiKey: customApiKey,
-        }),
+        ...buildProviderFields(settings),
       }),
     });
 
@@ -194,6 +225,18 @@ export async function storeMessages(
   updatedMetadata.push({ id: conversationId, title, lastUpdated });
   await localforage.setItem("conversations_metadata", updatedMetadata);
 
+  // Keep message search current. Resume checkpoints save a reply while it
+  // streams; it is indexed by the save that completes it.
+  const isCheckpoint = rawMessages.some((m) => m.complete === false && m.resumable);
+  if (!isCheckpoint) {
+    await updateFullTextIndex(conversationId, rawMessages);
+  }
+
+  // Re-embed changed messages for semantic search in the background
+  if (isSemanticSearchEnabled(useSettings().settings)) {
+    scheduleIndexing(conversationId);
+  }
+
   console.log("Conversation saved successfully!");
 }
 
@@ -207,6 +250,16 @@ export async function deleteConversation(conversationId) {
   // Delete the context-compression sidecar for this conversation
   await deleteContextSummary(conversationId);
 
+  // Forget tool approvals remembered for this conversation
+  await deleteConversationToolDecisions(conversationId);
+
+  // Forget which knowledge bases were attached
+  await deleteConversationKnowledgeBases(conversationId);
+
+  // Drop the conversation from both search indexes
+  await deleteSemanticIndex(conversationId);
+  await removeFromFullTextIndex(conversationId);
+
   // Update metadata by filtering out the deleted conversation.
   const metadata = (await localforage.getItem("conversations_metadata")) || [];
   const updatedMetadata = metadata.filter((m) => m.id !== conversationId);
@@ -62,6 +62,16 @@ const SEARCH_TOOLS_AWARENESS = `### Web Search and Page Crawling
 *   Workflow: First use search to find relevant pages and skim their highlights, then use getPageContents on the most promising URLs to get detailed information.
 *   Additionally, the web crawl tool can be used in interesting ways to provide extra information, such as reading PDFs or specific pages.`;
 
+const CODE_INTERPRETER_AWARENESS = `### Code Interpreter
+*   You can run JavaScript with the **runJavaScript** tool. It returns console output, the value of the last expression, and any error.
+*   Use it for arithmetic, data processing, and checking that code works, rather than computing results in your head.
+*   The sandbox has no network, DOM, or storage access, runs under a time limit, and keeps nothing between runs.`;
+
+const KNOWLEDGE_BASE_AWARENESS = `### Knowledge Bases
+*   The user has attached knowledge bases (collections of their own documents) to this conversation. Use the **searchKnowledge** tool to find relevant passages before answering questions they may cover.
+*   Each result has a \`citation\` naming the source file and page. Cite the passages you rely on inline, e.g. (report.pdf, p. 3).
+*   If the passages do not answer the question, say so instead of guessing.`;
+
 const CONTEXT_COMPRESSION_AWARENESS = `### Context Compression
 Earlier portions of this conversation may have been compressed into labeled summaries. Each compressed span is represented as:
 
@@ -182,6 +192,16 @@ export async function generateSystemPrompt(
     promptSections.push(SEARCH_TOOLS_AWARENESS);
   }
 
+  // Add code interpreter awareness if the tool is available
+  if (hasToolUse && toolNames.includes('runJavaScript')) {
+    promptSections.push(CODE_INTERPRETER_AWARENESS);
+  }
+
+  // Add knowledge base awareness if collections are attached
+  if (hasToolUse && toolNames.includes('searchKnowledge')) {
+    promptSections.push(KNOWLEDGE_BASE_AWARENESS);
+  }
+
   // Add notepad awareness if enabled and not in incognito mode
   if (notepadOn && !isIncognito) {
     promptSections.push(NOTEPAD_AWARENESS);
@@ -0,0 +1,165 @@
+/**
+ * @file toolPermissions.js
+ * @description Per-tool permission policies for the agent loop. Each tool is
+ * always allowed, denied, or needs the user's approval each time it is
+ * called. While an approval is pending the agent loop waits; the request is
+ * shown as a card in the chat. A decision can apply once, to the rest of the
+ * conversation, or to every conversation (saved as the tool's policy).
+ */
+
+import { reactive } from "vue";
+import localforage from "localforage";
+import { useSettings } from "./useSettings";
+
+export const TOOL_POLICIES = {
+  allow: "Always allow",
+  ask: "Ask every time",
+  deny: "Deny",
+};
+
+export const DEFAULT_TOOL_POLICY = "allow";
+
+// How long an approval decision is remembered
+export const APPROVAL_SCOPES = {
+  once: "Just this time",
+  conversation: "For this conversation",
+  always: "Always",
+};
+
+export const TOOL_DECISIONS_KEY_PREFIX = "tool_decisions_";
+
+// Approvals waiting for the user, rendered by ChatPanel
+const pendingApprovals = reactive([]);
+
+// Decisions remembered per conversation: conversationId -> { toolName: "allow" | "deny" }
+const conversationDecisions = new Map();
+
+/**
+ * Loads the decisions remembered for a conversation.
+ * @param {string|null} conversationId
+ * @returns {Promise<Object<string, string>>}
+ */
+async function loadConversationDecisions(conversationId) {
+  if (!conversationId) return {};
+  if (conversationDecisions.has(conversationId)) return conversationDecisions.get(conversationId);
+
+  let decisions = {};
+  try {
+    decisions = (await localforage.getItem(`${TOOL_DECISIONS_KEY_PREFIX}${conversationId}`)) || {};
+  } catch (error) {
+    console.error(`[toolPermissions] Failed to load decisions for ${conversationId}:`, error);
+  }
+  conversationDecisions.set(conversationId, decisions);
+  return decisions;
+}
+
+/**
+ * Deletes the decisions remembered for a conversation.
+ * @param {string} conversationId
+ */
+export async function deleteConversationToolDecisions(conversationId) {
+  conversationDecisions.delete(conversationId);
+  try {
+    await localforage.removeItem(`${TOOL_DECISIONS_KEY_PREFIX}${conversationId}`);
+  } catch (error) {
+    console.error(`[toolPermissions] Failed to delete decisions for ${conversationId}:`, error);
+  }
+}
+
+/**
+ * Resolves the policy for a tool: a decision remembered for the conversation
+ * wins over the tool's saved policy.
+ * @param {string} toolName
+ * @param {Object} settings - User settings holding `tool_policies`
+ * @param {string|null} [conversationId]
+ * @returns {Promise<"allow"|"ask"|"deny">}
+ */
+export async function getToolPolicy(toolName, settings = {}, conversationId = null) {
+  const remembered = (await loadConversationDecisions(conversationId))[toolName];
+  if (remembered) return remembered;
+
+  const policy = settings.tool_policies?.[toolName];
+  return policy in TOOL_POLICIES ? policy : DEFAULT_TOOL_POLICY;
+}
+
+/**
+ * Asks the user whether a tool call may run, and waits for the answer.
+ * Aborting the signal withdraws the request and rejects with an AbortError.
+ * @param {Object} request
+ * @param {string} request.id - Tool call id
+ * @param {string} request.name - Tool name
+ * @param {Object} request.args - Parsed tool arguments
+ * @param {string|null} [request.conversationId]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<boolean>} Whether the call was approved
+ */
+export function requestToolApproval({ id, name, args, conversationId = null }, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("The request was aborted", "AbortError"));
+      return;
+    }
+
+    const onAbort = () => {
+      removePendingApproval(id);
+      reject(new DOMException("The request was aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    pendingApprovals.push({
+      id,
+      name,
+      args,
+      conversationId,
+      resolve: (approved) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(approved);
+      },
+    });
+  });
+}
+
+function removePendingApproval(id) {
+  const index = pendingApprovals.findIndex((approval) => approval.id === id);
+  return index === -1 ? null : pendingApprovals.splice(index, 1)[0];
+}
+
+/**
+ * Answers a pending approval and remembers the decision for the chosen scope.
+ * @param {string} id - Tool call id of the pending approval
+ * @param {boolean} approved
+ * @param {"once"|"conversation"|"always"} [scope]
+ */
+export async function resolveToolApproval(id, approved, scope = "once") {
+  const approval = removePendingApproval(id);
+  if (!approval) return;
+
+  const decision = approved ? "allow" : "deny";
+  try {
+    if (scope === "conversation" && approval.conversationId) {
+      const decisions = { ...(await loadConversationDecisions(approval.conversationId)), [approval.name]: decision };
+      conversationDecisions.set(approval.conversationId, decisions);
+      await localforage.setItem(`${TOOL_DECISIONS_KEY_PREFIX}${approval.conversationId}`, decisions);
+    } else if (scope === "always") {
+      const settingsManager = useSettings();
+      settingsManager.setSetting("tool_policies", {
+        ...settingsManager.settings.tool_policies,
+        [approval.name]: decision,
+      });
+      await settingsManager.saveSettings();
+    }
+  } catch (error) {
+    console.error(`[toolPermissions] Failed to save the ${scope} decision for ${approval.name}:`, error);
+  } finally {
+    // The agent loop is waiting on this; a failed save must not hold it up
+    approval.resolve(approved);
+  }
+}
+
+/**
+ * Approvals currently waiting for the user.
+ * @returns {Array<{id: string, name: string, args: Object, conversationId: string|null}>}
+ */
+export function usePendingToolApprovals() {
+  return pendingApprovals;
+}
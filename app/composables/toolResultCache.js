@@ -0,0 +1,82 @@
+/**
+ * @file toolResultCache.js
+ * @description Client-side cache for `search` and `getPageContents` results,
+ * stored in localforage so regenerating or branching a response reuses them
+ * without another request. Keys are normalized by the same functions as the
+ * server's cache (shared/cacheKeys.js) and scoped to the selected provider.
+ * Nothing is cached in incognito mode.
+ */
+
+import localforage from "localforage";
+import { normalizeSearchQuery, normalizeUrl } from "#shared/cacheKeys";
+
+export { normalizeSearchQuery, normalizeUrl };
+
+export const TOOL_CACHE_KEY_PREFIX = "tool_cache_";
+const TOOL_CACHE_INDEX_KEY = "tool_cache_index";
+
+export const TOOL_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Oldest entries are evicted past this many cached results
+const MAX_ENTRIES = 200;
+
+// Index updates run one at a time so concurrent writes don't drop keys
+let writeChain = Promise.resolve();
+
+function enqueue(task) {
+  const run = writeChain.then(task);
+  // Callers report their own failures; the chain just keeps going
+  writeChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Reads a cached result, dropping it if it has expired.
+ * @param {string} key - Normalized cache key
+ * @param {number} [now]
+ * @returns {Promise<any>} The cached value, or undefined
+ */
+export async function getCachedToolResult(key, now = Date.now()) {
+  try {
+    const entry = await localforage.getItem(`${TOOL_CACHE_KEY_PREFIX}${key}`);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= now) {
+      await enqueue(() => removeEntries([key]));
+      return undefined;
+    }
+    return entry.value;
+  } catch (error) {
+    console.warn("[toolResultCache] Failed to read cache entry:", error);
+    return undefined;
+  }
+}
+
+/**
+ * Stores a result for TOOL_CACHE_TTL_MS, evicting the oldest entries past the limit.
+ * @param {string} key - Normalized cache key
+ * @param {any} value
+ * @param {number} [now]
+ */
+export async function setCachedToolResult(key, value, now = Date.now()) {
+  try {
+    const entry = { value: JSON.parse(JSON.stringify(value)), expiresAt: now + TOOL_CACHE_TTL_MS };
+
+    await enqueue(async () => {
+      await localforage.setItem(`${TOOL_CACHE_KEY_PREFIX}${key}`, entry);
+
+      const index = ((await localforage.getItem(TOOL_CACHE_INDEX_KEY)) || []).filter((k) => k !== key);
+      index.push(key);
+      const evicted = index.splice(0, Math.max(0, index.length - MAX_ENTRIES));
+      await localforage.setItem(TOOL_CACHE_INDEX_KEY, index);
+      await Promise.all(evicted.map((k) => localforage.removeItem(`${TOOL_CACHE_KEY_PREFIX}${k}`)));
+    });
+  } catch (error) {
+    console.warn("[toolResultCache] Failed to write cache entry:", error);
+  }
+}
+
+async function removeEntries(keys) {
+  const index = (await localforage.getItem(TOOL_CACHE_INDEX_KEY)) || [];
+  await localforage.setItem(TOOL_CACHE_INDEX_KEY, index.filter((k) => !keys.includes(k)));
+  await Promise.all(keys.map((k) => localforage.removeItem(`${TOOL_CACHE_KEY_PREFIX}${k}`)));
+}
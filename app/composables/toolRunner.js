@@ -0,0 +1,137 @@
+/**
+ * @file toolRunner.js
+ * @description Runs the tool calls from one agent-loop iteration. Calls run
+ * concurrently up to a limit, each under a time limit, and results are
+ * yielded as each tool finishes so the UI can show them straight away.
+ * Every call goes through its permission policy first.
+ */
+
+import { toolManager } from "./toolsManager";
+import { getToolPolicy, requestToolApproval } from "./toolPermissions";
+
+export const DEFAULT_TOOL_CONCURRENCY = 4;
+export const MAX_TOOL_CONCURRENCY = 10;
+export const DEFAULT_TOOL_TIMEOUT_SECONDS = 60;
+
+/**
+ * Builds the tool message for a call, serializing its result.
+ * @param {Object} toolCall
+ * @param {any} content
+ * @returns {{role: string, tool_call_id: string, name: string, content: string}}
+ */
+function toToolMessage(toolCall, content) {
+  return {
+    role: "tool",
+    tool_call_id: toolCall.id,
+    name: toolCall.function.name,
+    content: JSON.stringify(content ?? null),
+  };
+}
+
+/**
+ * Runs one tool call under its permission policy and time limit. Tool
+ * failures and timeouts become error results for the model; only an
+ * aborted turn rejects.
+ * @param {Object} toolCall
+ * @param {Array} messageHistory
+ * @param {Object} options
+ * @param {Object} options.settings
+ * @param {string|null} options.conversationId
+ * @param {boolean} options.isIncognito
+ * @param {AbortSignal} [options.signal]
+ * @param {number} options.timeoutMs
+ * @returns {Promise<Object>} Tool message for the call
+ */
+async function runToolCall(toolCall, messageHistory, { settings, conversationId, isIncognito, signal, timeoutMs }) {
+  const name = toolCall.function.name;
+  let args = {};
+
+  try {
+    args = JSON.parse(toolCall.function.arguments || "{}");
+  } catch (err) {
+    console.error("Failed to parse tool arguments:", toolCall.function.arguments, err);
+    return toToolMessage(toolCall, { error: `Invalid JSON in tool arguments: ${err.message}` });
+  }
+
+  const tool = toolManager.getTool(name);
+  if (!tool) {
+    console.warn(`Tool not found: ${name}`);
+    return toToolMessage(toolCall, { error: `Unknown tool '${name}'` });
+  }
+
+  const policy = await getToolPolicy(name, settings, conversationId);
+  const approved = policy === "allow" ||
+    (policy === "ask" && await requestToolApproval({ id: toolCall.id, name, args, conversationId }, signal));
+  if (!approved) {
+    return toToolMessage(toolCall, { error: `The user did not allow the '${name}' tool to run.` });
+  }
+
+  // Aborted when the turn is cancelled or the time limit passes; the timer
+  // starts after approval so waiting for the user does not count
+  const toolController = new AbortController();
+  const onAbort = () => toolController.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      toolController.abort();
+      resolve(toToolMessage(toolCall, { error: `Tool '${name}' timed out after ${timeoutMs / 1000}s` }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([
+      Promise.resolve(tool.executor(args, messageHistory, { signal: toolController.signal, conversationId, isIncognito }))
+        .then((result) => toToolMessage(toolCall, result)),
+      timedOut,
+    ]);
+  } catch (err) {
+    console.error(`Error executing tool "${name}"`, err);
+    return toToolMessage(toolCall, { error: `Tool execution failed: ${err.message || String(err)}` });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Runs tool calls concurrently, at most `settings.tool_concurrency` at a
+ * time, and yields each tool message as soon as its call finishes.
+ * @param {Array} toolCalls - Completed tool calls from the model
+ * @param {Array} [messageHistory] - Conversation history, passed to tools
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - User settings (`tool_concurrency`, `tool_timeout_seconds`, `tool_policies`)
+ * @param {string|null} [options.conversationId]
+ * @param {boolean} [options.isIncognito=false] - Passed to tools that keep incognito chats apart
+ * @param {AbortSignal} [options.signal]
+ * @yields {{role: string, tool_call_id: string, name: string, content: string}}
+ */
+export async function* runToolCalls(toolCalls, messageHistory = [], { settings = {}, conversationId = null, isIncognito = false, signal } = {}) {
+  const concurrency = Math.min(
+    Math.max(1, Math.round(Number(settings.tool_concurrency) || DEFAULT_TOOL_CONCURRENCY)),
+    MAX_TOOL_CONCURRENCY,
+  );
+  const timeoutMs = Math.max(1, Number(settings.tool_timeout_seconds) || DEFAULT_TOOL_TIMEOUT_SECONDS) * 1000;
+
+  const queue = [...toolCalls];
+  const running = new Set();
+
+  const startNext = () => {
+    while (running.size < concurrency && queue.length > 0) {
+      const toolCall = queue.shift();
+      const task = runToolCall(toolCall, messageHistory, { settings, conversationId, isIncognito, signal, timeoutMs })
+        .then((message) => ({ task, message }), (error) => ({ task, error }));
+      running.add(task);
+    }
+  };
+
+  startNext();
+  while (running.size > 0) {
+    const { task, message, error } = await Promise.race(running);
+    running.delete(task);
+    if (error) throw error;
+    startNext();
+    yield message;
+  }
+}
@@ -5,6 +5,12 @@
 
 // Import necessary functions
 import { useSettings } from './useSettings';
+import { getSessionToken } from './useSession';
+import { getProviderApiKey, providerRequiresApiKey, buildProviderHeaders } from './providers';
+import { runJavaScript, DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS } from './codeSandbox';
+import { useGlobalIncognito } from './useGlobalIncognito';
+import { getCachedToolResult, setCachedToolResult, normalizeSearchQuery, normalizeUrl } from './toolResultCache';
+import { searchKnowledge, getConversationKnowledgeBases, INCOGNITO_CHAT_ID } from './knowledgeBases';
 
 class ToolManager {
   constructor() {
@@ -15,7 +21,9 @@ class ToolManager {
   /**
    * Register a new tool
    * @param {string} name - The tool name
-   * @param {Function} executor - Function that executes the tool with parameters
+   * @param {Function} executor - Function that executes the tool, called as
+   *   `(args, messageHistory, { signal, conversationId })`; `signal` aborts when
+   *   the call times out, `conversationId` is null for new and incognito chats
    * @param {Object} schema - Tool schema definition in OpenAI format
    */
   registerTool(name, executor, schema) {
@@ -82,17 +90,51 @@ class ToolManager {
   }
 
   /**
-   * Get the custom API key from settings
+   * Get the API key for the selected provider from settings
    */
   getApiKey() {
     // Try to get from settings manager if available
     if (typeof window !== 'undefined') {
       const settingsManager = useSettings();
-      return settingsManager.settings?.custom_api_key;
+      return getProviderApiKey(settingsManager.settings);
     }
     return null;
   }
 
+  /**
+   * Whether the selected provider can be called (has a key, or needs none)
+   */
+  hasProviderAccess() {
+    if (typeof window === 'undefined') return false;
+    const settingsManager = useSettings();
+    return !!this.getApiKey() || !providerRequiresApiKey(settingsManager.settings);
+  }
+
+  /**
+   * Get the headers for search/contents calls: the session token the server
+   * requires and the headers that route them to the selected provider
+   */
+  async getRequestHeaders() {
+    const sessionToken = await getSessionToken();
+    if (typeof window === 'undefined') return { 'x-session-token': sessionToken };
+    const settingsManager = useSettings();
+    return { 'x-session-token': sessionToken, ...buildProviderHeaders(settingsManager.settings || {}) };
+  }
+
+  /**
+   * Builds the client cache key for a search or page-contents result, scoped
+   * to the selected provider. Returns null in incognito mode, where nothing
+   * is cached.
+   * @param {string} kind - `search` or `page`
+   * @param {string} key - Normalized query or URL
+   * @returns {string|null}
+   */
+  getCacheKey(kind, key) {
+    if (typeof window === 'undefined' || useGlobalIncognito().isIncognito.value) return null;
+    const settingsManager = useSettings();
+    return `${settingsManager.settings?.selected_provider_id || 'default'}:${kind}:${key}`;
+  }
+
   /**
    * Register default tools
    */
@@ -100,26 +142,31 @@ class ToolManager {
     // Exa Search Tool - calls server route with API key
     this.registerTool(
       'search',
-      async (args) => {
+      async (args, messageHistory, { signal } = {}) => {
         if (!args.q) {
           throw new Error('Search tool requires a "q" (query) argument');
         }
 
-        const apiKey = this.getApiKey();
-        if (!apiKey) {
+        if (!this.hasProviderAccess()) {
           throw new Error('API key is required for search');
         }
 
+        const numResults = args.numResults || 5;
+        const cacheKey = this.getCacheKey('search', `${numResults}:${normalizeSearchQuery(args.q)}`);
+        const cached = cacheKey && await getCachedToolResult(cacheKey);
+        if (cached) {
+          return { ...cached, query: args.q, cached: true };
+        }
+
         try {
           const params = new URLSearchParams({
             q: args.q,
-            numResults: args.numResults || 5
+            numResults
           });
 
           const response = await fetch(`/api/search?${params.toString()}`, {
-            headers: {
-              'X-API-Key': apiKey
-            }
+            headers: await this.getRequestHeaders(),
+            signal
           });
 
           if (!response.ok) {
@@ -136,7 +183,7 @@ class ToolManager {
             };
           }
 
-          return {
+          const result = {
             results: data.results.map(r => ({
               title: r.title,
               url: r.url,
@@ -147,6 +194,8 @@ class ToolManager {
             })),
             query: args.q
           };
+          if (cacheKey) await setCachedToolResult(cacheKey, result);
+          return data.cached ? { ...result, cached: true } : result;
 
         } catch (error) {
           console.error("Search tool error:", error);
@@ -180,26 +229,39 @@ class ToolManager {
     // Exa Page Contents Tool - calls server route with API key
     this.registerTool(
       'getPageContents',
-      async (args) => {
+      async (args, messageHistory, { signal } = {}) => {
         if (!args.urls || !Array.isArray(args.urls) || args.urls.length === 0) {
           throw new Error('getPageContents tool requires a "urls" array argument');
         }
 
-        const apiKey = this.getApiKey();
-        if (!apiKey) {
+        if (!this.hasProviderAccess()) {
           throw new Error('API key is required for page contents');
         }
 
+        // Pages cached on this device are reused; only the rest are requested
+        const urls = args.urls.slice(0, 10); // Limit to 10 URLs
+        const cachedPages = new Map();
+        for (const url of urls) {
+          const cacheKey = this.getCacheKey('page', normalizeUrl(url));
+          const page = cacheKey && await getCachedToolResult(cacheKey);
+          if (page) cachedPages.set(url, page);
+        }
+        const missingUrls = urls.filter(url => !cachedPages.has(url));
+        if (missingUrls.length === 0) {
+          return { results: urls.map(url => cachedPages.get(url)), cached: true };
+        }
+
         try {
           const response = await fetch('/api/exa-contents', {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
-              'X-API-Key': apiKey
+              ...await this.getRequestHeaders()
             },
             body: JSON.stringify({
-              urls: args.urls.slice(0, 10) // Limit to 10 URLs
-            })
+              urls: missingUrls
+            }),
+            signal
           });
 
           if (!response.ok) {
@@ -209,20 +271,28 @@ class ToolManager {
           const data = await response.json();
 
           // Format results for the AI
-          if (!data.results || data.results.length === 0) {
+          if ((!data.results || data.results.length === 0) && cachedPages.size === 0) {
             return {
               results: [],
               message: "Could not retrieve content for the provided URLs."
             };
           }
 
+          const fetched = (data.results || []).map(r => ({
+            url: r.url,
+            title: r.title,
+            content: r.content,
+            publishedDate: r.publishedDate
+          }));
+          for (const page of fetched) {
+            const requestedUrl = missingUrls.find(url => normalizeUrl(url) === normalizeUrl(page.url));
+            const cacheKey = requestedUrl && this.getCacheKey('page', normalizeUrl(requestedUrl));
+            if (cacheKey) await setCachedToolResult(cacheKey, page);
+          }
+
           return {
-            results: data.results.map(r => ({
-              url: r.url,
-              title: r.title,
-              content: r.content,
-              publishedDate: r.publishedDate
-            }))
+            results: [...cachedPages.values(), ...fetched],
+            ...(data.cached && { cached: true })
           };
 
         } catch (error) {
@@ -251,6 +321,101 @@ class ToolManager {
         }
       }
     );
+
+    // Code interpreter - runs model-written JavaScript in a sandboxed worker
+    this.registerTool(
+      'runJavaScript',
+      async (args, messageHistory, { signal } = {}) => {
+        if (typeof args.code !== 'string' || !args.code.trim()) {
+          throw new Error('runJavaScript tool requires a "code" string argument');
+        }
+
+        const outcome = await runJavaScript(args.code, { timeoutMs: args.timeoutMs, signal });
+
+        return {
+          stdout: outcome.stdout,
+          result: outcome.result,
+          error: outcome.error,
+          durationMs: outcome.durationMs,
+          ...(outcome.truncated && { truncated: true })
+        };
+      },
+      {
+        type: "function",
+        function: {
+          name: "runJavaScript",
+          description: "Run JavaScript in an isolated sandbox and get back console output, the value of the last expression (or the returned value when using top-level await), and any error. Use it for calculations, data processing, and checking code. The sandbox has no network, DOM, or storage access, import() is not available, and nothing persists between runs. Runs are time-limited, but memory is not limited, so avoid very large allocations.",
+          parameters: {
+            type: "object",
+            properties: {
+              code: {
+                type: "string",
+                description: "The JavaScript to run"
+              },
+              timeoutMs: {
+                type: "integer",
+                description: `Time limit in milliseconds (default ${DEFAULT_TIMEOUT_MS}, max ${MAX_TIMEOUT_MS})`,
+                maximum: MAX_TIMEOUT_MS
+              }
+            },
+            required: ["code"]
+          }
+        }
+      }
+    );
+
+    // Knowledge base retrieval - searches the collections attached to the conversation
+    this.registerTool(
+      'searchKnowledge',
+      async (args, messageHistory, { conversationId = null, isIncognito = false } = {}) => {
+        if (typeof args.query !== 'string' || !args.query.trim()) {
+          throw new Error('searchKnowledge tool requires a "query" string argument');
+        }
+
+        const knowledgeBaseIds = await getConversationKnowledgeBases(isIncognito ? INCOGNITO_CHAT_ID : conversationId);
+        if (knowledgeBaseIds.length === 0) {
+          return { results: [], message: "No knowledge base is attached to this conversation." };
+        }
+
+        const results = await searchKnowledge(knowledgeBaseIds, args.query, { limit: args.limit });
+        if (results.length === 0) {
+          return { results: [], message: "No relevant passages found in the attached knowledge bases." };
+        }
+
+        return {
+          results: results.map(r => ({
+            citation: r.page ? `${r.source}, p. ${r.page}` : r.source,
+            source: r.source,
+            page: r.page,
+            knowledgeBase: r.knowledgeBase,
+            text: r.text
+          })),
+          query: args.query
+        };
+      },
+      {
+        type: "function",
+        function: {
+          name: "searchKnowledge",
+          description: "Search the user's documents in the knowledge bases attached to this conversation. Returns the most relevant passages with their source file and page. Cite each fact you use with its citation.",
+          parameters: {
+            type: "object",
+            properties: {
+              query: {
+                type: "string",
+                description: "What to look for, phrased as a question or the topic of the passage you need"
+              },
+              limit: {
+                type: "integer",
+                description: "Number of passages to return (default 5, max 10)",
+                maximum: 10
+              }
+            },
+            required: ["query"]
+          }
+        }
+      }
+    );
   }
 }
 
@@ -1,8 +1,18 @@
 import { ref, computed } from 'vue';
+import { getContextLength } from './availableModels';
+import { CHARS_PER_TOKEN } from './contextCompressor';
+import { extractDocxText } from './docxText';
+import { readPdfText } from './pdfText';
 
-// Maximum file size: 4.5MB
+// Maximum size of images, PDFs and recordings, which are sent inline as data URLs: 4.5MB
 const MAX_FILE_SIZE = 4.5 * 1024 * 1024;
 
+// Share of the model's context window that text attachments may fill
+const TEXT_CONTEXT_SHARE = 0.5;
+
+// Largest Word document read; its text is checked against the context after extraction
+const MAX_DOCX_SIZE = 25 * 1024 * 1024;
+
 // Maximum number of attachments
 const MAX_ATTACHMENTS = 4;
 
@@ -19,14 +29,117 @@ const ALLOWED_TYPES = {
     'image/jpg': 'image',
     'image/webp': 'image',
     'image/gif': 'image',
-    'application/pdf': 'pdf'
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/json': 'text',
+    'text/csv': 'text'
+};
+
+// Text files inlined into the message, with the language used for their code fence
+const TEXT_EXTENSIONS = {
+    txt: '', log: '', md: 'markdown', markdown: 'markdown', rst: 'rst',
+    csv: 'csv', tsv: 'tsv', json: 'json', jsonl: 'json', xml: 'xml', yaml: 'yaml', yml: 'yaml',
+    toml: 'toml', ini: 'ini', env: '', html: 'html', css: 'css', scss: 'scss',
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx', ts: 'typescript', tsx: 'tsx',
+    vue: 'vue', svelte: 'svelte', py: 'python', rb: 'ruby', go: 'go', rs: 'rust', java: 'java',
+    kt: 'kotlin', swift: 'swift', c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', cs: 'csharp', php: 'php',
+    sh: 'bash', bash: 'bash', zsh: 'bash', ps1: 'powershell', sql: 'sql', r: 'r', lua: 'lua',
+    dart: 'dart', scala: 'scala', ex: 'elixir', exs: 'elixir', hs: 'haskell', tex: 'latex'
 };
 
-const ALLOWED_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif', 'pdf'];
+const ALLOWED_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif', 'pdf', 'docx', ...Object.keys(TEXT_EXTENSIONS)];
 
 // Image extensions that should be processed (converted to WebP and resized)
 const PROCESSABLE_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
 
+/**
+ * Describes how a text-like file is inlined: its preview kind and the
+ * language of its code fence. Returns null for files that aren't text.
+ * @param {string} filename
+ * @param {string} [mimeType]
+ * @returns {{ kind: 'code'|'csv'|'json'|'text'|'docx', language: string }|null}
+ */
+export function describeTextFile(filename, mimeType = '') {
+    const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+
+    if (extension === 'docx' || ALLOWED_TYPES[mimeType] === 'docx') {
+        return { kind: 'docx', language: '' };
+    }
+
+    let language = Object.hasOwn(TEXT_EXTENSIONS, extension) ? TEXT_EXTENSIONS[extension] : undefined;
+    if (language === undefined) {
+        if (mimeType === 'application/json') language = 'json';
+        else if (mimeType === 'text/csv') language = 'csv';
+        else if (mimeType.startsWith('text/')) language = '';
+        else return null;
+    }
+
+    if (language === 'csv' || language === 'tsv') return { kind: 'csv', language };
+    if (language === 'json') return { kind: 'json', language };
+    if (!language || language === 'markdown' || language === 'rst') return { kind: 'text', language };
+    return { kind: 'code', language };
+}
+
+/**
+ * Reads the text of a text, code, CSV, JSON or Word file.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export async function readTextFile(file) {
+    const info = describeTextFile(file.name, file.type);
+    if (info?.kind === 'docx') {
+        return extractDocxText(await file.arrayBuffer());
+    }
+    // Drop a byte-order mark and normalize line endings
+    return (await file.text()).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Estimated tokens of a text attachment once inlined.
+ * @param {{ text?: string, filename?: string }} attachment
+ * @returns {number}
+ */
+export function estimateTextAttachmentTokens(attachment) {
+    const chars = (attachment?.text?.length || 0) + (attachment?.filename?.length || 0) + 16;
+    return Math.ceil(chars / CHARS_PER_TOKEN);
+}
+
+/**
+ * Short summary shown under a text attachment's name, e.g. "Python · 120 lines".
+ * @param {Object} attachment - A text attachment
+ * @returns {string}
+ */
+export function summarizeTextAttachment(attachment) {
+    const text = attachment.text || '';
+    const lines = text ? text.split('\n').length : 0;
+
+    switch (attachment.kind) {
+        case 'csv': {
+            const delimiter = attachment.language === 'tsv' ? '\t' : ',';
+            const rows = text.split('\n').filter(line => line.trim());
+            const columns = rows[0] ? rows[0].split(delimiter).length : 0;
+            return `${rows.length} rows × ${columns} columns`;
+        }
+        case 'json':
+            try {
+                const value = JSON.parse(text);
+                if (Array.isArray(value)) return `JSON array · ${value.length} items`;
+                if (value && typeof value === 'object') return `JSON object · ${Object.keys(value).length} keys`;
+            } catch {
+                // JSON Lines or invalid JSON: fall through to a line count
+            }
+            return `JSON · ${lines} lines`;
+        case 'docx': {
+            const words = text.split(/\s+/).filter(Boolean).length;
+            return `Word document · ${words} words`;
+        }
+        case 'code':
+            return `${attachment.language} · ${lines} lines`;
+        default:
+            return `${lines} lines`;
+    }
+}
+
 /**
  * Composable for managing file attachments in the message form
  * @returns {Object} Attachment state and methods
@@ -38,12 +151,13 @@ export function useAttachments() {
     const hasAttachments = computed(() => attachments.value.length > 0);
     const hasImages = computed(() => attachments.value.some(a => a.type === 'image'));
     const hasPDFs = computed(() => attachments.value.some(a => a.type === 'pdf'));
+    const hasTextFiles = computed(() => attachments.value.some(a => a.type === 'text'));
 
     /**
      * Validates file type before processing (does NOT check size - that happens after processing)
      * @param {File} file - The file to validate
      * @param {boolean} supportsVision - Whether the current model supports vision
-     * @returns {{ valid: boolean, error?: string, isImage: boolean, isPDF: boolean }}
+     * @returns {{ valid: boolean, error?: string, isImage: boolean, isPDF: boolean, isText: boolean }}
      */
     function validateFileType(file, supportsVision = false) {
         // Get file extension
@@ -52,13 +166,15 @@ export function useAttachments() {
         // Check if file type is allowed
         const fileType = ALLOWED_TYPES[file.type];
         const isAllowedExtension = ALLOWED_EXTENSIONS.includes(extension);
+        const isText = !['image', 'pdf'].includes(fileType) && describeTextFile(file.name, file.type) !== null;
 
-        if (!fileType && !isAllowedExtension) {
+        if (!fileType && !isAllowedExtension && !isText) {
             return {
                 valid: false,
-                error: `File type not supported. Allowed: PNG, JPG, WEBP, GIF, PDF.`,
+                error: `File type not supported. Allowed: images, PDF, Word, CSV, JSON, text and code files.`,
                 isImage: false,
-                isPDF: false
+                isPDF: false,
+                isText: false
             };
         }
 
@@ -66,17 +182,18 @@ export function useAttachments() {
         const isImage = fileType === 'image' || ['png', 'jpg', 'jpeg', 'webp', 'gif'].includes(extension);
         const isPDF = fileType === 'pdf' || extension === 'pdf';
 
-        // Images require vision-capable model, PDFs work with any model
+        // Images require vision-capable model, PDFs and text work with any model
         if (isImage && !supportsVision) {
             return {
                 valid: false,
                 error: `The current model does not support image analysis. Please select a vision-capable model or upload a PDF.`,
                 isImage,
-                isPDF
+                isPDF,
+                isText
             };
         }
 
-        return { valid: true, isImage, isPDF };
+        return { valid: true, isImage, isPDF, isText: isText && !isImage && !isPDF };
     }
 
     /**
@@ -186,9 +303,10 @@ export function useAttachments() {
      * Adds a file to the attachments list
      * @param {File} file - The file to add
      * @param {boolean} supportsVision - Whether the current model supports vision
+     * @param {Object} [model] - The selected model; its context window limits text attachments
      * @returns {Promise<{ success: boolean, error?: string }>}
      */
-    async function addFile(file, supportsVision = false) {
+    async function addFile(file, supportsVision = false, model = null) {
         // Clear previous error
         error.value = null;
 
@@ -205,6 +323,10 @@ export function useAttachments() {
             return { success: false, error: validation.error };
         }
 
+        if (validation.isText) {
+            return addTextFile(file, model);
+        }
+
         try {
             let dataUrl;
             let mimeType;
@@ -221,6 +343,17 @@ export function useAttachments() {
                 mimeType = file.type || 'application/pdf';
             }
 
+            // Keep the PDF's text for models without native file input, and for token estimates
+            let text;
+            if (validation.isPDF) {
+                try {
+                    text = await readPdfText(await file.arrayBuffer());
+                } catch (err) {
+                    // Encrypted or malformed: the PDF can still be sent as a file
+                    console.warn(`[attachments] Could not extract text from "${file.name}":`, err.message);
+                }
+            }
+
             // Now check size AFTER processing
             const processedSize = getDataUrlSize(dataUrl);
             if (processedSize > MAX_FILE_SIZE) {
@@ -243,7 +376,8 @@ export function useAttachments() {
                 type,
                 filename,
                 dataUrl,
-                mimeType
+                mimeType,
+                ...(text !== undefined && { text })
             });
 
             return { success: true };
@@ -254,6 +388,143 @@ export function useAttachments() {
         }
     }
 
+    /**
+     * Reads a text, code, CSV, JSON or Word file and adds its text, as long
+     * as all text attachments together fit in the model's context share.
+     * @param {File} file - The file to add
+     * @param {Object} [model] - The selected model
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async function addTextFile(file, model) {
+        const budgetTokens = Math.floor(getContextLength(model) * TEXT_CONTEXT_SHARE);
+        // Extracted PDF text counts too: it fills the context just the same
+        const usedTokens = attachments.value
+            .filter(a => typeof a.text === 'string')
+            .reduce((sum, a) => sum + estimateTextAttachmentTokens(a), 0);
+        const remainingTokens = budgetTokens - usedTokens;
+        const info = describeTextFile(file.name, file.type);
+
+        // Skip reading files that can't fit; UTF-8 text has at least one byte per character
+        const maxBytes = info.kind === 'docx' ? MAX_DOCX_SIZE : remainingTokens * CHARS_PER_TOKEN * 4;
+        const tooLarge = (tokens) => {
+            const limit = remainingTokens < budgetTokens
+                ? `the ${Math.max(0, remainingTokens).toLocaleString()} tokens left for attachments`
+                : `the ${budgetTokens.toLocaleString()}-token attachment limit`;
+            error.value = `File "${file.name}" is about ${tokens.toLocaleString()} tokens, which exceeds ${limit} for this model.`;
+            return { success: false, error: error.value };
+        };
+        if (file.size > maxBytes) {
+            if (info.kind !== 'docx') return tooLarge(Math.ceil(file.size / CHARS_PER_TOKEN));
+            error.value = `File "${file.name}" is larger than ${MAX_DOCX_SIZE / 1024 / 1024}MB.`;
+            return { success: false, error: error.value };
+        }
+
+        try {
+            const text = await readTextFile(file);
+            if (!text.trim()) {
+                error.value = `File "${file.name}" has no text.`;
+                return { success: false, error: error.value };
+            }
+
+            const attachment = {
+                id: crypto.randomUUID(),
+                type: 'text',
+                kind: info.kind,
+                language: info.language,
+                filename: file.name,
+                mimeType: file.type || 'text/plain',
+                text
+            };
+            const tokens = estimateTextAttachmentTokens(attachment);
+            if (tokens > remainingTokens) {
+                return tooLarge(tokens);
+            }
+
+            attachments.value.push(attachment);
+            return { success: true };
+        } catch (err) {
+            const errorMsg = info.kind === 'docx' && err?.message
+                ? `Failed to read "${file.name}": ${err.message}.`
+                : `Failed to process file "${file.name}".`;
+            error.value = errorMsg;
+            return { success: false, error: errorMsg };
+        }
+    }
+
+    /**
+     * Adds a voice recording as a WAV attachment
+     * @param {string} base64 - WAV data, base64 encoded
+     * @param {number} duration - Length in seconds
+     * @returns {{ success: boolean, attachment?: Object, error?: string }}
+     */
+    function addRecording(base64, duration) {
+        error.value = null;
+
+        if (attachments.value.length >= MAX_ATTACHMENTS) {
+            error.value = `Maximum of ${MAX_ATTACHMENTS} attachments allowed.`;
+            return { success: false, error: error.value };
+        }
+
+        const dataUrl = `data:audio/wav;base64,${base64}`;
+        if (getDataUrlSize(dataUrl) > MAX_FILE_SIZE) {
+            error.value = 'Recording exceeds the 4.5MB limit.';
+            return { success: false, error: error.value };
+        }
+
+        const time = new Date().toTimeString().slice(0, 8).replace(/:/g, '-');
+        attachments.value.push({
+            id: crypto.randomUUID(),
+            type: 'audio',
+            filename: `recording-${time}.wav`,
+            dataUrl,
+            mimeType: 'audio/wav',
+            format: 'wav',
+            duration
+        });
+
+        // Return the reactive copy so a transcript added later shows up
+        return { success: true, attachment: attachments.value[attachments.value.length - 1] };
+    }
+
+    /**
+     * Adds an image to edit and, when one was drawn, its mask
+     * @param {string} imageDataUrl - The image, as a data URL
+     * @param {string|null} maskDataUrl - PNG mask: white where the image should change
+     * @returns {{ success: boolean, attachments?: Object[], error?: string }}
+     */
+    function addImageEdit(imageDataUrl, maskDataUrl = null) {
+        error.value = null;
+
+        const added = [{ dataUrl: imageDataUrl, name: 'image' }];
+        if (maskDataUrl) added.push({ dataUrl: maskDataUrl, name: 'mask', mask: true });
+
+        if (attachments.value.length + added.length > MAX_ATTACHMENTS) {
+            error.value = `Maximum of ${MAX_ATTACHMENTS} attachments allowed.`;
+            return { success: false, error: error.value };
+        }
+
+        const created = [];
+        for (const { dataUrl, name, mask } of added) {
+            if (getDataUrlSize(dataUrl) > MAX_FILE_SIZE) {
+                error.value = `The ${name} exceeds the 4.5MB limit.`;
+                return { success: false, error: error.value };
+            }
+
+            const mimeType = /^data:([^;,]+)/.exec(dataUrl)?.[1] || 'image/png';
+            created.push({
+                id: crypto.randomUUID(),
+                type: 'image',
+                filename: `${name}.${mimeType.split('/')[1] || 'png'}`,
+                dataUrl,
+                mimeType,
+                ...(mask && { mask: true })
+            });
+        }
+
+        attachments.value.push(...created);
+        return { success: true, attachments: created };
+    }
+
     /**
      * Removes an attachment by ID
      * @param {string} id - The attachment ID to remove
@@ -283,7 +554,10 @@ export function useAttachments() {
         hasAttachments,
         hasImages,
         hasPDFs,
+        hasTextFiles,
         addFile,
+        addRecording,
+        addImageEdit,
         removeAttachment,
         clearAttachments,
         clearError,
@@ -26,6 +26,7 @@ export function useConversation() {
     visibleMessages,
     branchPath,
     branchInfo,
+    arenaReplies,
     isLoading,
     controller,
     currConvo,
@@ -34,13 +35,21 @@ export function useConversation() {
     isTyping,
     chatLoading,
     sendMessage,
+    sendArenaMessage,
     editUserMessage,
+    editImage,
     regenerateAssistantMessage,
+    continueAssistantMessage,
     navigateBranch,
     changeConversation,
     deleteConversation,
     newConversation,
-    toggleIncognito
+    toggleIncognito,
+    revealMessage,
+    voteArenaReply,
+    deleteBranch,
+    forkConversation,
+    mergeBranches
   } = messagesManager;
 
   // Set up dynamic page title based on conversation
@@ -84,6 +93,18 @@ export function useConversation() {
     }
   );
 
+  // Jump to the message named in `?message=` (set by sidebar search results)
+  // once the conversation has loaded
+  watch(
+    () => [route.query.message, chatLoading.value, currConvo.value],
+    async ([messageId, loading, convoId]) => {
+      if (messageId && !loading && convoId && convoId === route.params.id) {
+        await revealMessage(String(messageId));
+      }
+    },
+    { immediate: true }
+  );
+
   // Function to create a new conversation with an initial message and trigger AI response
   async function createNewConversationWithMessage(initialMessage, attachments = []) {
     // First, add the initial user message to the current messages array
@@ -123,6 +144,7 @@ export function useConversation() {
     visibleMessages,
     branchPath,
     branchInfo,
+    arenaReplies,
     isLoading,
     controller,
     currConvo,
@@ -136,13 +158,21 @@ export function useConversation() {
 
     // Methods
     sendMessage,
+    sendArenaMessage,
     editUserMessage,
+    editImage,
     regenerateAssistantMessage,
+    continueAssistantMessage,
     navigateBranch,
     changeConversation,
     deleteConversation,
     newConversation,
     toggleIncognito,
+    revealMessage,
+    voteArenaReply,
+    deleteBranch,
+    forkConversation,
+    mergeBranches,
     setChatPanel: messagesManager.setChatPanel, // Add the method from messages manager
     createNewConversationWithMessage, // Added new function for creating conversation with first message
 
@@ -1,7 +1,14 @@
-import { ref, computed, onMounted, onBeforeUnmount } from "vue";
+import { ref, computed, watch, onMounted, onBeforeUnmount } from "vue";
 import localforage from "localforage";
 import { emitter } from "./emitter";
 import { deleteConversation as deleteConv } from "./storeConversations";
+import { useSettings } from "./useSettings";
+import { isSemanticSearchEnabled, searchConversations } from "./semanticSearch";
+import { searchMessages } from "./fullTextSearch";
+
+// Wait for the user to stop typing before searching messages / embedding the query
+const TEXT_SEARCH_DELAY_MS = 150;
+const SEMANTIC_SEARCH_DELAY_MS = 400;
 
 /**
  * Groups conversations by time periods
@@ -72,6 +79,12 @@ export function useConversationsList() {
   const searchQuery = ref("");
   const renamingId = ref(null);
   const newTitle = ref("");
+  const settingsManager = useSettings();
+
+  // Full-text and semantic matches for the current query, keyed by conversation id
+  const textMatches = ref(new Map());
+  const semanticMatches = ref(new Map());
+  const isSemanticSearching = ref(false);
 
   // Load conversations from storage
   async function updateConversations() {
@@ -85,19 +98,69 @@ export function useConversationsList() {
   // Listen for updates from other parts of the app
   emitter.on("updateConversations", updateConversations);
 
+  let textTimer = null;
+  let semanticTimer = null;
+  let searchRequest = 0;
+
+  // Search message text, then run a semantic search, once typing pauses;
+  // stale responses are dropped
+  watch(searchQuery, (query) => {
+    clearTimeout(textTimer);
+    clearTimeout(semanticTimer);
+    const requestId = ++searchRequest;
+    textMatches.value = new Map();
+    semanticMatches.value = new Map();
+    isSemanticSearching.value = false;
+
+    if (!query.trim()) return;
+
+    textTimer = setTimeout(async () => {
+      try {
+        const matches = await searchMessages(query);
+        if (requestId === searchRequest) {
+          textMatches.value = new Map(matches.map((match) => [match.conversationId, match]));
+        }
+      } catch (error) {
+        console.warn("Message search failed:", error.message);
+      }
+    }, TEXT_SEARCH_DELAY_MS);
+
+    if (!isSemanticSearchEnabled(settingsManager.settings)) return;
+
+    semanticTimer = setTimeout(async () => {
+      isSemanticSearching.value = true;
+      try {
+        const matches = await searchConversations(query);
+        if (requestId === searchRequest) {
+          semanticMatches.value = new Map(matches.map((match) => [match.conversationId, match]));
+        }
+      } catch (error) {
+        console.warn("Semantic search failed:", error.message);
+      } finally {
+        if (requestId === searchRequest) isSemanticSearching.value = false;
+      }
+    }, SEMANTIC_SEARCH_DELAY_MS);
+  });
+
   onBeforeUnmount(() => {
     emitter.off("updateConversations", updateConversations);
+    clearTimeout(textTimer);
+    clearTimeout(semanticTimer);
   });
 
-  // Computed: Filter conversations by search query
+  // Computed: Filter conversations by title, plus message matches with the
+  // matching message attached as `match` (exact text matches win)
   const filteredConversations = computed(() => {
     if (!searchQuery.value.trim()) {
       return metadata.value;
     }
     const query = searchQuery.value.toLowerCase().trim();
-    return metadata.value.filter(conv =>
-      conv.title?.toLowerCase().includes(query)
-    );
+    return metadata.value
+      .map(conv => {
+        const match = textMatches.value.get(conv.id) || semanticMatches.value.get(conv.id);
+        return match ? { ...conv, match } : conv;
+      })
+      .filter(conv => conv.match || conv.title?.toLowerCase().includes(query));
   });
 
   // Computed: Group conversations by time and pinned status
@@ -227,6 +290,7 @@ export function useConversationsList() {
     groupedConversations,
     filteredConversations,
     isSearching,
+    isSemanticSearching,
 
     // Methods
     updateConversations,
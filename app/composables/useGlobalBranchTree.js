@@ -0,0 +1,20 @@
+import { ref } from 'vue';
+
+// Shared open state of the branch tree panel
+const globalIsBranchTreeOpen = ref(false);
+
+/**
+ * Composable to manage whether the branch tree panel is open
+ * The toggle lives in the TopBar, the panel in the conversation page
+ */
+export function useGlobalBranchTree() {
+  return {
+    isBranchTreeOpen: globalIsBranchTreeOpen,
+    toggleBranchTree: () => {
+      globalIsBranchTreeOpen.value = !globalIsBranchTreeOpen.value;
+    },
+    closeBranchTree: () => {
+      globalIsBranchTreeOpen.value = false;
+    }
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * @file voiceInput.js
+ * @description Voice recording for the message form. Audio is recorded with
+ * MediaRecorder, then decoded and re-encoded as 16 kHz mono WAV, a format
+ * every `input_audio`-capable model and transcription endpoint accepts.
+ * Recordings are either sent to the model as audio or transcribed through
+ * `/api/transcribe` on the provider chosen in settings.
+ */
+
+import { ref, onUnmounted } from "vue";
+import { getSessionToken } from "./useSession";
+import { buildProviderFields } from "./providers";
+
+export const DEFAULT_TRANSCRIPTION_MODEL = "whisper-1";
+
+// Recordings stop on their own after this long; two minutes of WAV is about 3.8MB
+export const MAX_RECORDING_SECONDS = 120;
+
+const WAV_SAMPLE_RATE = 16000;
+
+/**
+ * Encodes mono PCM samples as a 16-bit WAV file.
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @param {number} sampleRate
+ * @returns {Uint8Array}
+ */
+export function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Decodes a MediaRecorder recording and re-encodes it as 16 kHz mono WAV.
+ * @param {Blob} blob - The recording
+ * @returns {Promise<{bytes: Uint8Array, duration: number}>} WAV bytes and length in seconds
+ */
+export async function recordingToWav(blob) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  let decoded;
+  try {
+    decoded = await context.decodeAudioData(await blob.arrayBuffer());
+  } finally {
+    context.close();
+  }
+
+  // Rendering offline mixes every channel down to mono and resamples
+  const length = Math.max(1, Math.ceil(decoded.duration * WAV_SAMPLE_RATE));
+  const offline = new OfflineAudioContext(1, length, WAV_SAMPLE_RATE);
+  const source = offline.createBufferSource();
+  source.buffer = decoded;
+  source.connect(offline.destination);
+  source.start();
+  const rendered = await offline.startRendering();
+
+  return { bytes: encodeWav(rendered.getChannelData(0), WAV_SAMPLE_RATE), duration: decoded.duration };
+}
+
+/**
+ * Base64 encodes bytes in slices, so long recordings don't overflow the call stack.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Provider fields for transcription requests: the provider chosen for
+ * transcription in settings, or the chat provider.
+ * @param {Object} settings - User settings
+ * @returns {Object}
+ */
+export function buildTranscriptionProviderFields(settings = {}) {
+  const providerId = settings.transcription_provider_id;
+  return buildProviderFields(providerId ? { ...settings, selected_provider_id: providerId } : settings);
+}
+
+/**
+ * Transcribes a WAV recording.
+ * @param {string} base64 - WAV data, base64 encoded
+ * @param {Object} settings - User settings
+ * @returns {Promise<string>} The transcript
+ * @throws {Error} With the server's message when transcription fails
+ */
+export async function transcribeAudio(base64, settings = {}) {
+  const sessionToken = await getSessionToken();
+  const response = await fetch("/api/transcribe", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-session-token": sessionToken,
+    },
+    body: JSON.stringify({
+      audio: base64,
+      format: "wav",
+      model: settings.transcription_model || DEFAULT_TRANSCRIPTION_MODEL,
+      ...buildTranscriptionProviderFields(settings),
+    }),
+  });
+
+  if (!response.ok) {
+    let message = `Transcription failed with status ${response.status}`;
+    try {
+      const data = await response.json();
+      message = data?.error?.message || message;
+    } catch {
+      // Keep the status message
+    }
+    throw new Error(message);
+  }
+
+  const data = await response.json();
+  return (data.text || "").trim();
+}
+
+/**
+ * Records audio from the microphone.
+ * @param {Object} [options]
+ * @param {() => void} [options.onMaxDuration] - Called when a recording reaches MAX_RECORDING_SECONDS
+ * @returns {{
+ *   isRecording: import('vue').Ref<boolean>,
+ *   elapsedSeconds: import('vue').Ref<number>,
+ *   isSupported: boolean,
+ *   start: () => Promise<void>,
+ *   stop: () => Promise<Blob|null>,
+ *   cancel: () => void,
+ * }}
+ */
+export function useVoiceRecorder({ onMaxDuration } = {}) {
+  const isRecording = ref(false);
+  const elapsedSeconds = ref(0);
+  const isSupported = typeof window !== "undefined"
+    && typeof window.MediaRecorder !== "undefined"
+    && !!navigator.mediaDevices?.getUserMedia;
+
+  let recorder = null;
+  let stream = null;
+  let chunks = [];
+  let timer = null;
+  let stopped = null;
+
+  function release() {
+    clearInterval(timer);
+    timer = null;
+    stream?.getTracks().forEach((track) => track.stop());
+    stream = null;
+    isRecording.value = false;
+  }
+
+  /**
+   * Starts recording. Rejects when microphone access is denied.
+   */
+  async function start() {
+    if (isRecording.value) return;
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    chunks = [];
+    recorder = new MediaRecorder(stream);
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    stopped = new Promise((resolve) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || "audio/webm" }));
+    });
+
+    recorder.start();
+    isRecording.value = true;
+    elapsedSeconds.value = 0;
+    const startedAt = Date.now();
+    timer = setInterval(() => {
+      elapsedSeconds.value = Math.floor((Date.now() - startedAt) / 1000);
+      if (elapsedSeconds.value >= MAX_RECORDING_SECONDS) {
+        clearInterval(timer);
+        onMaxDuration?.();
+      }
+    }, 250);
+  }
+
+  /**
+   * Stops recording.
+   * @returns {Promise<Blob|null>} The recording, or null when nothing was recorded
+   */
+  async function stop() {
+    if (!recorder) return null;
+    if (recorder.state !== "inactive") recorder.stop();
+    const blob = await stopped;
+    recorder = null;
+    release();
+    return blob.size > 0 ? blob : null;
+  }
+
+  /**
+   * Stops recording and discards the audio.
+   */
+  function cancel() {
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+    recorder = null;
+    release();
+  }
+
+  onUnmounted(cancel);
+
+  return { isRecording, elapsedSeconds, isSupported, start, stop, cancel };
+}
@@ -0,0 +1,468 @@
+/**
+ * @file voiceMode.js
+ * @description Hands-free voice conversation. While voice mode is open the
+ * microphone stays on: voice-activity detection finds the end of each
+ * utterance, which is transcribed and sent as a message. The response is
+ * spoken sentence by sentence while it streams, then listening resumes.
+ * Speaking over a response stops playback and aborts the request.
+ */
+
+import { ref, watch, onUnmounted } from "vue";
+import { until } from "@vueuse/core";
+import { encodeWav, bytesToBase64, transcribeAudio } from "./voiceInput";
+import { createSpeechQueue, splitSentences } from "./readAloud";
+
+// RMS level that counts as speech, and the higher level needed to talk over
+// a response, so the assistant's own voice leaking into the mic is ignored
+export const SPEECH_THRESHOLD = 0.02;
+export const BARGE_IN_THRESHOLD = 0.06;
+
+// Speech must last this long to start an utterance, and silence this long to end it
+export const MIN_SPEECH_MS = 150;
+export const END_OF_SPEECH_MS = 900;
+
+// Utterances shorter than this are noise; longer ones are cut off and sent
+const MIN_UTTERANCE_SECONDS = 0.4;
+const MAX_UTTERANCE_SECONDS = 60;
+
+// Audio kept from just before speech is detected, so the first word isn't clipped
+const PRE_ROLL_SECONDS = 0.4;
+
+const WAV_SAMPLE_RATE = 16000;
+const FRAME_SIZE = 2048;
+
+// How long a parked session waits for the next page's overlay to pick it up
+const PARKED_SESSION_MS = 5000;
+
+const isVoiceModeOpen = ref(false);
+
+// Session of an overlay unmounted while voice mode stayed open: the first
+// message of a new chat moves it to the conversation's page, whose overlay
+// takes over the microphone instead of asking for it again
+let parkedSession = null;
+
+function releaseParkedSession() {
+  if (!parkedSession) return;
+  const { stream, context, processor, timer } = parkedSession;
+  parkedSession = null;
+  clearTimeout(timer);
+  processor.disconnect();
+  context.close();
+  stream.getTracks().forEach((track) => track.stop());
+}
+
+/**
+ * Whether the voice mode overlay is open, shared by the top bar and pages.
+ */
+export function useVoiceMode() {
+  return {
+    isVoiceModeOpen,
+    openVoiceMode: () => {
+      isVoiceModeOpen.value = true;
+    },
+    closeVoiceMode: () => {
+      isVoiceModeOpen.value = false;
+      releaseParkedSession();
+    },
+  };
+}
+
+/**
+ * Root mean square level of a frame of samples.
+ * @param {Float32Array} samples
+ * @returns {number}
+ */
+export function measureLevel(samples) {
+  if (samples.length === 0) return 0;
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Detects where speech starts and ends from a stream of frame levels.
+ * Short sounds below `minSpeechMs` don't start an utterance, and pauses
+ * shorter than `silenceMs` don't end one.
+ * @param {Object} [options]
+ * @param {number} [options.minSpeechMs=MIN_SPEECH_MS]
+ * @param {number} [options.silenceMs=END_OF_SPEECH_MS]
+ * @returns {{
+ *   update: (level: number, now: number, threshold?: number) => "start"|"end"|null,
+ *   reset: () => void,
+ * }}
+ */
+export function createVoiceActivityDetector({ minSpeechMs = MIN_SPEECH_MS, silenceMs = END_OF_SPEECH_MS } = {}) {
+  let speaking = false;
+  let loudSince = null;
+  let lastLoudAt = null;
+
+  return {
+    update(level, now, threshold = SPEECH_THRESHOLD) {
+      if (level >= threshold) {
+        loudSince ??= now;
+        lastLoudAt = now;
+        if (!speaking && now - loudSince >= minSpeechMs) {
+          speaking = true;
+          return "start";
+        }
+        return null;
+      }
+
+      if (speaking && now - lastLoudAt >= silenceMs) {
+        speaking = false;
+        loudSince = null;
+        return "end";
+      }
+      // A gap before speech is confirmed restarts the count
+      if (!speaking && lastLoudAt !== null && now - lastLoudAt >= minSpeechMs) {
+        loudSince = null;
+      }
+      return null;
+    },
+    reset() {
+      speaking = false;
+      loudSince = null;
+      lastLoudAt = null;
+    },
+  };
+}
+
+/**
+ * Resamples audio to a lower rate by averaging.
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+export function downsample(samples, fromRate, toRate) {
+  if (toRate >= fromRate) return samples;
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += samples[j];
+    output[i] = sum / Math.max(1, end - start);
+  }
+  return output;
+}
+
+/**
+ * Turns markdown into plain text for speech: code, math, images and link
+ * targets are dropped along with markup. Blocks still being streamed are
+ * dropped up to the end of the text.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToSpeech(markdown) {
+  return (markdown || "")
+    .replace(/^ {0,3}(```|~~~)[\s\S]*?(?:^ {0,3}\1[^\n]*$|(?![\s\S]))/gm, "\n")
+    .replace(/\$\$[\s\S]*?(?:\$\$|(?![\s\S]))/g, " ")
+    .replace(/\\\[[\s\S]*?(?:\\\]|(?![\s\S]))/g, " ")
+    .replace(/\\\([\s\S]*?(?:\\\)|(?![\s\S]))/g, " ")
+    .replace(/(^|[^\\$\w])\$(?=\S)[^$\n]*?\S\$(?!\w)/g, "$1 ")
+    .replace(/`[^`\n]*`/g, " ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^ {0,3}(?:[-*_] *){3,}$/gm, "")
+    .replace(/^ *\|?[ :-]*-[ :|-]*$/gm, "")
+    .replace(/^ {0,3}(?:#{1,6}|>+|[-*+]|\d+[.)])[ \t]+/gm, "")
+    .replace(/(\*\*|\*|~~)(?=\S)([^\n]*?\S)\1/g, "$2")
+    .replace(/(^|\W)(__?)(?=\S)([^\n]*?\S)\2(?!\w)/g, "$1$3")
+    .replace(/\|/g, " ");
+}
+
+/**
+ * Sentences of a streaming response that are ready to be spoken. The last
+ * sentence is held back until the response is complete, as it may still grow.
+ * @param {string} markdown - The response so far
+ * @param {number} spokenCount - Sentences already handed to speech
+ * @param {boolean} complete - Whether the response has finished
+ * @returns {string[]}
+ */
+export function takeReadySentences(markdown, spokenCount, complete) {
+  const sentences = splitSentences(markdownToSpeech(markdown));
+  const ready = complete ? sentences : sentences.slice(0, -1);
+  return ready.slice(spokenCount).map((sentence) => sentence.text);
+}
+
+// Visible text of an assistant message
+function responseText(message) {
+  if (message.parts?.length) {
+    return message.parts.filter((part) => part.type === "content").map((part) => part.content).join("\n\n");
+  }
+  return message.content || "";
+}
+
+function concatFrames(frames) {
+  const total = frames.reduce((sum, frame) => sum + frame.length, 0);
+  const samples = new Float32Array(total);
+  let offset = 0;
+  for (const frame of frames) {
+    samples.set(frame, offset);
+    offset += frame.length;
+  }
+  return samples;
+}
+
+/**
+ * Runs the listen → transcribe → send → speak loop while mounted. When the
+ * component unmounts with voice mode still open, the microphone and the
+ * pending reply are handed to the next one to start.
+ * @param {Object} options
+ * @param {() => Array} options.messages - Visible messages of the chat
+ * @param {() => boolean} options.isLoading - Whether a response is in flight
+ * @param {() => Object} options.settings - User settings
+ * @param {(text: string) => void} options.send - Sends a transcribed utterance
+ * @param {() => void} options.abort - Aborts the response in flight
+ * @returns {{
+ *   state: import('vue').Ref<"idle"|"listening"|"hearing"|"transcribing"|"thinking"|"speaking">,
+ *   level: import('vue').Ref<number>,
+ *   heard: import('vue').Ref<string>,
+ *   error: import('vue').Ref<string|null>,
+ *   start: () => Promise<void>,
+ *   stop: () => void,
+ *   interrupt: () => void,
+ * }}
+ */
+export function useVoiceConversation({ messages, isLoading, settings, send, abort }) {
+  const state = ref("idle");
+  const level = ref(0);
+  const heard = ref("");
+  const error = ref(null);
+
+  const detector = createVoiceActivityDetector();
+  let stream = null;
+  let context = null;
+  let processor = null;
+  let preRoll = [];
+  let utterance = null;
+  let utteranceLength = 0;
+
+  // The response being spoken
+  let queue = null;
+  let respondingId = null;
+  let spokenCount = 0;
+  let awaitingResponse = false;
+  const ignoredIds = new Set();
+
+  const isResponding = () => state.value === "thinking" || state.value === "speaking";
+
+  function handleFrame(input, sampleRate) {
+    const frame = new Float32Array(input);
+    level.value = measureLevel(frame);
+
+    if (utterance) {
+      utterance.push(frame);
+      utteranceLength += frame.length;
+    } else {
+      preRoll.push(frame);
+      while (preRoll.length * FRAME_SIZE > PRE_ROLL_SECONDS * sampleRate) preRoll.shift();
+    }
+
+    if (state.value === "transcribing" || state.value === "idle") return;
+
+    const event = detector.update(level.value, performance.now(), isResponding() ? BARGE_IN_THRESHOLD : SPEECH_THRESHOLD);
+    if (event === "start") {
+      if (isResponding()) interrupt();
+      state.value = "hearing";
+      utterance = preRoll;
+      utteranceLength = preRoll.reduce((sum, f) => sum + f.length, 0);
+      preRoll = [];
+    } else if (utterance && (event === "end" || utteranceLength > MAX_UTTERANCE_SECONDS * sampleRate)) {
+      const samples = concatFrames(utterance);
+      utterance = null;
+      detector.reset();
+      finishUtterance(samples, sampleRate);
+    }
+  }
+
+  async function finishUtterance(samples, sampleRate) {
+    if (samples.length < MIN_UTTERANCE_SECONDS * sampleRate) {
+      state.value = "listening";
+      return;
+    }
+
+    state.value = "transcribing";
+    try {
+      const wav = encodeWav(downsample(samples, sampleRate, WAV_SAMPLE_RATE), WAV_SAMPLE_RATE);
+      const text = await transcribeAudio(bytesToBase64(wav), settings());
+      if (state.value !== "transcribing") return;
+      if (!text) {
+        state.value = "listening";
+        return;
+      }
+
+      heard.value = text;
+      error.value = null;
+      // An interrupted response may still be winding down
+      await until(isLoading).toBe(false, { timeout: 5000 });
+      if (state.value !== "transcribing") return;
+
+      for (const message of messages()) {
+        if (message.role === "assistant") ignoredIds.add(message.id);
+      }
+      awaitingResponse = true;
+      state.value = "thinking";
+      send(text);
+    } catch (err) {
+      if (state.value !== "transcribing") return;
+      error.value = `Transcription failed: ${err.message}`;
+      state.value = "listening";
+    }
+  }
+
+  /**
+   * Stops the response being spoken and aborts its request.
+   */
+  function interrupt() {
+    queue?.stop();
+    queue = null;
+    if (respondingId) ignoredIds.add(respondingId);
+    respondingId = null;
+    awaitingResponse = false;
+    if (isLoading()) abort();
+    state.value = "listening";
+  }
+
+  function speakResponse(message) {
+    if (respondingId !== message.id) {
+      queue?.stop();
+      queue = createSpeechQueue(settings());
+      respondingId = message.id;
+      spokenCount = 0;
+      awaitingResponse = false;
+      state.value = "thinking";
+    }
+
+    const current = queue;
+    for (const sentence of takeReadySentences(responseText(message), spokenCount, message.complete)) {
+      current.enqueue(sentence, () => {
+        if (queue === current) state.value = "speaking";
+      });
+      spokenCount++;
+    }
+
+    if (message.complete) {
+      ignoredIds.add(message.id);
+      current.finish();
+      current.done
+        .catch((err) => {
+          if (queue === current) error.value = `Speech failed: ${err.message}`;
+        })
+        .finally(() => {
+          if (queue !== current) return;
+          queue = null;
+          respondingId = null;
+          state.value = "listening";
+        });
+    }
+  }
+
+  // Speak the newest assistant message: one that streams while voice mode
+  // is open, or the reply to an utterance just sent
+  watch(
+    () => {
+      const list = messages() || [];
+      const last = list[list.length - 1];
+      return last?.role === "assistant" ? [last, last.complete, responseText(last)] : null;
+    },
+    (current) => {
+      if (!current || state.value === "idle") return;
+      const [message] = current;
+      if (message.id === respondingId || (!ignoredIds.has(message.id) && (!message.complete || awaitingResponse))) {
+        speakResponse(message);
+      }
+    }
+  );
+
+  /**
+   * Opens the microphone and starts listening, or takes over a parked
+   * session, still waiting for the reply to its last utterance.
+   * @throws {Error} When microphone access is denied
+   */
+  async function start() {
+    if (state.value !== "idle") return;
+    error.value = null;
+    for (const message of messages() || []) {
+      if (message.role === "assistant" && message.complete) ignoredIds.add(message.id);
+    }
+
+    const parked = parkedSession;
+    if (parked) {
+      parkedSession = null;
+      clearTimeout(parked.timer);
+      ({ stream, context, processor } = parked);
+      heard.value = parked.heard;
+      awaitingResponse = parked.awaitingResponse;
+    } else {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+      });
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      context = new AudioContextClass();
+      const source = context.createMediaStreamSource(stream);
+      // ScriptProcessorNode is deprecated but, unlike an AudioWorklet, needs no separate module
+      processor = context.createScriptProcessor(FRAME_SIZE, 1, 1);
+      source.connect(processor);
+      processor.connect(context.destination);
+    }
+    const currentContext = context;
+    processor.onaudioprocess = (event) => handleFrame(event.inputBuffer.getChannelData(0), currentContext.sampleRate);
+
+    detector.reset();
+    state.value = awaitingResponse ? "thinking" : "listening";
+  }
+
+  /**
+   * Leaves the microphone and the reply being waited for to the next
+   * component that starts, releasing them if none does soon.
+   */
+  function park() {
+    queue?.stop();
+    queue = null;
+    processor.onaudioprocess = null;
+    releaseParkedSession();
+    parkedSession = {
+      stream,
+      context,
+      processor,
+      heard: heard.value,
+      awaitingResponse,
+      timer: setTimeout(releaseParkedSession, PARKED_SESSION_MS),
+    };
+    stream = null;
+    context = null;
+    processor = null;
+    stop();
+  }
+
+  /**
+   * Stops listening and speaking and releases the microphone.
+   */
+  function stop() {
+    // The response keeps streaming into the chat; only its speech stops
+    queue?.stop();
+    queue = null;
+    respondingId = null;
+    awaitingResponse = false;
+    state.value = "idle";
+    processor?.disconnect();
+    processor = null;
+    context?.close();
+    context = null;
+    stream?.getTracks().forEach((track) => track.stop());
+    stream = null;
+    preRoll = [];
+    utterance = null;
+    level.value = 0;
+  }
+
+  onUnmounted(() => {
+    if (isVoiceModeOpen.value && stream) park();
+    else stop();
+  });
+
+  return { state, level, heard, error, start, stop, interrupt };
+}
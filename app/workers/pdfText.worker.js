@@ -0,0 +1,17 @@
+/**
+ * @file pdfText.worker.js
+ * @description Extracts the text of a PDF off the main thread for
+ * readPdfText and readPdfPages. Receives the file or its data URL and
+ * replies with `{ text, pages }`, or `{ error }` when the PDF can't be read.
+ */
+
+import { extractPdfText, formatPdfPages, toPdfBytes } from "../composables/pdfText";
+
+self.onmessage = (event) => {
+  try {
+    const { pages } = extractPdfText(toPdfBytes(event.data));
+    self.postMessage({ text: formatPdfPages(pages), pages });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
@@ -77,6 +77,16 @@ export default defineNuxtConfig({
     // Private config that only the server can access
     hackclubSearchApiKey: '',
     sessionSecret: '',
+    // Extra providers, keyed by id: { name, baseURL, api?, searchBaseURL?, authScheme?, authHeader?, apiKey? }
+    providers: {},
+    defaultProviderId: 'hackclub',
+    // Whether users may route requests to their own provider base URLs
+    allowUserProviders: true,
+    // Whether user-defined HTTP tools and MCP servers may be used, and whether they may reach private network hosts
+    allowCustomTools: true,
+    allowPrivateToolHosts: false,
+    // How long search and page-contents results are cached; 0 disables the cache
+    resultCacheTtlSeconds: 3600,
     // Public config that is exposed to the client
     public: {}
   }
@@ -1,5 +1,13 @@
 import { defineEventHandler, readBody } from 'h3';
-import OpenAI from 'openai';
+import {
+  resolveProvider,
+  resolveApiKey,
+  isMissingApiKey,
+  createOpenAIClient,
+  readProviderSelection,
+} from '../utils/providers';
+import { getAdapter, collectCompletion } from '../utils/adapters';
+import { createStreamBuffer, appendStreamEvent, finishStream } from '../utils/streamBuffer';
 
 export default defineEventHandler(async (event) => {
   const body = await readBody(event);
@@ -8,8 +16,31 @@ export default defineEventHandler(async (event) => {
   const customApiKey = body.customApiKey;
   delete body.customApiKey; // Remove from body before passing to OpenAI
 
+  // Resolve which provider this request is routed to
+  const { provider, error: providerError } = await resolveProvider(
+    useRuntimeConfig(event),
+    readProviderSelection(event, body),
+  );
+  delete body.providerId;
+  delete body.customProvider;
+
+  if (providerError) {
+    event.node.res.statusCode = providerError.code;
+    event.node.res.setHeader('Content-Type', 'application/json');
+    event.node.res.end(JSON.stringify({
+      error: {
+        type: 'invalid_request_error',
+        message: providerError.message,
+        code: providerError.code
+      }
+    }));
+    return;
+  }
+
+  const apiKey = resolveApiKey(provider, customApiKey);
+
   // Require user to provide their own API key
-  if (!customApiKey) {
+  if (isMissingApiKey(provider, apiKey)) {
     event.node.res.statusCode = 401;
     event.node.res.setHeader('Content-Type', 'application/json');
     event.node.res.end(JSON.stringify({
@@ -22,12 +53,25 @@ export default defineEventHandler(async (event) => {
     return;
   }
 
-  const apiKey = customApiKey;
+  // Native APIs (Anthropic, Gemini) are translated to and from chat-completions
+  const adapter = getAdapter(provider);
+  const openai = adapter ? null : createOpenAIClient(provider, apiKey);
 
-  const openai = new OpenAI({
-    apiKey: apiKey || '',
-    baseURL: 'https://ai.hackclub.com/proxy/v1'
-  });
+  // Streams run into a resumable buffer and keep going if the client drops;
+  // they are stopped through /api/ai/cancel instead
+  const streamBuffer = body.stream === false ? null : createStreamBuffer();
+  const upstream = streamBuffer ? streamBuffer.controller : new AbortController();
+  if (!streamBuffer) {
+    event.node.res.on('close', () => upstream.abort());
+  }
+
+  // Writes to the client while it is connected; the buffer keeps every event
+  const emit = (line) => {
+    if (streamBuffer) appendStreamEvent(streamBuffer, line);
+    if (!event.node.res.writableEnded && !event.node.res.destroyed) {
+      event.node.res.write(line);
+    }
+  };
 
   try {
     const {
@@ -44,10 +88,12 @@ export default defineEventHandler(async (event) => {
     };
 
     if (!stream) {
-      const completion = await openai.chat.completions.create({
-        ...completionParams,
-        stream: false,
-      });
+      const completion = adapter
+        ? await collectCompletion(await adapter({ provider, apiKey, body: completionParams, signal: upstream.signal }))
+        : await openai.chat.completions.create({
+          ...completionParams,
+          stream: false,
+        }, { signal: upstream.signal });
 
       event.node.res.setHeader('Content-Type', 'application/json');
       event.node.res.end(JSON.stringify(completion));
@@ -55,24 +101,35 @@ export default defineEventHandler(async (event) => {
     }
 
     // Streaming branch
-    const streamResp = await openai.chat.completions.create({
-      ...completionParams,
-      stream: true,
-    });
+    const streamResp = adapter
+      ? await adapter({ provider, apiKey, body: completionParams, signal: upstream.signal })
+      : await openai.chat.completions.create({
+        ...completionParams,
+        stream: true,
+      }, { signal: upstream.signal });
 
     event.node.res.setHeader('Content-Type', 'text/plain; charset=utf-8');
     event.node.res.setHeader('Cache-Control', 'no-cache');
     event.node.res.setHeader('Connection', 'keep-alive');
     event.node.res.setHeader('Transfer-Encoding', 'chunked');
+    event.node.res.setHeader('X-Stream-Id', streamBuffer.id);
 
     for await (const chunk of streamResp) {
-      event.node.res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      emit(`data: ${JSON.stringify(chunk)}\n\n`);
     }
 
-    event.node.res.write('data: [DONE]\n\n');
+    emit('data: [DONE]\n\n');
+    if (streamBuffer) finishStream(streamBuffer);
     event.node.res.end();
 
   } catch (error) {
+    // Cancelled by the client; nothing left to report to
+    if (upstream.signal.aborted) {
+      if (streamBuffer) finishStream(streamBuffer);
+      if (!event.node.res.writableEnded) event.node.res.end();
+      return;
+    }
+
     console.error('Error creating chat completion:', error);
 
     if (body.stream === false) {
@@ -86,9 +143,13 @@ export default defineEventHandler(async (event) => {
         }
       }));
     } else {
-      event.node.res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      event.node.res.setHeader('Cache-Control', 'no-cache');
-      event.node.res.setHeader('Connection', 'keep-alive');
+      // Adapter streams can fail after the response has started
+      if (!event.node.res.headersSent) {
+        event.node.res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        event.node.res.setHeader('Cache-Control', 'no-cache');
+        event.node.res.setHeader('Connection', 'keep-alive');
+        event.node.res.setHeader('X-Stream-Id', streamBuffer.id);
+      }
 
       const errorChunk = {
         error: {
@@ -98,9 +159,10 @@ export default defineEventHandler(async (event) => {
         }
       };
 
-      event.node.res.write(`data: ${JSON.stringify(errorChunk)}\n\n`);
-      event.node.res.write('data: [DONE]\n\n');
-      event.node.res.end();
+      emit(`data: ${JSON.stringify(errorChunk)}\n\n`);
+      emit('data: [DONE]\n\n');
+      finishStream(streamBuffer);
+      if (!event.node.res.writableEnded) event.node.res.end();
     }
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,14 @@
+import { defineEventHandler, readBody } from 'h3';
+import { cancelStream } from '../../utils/streamBuffer';
+
+/**
+ * Stops the upstream request behind a buffered /api/ai stream. Streams keep
+ * running when the client disconnects so they can be resumed, so an explicit
+ * stop from the user has to be sent here.
+ */
+export default defineEventHandler(async (event) => {
+  const body = await readBody(event);
+  const cancelled = cancelStream(body?.streamId);
+
+  return { cancelled };
+});
@@ -0,0 +1,60 @@
+import { defineEventHandler, getQuery } from 'h3';
+import { getStreamBuffer, subscribeToStream } from '../../utils/streamBuffer';
+
+/**
+ * Replays a buffered /api/ai stream from `offset` (the number of events the
+ * client already received), then follows it live until it finishes.
+ */
+export default defineEventHandler(async (event) => {
+  const { id, offset = 0 } = getQuery(event);
+  const record = getStreamBuffer(id);
+
+  if (!record) {
+    event.node.res.statusCode = 404;
+    event.node.res.setHeader('Content-Type', 'application/json');
+    event.node.res.end(JSON.stringify({
+      error: {
+        type: 'not_found_error',
+        message: 'Stream not found or expired.',
+        code: 404
+      }
+    }));
+    return;
+  }
+
+  const start = Math.max(0, Number.parseInt(offset, 10) || 0);
+
+  event.node.res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  event.node.res.setHeader('Cache-Control', 'no-cache');
+  event.node.res.setHeader('Connection', 'keep-alive');
+  event.node.res.setHeader('Transfer-Encoding', 'chunked');
+  event.node.res.setHeader('X-Stream-Id', record.id);
+
+  for (const line of record.events.slice(start)) {
+    event.node.res.write(line);
+  }
+
+  if (record.done) {
+    event.node.res.end();
+    return;
+  }
+
+  // Follow the live stream until it finishes or the client leaves
+  await new Promise((resolve) => {
+    const unsubscribe = subscribeToStream(record, (line) => {
+      if (line === null) {
+        unsubscribe();
+        resolve();
+        return;
+      }
+      event.node.res.write(line);
+    });
+
+    event.node.res.on('close', () => {
+      unsubscribe();
+      resolve();
+    });
+  });
+
+  if (!event.node.res.writableEnded) event.node.res.end();
+});
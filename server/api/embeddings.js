@@ -1,5 +1,11 @@
 import { defineEventHandler, readBody } from 'h3';
-import OpenAI from 'openai';
+import {
+    resolveProvider,
+    resolveApiKey,
+    isMissingApiKey,
+    createOpenAIClient,
+    readProviderSelection,
+} from '../utils/providers';
 
 /**
  * Quantizes a float embedding vector to binary (0 or 1).
@@ -23,8 +29,42 @@ export default defineEventHandler(async (event) => {
     const customApiKey = body.customApiKey;
     delete body.customApiKey;
 
+    // Resolve which provider this request is routed to
+    const { provider, error: providerError } = await resolveProvider(
+        useRuntimeConfig(event),
+        readProviderSelection(event, body),
+    );
+
+    if (providerError) {
+        event.node.res.statusCode = providerError.code;
+        event.node.res.setHeader('Content-Type', 'application/json');
+        event.node.res.end(JSON.stringify({
+            error: {
+                type: 'invalid_request_error',
+                message: providerError.message,
+                code: providerError.code
+            }
+        }));
+        return;
+    }
+
+    if (provider.api !== 'openai') {
+        event.node.res.statusCode = 400;
+        event.node.res.setHeader('Content-Type', 'application/json');
+        event.node.res.end(JSON.stringify({
+            error: {
+                type: 'invalid_request_error',
+                message: `Provider '${provider.name}' does not support embeddings.`,
+                code: 400
+            }
+        }));
+        return;
+    }
+
+    const apiKey = resolveApiKey(provider, customApiKey);
+
     // Require user to provide their own API key
-    if (!customApiKey) {
+    if (isMissingApiKey(provider, apiKey)) {
         event.node.res.statusCode = 401;
         event.node.res.setHeader('Content-Type', 'application/json');
         event.node.res.end(JSON.stringify({
@@ -37,12 +77,7 @@ export default defineEventHandler(async (event) => {
         return;
     }
 
-    const apiKey = customApiKey;
-
-    const openai = new OpenAI({
-        apiKey: apiKey || '',
-        baseURL: 'https://ai.hackclub.com/proxy/v1'
-    });
+    const openai = createOpenAIClient(provider, apiKey);
 
     try {
         const { input, model = "qwen/qwen3-embedding-8b" } = body;
@@ -66,13 +101,12 @@ export default defineEventHandler(async (event) => {
             dimensions: 768, // Use 768 dimensions for optimal balance of quality and size
         });
 
-        // Quantize the embedding to binary format
-        if (response.data && response.data[0] && response.data[0].embedding) {
-            const floatEmbedding = response.data[0].embedding;
-            const binaryEmbedding = quantizeToBinary(floatEmbedding);
-
-            // Replace the float embedding with binary quantized version
-            response.data[0].embedding = binaryEmbedding;
+        // Quantize each embedding to binary format (input may be a batch)
+        for (const item of response.data || []) {
+            if (item && item.embedding) {
+                // Replace the float embedding with binary quantized version
+                item.embedding = quantizeToBinary(item.embedding);
+            }
         }
 
         event.node.res.setHeader('Content-Type', 'application/json');
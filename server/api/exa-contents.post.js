@@ -1,12 +1,46 @@
 import { defineEventHandler, readBody, getHeader } from 'h3';
+import {
+    resolveProvider,
+    resolveApiKey,
+    isMissingApiKey,
+    buildAuthHeaders,
+    readProviderSelection,
+} from '../utils/providers';
+import {
+    pageContentsCache,
+    normalizeUrl,
+    cacheScope,
+    resultCacheTtlMs,
+} from '../utils/resultCache';
 
 export default defineEventHandler(async (event) => {
     const body = await readBody(event);
-    
+    const config = useRuntimeConfig(event);
+
+    // Resolve which provider's Exa-compatible endpoint to call
+    const { provider, error: providerError } = await resolveProvider(
+        config,
+        readProviderSelection(event),
+    );
+
+    if (providerError) {
+        throw createError({
+            statusCode: providerError.code,
+            statusMessage: providerError.message
+        });
+    }
+
+    if (!provider.searchBaseURL) {
+        throw createError({
+            statusCode: 400,
+            statusMessage: `Provider '${provider.name}' does not support web search.`
+        });
+    }
+
     // Get API key from header
-    const apiKey = getHeader(event, 'x-api-key');
+    const apiKey = resolveApiKey(provider, getHeader(event, 'x-api-key'));
     
-    if (!apiKey) {
+    if (isMissingApiKey(provider, apiKey)) {
         throw createError({
             statusCode: 401,
             statusMessage: 'API key is required in X-API-Key header.'
@@ -25,15 +59,32 @@ export default defineEventHandler(async (event) => {
     // Limit to 10 URLs max
     const limitedUrls = urls.slice(0, 10);
 
+    // Pages fetched recently are served from the cache; only the rest are requested
+    const scope = cacheScope(provider, apiKey);
+    const cacheKeyFor = (url) => `${scope}:${normalizeUrl(url)}`;
+    const cachedPages = new Map();
+    for (const url of limitedUrls) {
+        const page = pageContentsCache.get(cacheKeyFor(url));
+        if (page) cachedPages.set(url, page);
+    }
+    const missingUrls = limitedUrls.filter((url) => !cachedPages.has(url));
+
+    if (missingUrls.length === 0) {
+        return {
+            results: limitedUrls.map((url) => cachedPages.get(url)),
+            cached: true
+        };
+    }
+
     try {
-        const response = await fetch('https://ai.hackclub.com/proxy/v1/exa/contents', {
+        const response = await fetch(`${provider.searchBaseURL}/contents`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
+                ...buildAuthHeaders(provider, apiKey)
             },
             body: JSON.stringify({
-                urls: limitedUrls
+                urls: missingUrls
             })
         });
 
@@ -47,13 +98,28 @@ export default defineEventHandler(async (event) => {
         const data = await response.json();
         
         // Transform Exa API response to match expected format
+        const fetched = data.results?.map(r => ({
+            url: r.url || '',
+            title: r.title || '',
+            content: r.text || '',
+            publishedDate: r.publishedDate || null
+        })) || [];
+
+        // Cache each page under the URL it was requested with
+        const ttlMs = resultCacheTtlMs(config);
+        for (const page of fetched) {
+            const requestedUrl = missingUrls.find((url) => normalizeUrl(url) === normalizeUrl(page.url));
+            if (requestedUrl) {
+                pageContentsCache.set(cacheKeyFor(requestedUrl), page, ttlMs);
+                cachedPages.set(requestedUrl, page);
+            }
+        }
+
+        // Keep the requested order; pages the API returned under another URL go last
+        const ordered = limitedUrls.map((url) => cachedPages.get(url)).filter(Boolean);
+        const unmatched = fetched.filter((page) => !ordered.includes(page));
         return {
-            results: data.results?.map(r => ({
-                url: r.url || '',
-                title: r.title || '',
-                content: r.text || '',
-                publishedDate: r.publishedDate || null
-            })) || []
+            results: [...ordered, ...unmatched]
         };
 
     } catch (error) {
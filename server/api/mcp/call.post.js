@@ -0,0 +1,38 @@
+import { defineEventHandler } from 'h3';
+import { withMcpClient } from '../../utils/mcpClient';
+import { readMcpRequest } from '../../utils/mcpRequest';
+import { isPrivateHostError } from '../../utils/toolProxy';
+
+// Requests the client may forward; everything else stays server-side
+const ALLOWED_METHODS = new Set(['tools/call', 'resources/read', 'prompts/get']);
+
+/**
+ * Invokes an MCP tool, reads a resource or renders a prompt.
+ */
+export default defineEventHandler(async (event) => {
+    const { body, server, fetch } = await readMcpRequest(event);
+
+    if (!ALLOWED_METHODS.has(body.method)) {
+        throw createError({
+            statusCode: 400,
+            statusMessage: `Unsupported MCP method '${body.method}'.`
+        });
+    }
+
+    try {
+        return await withMcpClient(server, (client) => client.request(body.method, body.params || {}), { fetch });
+    } catch (error) {
+        if (isPrivateHostError(error)) {
+            throw createError({
+                statusCode: 403,
+                statusMessage: 'MCP servers on private network hosts are not allowed.'
+            });
+        }
+
+        console.error('MCP call error:', error);
+        throw createError({
+            statusCode: error.name === 'McpError' && error.code !== undefined && error.code < 0 ? 422 : 502,
+            statusMessage: `MCP request failed: ${error.message}`
+        });
+    }
+});
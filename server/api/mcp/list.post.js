@@ -0,0 +1,28 @@
+import { defineEventHandler } from 'h3';
+import { withMcpClient, listMcpCapabilities } from '../../utils/mcpClient';
+import { readMcpRequest } from '../../utils/mcpRequest';
+import { isPrivateHostError } from '../../utils/toolProxy';
+
+/**
+ * Lists an MCP server's tools, resources and prompts.
+ */
+export default defineEventHandler(async (event) => {
+    const { server, fetch } = await readMcpRequest(event);
+
+    try {
+        return await withMcpClient(server, listMcpCapabilities, { fetch });
+    } catch (error) {
+        if (isPrivateHostError(error)) {
+            throw createError({
+                statusCode: 403,
+                statusMessage: 'MCP servers on private network hosts are not allowed.'
+            });
+        }
+
+        console.error('MCP list error:', error);
+        throw createError({
+            statusCode: 502,
+            statusMessage: `Could not reach MCP server: ${error.message}`
+        });
+    }
+});
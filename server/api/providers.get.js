@@ -0,0 +1,12 @@
+import { defineEventHandler } from "h3";
+import { listPublicProviders, DEFAULT_PROVIDER_ID } from "../utils/providers";
+
+export default defineEventHandler((event) => {
+  const config = useRuntimeConfig(event);
+
+  return {
+    providers: listPublicProviders(config),
+    defaultProviderId: config.defaultProviderId || DEFAULT_PROVIDER_ID,
+    allowUserProviders: config.allowUserProviders !== false && config.allowUserProviders !== "false",
+  };
+});
@@ -1,12 +1,46 @@
 import { defineEventHandler, getQuery, getHeader } from 'h3';
+import {
+    resolveProvider,
+    resolveApiKey,
+    isMissingApiKey,
+    buildAuthHeaders,
+    readProviderSelection,
+} from '../utils/providers';
+import {
+    searchResultCache,
+    normalizeSearchQuery,
+    cacheScope,
+    resultCacheTtlMs,
+} from '../utils/resultCache';
 
 export default defineEventHandler(async (event) => {
     const query = getQuery(event);
-    
+    const config = useRuntimeConfig(event);
+
+    // Resolve which provider's Exa-compatible endpoint to call
+    const { provider, error: providerError } = await resolveProvider(
+        config,
+        readProviderSelection(event),
+    );
+
+    if (providerError) {
+        throw createError({
+            statusCode: providerError.code,
+            statusMessage: providerError.message
+        });
+    }
+
+    if (!provider.searchBaseURL) {
+        throw createError({
+            statusCode: 400,
+            statusMessage: `Provider '${provider.name}' does not support web search.`
+        });
+    }
+
     // Get API key from header
-    const apiKey = getHeader(event, 'x-api-key');
+    const apiKey = resolveApiKey(provider, getHeader(event, 'x-api-key'));
     
-    if (!apiKey) {
+    if (isMissingApiKey(provider, apiKey)) {
         throw createError({
             statusCode: 401,
             statusMessage: 'API key is required in X-API-Key header.'
@@ -22,16 +56,25 @@ export default defineEventHandler(async (event) => {
         });
     }
 
+    const resultCount = Math.min(parseInt(numResults) || 5, 10);
+
+    // Reuse a recent identical search instead of spending quota on it again
+    const cacheKey = `${cacheScope(provider, apiKey)}:${resultCount}:${normalizeSearchQuery(q)}`;
+    const cached = searchResultCache.get(cacheKey);
+    if (cached) {
+        return { ...cached, query: q, cached: true };
+    }
+
     try {
-        const response = await fetch('https://ai.hackclub.com/proxy/v1/exa/search', {
+        const response = await fetch(`${provider.searchBaseURL}/search`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
+                ...buildAuthHeaders(provider, apiKey)
             },
             body: JSON.stringify({
                 query: q,
-                numResults: Math.min(parseInt(numResults) || 5, 10),
+                numResults: resultCount,
                 contents: {
                     highlights: true
                 }
@@ -48,7 +91,7 @@ export default defineEventHandler(async (event) => {
         const data = await response.json();
         
         // Transform Exa API response to match expected format
-        return {
+        const result = {
             results: data.results?.map(r => ({
                 title: r.title || '',
                 url: r.url || '',
@@ -59,6 +102,8 @@ export default defineEventHandler(async (event) => {
             })) || [],
             query: q
         };
+        searchResultCache.set(cacheKey, result, resultCacheTtlMs(config));
+        return result;
 
     } catch (error) {
         console.error('Exa Search API Error:', error);
@@ -0,0 +1,99 @@
+import { defineEventHandler, readBody } from 'h3';
+import {
+    resolveProvider,
+    resolveApiKey,
+    isMissingApiKey,
+    createOpenAIClient,
+    readProviderSelection,
+} from '../utils/providers';
+
+const DEFAULT_SPEECH_MODEL = 'tts-1';
+const DEFAULT_SPEECH_VOICE = 'alloy';
+
+// Longest input accepted by OpenAI-compatible speech endpoints
+const MAX_INPUT_LENGTH = 4096;
+
+function sendError(event, code, type, message) {
+    event.node.res.statusCode = code;
+    event.node.res.setHeader('Content-Type', 'application/json');
+    event.node.res.end(JSON.stringify({ error: { type, message, code } }));
+}
+
+/**
+ * Reads text aloud through the selected OpenAI-compatible provider's
+ * `/audio/speech` endpoint.
+ *
+ * Body: { input, model?, voice?, providerId?, customProvider?, customApiKey? }
+ * Response: MP3 audio
+ */
+export default defineEventHandler(async (event) => {
+    const body = await readBody(event);
+
+    // Extract custom API key from body (user-provided)
+    const customApiKey = body.customApiKey;
+    delete body.customApiKey;
+
+    // Resolve which provider this request is routed to
+    const { provider, error: providerError } = await resolveProvider(
+        useRuntimeConfig(event),
+        readProviderSelection(event, body),
+    );
+
+    if (providerError) {
+        sendError(event, providerError.code, 'invalid_request_error', providerError.message);
+        return;
+    }
+
+    if (provider.api !== 'openai') {
+        sendError(event, 400, 'invalid_request_error', `Provider '${provider.name}' does not support speech.`);
+        return;
+    }
+
+    const apiKey = resolveApiKey(provider, customApiKey);
+
+    // Require user to provide their own API key
+    if (isMissingApiKey(provider, apiKey)) {
+        sendError(event, 401, 'authentication_error', 'API key is required. Please add your own API key in settings.');
+        return;
+    }
+
+    const { input, model = DEFAULT_SPEECH_MODEL, voice = DEFAULT_SPEECH_VOICE } = body;
+
+    if (typeof input !== 'string' || !input.trim()) {
+        sendError(event, 400, 'invalid_request_error', 'Input text is required');
+        return;
+    }
+
+    if (input.length > MAX_INPUT_LENGTH) {
+        sendError(event, 413, 'invalid_request_error', `Input is longer than ${MAX_INPUT_LENGTH} characters.`);
+        return;
+    }
+
+    const openai = createOpenAIClient(provider, apiKey);
+
+    try {
+        const speech = await openai.audio.speech.create({
+            model,
+            voice,
+            input,
+            response_format: 'mp3',
+        });
+        const audio = Buffer.from(await speech.arrayBuffer());
+
+        event.node.res.setHeader('Content-Type', 'audio/mpeg');
+        event.node.res.setHeader('Content-Length', audio.length);
+        event.node.res.end(audio);
+
+    } catch (error) {
+        console.error('Error generating speech:', error);
+        event.node.res.setHeader('Content-Type', 'application/json');
+        event.node.res.statusCode = 500;
+        event.node.res.end(JSON.stringify({
+            error: {
+                type: error.type || 'api_error',
+                message: error.message || 'Failed to generate speech',
+                code: error.status || 500
+            }
+        }));
+    }
+});
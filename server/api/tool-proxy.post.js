@@ -0,0 +1,93 @@
+import { defineEventHandler, readBody } from 'h3';
+import {
+    TOOL_PROXY_TIMEOUT_MS,
+    normalizeToolRequest,
+    isPrivateHost,
+    isPrivateHostError,
+    fetchPublic,
+    readToolResponse,
+} from '../utils/toolProxy';
+
+const MAX_REDIRECTS = 3;
+
+/**
+ * Forwards a user-defined tool's HTTP request, so tools can call APIs that
+ * don't allow browser CORS. Requests to private networks are refused unless
+ * the server allows them.
+ */
+export default defineEventHandler(async (event) => {
+    const config = useRuntimeConfig(event);
+
+    if (config.allowCustomTools === false || config.allowCustomTools === 'false') {
+        throw createError({
+            statusCode: 403,
+            statusMessage: 'Custom tools are disabled on this server.'
+        });
+    }
+
+    const { request, error } = normalizeToolRequest(await readBody(event));
+    if (error) {
+        throw createError({
+            statusCode: 400,
+            statusMessage: error
+        });
+    }
+
+    const allowPrivate = config.allowPrivateToolHosts === true || config.allowPrivateToolHosts === 'true';
+
+    try {
+        let url = request.url;
+        let response;
+
+        // Redirects are followed by hand so each hop is checked
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            if (!allowPrivate && await isPrivateHost(url.hostname)) {
+                throw createError({
+                    statusCode: 403,
+                    statusMessage: `Tool requests to private network hosts are not allowed (${url.hostname}).`
+                });
+            }
+
+            // fetchPublic connects only to the addresses it checked, so the
+            // name can't be rebound to a private address after the check above
+            response = await (allowPrivate ? fetch : fetchPublic)(url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(TOOL_PROXY_TIMEOUT_MS)
+            });
+
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) break;
+            url = new URL(location, url);
+        }
+
+        const { body, truncated } = await readToolResponse(response);
+
+        return {
+            status: response.status,
+            ok: response.ok,
+            contentType: response.headers.get('content-type') || null,
+            body,
+            truncated
+        };
+
+    } catch (error) {
+        if (error.statusCode) throw error;
+        if (isPrivateHostError(error)) {
+            throw createError({
+                statusCode: 403,
+                statusMessage: 'Tool requests to private network hosts are not allowed.'
+            });
+        }
+
+        console.error('Tool proxy error:', error);
+        throw createError({
+            statusCode: error.name === 'TimeoutError' ? 504 : 502,
+            statusMessage: error.name === 'TimeoutError'
+                ? 'Tool request timed out.'
+                : `Tool request failed: ${error.message}`
+        });
+    }
+});
@@ -0,0 +1,105 @@
+import { defineEventHandler, readBody } from 'h3';
+import { toFile } from 'openai';
+import {
+    resolveProvider,
+    resolveApiKey,
+    isMissingApiKey,
+    createOpenAIClient,
+    readProviderSelection,
+} from '../utils/providers';
+
+const DEFAULT_TRANSCRIPTION_MODEL = 'whisper-1';
+
+// Audio formats accepted by OpenAI-compatible transcription endpoints
+const AUDIO_FORMATS = ['wav', 'mp3', 'm4a', 'webm', 'ogg', 'flac'];
+
+// Largest decoded recording accepted, in bytes
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+function sendError(event, code, type, message) {
+    event.node.res.statusCode = code;
+    event.node.res.setHeader('Content-Type', 'application/json');
+    event.node.res.end(JSON.stringify({ error: { type, message, code } }));
+}
+
+/**
+ * Transcribes a voice recording through the selected OpenAI-compatible
+ * provider's `/audio/transcriptions` endpoint.
+ *
+ * Body: { audio: base64 string, format?: 'wav', model?, language?, providerId?, customProvider?, customApiKey? }
+ * Response: { text }
+ */
+export default defineEventHandler(async (event) => {
+    const body = await readBody(event);
+
+    // Extract custom API key from body (user-provided)
+    const customApiKey = body.customApiKey;
+    delete body.customApiKey;
+
+    // Resolve which provider this request is routed to
+    const { provider, error: providerError } = await resolveProvider(
+        useRuntimeConfig(event),
+        readProviderSelection(event, body),
+    );
+
+    if (providerError) {
+        sendError(event, providerError.code, 'invalid_request_error', providerError.message);
+        return;
+    }
+
+    if (provider.api !== 'openai') {
+        sendError(event, 400, 'invalid_request_error', `Provider '${provider.name}' does not support transcription.`);
+        return;
+    }
+
+    const apiKey = resolveApiKey(provider, customApiKey);
+
+    // Require user to provide their own API key
+    if (isMissingApiKey(provider, apiKey)) {
+        sendError(event, 401, 'authentication_error', 'API key is required. Please add your own API key in settings.');
+        return;
+    }
+
+    const { audio, format = 'wav', model = DEFAULT_TRANSCRIPTION_MODEL, language } = body;
+
+    if (typeof audio !== 'string' || !audio) {
+        sendError(event, 400, 'invalid_request_error', 'Audio data is required');
+        return;
+    }
+
+    if (!AUDIO_FORMATS.includes(format)) {
+        sendError(event, 400, 'invalid_request_error', `Unsupported audio format '${format}'.`);
+        return;
+    }
+
+    const bytes = Buffer.from(audio, 'base64');
+    if (bytes.length > MAX_AUDIO_BYTES) {
+        sendError(event, 413, 'invalid_request_error', 'Recording is too long to transcribe.');
+        return;
+    }
+
+    const openai = createOpenAIClient(provider, apiKey);
+
+    try {
+        const transcription = await openai.audio.transcriptions.create({
+            file: await toFile(bytes, `recording.${format}`),
+            model,
+            ...(typeof language === 'string' && language && { language }),
+        });
+
+        event.node.res.setHeader('Content-Type', 'application/json');
+        event.node.res.end(JSON.stringify({ text: transcription.text || '' }));
+
+    } catch (error) {
+        console.error('Error transcribing audio:', error);
+        event.node.res.setHeader('Content-Type', 'application/json');
+        event.node.res.statusCode = 500;
+        event.node.res.end(JSON.stringify({
+            error: {
+                type: error.type || 'api_error',
+                message: error.message || 'Failed to transcribe audio',
+                code: error.status || 500
+            }
+        }));
+    }
+});
@@ -2,7 +2,7 @@ import { defineEventHandler, getRequestURL, getHeader } from "h3";
 import { isbot } from "isbot";
 import { verifySessionToken } from "../utils/session";
 
-const PROTECTED_PATHS = new Set(["/api/ai", "/api/embeddings"]);
+const PROTECTED_PATHS = new Set(["/api/ai", "/api/ai/resume", "/api/ai/cancel", "/api/embeddings", "/api/search", "/api/exa-contents", "/api/transcribe", "/api/speech", "/api/tool-proxy", "/api/mcp/list", "/api/mcp/call"]);
 
 export default defineEventHandler((event) => {
   const url = getRequestURL(event);
@@ -0,0 +1,335 @@
+import { buildAuthHeaders } from "../providers";
+import {
+  resolveThinkingBudget,
+  stripVendorPrefix,
+  parseDataUrl,
+  toContentParts,
+  parseToolArguments,
+  pushMerged,
+  createChunkFactory,
+  readServerSentEvents,
+  createUpstreamError,
+} from "./common";
+
+export const ANTHROPIC_VERSION = "2023-06-01";
+
+// The Messages API requires max_tokens; used when the client does not set one
+const DEFAULT_MAX_TOKENS = 8192;
+
+const STOP_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  pause_turn: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+  refusal: "content_filter",
+};
+
+/**
+ * Converts OpenAI content parts (text, image_url, file) to Anthropic blocks.
+ * @param {Array<object>} parts
+ * @returns {Array<object>}
+ */
+function toAnthropicBlocks(parts) {
+  const blocks = [];
+
+  for (const part of parts) {
+    if (part.type === "text") {
+      if (part.text) blocks.push({ type: "text", text: part.text });
+    } else if (part.type === "image_url") {
+      const url = part.image_url?.url;
+      const inline = parseDataUrl(url);
+      if (inline) {
+        blocks.push({ type: "image", source: { type: "base64", media_type: inline.mediaType, data: inline.data } });
+      } else if (url) {
+        blocks.push({ type: "image", source: { type: "url", url } });
+      }
+    } else if (part.type === "file") {
+      const inline = parseDataUrl(part.file?.file_data);
+      if (inline) {
+        blocks.push({
+          type: "document",
+          source: { type: "base64", media_type: inline.mediaType, data: inline.data },
+          ...(part.file.filename && { title: part.file.filename }),
+        });
+      }
+    }
+  }
+
+  return blocks;
+}
+
+// `format` of the reasoning details carrying Anthropic thinking blocks
+const REASONING_FORMAT = "anthropic-claude-v1";
+
+/**
+ * Converts the reasoning details of an assistant message back into the
+ * signed thinking blocks they were captured from. Details without a
+ * signature can't be replayed and are dropped.
+ * @param {Array<object>} [details] - OpenRouter-style `reasoning_details`
+ * @returns {Array<object>}
+ */
+function toThinkingBlocks(details) {
+  const blocks = [];
+  for (const detail of details || []) {
+    if (detail?.type === "reasoning.text" && detail.signature) {
+      blocks.push({ type: "thinking", thinking: detail.text || "", signature: detail.signature });
+    } else if (detail?.type === "reasoning.encrypted" && detail.data) {
+      blocks.push({ type: "redacted_thinking", data: detail.data });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Whether the last assistant turn calls tools without the thinking block it
+ * was generated with. Anthropic rejects such a turn while thinking is on.
+ * @param {Array<object>} messages - Anthropic messages
+ * @returns {boolean}
+ */
+function hasUnsignedToolTurn(messages) {
+  const last = messages.findLast((m) => m.role === "assistant");
+  if (!last || !last.content.some((b) => b.type === "tool_use")) return false;
+  return !["thinking", "redacted_thinking"].includes(last.content[0]?.type);
+}
+
+/**
+ * Maps an OpenAI `tool_choice` to the Anthropic equivalent.
+ * @param {string|object} toolChoice
+ * @returns {object|undefined}
+ */
+function toAnthropicToolChoice(toolChoice) {
+  if (toolChoice === "auto") return { type: "auto" };
+  if (toolChoice === "none") return { type: "none" };
+  if (toolChoice === "required") return { type: "any" };
+  if (toolChoice?.function?.name) return { type: "tool", name: toolChoice.function.name };
+  return undefined;
+}
+
+/**
+ * Translates an OpenAI chat-completions request body into an Anthropic
+ * Messages request.
+ * @param {object} body - Request body as built by `handleIncomingMessage`
+ * @returns {object}
+ */
+export function buildAnthropicRequest(body) {
+  const system = [];
+  const messages = [];
+
+  for (const msg of body.messages || []) {
+    if (msg.role === "system" || msg.role === "developer") {
+      for (const part of toContentParts(msg.content)) {
+        if (part.type === "text" && part.text) system.push({ type: "text", text: part.text });
+      }
+    } else if (msg.role === "user") {
+      pushMerged(messages, "user", toAnthropicBlocks(toContentParts(msg.content)));
+    } else if (msg.role === "assistant") {
+      // Assistant turns carry text and tool calls, with the signed thinking
+      // that preceded the calls replayed ahead of them
+      const blocks = msg.tool_calls?.length ? toThinkingBlocks(msg.reasoning_details) : [];
+      blocks.push(...toAnthropicBlocks(toContentParts(msg.content)).filter((b) => b.type === "text"));
+      for (const call of msg.tool_calls || []) {
+        blocks.push({
+          type: "tool_use",
+          id: call.id,
+          name: call.function?.name || "",
+          input: parseToolArguments(call.function?.arguments),
+        });
+      }
+      pushMerged(messages, "assistant", blocks);
+    } else if (msg.role === "tool") {
+      // Tool results are sent back as user turns
+      pushMerged(messages, "user", [{
+        type: "tool_result",
+        tool_use_id: msg.tool_call_id,
+        content: typeof msg.content === "string" ? msg.content : JSON.stringify(msg.content ?? ""),
+      }]);
+    }
+  }
+
+  const request = {
+    model: stripVendorPrefix(body.model, "anthropic"),
+    messages,
+    max_tokens: body.max_tokens || DEFAULT_MAX_TOKENS,
+    stream: true,
+  };
+
+  if (system.length > 0) request.system = system;
+
+  // Without its signed thinking, a tool loop can only go on with thinking off
+  const budget = hasUnsignedToolTurn(messages) ? 0 : resolveThinkingBudget(body.reasoning);
+  if (budget) {
+    const budgetTokens = Math.max(1024, budget);
+    request.thinking = { type: "enabled", budget_tokens: budgetTokens };
+    if (request.max_tokens <= budgetTokens) {
+      request.max_tokens = budgetTokens + DEFAULT_MAX_TOKENS;
+    }
+  } else {
+    // Sampling parameters are rejected while extended thinking is on
+    if (body.temperature != null) request.temperature = Math.min(body.temperature, 1);
+    if (body.top_p != null) request.top_p = body.top_p;
+  }
+
+  if (body.stop) request.stop_sequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+
+  const tools = (body.tools || []).filter((t) => t?.type === "function" && t.function?.name);
+  if (tools.length > 0) {
+    request.tools = tools.map((t) => ({
+      name: t.function.name,
+      description: t.function.description || "",
+      input_schema: t.function.parameters || { type: "object", properties: {} },
+    }));
+    const toolChoice = toAnthropicToolChoice(body.tool_choice);
+    if (toolChoice) request.tool_choice = toolChoice;
+  }
+
+  return request;
+}
+
+/**
+ * Translates Anthropic stream events into OpenAI-style chunks.
+ * @param {AsyncIterable<{event: string|null, data: string}>} events
+ * @param {string} model - Model id echoed in the chunks
+ * @yields {object}
+ */
+export async function* translateAnthropicStream(events, model) {
+  const chunk = createChunkFactory(model);
+  const toolIndexes = new Map(); // content block index -> tool call index
+  const thinkingBlocks = new Map(); // content block index -> { text, signature }
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let finishReason = null;
+
+  const finalChunk = (fallbackReason) => chunk({}, finishReason || fallbackReason, {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  });
+
+  for await (const { data } of events) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      continue;
+    }
+
+    switch (payload.type) {
+      case "message_start": {
+        const usage = payload.message?.usage || {};
+        promptTokens = (usage.input_tokens || 0)
+          + (usage.cache_read_input_tokens || 0)
+          + (usage.cache_creation_input_tokens || 0);
+        completionTokens = usage.output_tokens || 0;
+        break;
+      }
+
+      case "content_block_start": {
+        const block = payload.content_block;
+        if (block?.type === "tool_use") {
+          const index = toolIndexes.size;
+          toolIndexes.set(payload.index, index);
+          yield chunk({
+            tool_calls: [{ index, id: block.id, type: "function", function: { name: block.name, arguments: "" } }],
+          });
+        } else if (block?.type === "text" && block.text) {
+          yield chunk({ content: block.text });
+        } else if (block?.type === "thinking") {
+          thinkingBlocks.set(payload.index, { text: block.thinking || "", signature: block.signature || "" });
+          if (block.thinking) yield chunk({ reasoning: block.thinking });
+        } else if (block?.type === "redacted_thinking" && block.data) {
+          yield chunk({
+            reasoning_details: [{ type: "reasoning.encrypted", data: block.data, format: REASONING_FORMAT, index: payload.index }],
+          });
+        }
+        break;
+      }
+
+      case "content_block_delta": {
+        const delta = payload.delta;
+        if (delta?.type === "text_delta" && delta.text) {
+          yield chunk({ content: delta.text });
+        } else if (delta?.type === "thinking_delta" && delta.thinking) {
+          const thinking = thinkingBlocks.get(payload.index);
+          if (thinking) thinking.text += delta.thinking;
+          yield chunk({ reasoning: delta.thinking });
+        } else if (delta?.type === "signature_delta" && thinkingBlocks.has(payload.index)) {
+          thinkingBlocks.get(payload.index).signature += delta.signature || "";
+        } else if (delta?.type === "input_json_delta" && delta.partial_json && toolIndexes.has(payload.index)) {
+          yield chunk({
+            tool_calls: [{ index: toolIndexes.get(payload.index), function: { arguments: delta.partial_json } }],
+          });
+        }
+        break;
+      }
+
+      case "content_block_stop": {
+        // A finished thinking block is passed on whole, so it can be replayed
+        const thinking = thinkingBlocks.get(payload.index);
+        if (thinking?.signature) {
+          yield chunk({
+            reasoning_details: [{
+              type: "reasoning.text",
+              text: thinking.text,
+              signature: thinking.signature,
+              format: REASONING_FORMAT,
+              index: payload.index,
+            }],
+          });
+        }
+        thinkingBlocks.delete(payload.index);
+        break;
+      }
+
+      case "message_delta":
+        if (payload.delta?.stop_reason) {
+          finishReason = STOP_REASONS[payload.delta.stop_reason] || "stop";
+        }
+        if (payload.usage?.output_tokens != null) {
+          completionTokens = payload.usage.output_tokens;
+        }
+        break;
+
+      case "message_stop":
+        yield finalChunk("stop");
+        return;
+
+      case "error": {
+        const error = new Error(payload.error?.message || "Anthropic stream error");
+        error.type = payload.error?.type || "api_error";
+        error.status = 500;
+        throw error;
+      }
+    }
+  }
+
+  // Stream closed without message_stop. With a stop_reason only the closing
+  // event was lost; without one the reply was cut off, so it can be continued
+  yield finalChunk("length");
+}
+
+/**
+ * Sends a chat-completions body to the Anthropic Messages API.
+ * Resolves once the upstream accepted the request, so HTTP errors surface
+ * before `/api/ai` starts writing its own stream.
+ * @param {{provider: object, apiKey: string|null, body: object, signal?: AbortSignal}} options
+ * @returns {Promise<AsyncGenerator<object>>} OpenAI-style chunks
+ */
+export async function streamAnthropic({ provider, apiKey, body, signal }) {
+  const response = await fetch(`${provider.baseURL}/messages`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "anthropic-version": ANTHROPIC_VERSION,
+      ...buildAuthHeaders(provider, apiKey),
+    },
+    body: JSON.stringify(buildAnthropicRequest(body)),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw await createUpstreamError(response, provider.name);
+  }
+
+  return translateAnthropicStream(readServerSentEvents(response.body), body.model);
+}
@@ -0,0 +1,241 @@
+/**
+ * Helpers shared by the native provider adapters. Adapters translate the
+ * OpenAI chat-completions request built by the client into another API's
+ * format, and translate that API's stream back into OpenAI-style
+ * `chat.completion.chunk` objects.
+ */
+
+/**
+ * Thinking budgets (in tokens) for each reasoning effort level.
+ */
+export const REASONING_BUDGETS = {
+  minimal: 1024,
+  low: 2048,
+  medium: 8192,
+  high: 16384,
+  xhigh: 32768,
+};
+
+/**
+ * Resolves the OpenAI-style `reasoning` request field into a thinking budget.
+ * @param {object} [reasoning] - `{ enabled, effort, max_tokens }`
+ * @returns {number|null} Budget in tokens, 0 when disabled, or null for the provider default
+ */
+export function resolveThinkingBudget(reasoning) {
+  if (!reasoning) return null;
+  if (reasoning.enabled === false || reasoning.effort === "none") return 0;
+  if (Number.isFinite(reasoning.max_tokens)) return reasoning.max_tokens;
+  if (reasoning.effort && REASONING_BUDGETS[reasoning.effort]) {
+    return REASONING_BUDGETS[reasoning.effort];
+  }
+  return reasoning.enabled ? REASONING_BUDGETS.medium : null;
+}
+
+/**
+ * Removes an OpenRouter-style vendor prefix ("anthropic/claude-...") from a
+ * model id, since native APIs only know the bare id.
+ * @param {string} model
+ * @param {string} vendor - Prefix to strip, e.g. "anthropic"
+ * @returns {string}
+ */
+export function stripVendorPrefix(model, vendor) {
+  const prefix = `${vendor}/`;
+  return typeof model === "string" && model.startsWith(prefix) ? model.slice(prefix.length) : model;
+}
+
+/**
+ * Splits a base64 `data:` URL into its media type and payload.
+ * @param {string} url
+ * @returns {{mediaType: string, data: string}|null} Null for non-data URLs
+ */
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]*)[^,]*;base64,(.*)$/s.exec(url || "");
+  if (!match) return null;
+  return { mediaType: match[1] || "application/octet-stream", data: match[2] };
+}
+
+/**
+ * Normalizes OpenAI message content (string or parts array) to a parts array.
+ * @param {string|Array|null} content
+ * @returns {Array<object>}
+ */
+export function toContentParts(content) {
+  if (Array.isArray(content)) return content;
+  if (typeof content === "string" && content.length > 0) return [{ type: "text", text: content }];
+  return [];
+}
+
+/**
+ * Parses tool call arguments, tolerating empty or malformed JSON.
+ * @param {string|object} args
+ * @returns {object}
+ */
+export function parseToolArguments(args) {
+  if (args && typeof args === "object") return args;
+  try {
+    const parsed = JSON.parse(args || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Appends a message, merging it into the previous one when both share a role.
+ * Native APIs require strictly alternating user/assistant turns.
+ * @param {Array<{role: string}>} messages
+ * @param {string} role
+ * @param {Array} parts
+ * @param {string} [partsKey="content"] - Property holding the parts array
+ */
+export function pushMerged(messages, role, parts, partsKey = "content") {
+  if (parts.length === 0) return;
+  const last = messages[messages.length - 1];
+  if (last && last.role === role) {
+    last[partsKey].push(...parts);
+  } else {
+    messages.push({ role, [partsKey]: [...parts] });
+  }
+}
+
+/**
+ * Creates a factory for OpenAI-style stream chunks that share an id and model.
+ * @param {string} model
+ * @returns {(delta: object, finishReason?: string|null, usage?: object|null) => object}
+ */
+export function createChunkFactory(model) {
+  const id = `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 10)}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  return (delta, finishReason = null, usage = null) => ({
+    id,
+    object: "chat.completion.chunk",
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+    ...(usage && { usage }),
+  });
+}
+
+/**
+ * Reads a server-sent events body into `{ event, data }` records.
+ * @param {ReadableStream<Uint8Array>} body
+ * @yields {{event: string|null, data: string}}
+ */
+export async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let event = null;
+  let data = [];
+
+  const parseLine = (line) => {
+    if (line.startsWith(":")) return;
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  };
+
+  for await (const value of body) {
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line === "") {
+        if (data.length > 0) yield { event, data: data.join("\n") };
+        event = null;
+        data = [];
+      } else {
+        parseLine(line);
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) parseLine(buffer);
+  if (data.length > 0) yield { event, data: data.join("\n") };
+}
+
+/**
+ * Builds an Error from a failed upstream response, shaped like the OpenAI SDK
+ * errors `/api/ai` already reports (`status`, `type`, `message`).
+ * @param {Response} response
+ * @param {string} label - Provider name for the fallback message
+ * @returns {Promise<Error>}
+ */
+export async function createUpstreamError(response, label) {
+  let message = `${label} request failed with status ${response.status}`;
+  let type = "api_error";
+
+  try {
+    let data = await response.json();
+    if (Array.isArray(data)) data = data[0];
+    if (data?.error?.message) message = data.error.message;
+    if (data?.error?.type || data?.error?.status) type = data.error.type || data.error.status;
+  } catch {
+    // Non-JSON error body; keep the generic message
+  }
+
+  const error = new Error(message);
+  error.status = response.status;
+  error.type = type;
+  return error;
+}
+
+/**
+ * Folds a stream of OpenAI-style chunks into a non-streaming
+ * `chat.completion` response.
+ * @param {AsyncIterable<object>} chunks
+ * @returns {Promise<object>}
+ */
+export async function collectCompletion(chunks) {
+  const message = { role: "assistant", content: "" };
+  const toolCalls = [];
+  let reasoning = "";
+  let images = [];
+  let finishReason = null;
+  let usage = null;
+  let first = null;
+
+  for await (const chunk of chunks) {
+    first = first || chunk;
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+
+    const delta = choice.delta || {};
+    if (delta.content) message.content += delta.content;
+    if (delta.reasoning) reasoning += delta.reasoning;
+    if (delta.images) images = images.concat(delta.images);
+
+    for (const toolDelta of delta.tool_calls || []) {
+      const existing = toolCalls[toolDelta.index] || {
+        id: toolDelta.id,
+        type: "function",
+        function: { name: "", arguments: "" },
+      };
+      if (toolDelta.id) existing.id = toolDelta.id;
+      if (toolDelta.function?.name) existing.function.name = toolDelta.function.name;
+      if (toolDelta.function?.arguments) existing.function.arguments += toolDelta.function.arguments;
+      toolCalls[toolDelta.index] = existing;
+    }
+  }
+
+  if (reasoning) message.reasoning = reasoning;
+  if (images.length > 0) message.images = images;
+  const completedCalls = toolCalls.filter(Boolean);
+  if (completedCalls.length > 0) message.tool_calls = completedCalls;
+
+  return {
+    id: first?.id,
+    object: "chat.completion",
+    created: first?.created ?? Math.floor(Date.now() / 1000),
+    model: first?.model,
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    ...(usage && { usage }),
+  };
+}
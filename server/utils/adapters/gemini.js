@@ -0,0 +1,256 @@
+import { buildAuthHeaders } from "../providers";
+import {
+  resolveThinkingBudget,
+  stripVendorPrefix,
+  parseDataUrl,
+  toContentParts,
+  parseToolArguments,
+  pushMerged,
+  createChunkFactory,
+  readServerSentEvents,
+  createUpstreamError,
+} from "./common";
+
+const FINISH_REASONS = {
+  STOP: "stop",
+  MAX_TOKENS: "length",
+  SAFETY: "content_filter",
+  RECITATION: "content_filter",
+  BLOCKLIST: "content_filter",
+  PROHIBITED_CONTENT: "content_filter",
+  SPII: "content_filter",
+  IMAGE_SAFETY: "content_filter",
+};
+
+// Gemini 3 rejects replayed function calls that lack a thought signature.
+// The client does not keep signatures, so history calls use the documented
+// placeholder that skips validation.
+const SKIP_THOUGHT_SIGNATURE = "skip_thought_signature_validator";
+
+/**
+ * Converts OpenAI content parts (text, image_url, file) to Gemini parts.
+ * @param {Array<object>} parts
+ * @returns {Array<object>}
+ */
+function toGeminiParts(parts) {
+  const result = [];
+
+  for (const part of parts) {
+    if (part.type === "text") {
+      if (part.text) result.push({ text: part.text });
+    } else if (part.type === "image_url") {
+      const url = part.image_url?.url;
+      const inline = parseDataUrl(url);
+      if (inline) {
+        result.push({ inlineData: { mimeType: inline.mediaType, data: inline.data } });
+      } else if (url) {
+        // Remote URLs are only accepted for uploaded files; pass a reference instead
+        result.push({ text: `[Image: ${url}]` });
+      }
+    } else if (part.type === "file") {
+      const inline = parseDataUrl(part.file?.file_data);
+      if (inline) result.push({ inlineData: { mimeType: inline.mediaType, data: inline.data } });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Maps an OpenAI `tool_choice` to a Gemini function calling config.
+ * @param {string|object} toolChoice
+ * @returns {object|undefined}
+ */
+function toGeminiToolConfig(toolChoice) {
+  if (toolChoice === "auto") return { functionCallingConfig: { mode: "AUTO" } };
+  if (toolChoice === "none") return { functionCallingConfig: { mode: "NONE" } };
+  if (toolChoice === "required") return { functionCallingConfig: { mode: "ANY" } };
+  if (toolChoice?.function?.name) {
+    return { functionCallingConfig: { mode: "ANY", allowedFunctionNames: [toolChoice.function.name] } };
+  }
+  return undefined;
+}
+
+/**
+ * Translates an OpenAI chat-completions request body into a Gemini
+ * `generateContent` request.
+ * @param {object} body - Request body as built by `handleIncomingMessage`
+ * @returns {object}
+ */
+export function buildGeminiRequest(body) {
+  const systemParts = [];
+  const contents = [];
+  const toolNames = new Map(); // tool_call_id -> function name
+
+  for (const msg of body.messages || []) {
+    if (msg.role === "system" || msg.role === "developer") {
+      for (const part of toContentParts(msg.content)) {
+        if (part.type === "text" && part.text) systemParts.push({ text: part.text });
+      }
+    } else if (msg.role === "user") {
+      pushMerged(contents, "user", toGeminiParts(toContentParts(msg.content)), "parts");
+    } else if (msg.role === "assistant") {
+      const parts = toGeminiParts(toContentParts(msg.content));
+      for (const call of msg.tool_calls || []) {
+        const name = call.function?.name || "";
+        toolNames.set(call.id, name);
+        parts.push({
+          functionCall: { name, args: parseToolArguments(call.function?.arguments) },
+          thoughtSignature: SKIP_THOUGHT_SIGNATURE,
+        });
+      }
+      pushMerged(contents, "model", parts, "parts");
+    } else if (msg.role === "tool") {
+      pushMerged(contents, "user", [{
+        functionResponse: {
+          name: toolNames.get(msg.tool_call_id) || "tool",
+          response: { content: msg.content ?? "" },
+        },
+      }], "parts");
+    }
+  }
+
+  const request = { contents };
+  if (systemParts.length > 0) request.systemInstruction = { parts: systemParts };
+
+  const generationConfig = {};
+  if (body.temperature != null) generationConfig.temperature = body.temperature;
+  if (body.top_p != null) generationConfig.topP = body.top_p;
+  if (Number.isInteger(body.seed)) generationConfig.seed = body.seed;
+  if (body.max_tokens) generationConfig.maxOutputTokens = body.max_tokens;
+  if (body.stop) generationConfig.stopSequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+
+  const budget = resolveThinkingBudget(body.reasoning);
+  if (budget === 0) {
+    generationConfig.thinkingConfig = { thinkingBudget: 0 };
+  } else if (body.reasoning) {
+    generationConfig.thinkingConfig = {
+      includeThoughts: true,
+      ...(budget && { thinkingBudget: budget }),
+    };
+  }
+
+  if (Object.keys(generationConfig).length > 0) request.generationConfig = generationConfig;
+
+  const tools = (body.tools || []).filter((t) => t?.type === "function" && t.function?.name);
+  if (tools.length > 0) {
+    request.tools = [{
+      functionDeclarations: tools.map((t) => ({
+        name: t.function.name,
+        description: t.function.description || "",
+        parametersJsonSchema: t.function.parameters || { type: "object", properties: {} },
+      })),
+    }];
+    const toolConfig = toGeminiToolConfig(body.tool_choice);
+    if (toolConfig) request.toolConfig = toolConfig;
+  }
+
+  return request;
+}
+
+/**
+ * Translates Gemini `streamGenerateContent` responses into OpenAI-style chunks.
+ * @param {AsyncIterable<{event: string|null, data: string}>} events
+ * @param {string} model - Model id echoed in the chunks
+ * @yields {object}
+ */
+export async function* translateGeminiStream(events, model) {
+  const chunk = createChunkFactory(model);
+  let toolIndex = 0;
+  let finishReason = null;
+  let usage = null;
+
+  for await (const { data } of events) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      continue;
+    }
+
+    if (payload.error) {
+      const error = new Error(payload.error.message || "Gemini stream error");
+      error.type = payload.error.status || "api_error";
+      error.status = payload.error.code || 500;
+      throw error;
+    }
+
+    if (payload.usageMetadata) {
+      const meta = payload.usageMetadata;
+      const completion = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+      usage = {
+        prompt_tokens: meta.promptTokenCount || 0,
+        completion_tokens: completion,
+        total_tokens: meta.totalTokenCount || (meta.promptTokenCount || 0) + completion,
+      };
+    }
+
+    if (payload.promptFeedback?.blockReason) finishReason = "content_filter";
+
+    const candidate = payload.candidates?.[0];
+    for (const part of candidate?.content?.parts || []) {
+      if (part.functionCall) {
+        yield chunk({
+          tool_calls: [{
+            index: toolIndex++,
+            id: part.functionCall.id || `call_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`,
+            type: "function",
+            function: {
+              name: part.functionCall.name,
+              arguments: JSON.stringify(part.functionCall.args || {}),
+            },
+          }],
+        });
+      } else if (part.inlineData?.data) {
+        yield chunk({
+          images: [{
+            type: "image_url",
+            image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` },
+          }],
+        });
+      } else if (part.text) {
+        yield chunk(part.thought ? { reasoning: part.text } : { content: part.text });
+      }
+    }
+
+    if (candidate?.finishReason) {
+      finishReason = toolIndex > 0 ? "tool_calls" : FINISH_REASONS[candidate.finishReason] || "stop";
+    }
+  }
+
+  yield chunk({}, finishReason || "stop", usage);
+}
+
+/**
+ * Sends a chat-completions body to the Gemini `streamGenerateContent` API.
+ * Resolves once the upstream accepted the request, so HTTP errors surface
+ * before `/api/ai` starts writing its own stream.
+ * @param {{provider: object, apiKey: string|null, body: object, signal?: AbortSignal}} options
+ * @returns {Promise<AsyncGenerator<object>>} OpenAI-style chunks
+ */
+export async function streamGemini({ provider, apiKey, body, signal }) {
+  const model = stripVendorPrefix(body.model, "google");
+  // The id becomes part of the URL path, so it may not step out of /models/
+  if (typeof model !== "string" || !model || model.includes("/") || model.includes("..")) {
+    const error = new Error(`Invalid Gemini model id: ${model}`);
+    error.status = 400;
+    error.type = "invalid_request_error";
+    throw error;
+  }
+
+  const response = await fetch(`${provider.baseURL}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...buildAuthHeaders(provider, apiKey),
+    },
+    body: JSON.stringify(buildGeminiRequest(body)),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw await createUpstreamError(response, provider.name);
+  }
+
+  return translateGeminiStream(readServerSentEvents(response.body), body.model);
+}
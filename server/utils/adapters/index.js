@@ -0,0 +1,19 @@
+import { streamAnthropic } from "./anthropic";
+import { streamGemini } from "./gemini";
+
+export { collectCompletion } from "./common";
+
+const ADAPTERS = {
+  anthropic: streamAnthropic,
+  gemini: streamGemini,
+};
+
+/**
+ * Returns the stream function for a provider's native API, or null when the
+ * provider is OpenAI-compatible and goes through the OpenAI SDK.
+ * @param {object} provider - Resolved provider from the registry
+ * @returns {((options: {provider: object, apiKey: string|null, body: object, signal?: AbortSignal}) => Promise<AsyncIterable<object>>)|null}
+ */
+export function getAdapter(provider) {
+  return ADAPTERS[provider?.api] || null;
+}
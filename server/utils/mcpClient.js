@@ -0,0 +1,389 @@
+import { readServerSentEvents } from "./adapters/common.js";
+
+export const MCP_PROTOCOL_VERSION = "2025-03-26";
+
+export const MCP_TRANSPORTS = ["http", "sse"];
+
+const CLIENT_INFO = { name: "libre-assistant", version: "1.0.0" };
+
+export const MCP_REQUEST_TIMEOUT_MS = 30_000;
+
+// Connected clients are reused for this long after their last request
+const IDLE_TTL_MS = 5 * 60 * 1000;
+
+// Stops a misbehaving server from paging forever
+const MAX_LIST_PAGES = 20;
+
+/**
+ * Creates an Error for a failed MCP exchange. JSON-RPC errors keep their code.
+ * @param {string} message
+ * @param {number} [code]
+ * @returns {Error}
+ */
+function createMcpError(message, code) {
+  const error = new Error(message);
+  error.name = "McpError";
+  if (code !== undefined) error.code = code;
+  return error;
+}
+
+/**
+ * Normalizes an MCP server definition sent by the client.
+ * @param {object} def - `{ url, transport?, headers? }`
+ * @returns {{server: {url: URL, transport: string, headers: Object<string, string>}|null, error: string|null}}
+ */
+export function normalizeMcpServer(def) {
+  let url;
+  try {
+    url = new URL(def?.url);
+  } catch {
+    return { server: null, error: "A valid MCP server URL is required." };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return { server: null, error: "MCP server URLs must use http or https." };
+  }
+
+  const headers = {};
+  for (const [name, value] of Object.entries(def?.headers || {})) {
+    if (name) headers[name] = String(value);
+  }
+
+  return {
+    server: {
+      url,
+      transport: MCP_TRANSPORTS.includes(def?.transport) ? def.transport : "http",
+      headers,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Minimal MCP client for the streamable HTTP transport and the older
+ * HTTP + SSE transport. Only client-to-server requests are supported;
+ * server-initiated requests (sampling, roots) are ignored.
+ */
+export class McpClient {
+  /**
+   * @param {{url: URL, transport: string, headers: Object<string, string>}} server
+   * @param {Object} [options]
+   * @param {typeof fetch} [options.fetch]
+   * @param {number} [options.timeoutMs]
+   */
+  constructor(server, { fetch: fetchImpl = globalThis.fetch, timeoutMs = MCP_REQUEST_TIMEOUT_MS } = {}) {
+    this.server = server;
+    this.fetch = fetchImpl;
+    this.timeoutMs = timeoutMs;
+    this.nextId = 1;
+    this.sessionId = null;
+    this.capabilities = {};
+    this.serverInfo = null;
+
+    // Legacy SSE transport state
+    this.endpoint = null;
+    this.pending = new Map();
+    this.streamController = null;
+  }
+
+  /**
+   * Opens the connection and performs the initialize handshake.
+   */
+  async connect() {
+    if (this.server.transport === "sse") {
+      await this._openEventStream();
+    }
+
+    const result = await this.request("initialize", {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+    this.capabilities = result?.capabilities || {};
+    this.serverInfo = result?.serverInfo || null;
+    this.protocolVersion = result?.protocolVersion || MCP_PROTOCOL_VERSION;
+
+    await this.notify("notifications/initialized");
+    return result;
+  }
+
+  /**
+   * Sends a JSON-RPC request and resolves with its result.
+   * @param {string} method
+   * @param {object} [params]
+   * @returns {Promise<any>}
+   */
+  async request(method, params) {
+    const id = this.nextId++;
+    const message = { jsonrpc: "2.0", id, method, ...(params && { params }) };
+
+    const response = this.server.transport === "sse"
+      ? await this._requestOverEventStream(message)
+      : await this._requestOverHttp(message);
+
+    if (response.error) {
+      throw createMcpError(response.error.message || `MCP request '${method}' failed`, response.error.code);
+    }
+    return response.result;
+  }
+
+  /**
+   * Sends a JSON-RPC notification.
+   * @param {string} method
+   * @param {object} [params]
+   */
+  async notify(method, params) {
+    const message = { jsonrpc: "2.0", method, ...(params && { params }) };
+    const response = await this._post(this.endpoint || this.server.url, message);
+    await response.body?.cancel?.();
+  }
+
+  /**
+   * Collects every page of a paginated list method.
+   * @param {string} method - e.g. `tools/list`
+   * @param {string} key - Result field holding the items, e.g. `tools`
+   * @returns {Promise<Array>}
+   */
+  async listAll(method, key) {
+    const items = [];
+    let cursor;
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
+      const result = await this.request(method, cursor ? { cursor } : undefined);
+      items.push(...(result?.[key] || []));
+      cursor = result?.nextCursor;
+      if (!cursor) break;
+    }
+    return items;
+  }
+
+  /**
+   * Ends the session and closes any open event stream.
+   */
+  async close() {
+    this.streamController?.abort();
+    for (const { reject } of this.pending.values()) {
+      reject(createMcpError("MCP connection closed"));
+    }
+    this.pending.clear();
+
+    if (this.sessionId) {
+      try {
+        await this.fetch(this.server.url, {
+          method: "DELETE",
+          headers: this._headers(),
+          redirect: "error",
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+      } catch {
+        // Servers may not support explicit session termination
+      }
+    }
+  }
+
+  _headers(extra = {}) {
+    return {
+      ...this.server.headers,
+      ...(this.sessionId && { "Mcp-Session-Id": this.sessionId }),
+      ...(this.protocolVersion && { "MCP-Protocol-Version": this.protocolVersion }),
+      ...extra,
+    };
+  }
+
+  async _post(url, message) {
+    const response = await this.fetch(url, {
+      method: "POST",
+      headers: this._headers({
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+      }),
+      body: JSON.stringify(message),
+      redirect: "error",
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      await response.body?.cancel?.();
+      throw createMcpError(`MCP server responded with HTTP ${response.status}`, response.status);
+    }
+    return response;
+  }
+
+  async _requestOverHttp(message) {
+    const response = await this._post(this.server.url, message);
+
+    const sessionId = response.headers.get("mcp-session-id");
+    if (sessionId) this.sessionId = sessionId;
+
+    const contentType = response.headers.get("content-type") || "";
+    if (contentType.includes("text/event-stream")) {
+      for await (const { data } of readServerSentEvents(response.body)) {
+        const reply = findResponse(parseJson(data), message.id);
+        if (reply) return reply;
+      }
+      throw createMcpError(`MCP server closed the stream without answering '${message.method}'`);
+    }
+
+    const reply = findResponse(await response.json(), message.id);
+    if (!reply) throw createMcpError(`MCP server did not answer '${message.method}'`);
+    return reply;
+  }
+
+  async _openEventStream() {
+    this.streamController = new AbortController();
+    const response = await this.fetch(this.server.url, {
+      headers: this._headers({ Accept: "text/event-stream" }),
+      redirect: "error",
+      signal: this.streamController.signal,
+    });
+    if (!response.ok) {
+      throw createMcpError(`MCP server responded with HTTP ${response.status}`, response.status);
+    }
+
+    const events = readServerSentEvents(response.body);
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(createMcpError("MCP server did not send its message endpoint")), this.timeoutMs);
+    });
+
+    // The first `endpoint` event says where to POST messages
+    const readEndpoint = (async () => {
+      for await (const { event, data } of keepOpen(events)) {
+        if (event === "endpoint") return new URL(data.trim(), this.server.url);
+      }
+      throw createMcpError("MCP event stream ended before sending its message endpoint");
+    })();
+    readEndpoint.catch(() => {});
+
+    try {
+      this.endpoint = await Promise.race([readEndpoint, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (this.endpoint.origin !== this.server.url.origin) {
+      throw createMcpError("MCP message endpoint must be on the same origin as the server URL");
+    }
+
+    this._pumpEventStream(events);
+  }
+
+  async _pumpEventStream(events) {
+    try {
+      for await (const { event, data } of keepOpen(events)) {
+        if (event && event !== "message") continue;
+        const payload = parseJson(data);
+        for (const reply of Array.isArray(payload) ? payload : [payload]) {
+          const waiter = reply && this.pending.get(reply.id);
+          if (waiter) {
+            this.pending.delete(reply.id);
+            waiter.resolve(reply);
+          }
+        }
+      }
+    } catch {
+      // Aborted on close, or the connection dropped
+    }
+
+    for (const { reject } of this.pending.values()) {
+      reject(createMcpError("MCP event stream closed"));
+    }
+    this.pending.clear();
+  }
+
+  async _requestOverEventStream(message) {
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(message.id);
+        reject(createMcpError(`MCP request '${message.method}' timed out`));
+      }, this.timeoutMs);
+      this.pending.set(message.id, {
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (error) => { clearTimeout(timer); reject(error); },
+      });
+    });
+
+    try {
+      const response = await this._post(this.endpoint, message);
+      await response.body?.cancel?.();
+    } catch (error) {
+      this.pending.delete(message.id);
+      throw error;
+    }
+    return reply;
+  }
+}
+
+// Iterates without closing the generator on early exit, so reading can resume elsewhere
+function keepOpen(iterator) {
+  return { [Symbol.asyncIterator]: () => ({ next: () => iterator.next() }) };
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function findResponse(payload, id) {
+  const messages = Array.isArray(payload) ? payload : [payload];
+  return messages.find((m) => m && m.id === id && ("result" in m || "error" in m)) || null;
+}
+
+// Connected clients keyed by server definition
+const clients = new Map();
+
+function pruneIdleClients(now = Date.now()) {
+  for (const [key, entry] of clients) {
+    if (now - entry.lastUsed > IDLE_TTL_MS) {
+      clients.delete(key);
+      entry.client.then((client) => client.close()).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Runs `fn` with a connected client for the server, reusing an open session
+ * when possible. A failed request drops the cached session so the next call
+ * reconnects.
+ * @param {{url: URL, transport: string, headers: Object<string, string>}} server
+ * @param {(client: McpClient) => Promise<any>} fn
+ * @param {Object} [options] - Passed to the McpClient constructor
+ * @returns {Promise<any>}
+ */
+export async function withMcpClient(server, fn, options) {
+  pruneIdleClients();
+
+  const key = JSON.stringify([server.url.href, server.transport, server.headers]);
+  let entry = clients.get(key);
+  if (!entry) {
+    const client = new McpClient(server, options);
+    entry = { client: client.connect().then(() => client), lastUsed: Date.now() };
+    clients.set(key, entry);
+  }
+  entry.lastUsed = Date.now();
+
+  try {
+    return await fn(await entry.client);
+  } catch (error) {
+    if (clients.get(key) === entry) clients.delete(key);
+    entry.client.then((client) => client.close()).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Lists a server's tools, resources and prompts. Lists the server does not
+ * advertise in its capabilities come back empty.
+ * @param {McpClient} client
+ * @returns {Promise<{serverInfo: object|null, tools: Array, resources: Array, prompts: Array}>}
+ */
+export async function listMcpCapabilities(client) {
+  const { tools, resources, prompts } = client.capabilities;
+  return {
+    serverInfo: client.serverInfo,
+    tools: tools ? await client.listAll("tools/list", "tools") : [],
+    resources: resources ? await client.listAll("resources/list", "resources") : [],
+    prompts: prompts ? await client.listAll("prompts/list", "prompts") : [],
+  };
+}
@@ -0,0 +1,34 @@
+import { readBody } from "h3";
+import { normalizeMcpServer } from "./mcpClient.js";
+import { fetchPublic, isPrivateHost } from "./toolProxy.js";
+
+/**
+ * Reads and checks the MCP server a request targets. MCP servers share the
+ * custom-tool switches: `allowCustomTools` and `allowPrivateToolHosts`.
+ * The returned `fetch` only connects to public addresses unless private
+ * hosts are allowed, so the host can't be rebound after this check.
+ * @param {import('h3').H3Event} event
+ * @returns {Promise<{body: object, server: object, fetch: typeof fetch}>}
+ */
+export async function readMcpRequest(event) {
+  const config = useRuntimeConfig(event);
+  if (config.allowCustomTools === false || config.allowCustomTools === "false") {
+    throw createError({ statusCode: 403, statusMessage: "MCP servers are disabled on this server." });
+  }
+
+  const body = await readBody(event);
+  const { server, error } = normalizeMcpServer(body?.server);
+  if (error) {
+    throw createError({ statusCode: 400, statusMessage: error });
+  }
+
+  const allowPrivate = config.allowPrivateToolHosts === true || config.allowPrivateToolHosts === "true";
+  if (!allowPrivate && await isPrivateHost(server.url.hostname)) {
+    throw createError({
+      statusCode: 403,
+      statusMessage: `MCP servers on private network hosts are not allowed (${server.url.hostname}).`,
+    });
+  }
+
+  return { body, server, fetch: allowPrivate ? globalThis.fetch : fetchPublic };
+}
@@ -0,0 +1,269 @@
+import { getHeader } from "h3";
+import OpenAI from "openai";
+import { isPrivateHost } from "./toolProxy.js";
+
+export const DEFAULT_PROVIDER_ID = "hackclub";
+
+export const AUTH_SCHEMES = ["bearer", "header", "none"];
+
+/**
+ * Wire formats a provider can speak. `openai` is passed straight through the
+ * OpenAI SDK; the others are translated by the adapters in `./adapters`.
+ */
+export const PROVIDER_APIS = ["openai", "anthropic", "gemini"];
+
+// Native APIs authenticate with their own header unless configured otherwise
+const DEFAULT_AUTH = {
+  openai: { authScheme: "bearer", authHeader: null },
+  anthropic: { authScheme: "header", authHeader: "x-api-key" },
+  gemini: { authScheme: "header", authHeader: "x-goog-api-key" },
+};
+
+/**
+ * Providers that are always available, regardless of runtime config.
+ * Runtime config entries with the same id override these.
+ */
+export const BUILTIN_PROVIDERS = {
+  hackclub: {
+    id: "hackclub",
+    name: "Hack Club AI",
+    baseURL: "https://ai.hackclub.com/proxy/v1",
+    searchBaseURL: "https://ai.hackclub.com/proxy/v1/exa",
+    authScheme: "bearer",
+  },
+  anthropic: {
+    id: "anthropic",
+    name: "Anthropic",
+    api: "anthropic",
+    baseURL: "https://api.anthropic.com/v1",
+  },
+  gemini: {
+    id: "gemini",
+    name: "Google Gemini",
+    api: "gemini",
+    baseURL: "https://generativelanguage.googleapis.com/v1beta",
+  },
+};
+
+/**
+ * Normalizes a provider definition from runtime config or from a user's
+ * settings into a consistent shape. Returns null if the definition is unusable.
+ * @param {string} id
+ * @param {object} def
+ * @returns {object|null}
+ */
+export function normalizeProvider(id, def) {
+  if (!def || typeof def !== "object") return null;
+
+  const baseURL = typeof def.baseURL === "string" ? def.baseURL.trim().replace(/\/+$/, "") : "";
+  if (!/^https?:\/\//i.test(baseURL)) return null;
+
+  const api = PROVIDER_APIS.includes(def.api) ? def.api : "openai";
+  const authScheme = AUTH_SCHEMES.includes(def.authScheme) ? def.authScheme : DEFAULT_AUTH[api].authScheme;
+
+  // Exa search is only proxied by OpenAI-compatible gateways
+  let searchBaseURL = api === "openai" ? `${baseURL}/exa` : null;
+  if (typeof def.searchBaseURL === "string" && def.searchBaseURL.trim()) {
+    searchBaseURL = def.searchBaseURL.trim().replace(/\/+$/, "");
+  }
+
+  return {
+    id: String(def.id || id),
+    name: typeof def.name === "string" && def.name.trim() ? def.name.trim() : String(def.id || id),
+    api,
+    baseURL,
+    searchBaseURL,
+    authScheme,
+    authHeader: authScheme === "header" ? (def.authHeader || DEFAULT_AUTH[api].authHeader || "x-api-key") : null,
+    apiKey: typeof def.apiKey === "string" && def.apiKey ? def.apiKey : null,
+  };
+}
+
+/**
+ * Builds the provider registry from the built-ins plus `runtimeConfig.providers`.
+ * The config value may be an object keyed by id, an array, or a JSON string of
+ * either (as it arrives from the NUXT_PROVIDERS environment variable).
+ * @param {object} config - Nitro runtime config
+ * @returns {Map<string, object>}
+ */
+export function getProviderRegistry(config = {}) {
+  const registry = new Map();
+  for (const [id, def] of Object.entries(BUILTIN_PROVIDERS)) {
+    registry.set(id, normalizeProvider(id, def));
+  }
+
+  let configured = config.providers;
+  if (typeof configured === "string") {
+    try {
+      configured = JSON.parse(configured);
+    } catch {
+      console.error("Invalid providers runtime config: expected JSON");
+      configured = null;
+    }
+  }
+
+  const entries = Array.isArray(configured)
+    ? configured.map((def) => [def?.id, def])
+    : Object.entries(configured || {});
+
+  for (const [id, def] of entries) {
+    if (!id) continue;
+    const provider = normalizeProvider(id, def);
+    if (provider) registry.set(provider.id, provider);
+  }
+
+  return registry;
+}
+
+/**
+ * Lists the registered providers without secrets, for the client picker.
+ * @param {object} config - Nitro runtime config
+ * @returns {Array<{id: string, name: string, api: string, authScheme: string, hasServerKey: boolean}>}
+ */
+export function listPublicProviders(config = {}) {
+  return Array.from(getProviderRegistry(config).values()).map((p) => ({
+    id: p.id,
+    name: p.name,
+    api: p.api,
+    authScheme: p.authScheme,
+    hasServerKey: !!p.apiKey,
+  }));
+}
+
+/**
+ * The first of a user-defined provider's endpoints that points at a private
+ * network host, or null. Local endpoints are only reachable through
+ * providers the operator configured.
+ * @param {object} provider - A normalized provider
+ * @returns {Promise<string|null>} The offending hostname
+ */
+async function findPrivateEndpoint(provider) {
+  for (const endpoint of [provider.baseURL, provider.searchBaseURL]) {
+    if (!endpoint) continue;
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch {
+      return endpoint;
+    }
+    if (await isPrivateHost(url.hostname)) return url.hostname;
+  }
+  return null;
+}
+
+/**
+ * Resolves the provider a request should be routed to.
+ * `customProvider` (from the user's settings) wins over `providerId` when
+ * user-defined providers are allowed by the server. User-defined providers
+ * may not point at private network hosts.
+ * @param {object} config - Nitro runtime config
+ * @param {{providerId?: string, customProvider?: object}} selection
+ * @returns {Promise<{provider: object|null, error: {code: number, message: string}|null}>}
+ */
+export async function resolveProvider(config = {}, { providerId, customProvider } = {}) {
+  if (customProvider) {
+    if (config.allowUserProviders === false || config.allowUserProviders === "false") {
+      return { provider: null, error: { code: 403, message: "Custom providers are disabled on this server." } };
+    }
+    // Never trust a server-side key from a user-supplied definition.
+    const provider = normalizeProvider("custom", { ...customProvider, apiKey: null });
+    if (!provider) {
+      return { provider: null, error: { code: 400, message: "Custom provider requires a valid http(s) base URL." } };
+    }
+    const privateHost = await findPrivateEndpoint(provider);
+    if (privateHost) {
+      return {
+        provider: null,
+        error: { code: 403, message: `Custom providers may not point at private network hosts (${privateHost}).` },
+      };
+    }
+    return { provider, error: null };
+  }
+
+  const registry = getProviderRegistry(config);
+  const id = providerId || config.defaultProviderId || DEFAULT_PROVIDER_ID;
+  const provider = registry.get(id);
+  if (!provider) {
+    return { provider: null, error: { code: 400, message: `Unknown provider '${id}'.` } };
+  }
+  return { provider, error: null };
+}
+
+/**
+ * Picks the API key for a provider: a server-configured key takes precedence
+ * over the user's key. Providers with `authScheme: 'none'` need no key.
+ * @param {object} provider
+ * @param {string} [userKey]
+ * @returns {string|null}
+ */
+export function resolveApiKey(provider, userKey) {
+  if (provider.authScheme === "none") return null;
+  return provider.apiKey || userKey || null;
+}
+
+/**
+ * Whether a request to this provider is missing the credentials it needs.
+ * @param {object} provider
+ * @param {string|null} apiKey
+ * @returns {boolean}
+ */
+export function isMissingApiKey(provider, apiKey) {
+  return provider.authScheme !== "none" && !apiKey;
+}
+
+/**
+ * Builds the auth headers for a raw fetch to the provider.
+ * @param {object} provider
+ * @param {string|null} apiKey
+ * @returns {Object<string, string>}
+ */
+export function buildAuthHeaders(provider, apiKey) {
+  if (!apiKey || provider.authScheme === "none") return {};
+  if (provider.authScheme === "header") return { [provider.authHeader]: apiKey };
+  return { Authorization: `Bearer ${apiKey}` };
+}
+
+/**
+ * Creates an OpenAI SDK client pointed at the provider.
+ * @param {object} provider
+ * @param {string|null} apiKey
+ * @returns {OpenAI}
+ */
+export function createOpenAIClient(provider, apiKey) {
+  if (provider.authScheme === "bearer") {
+    return new OpenAI({ apiKey: apiKey || "", baseURL: provider.baseURL });
+  }
+
+  // The SDK always sends a bearer header; null removes it for other schemes.
+  return new OpenAI({
+    apiKey: "unused",
+    baseURL: provider.baseURL,
+    defaultHeaders: { Authorization: null, ...buildAuthHeaders(provider, apiKey) },
+  });
+}
+
+/**
+ * Reads the provider selection from a request. JSON routes send it in the body
+ * (`providerId` / `customProvider`); GET routes use the `X-Provider-Id` and
+ * `X-Provider` (URI-encoded JSON) headers.
+ * @param {import('h3').H3Event} event
+ * @param {object} [body]
+ * @returns {{providerId?: string, customProvider?: object}}
+ */
+export function readProviderSelection(event, body = null) {
+  if (body && (body.providerId || body.customProvider)) {
+    return { providerId: body.providerId, customProvider: body.customProvider };
+  }
+
+  const providerId = getHeader(event, "x-provider-id") || undefined;
+  const rawCustom = getHeader(event, "x-provider");
+  let customProvider;
+  if (rawCustom) {
+    try {
+      customProvider = JSON.parse(decodeURIComponent(rawCustom));
+    } catch {
+      customProvider = { baseURL: "" };
+    }
+  }
+  return { providerId, customProvider };
+}
@@ -0,0 +1,77 @@
+import { createHash } from "node:crypto";
+import { normalizeSearchQuery, normalizeUrl } from "#shared/cacheKeys";
+
+// Key normalization is shared with the client cache
+export { normalizeSearchQuery, normalizeUrl };
+
+// How long search and page-contents results are reused by default
+export const DEFAULT_RESULT_CACHE_TTL_SECONDS = 60 * 60;
+
+// Oldest entries are evicted past this many cached results per cache
+const MAX_ENTRIES = 1000;
+
+/**
+ * Creates an in-memory cache whose entries expire after a TTL. Entries live
+ * in this server process only.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries]
+ * @returns {{get: (key: string, now?: number) => any, set: (key: string, value: any, ttlMs: number, now?: number) => void, clear: () => void, size: () => number}}
+ */
+export function createTtlCache({ maxEntries = MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key, now = Date.now()) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value, ttlMs, now = Date.now()) {
+      if (!(ttlMs > 0)) return;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Scope for cache keys, so results fetched with one provider or key are
+ * never served to requests made with another.
+ * @param {{id: string, searchBaseURL: string}} provider
+ * @param {string|null} apiKey
+ * @returns {string}
+ */
+export function cacheScope(provider, apiKey) {
+  const keyHash = apiKey ? createHash("sha256").update(apiKey).digest("hex").slice(0, 16) : "none";
+  return `${provider.id}:${provider.searchBaseURL}:${keyHash}`;
+}
+
+/**
+ * The result cache TTL from runtime config, in milliseconds.
+ * @param {object} config - Runtime config
+ * @returns {number}
+ */
+export function resultCacheTtlMs(config) {
+  const seconds = Number(config?.resultCacheTtlSeconds ?? DEFAULT_RESULT_CACHE_TTL_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Shared caches for the Exa proxy routes
+export const searchResultCache = createTtlCache();
+export const pageContentsCache = createTtlCache();
@@ -0,0 +1,122 @@
+import { randomUUID } from "node:crypto";
+
+// How long a finished stream stays available for resuming
+export const STREAM_TTL_MS = 10 * 60 * 1000;
+
+// How long an unfinished stream may go without events before it is treated
+// as stuck, stopped and dropped
+export const IDLE_STREAM_TTL_MS = 30 * 60 * 1000;
+
+// Oldest streams are evicted past this many buffered streams
+const MAX_STREAMS = 500;
+
+/**
+ * In-memory buffers of `/api/ai` stream events, keyed by stream id, so a
+ * client that lost its connection can reconnect and replay from an offset.
+ * Buffers live in this server process only; deployments with several
+ * instances need sticky sessions for resuming to work.
+ * @type {Map<string, object>}
+ */
+const streams = new Map();
+
+/**
+ * Drops finished streams past their TTL, stops and drops streams that have
+ * been idle past theirs, and evicts the oldest streams when the buffer is
+ * full.
+ * @param {number} [now]
+ */
+export function pruneStreamBuffers(now = Date.now()) {
+  for (const [id, record] of streams) {
+    const idleMs = now - record.updatedAt;
+    if (record.done && idleMs > STREAM_TTL_MS) {
+      streams.delete(id);
+    } else if (!record.done && idleMs > IDLE_STREAM_TTL_MS) {
+      record.controller.abort();
+      finishStream(record);
+      streams.delete(id);
+    }
+  }
+
+  while (streams.size >= MAX_STREAMS) {
+    const oldestId = streams.keys().next().value;
+    const oldest = streams.get(oldestId);
+    oldest.controller.abort();
+    streams.delete(oldestId);
+  }
+}
+
+/**
+ * Registers a new stream buffer.
+ * @returns {{id: string, events: string[], done: boolean, updatedAt: number, listeners: Set<Function>, controller: AbortController}}
+ */
+export function createStreamBuffer() {
+  pruneStreamBuffers();
+
+  const record = {
+    id: randomUUID(),
+    events: [],
+    done: false,
+    updatedAt: Date.now(),
+    listeners: new Set(),
+    // Aborts the upstream request when the stream is cancelled
+    controller: new AbortController(),
+  };
+  streams.set(record.id, record);
+  return record;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getStreamBuffer(id) {
+  return (id && streams.get(id)) || null;
+}
+
+/**
+ * Appends a serialized SSE event and notifies subscribers.
+ * @param {object} record
+ * @param {string} event - Full `data: ...\n\n` line
+ */
+export function appendStreamEvent(record, event) {
+  if (record.done) return;
+  record.events.push(event);
+  record.updatedAt = Date.now();
+  for (const listener of record.listeners) listener(event);
+}
+
+/**
+ * Marks a stream finished and notifies subscribers with a null event.
+ * @param {object} record
+ */
+export function finishStream(record) {
+  if (record.done) return;
+  record.done = true;
+  record.updatedAt = Date.now();
+  for (const listener of record.listeners) listener(null);
+  record.listeners.clear();
+}
+
+/**
+ * Stops the upstream request behind a stream, if it is still running.
+ * @param {string} id
+ * @returns {boolean} Whether the stream was known
+ */
+export function cancelStream(id) {
+  const record = getStreamBuffer(id);
+  if (!record) return false;
+  record.controller.abort();
+  return true;
+}
+
+/**
+ * Subscribes to events appended after this call. The listener receives
+ * each event string, then null once the stream finishes.
+ * @param {object} record
+ * @param {(event: string|null) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToStream(record, listener) {
+  record.listeners.add(listener);
+  return () => record.listeners.delete(listener);
+}
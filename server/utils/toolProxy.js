@@ -0,0 +1,229 @@
+import { lookup as dnsLookup } from "node:dns";
+import { lookup } from "node:dns/promises";
+import { isIP } from "node:net";
+import { Agent, fetch as undiciFetch } from "undici";
+
+export const TOOL_PROXY_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+// Upstream responses are cut to this many characters before reaching the model
+export const MAX_TOOL_RESPONSE_CHARS = 100_000;
+
+export const TOOL_PROXY_TIMEOUT_MS = 15_000;
+
+// Headers the proxy sets itself or that would leak the caller's session
+const BLOCKED_HEADERS = new Set([
+  "host",
+  "content-length",
+  "connection",
+  "cookie",
+  "x-session-token",
+  "transfer-encoding",
+]);
+
+/**
+ * Whether an IP address is loopback, link-local, private or otherwise not
+ * publicly routable.
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const version = isIP(address);
+  if (version === 4) {
+    const [a, b] = address.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224
+    );
+  }
+  if (version === 6) {
+    const hextets = parseIPv6(address);
+    const embedded = embeddedIPv4(hextets);
+    if (embedded) return isPrivateAddress(embedded);
+    const [first, second, third] = hextets;
+    return (
+      hextets.every((hextet) => hextet === 0) ||
+      (first & 0xfe00) === 0xfc00 || // unique local
+      (first & 0xffc0) === 0xfe80 || // link-local
+      (first & 0xffc0) === 0xfec0 || // site-local
+      (first & 0xff00) === 0xff00 || // multicast
+      (first === 0x64 && second === 0xff9b && third === 1) // local-use NAT64
+    );
+  }
+  return false;
+}
+
+/**
+ * Expands an IPv6 address (already validated by `isIP`) into its eight
+ * 16-bit groups, including a dotted IPv4 tail.
+ * @param {string} address
+ * @returns {number[]}
+ */
+function parseIPv6(address) {
+  let text = address.toLowerCase().replace(/%.*$/, "");
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = text.slice(0, dotted.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const gap = text.includes("::") ? 8 - left.length - right.length : 0;
+  return [...left, ...Array(gap).fill("0"), ...right].map((group) => parseInt(group, 16));
+}
+
+/**
+ * The IPv4 address carried inside an IPv6 address by the mapped, compatible,
+ * translated, NAT64, 6to4 and Teredo forms, so `::ffff:7f00:1` is checked as
+ * 127.0.0.1.
+ * @param {number[]} hextets
+ * @returns {string|null}
+ */
+function embeddedIPv4(hextets) {
+  const toIPv4 = (high, low) => `${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`;
+  const zeros = (from, to) => hextets.slice(from, to).every((hextet) => hextet === 0);
+  const [first, second, , , fifth, sixth, high, low] = hextets;
+
+  // ::a.b.c.d, ::ffff:a.b.c.d and ::ffff:0:a.b.c.d
+  if (zeros(0, 4) && ((fifth === 0 && (sixth === 0 || sixth === 0xffff)) || (fifth === 0xffff && sixth === 0))) {
+    return toIPv4(high, low);
+  }
+  if (first === 0x64 && second === 0xff9b && zeros(2, 6)) return toIPv4(high, low);
+  if (first === 0x2002) return toIPv4(second, hextets[2]);
+  if (first === 0x2001 && second === 0) return toIPv4(high ^ 0xffff, low ^ 0xffff);
+  return null;
+}
+
+/**
+ * Validates a proxied tool request from the client and normalizes it.
+ * @param {object} body - `{ method, url, headers, body }`
+ * @returns {{request: object|null, error: string|null}}
+ */
+export function normalizeToolRequest(body) {
+  const method = String(body?.method || "GET").toUpperCase();
+  if (!TOOL_PROXY_METHODS.includes(method)) {
+    return { request: null, error: `Unsupported method '${method}'.` };
+  }
+
+  let url;
+  try {
+    url = new URL(body?.url);
+  } catch {
+    return { request: null, error: "A valid tool URL is required." };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return { request: null, error: "Tool URLs must use http or https." };
+  }
+
+  const headers = {};
+  for (const [name, value] of Object.entries(body?.headers || {})) {
+    if (!name || BLOCKED_HEADERS.has(name.toLowerCase())) continue;
+    headers[name] = String(value);
+  }
+
+  let payload;
+  if (body?.body !== undefined && body?.body !== null && method !== "GET" && method !== "DELETE") {
+    payload = typeof body.body === "string" ? body.body : JSON.stringify(body.body);
+    if (!Object.keys(headers).some((name) => name.toLowerCase() === "content-type")) {
+      headers["Content-Type"] = "application/json";
+    }
+  }
+
+  return { request: { method, url, headers, body: payload }, error: null };
+}
+
+/**
+ * Whether a hostname points at a private network. Hostnames are resolved so
+ * DNS names for internal addresses are caught too.
+ * @param {string} hostname
+ * @returns {Promise<boolean>}
+ */
+export async function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  if (isIP(host)) return isPrivateAddress(host);
+
+  try {
+    const addresses = await lookup(host, { all: true });
+    return addresses.some(({ address }) => isPrivateAddress(address));
+  } catch {
+    // Unresolvable hosts fail later in fetch with a clearer error
+    return false;
+  }
+}
+
+/**
+ * A `dns.lookup` replacement that refuses hostnames resolving to a private
+ * address. Connections made through it use the addresses it checked, so a
+ * name can't be re-resolved to an internal host between check and connect.
+ * @param {string} hostname
+ * @param {object} options
+ * @param {Function} callback
+ */
+export function publicAddressLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to a private network address (${blocked.address}).`);
+      refused.code = "EPRIVATEHOST";
+      return callback(refused);
+    }
+
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+let publicAgent = null;
+
+/**
+ * `fetch` that only connects to public addresses, for requests to hosts the
+ * user chose.
+ * @param {string|URL} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export function fetchPublic(url, init = {}) {
+  publicAgent ||= new Agent({ connect: { lookup: publicAddressLookup } });
+  return undiciFetch(url, { ...init, dispatcher: publicAgent });
+}
+
+/**
+ * Whether a fetch failed because `publicAddressLookup` refused the host.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isPrivateHostError(error) {
+  return error?.code === "EPRIVATEHOST" || error?.cause?.code === "EPRIVATEHOST";
+}
+
+/**
+ * Reads an upstream response as JSON when possible, otherwise as text,
+ * truncated to MAX_TOOL_RESPONSE_CHARS.
+ * @param {Response} response
+ * @returns {Promise<{body: any, truncated: boolean}>}
+ */
+export async function readToolResponse(response) {
+  const text = await response.text();
+  const truncated = text.length > MAX_TOOL_RESPONSE_CHARS;
+  const limited = truncated ? text.slice(0, MAX_TOOL_RESPONSE_CHARS) : text;
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!truncated && contentType.includes("json")) {
+    try {
+      return { body: JSON.parse(limited), truncated };
+    } catch {
+      // Fall through to text
+    }
+  }
+  return { body: limited, truncated };
+}
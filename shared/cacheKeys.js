@@ -0,0 +1,45 @@
+/**
+ * @file cacheKeys.js
+ * @description Normalization of search queries and URLs into cache keys,
+ * shared by the client's tool result cache
+ * (app/composables/toolResultCache.js) and the server's result cache
+ * (server/utils/resultCache.js) so both key results the same way.
+ */
+
+/**
+ * Normalizes a search query for use as a cache key: case, surrounding and
+ * repeated whitespace are ignored.
+ * @param {string} query
+ * @returns {string}
+ */
+export function normalizeSearchQuery(query) {
+  return String(query ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Normalizes a URL for use as a cache key: the host is lowercased, default
+ * ports, fragments, tracking parameters and a trailing slash are dropped,
+ * and the remaining query parameters are sorted.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return String(url ?? "").trim();
+  }
+
+  parsed.hash = "";
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (/^(utm_|fbclid$|gclid$)/i.test(name)) parsed.searchParams.delete(name);
+  }
+  parsed.searchParams.sort();
+
+  let normalized = parsed.toString();
+  if (parsed.pathname !== "/" && normalized.endsWith("/") && !parsed.search) {
+    normalized = normalized.slice(0, -1);
+  }
+  return normalized;
+}
@@ -0,0 +1,332 @@
+/**
+ * @file adapters.test.js
+ * @description Unit tests for the native provider adapters in
+ * server/utils/adapters: request translation to Anthropic Messages and
+ * Gemini, and stream translation back to OpenAI-style chunks.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { buildAnthropicRequest, translateAnthropicStream } from '../server/utils/adapters/anthropic.js';
+import { buildGeminiRequest, translateGeminiStream, streamGemini } from '../server/utils/adapters/gemini.js';
+import { readServerSentEvents, collectCompletion } from '../server/utils/adapters/common.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const PDF = 'data:application/pdf;base64,JVBERi0=';
+
+const searchTool = {
+  type: 'function',
+  function: {
+    name: 'search',
+    description: 'Search the web',
+    parameters: { type: 'object', properties: { query: { type: 'string' } } },
+  },
+};
+
+// A turn with an attachment, a tool call and its result
+const body = {
+  model: 'anthropic/claude-sonnet-4-5',
+  messages: [
+    { role: 'system', content: 'Be brief.' },
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image_url', image_url: { url: PNG } },
+        { type: 'file', file: { filename: 'doc.pdf', file_data: PDF } },
+      ],
+    },
+    {
+      role: 'assistant',
+      content: '',
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'search', arguments: '{"query":"cats"}' } }],
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: 'Cats are mammals.' },
+  ],
+  tools: [searchTool],
+  tool_choice: 'auto',
+  temperature: 1.4,
+};
+
+async function* fromArray(items) {
+  for (const item of items) yield item;
+}
+
+const events = (payloads) => fromArray(payloads.map((p) => ({ event: p.type ?? null, data: JSON.stringify(p) })));
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+describe('buildAnthropicRequest', () => {
+  it('translates messages, attachments and tools', () => {
+    const request = buildAnthropicRequest(body);
+
+    expect(request.model).toBe('claude-sonnet-4-5');
+    expect(request.system).toEqual([{ type: 'text', text: 'Be brief.' }]);
+    expect(request.max_tokens).toBeGreaterThan(0);
+    expect(request.temperature).toBe(1);
+
+    const [user, assistant, toolResult] = request.messages;
+    expect(user.content[1]).toEqual({ type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } });
+    expect(user.content[2].type).toBe('document');
+    expect(assistant.content).toEqual([{ type: 'tool_use', id: 'call_1', name: 'search', input: { query: 'cats' } }]);
+    expect(toolResult).toEqual({
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'Cats are mammals.' }],
+    });
+
+    expect(request.tools[0]).toEqual({
+      name: 'search',
+      description: 'Search the web',
+      input_schema: searchTool.function.parameters,
+    });
+    expect(request.tool_choice).toEqual({ type: 'auto' });
+  });
+
+  it('enables thinking and drops sampling parameters for reasoning requests', () => {
+    const firstTurn = { ...body, messages: body.messages.slice(0, 2) };
+    const request = buildAnthropicRequest({ ...firstTurn, max_tokens: 1000, reasoning: { effort: 'high' } });
+    expect(request.thinking).toEqual({ type: 'enabled', budget_tokens: 16384 });
+    expect(request.max_tokens).toBeGreaterThan(16384);
+    expect(request.temperature).toBeUndefined();
+  });
+
+  it('replays signed thinking ahead of the tool calls it preceded', () => {
+    const [system, user, assistant, toolResult] = body.messages;
+    const request = buildAnthropicRequest({
+      ...body,
+      reasoning: { effort: 'low' },
+      messages: [system, user, {
+        ...assistant,
+        reasoning_details: [
+          { type: 'reasoning.text', text: 'Search first.', signature: 'sig-1', format: 'anthropic-claude-v1', index: 0 },
+          { type: 'reasoning.encrypted', data: 'opaque', format: 'anthropic-claude-v1', index: 1 },
+        ],
+      }, toolResult],
+    });
+
+    expect(request.thinking).toEqual({ type: 'enabled', budget_tokens: 2048 });
+    expect(request.messages[1].content.map((b) => b.type)).toEqual(['thinking', 'redacted_thinking', 'tool_use']);
+    expect(request.messages[1].content[0]).toEqual({ type: 'thinking', thinking: 'Search first.', signature: 'sig-1' });
+  });
+
+  it('turns thinking off when a tool turn has no signed thinking to replay', () => {
+    const request = buildAnthropicRequest({ ...body, reasoning: { effort: 'low' } });
+    expect(request.thinking).toBeUndefined();
+    expect(request.messages[1].content.map((b) => b.type)).toEqual(['tool_use']);
+  });
+
+  it('merges consecutive tool results into one user turn', () => {
+    const request = buildAnthropicRequest({
+      model: 'claude',
+      messages: [
+        { role: 'user', content: 'hi' },
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [
+            { id: 'a', function: { name: 'x', arguments: '{}' } },
+            { id: 'b', function: { name: 'y', arguments: '' } },
+          ],
+        },
+        { role: 'tool', tool_call_id: 'a', content: '1' },
+        { role: 'tool', tool_call_id: 'b', content: '2' },
+      ],
+    });
+    expect(request.messages).toHaveLength(3);
+    expect(request.messages[2].content.map((b) => b.tool_use_id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('translateAnthropicStream', () => {
+  it('emits content, reasoning, tool calls and usage as OpenAI chunks', async () => {
+    const chunks = await collect(translateAnthropicStream(events([
+      { type: 'message_start', message: { usage: { input_tokens: 10, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Hmm' } },
+      { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hello' } },
+      { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_1', name: 'search' } },
+      { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"query":' } },
+      { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '"cats"}' } },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } },
+      { type: 'message_stop' },
+    ]), 'anthropic/claude'));
+
+    const deltas = chunks.map((c) => c.choices[0].delta);
+    expect(deltas[0]).toEqual({ reasoning: 'Hmm' });
+    expect(deltas[1]).toEqual({ content: 'Hello' });
+    expect(deltas[2].tool_calls[0]).toMatchObject({ index: 0, id: 'toolu_1', function: { name: 'search', arguments: '' } });
+
+    const last = chunks[chunks.length - 1];
+    expect(last.choices[0].finish_reason).toBe('tool_calls');
+    expect(last.usage).toEqual({ prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 });
+    expect(chunks.every((c) => c.object === 'chat.completion.chunk' && c.id === chunks[0].id)).toBe(true);
+
+    const completion = await collectCompletion(fromArray(chunks));
+    expect(completion.choices[0].message.tool_calls[0].function.arguments).toBe('{"query":"cats"}');
+  });
+
+  it('passes finished thinking blocks on with their signature', async () => {
+    const chunks = await collect(translateAnthropicStream(events([
+      { type: 'message_start', message: { usage: { input_tokens: 10, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Search ' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'first.' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig-1' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'content_block_start', index: 1, content_block: { type: 'redacted_thinking', data: 'opaque' } },
+      { type: 'content_block_stop', index: 1 },
+      { type: 'message_stop' },
+    ]), 'claude'));
+
+    const details = chunks.flatMap((c) => c.choices[0].delta.reasoning_details || []);
+    expect(details).toEqual([
+      { type: 'reasoning.text', text: 'Search first.', signature: 'sig-1', format: 'anthropic-claude-v1', index: 0 },
+      { type: 'reasoning.encrypted', data: 'opaque', format: 'anthropic-claude-v1', index: 1 },
+    ]);
+
+    // The captured details rebuild the thinking blocks on the next request of the loop
+    const request = buildAnthropicRequest({
+      model: 'claude',
+      reasoning: { effort: 'low' },
+      messages: [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: '', reasoning_details: details, tool_calls: [{ id: 'a', function: { name: 'x', arguments: '{}' } }] },
+        { role: 'tool', tool_call_id: 'a', content: '1' },
+      ],
+    });
+    expect(request.thinking).toBeDefined();
+    expect(request.messages[1].content[0]).toEqual({ type: 'thinking', thinking: 'Search first.', signature: 'sig-1' });
+  });
+
+  it('reports a cut-off reply when the stream ends without message_stop', async () => {
+    const cutOff = await collect(translateAnthropicStream(events([
+      { type: 'message_start', message: { usage: { input_tokens: 10, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+    ]), 'claude'));
+    expect(cutOff[cutOff.length - 1].choices[0].finish_reason).toBe('length');
+
+    const stopped = await collect(translateAnthropicStream(events([
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: 'Hi' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } },
+    ]), 'claude'));
+    expect(stopped[stopped.length - 1].choices[0].finish_reason).toBe('stop');
+  });
+
+  it('throws on error events', async () => {
+    const stream = translateAnthropicStream(events([
+      { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } },
+    ]), 'claude');
+    await expect(collect(stream)).rejects.toMatchObject({ message: 'Overloaded', type: 'overloaded_error' });
+  });
+});
+
+describe('buildGeminiRequest', () => {
+  it('translates messages, attachments and tools', () => {
+    const request = buildGeminiRequest({ ...body, model: 'google/gemini-2.5-flash', seed: 7, max_tokens: 500 });
+
+    expect(request.systemInstruction).toEqual({ parts: [{ text: 'Be brief.' }] });
+
+    const [user, model, toolResult] = request.contents;
+    expect(user.role).toBe('user');
+    expect(user.parts[1]).toEqual({ inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } });
+    expect(user.parts[2]).toEqual({ inlineData: { mimeType: 'application/pdf', data: 'JVBERi0=' } });
+    expect(model.role).toBe('model');
+    expect(model.parts[0].functionCall).toEqual({ name: 'search', args: { query: 'cats' } });
+    expect(toolResult.parts[0].functionResponse).toEqual({ name: 'search', response: { content: 'Cats are mammals.' } });
+
+    expect(request.generationConfig).toEqual({ temperature: 1.4, seed: 7, maxOutputTokens: 500 });
+    expect(request.tools[0].functionDeclarations[0].parametersJsonSchema).toEqual(searchTool.function.parameters);
+    expect(request.toolConfig).toEqual({ functionCallingConfig: { mode: 'AUTO' } });
+  });
+
+  it('maps reasoning settings to a thinking config', () => {
+    expect(buildGeminiRequest({ messages: [], reasoning: { enabled: false } }).generationConfig.thinkingConfig)
+      .toEqual({ thinkingBudget: 0 });
+    expect(buildGeminiRequest({ messages: [], reasoning: { effort: 'low' } }).generationConfig.thinkingConfig)
+      .toEqual({ includeThoughts: true, thinkingBudget: 2048 });
+  });
+});
+
+describe('translateGeminiStream', () => {
+  it('emits thoughts, text, function calls and usage as OpenAI chunks', async () => {
+    const chunks = await collect(translateGeminiStream(events([
+      { candidates: [{ content: { role: 'model', parts: [{ text: 'Thinking', thought: true }] } }] },
+      { candidates: [{ content: { role: 'model', parts: [{ text: 'Hi' }] } }] },
+      {
+        candidates: [{
+          content: { role: 'model', parts: [{ functionCall: { name: 'search', args: { query: 'cats' } } }] },
+          finishReason: 'STOP',
+        }],
+        usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3, thoughtsTokenCount: 2, totalTokenCount: 10 },
+      },
+    ]), 'gemini-2.5-flash'));
+
+    const deltas = chunks.map((c) => c.choices[0].delta);
+    expect(deltas[0]).toEqual({ reasoning: 'Thinking' });
+    expect(deltas[1]).toEqual({ content: 'Hi' });
+    expect(deltas[2].tool_calls[0]).toMatchObject({ index: 0, function: { name: 'search', arguments: '{"query":"cats"}' } });
+    expect(deltas[2].tool_calls[0].id).toBeTruthy();
+
+    const last = chunks[chunks.length - 1];
+    expect(last.choices[0].finish_reason).toBe('tool_calls');
+    expect(last.usage).toEqual({ prompt_tokens: 5, completion_tokens: 5, total_tokens: 10 });
+  });
+
+  it('maps inline image output to delta images', async () => {
+    const chunks = await collect(translateGeminiStream(events([
+      { candidates: [{ content: { parts: [{ inlineData: { mimeType: 'image/png', data: 'AAAA' } }] }, finishReason: 'STOP' }] },
+    ]), 'gemini-image'));
+    expect(chunks[0].choices[0].delta.images[0].image_url.url).toBe('data:image/png;base64,AAAA');
+    expect(chunks[1].choices[0].finish_reason).toBe('stop');
+  });
+});
+
+describe('streamGemini', () => {
+  const provider = { name: 'Gemini', api: 'gemini', baseURL: 'https://generativelanguage.example/v1beta', authScheme: 'none' };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('puts the encoded model id in the request path', async () => {
+    const fetchMock = vi.fn(async () => ({ ok: true, body: new ReadableStream() }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await streamGemini({ provider, apiKey: null, body: { ...body, model: 'google/gemini 2.5?x' } });
+
+    expect(fetchMock.mock.calls[0][0])
+      .toBe('https://generativelanguage.example/v1beta/models/gemini%202.5%3Fx:streamGenerateContent?alt=sse');
+  });
+
+  it('rejects model ids that would leave the models path', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    for (const model of ['google/../../files', 'google/tuned/other', '..']) {
+      await expect(streamGemini({ provider, apiKey: null, body: { ...body, model } }))
+        .rejects.toMatchObject({ status: 400, type: 'invalid_request_error' });
+    }
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('readServerSentEvents', () => {
+  it('parses events split across network chunks', async () => {
+    const encoder = new TextEncoder();
+    const body = fromArray([
+      encoder.encode('event: ping\ndata: {"a"'),
+      encoder.encode(':1}\n\n: comment\ndata: {"b":2}\r\n\r\n'),
+      encoder.encode('data: {"c":3}'),
+    ]);
+    expect(await collect(readServerSentEvents(body))).toEqual([
+      { event: 'ping', data: '{"a":1}' },
+      { event: null, data: '{"b":2}' },
+      { event: null, data: '{"c":3}' },
+    ]);
+  });
+});
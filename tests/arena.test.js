@@ -0,0 +1,119 @@
+/**
+ * @file arena.test.js
+ * @description Unit tests for arena mode (app/composables/arena.js): the
+ * shared model selection, grouping the replies of a round, voting for a
+ * reply, and reading a reply's text while it streams.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  useArena,
+  MAX_ARENA_MODELS,
+  getArenaReplies,
+  voteForReply,
+  getReplyText,
+} from '../app/composables/arena.js';
+
+const reply = (id, branchIndex, extra = {}) => ({
+  id,
+  role: 'assistant',
+  parentId: 'u1',
+  branchIndex,
+  timestamp: new Date(0),
+  arena: true,
+  ...extra,
+});
+
+const round = () => [
+  { id: 'u1', role: 'user', parentId: null, branchIndex: 0, content: 'Which is faster?' },
+  reply('a1', 0),
+  reply('a2', 1),
+  reply('a3', 2),
+];
+
+describe('useArena', () => {
+  beforeEach(() => useArena().clearArena());
+
+  it('turns on once two models are picked', () => {
+    const { arenaModelIds, isArenaActive, toggleArenaModel } = useArena();
+
+    toggleArenaModel('openai/gpt-5');
+    expect(isArenaActive.value).toBe(false);
+    toggleArenaModel('anthropic/claude-sonnet-4.5');
+    expect(isArenaActive.value).toBe(true);
+
+    toggleArenaModel('openai/gpt-5');
+    expect(arenaModelIds.value).toEqual(['anthropic/claude-sonnet-4.5']);
+    expect(isArenaActive.value).toBe(false);
+  });
+
+  it(`picks at most ${MAX_ARENA_MODELS} models`, () => {
+    const { arenaModelIds, toggleArenaModel } = useArena();
+    for (let i = 0; i < MAX_ARENA_MODELS + 2; i++) toggleArenaModel(`model-${i}`);
+
+    expect(arenaModelIds.value).toHaveLength(MAX_ARENA_MODELS);
+  });
+
+  it('shares the selection between callers', () => {
+    useArena().toggleArenaModel('a');
+    expect(useArena().arenaModelIds.value).toEqual(['a']);
+  });
+});
+
+describe('getArenaReplies', () => {
+  it('returns every reply of the round, in branch order', () => {
+    const messages = round();
+    expect(getArenaReplies(messages, messages[2]).map((m) => m.id)).toEqual(['a1', 'a2', 'a3']);
+  });
+
+  it('leaves out later regenerations that are not part of the round', () => {
+    const messages = [...round(), reply('a4', 3, { arena: undefined })];
+    expect(getArenaReplies(messages, messages[1]).map((m) => m.id)).toEqual(['a1', 'a2', 'a3']);
+    expect(getArenaReplies(messages, messages[4])).toBeNull();
+  });
+
+  it('ignores user messages and lone replies', () => {
+    const messages = round();
+    expect(getArenaReplies(messages, messages[0])).toBeNull();
+    expect(getArenaReplies(messages.slice(0, 2), messages[1])).toBeNull();
+  });
+});
+
+describe('voteForReply', () => {
+  it('marks the chosen reply and clears the previous vote', () => {
+    const messages = round();
+    messages[1].preferred = true;
+
+    expect(voteForReply(messages, 'a3')).toEqual([
+      { id: 'a1', preferred: false },
+      { id: 'a3', preferred: true },
+    ]);
+  });
+
+  it('changes nothing for the current vote or a message outside a round', () => {
+    const messages = round();
+    messages[2].preferred = true;
+
+    expect(voteForReply(messages, 'a2')).toEqual([]);
+    expect(voteForReply(messages, 'u1')).toEqual([]);
+    expect(voteForReply(messages, 'ghost')).toEqual([]);
+  });
+});
+
+describe('getReplyText', () => {
+  it('joins the content parts of a streaming reply', () => {
+    expect(getReplyText({
+      content: '',
+      parts: [
+        { type: 'reasoning', content: 'Hmm' },
+        { type: 'content', content: 'First.' },
+        { type: 'tool_group', tools: [] },
+        { type: 'content', content: 'Second.' },
+      ],
+    })).toBe('First.\n\nSecond.');
+  });
+
+  it('falls back to the content of replies without parts', () => {
+    expect(getReplyText({ content: 'Plain', parts: [] })).toBe('Plain');
+  });
+});
@@ -4,7 +4,7 @@
  * Covers the model catalog and all the pure functions that derive UI/API
  * behavior from it: findModelById, normalizeReasoningConfig,
  * showReasoningToggle/Effort, getDefaultReasoningEffort, isReasoningEnabled,
- * and buildReasoningParams.
+ * buildReasoningParams and buildImageParams.
  */
 
 import { describe, it, expect } from "vitest";
@@ -19,6 +19,13 @@ import {
   isReasoningEnabled,
   buildReasoningParams,
   supportsToolUse,
+  supportsFileInput,
+  supportsAudioInput,
+  supportsPrefill,
+  getImageOutputOptions,
+  buildImageParams,
+  IMAGE_ASPECT_RATIOS,
+  MAX_IMAGES_PER_REQUEST,
   availableModels,
   DEFAULT_MODEL_ID,
 } from "../app/composables/availableModels.js";
@@ -468,3 +475,78 @@ describe("supportsToolUse", () => {
     expect(supportsToolUse(findModelById(availableModels, "openai/gpt-5.5"))).toBe(true);
   });
 });
+
+describe("supportsFileInput", () => {
+  it("follows vision unless file_input is set", () => {
+    expect(supportsFileInput({ vision: true })).toBe(true);
+    expect(supportsFileInput({})).toBe(false);
+    expect(supportsFileInput({ vision: true, file_input: false })).toBe(false);
+    expect(supportsFileInput({ file_input: true })).toBe(true);
+  });
+
+  it("returns false for unknown models so they get extracted text", () => {
+    expect(supportsFileInput(null)).toBe(false);
+  });
+});
+
+describe("supportsAudioInput", () => {
+  it("is only true for models flagged with audio_input", () => {
+    expect(supportsAudioInput({ audio_input: true })).toBe(true);
+    expect(supportsAudioInput({ vision: true })).toBe(false);
+    expect(supportsAudioInput(null)).toBe(false);
+  });
+});
+
+describe("supportsPrefill", () => {
+  it("is only true for models flagged with prefill", () => {
+    expect(supportsPrefill({ prefill: true })).toBe(true);
+    expect(supportsPrefill({ vision: true })).toBe(false);
+    expect(supportsPrefill(null)).toBe(false);
+  });
+});
+
+describe("getImageOutputOptions", () => {
+  it("returns null for models without image output", () => {
+    expect(getImageOutputOptions({ vision: true })).toBeNull();
+    expect(getImageOutputOptions(null)).toBeNull();
+  });
+
+  it("fills in defaults for `image_output: true`", () => {
+    expect(getImageOutputOptions({ image_output: true })).toEqual({
+      aspectRatios: IMAGE_ASPECT_RATIOS,
+      sizes: [],
+      maxImages: MAX_IMAGES_PER_REQUEST,
+    });
+  });
+
+  it("uses the options a model lists", () => {
+    const options = getImageOutputOptions({ image_output: { aspect_ratios: ["1:1"], sizes: ["1K"], max_images: 2 } });
+    expect(options).toEqual({ aspectRatios: ["1:1"], sizes: ["1K"], maxImages: 2 });
+  });
+});
+
+describe("buildImageParams", () => {
+  const model = { image_output: { sizes: ["1K", "2K"], max_images: 3 } };
+
+  it("returns nothing for models without image output", () => {
+    expect(buildImageParams({}, { image_count: 4 })).toEqual({});
+  });
+
+  it("asks for image output with the chosen aspect ratio, size and count", () => {
+    expect(buildImageParams(model, { image_aspect_ratio: "16:9", image_size: "2K", image_count: 2 })).toEqual({
+      modalities: ["image", "text"],
+      image_config: { aspect_ratio: "16:9", image_size: "2K" },
+      n: 2,
+    });
+  });
+
+  it("leaves out choices the model doesn't offer and caps the count", () => {
+    expect(buildImageParams(model, { image_aspect_ratio: "7:3", image_size: "4K", image_count: 10 })).toEqual({
+      modalities: ["image", "text"],
+      n: 3,
+    });
+    expect(buildImageParams(model, { image_aspect_ratio: null, image_count: 1 })).toEqual({
+      modalities: ["image", "text"],
+    });
+  });
+});
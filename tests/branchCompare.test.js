@@ -0,0 +1,129 @@
+/**
+ * @file branchCompare.test.js
+ * @description Unit tests for the branch comparison helpers
+ * (app/composables/branchCompare.js): finding the response behind each
+ * sibling branch, the word-level diff, and the stats shown per branch.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getComparisonColumns, diffWords, getResponseStats, buildMergePrompt } from '../app/composables/branchCompare.js';
+
+const msg = (id, parentId, role, content, opts = {}) => ({
+  id,
+  parentId,
+  role,
+  content,
+  branchIndex: opts.branchIndex ?? 0,
+  timestamp: opts.timestamp ?? new Date(0),
+  ...opts.extra,
+});
+
+describe('getComparisonColumns', () => {
+  it('compares regenerated responses directly', () => {
+    const messages = [
+      msg('u1', null, 'user', 'Hi'),
+      msg('a1', 'u1', 'assistant', 'Hello!', { branchIndex: 0 }),
+      msg('a2', 'u1', 'assistant', 'Hey there!', { branchIndex: 1 }),
+    ];
+
+    const columns = getComparisonColumns(messages, 'a2');
+
+    expect(columns.map((c) => c.message.id)).toEqual(['a1', 'a2']);
+    expect(columns.map((c) => c.text)).toEqual(['Hello!', 'Hey there!']);
+  });
+
+  it('compares the first response to each version of an edited prompt', () => {
+    const messages = [
+      msg('u1', null, 'user', 'Write a poem', { branchIndex: 0 }),
+      msg('a1', 'u1', 'assistant', 'Roses are red'),
+      msg('u2', null, 'user', 'Write a haiku', { branchIndex: 1 }),
+      msg('a3', 'u2', 'assistant', 'Second try', { branchIndex: 1 }),
+      msg('a2', 'u2', 'assistant', 'An old silent pond', { branchIndex: 0 }),
+      msg('u3', null, 'user', 'Write a limerick', { branchIndex: 2 }),
+    ];
+
+    const columns = getComparisonColumns(messages, 'u1');
+
+    expect(columns.map((c) => c.response?.id ?? null)).toEqual(['a1', 'a2', null]);
+    expect(columns[2].text).toBe('');
+  });
+
+  it('returns no columns for an unknown message', () => {
+    expect(getComparisonColumns([], 'ghost')).toEqual([]);
+  });
+});
+
+describe('diffWords', () => {
+  it('marks added and removed words and keeps the rest', () => {
+    expect(diffWords('The quick brown fox', 'The slow brown fox jumps')).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'removed', text: 'quick' },
+      { type: 'added', text: 'slow' },
+      { type: 'equal', text: ' brown fox' },
+      { type: 'added', text: ' jumps' },
+    ]);
+  });
+
+  it('rebuilds both texts from its segments', () => {
+    const before = 'One two three.\n\nFour five six.';
+    const after = 'One three.\n\nFour five, six and seven.';
+    const segments = diffWords(before, after);
+
+    const join = (types) => segments.filter((s) => types.includes(s.type)).map((s) => s.text).join('');
+    expect(join(['equal', 'removed'])).toBe(before);
+    expect(join(['equal', 'added'])).toBe(after);
+  });
+
+  it('returns a single segment for identical texts', () => {
+    expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', text: 'same text' }]);
+    expect(diffWords('', '')).toEqual([]);
+  });
+});
+
+describe('getResponseStats', () => {
+  it('reads model, usage, timing and parts from a stored response', () => {
+    const response = msg('a1', 'u1', 'assistant', 'Three short words', {
+      extra: {
+        model: 'openai/gpt-5',
+        promptTokens: 120,
+        tokenCount: 40,
+        apiCallTime: '2026-01-01T00:00:00.000Z',
+        firstTokenTime: '2026-01-01T00:00:00.500Z',
+        completionTime: new Date('2026-01-01T00:00:02.500Z'),
+        parts: [
+          { type: 'tool_group', tools: [{ id: 't1' }, { id: 't2' }] },
+          { type: 'image', images: [{ url: 'data:image/png;base64,AAA' }] },
+          { type: 'content', content: 'Three short words' },
+        ],
+      },
+    });
+
+    expect(getResponseStats(response)).toEqual({
+      model: 'openai/gpt-5',
+      promptTokens: 120,
+      completionTokens: 40,
+      delay: 500,
+      generationTime: 2000,
+      tokensPerSecond: 20,
+      toolCalls: 2,
+      images: 1,
+      words: 3,
+    });
+  });
+
+  it('leaves out what a response does not have', () => {
+    expect(getResponseStats(msg('a1', 'u1', 'assistant', ''))).toEqual({ toolCalls: 0, images: 0, words: 0 });
+    expect(getResponseStats(null)).toEqual({ toolCalls: 0, images: 0, words: 0 });
+  });
+});
+
+describe('buildMergePrompt', () => {
+  it('repeats the prompt and quotes both answers in order', () => {
+    const prompt = buildMergePrompt('Name a color', 'Red.', 'Blue.');
+
+    expect(prompt.startsWith('Name a color\n\n')).toBe(true);
+    expect(prompt).toContain('<answer_1>\nRed.\n</answer_1>');
+    expect(prompt).toContain('<answer_2>\nBlue.\n</answer_2>');
+    expect(prompt.indexOf('answer_1')).toBeLessThan(prompt.indexOf('answer_2'));
+  });
+});
@@ -22,6 +22,13 @@ import {
   findBranchPoints,
   getRootSiblingInfo,
   buildSiblingInfoMap,
+  getMessagePreview,
+  layoutMessageTree,
+  getSubtreeIds,
+  deleteBranch,
+  remapBranchPath,
+  forkBranchPath,
+  getBranchFinalAnswer,
 } from "../app/composables/branchManager.js";
 
 // Helper to build messages with a known date ordering
@@ -393,3 +400,179 @@ describe("buildSiblingInfoMap", () => {
     expect(map.get("r1").current).toBe(1);
   });
 });
+
+describe("getMessagePreview", () => {
+  it("collapses whitespace and truncates long text", () => {
+    expect(getMessagePreview({ content: "  Hello\n\n  world " })).toBe("Hello world");
+    const preview = getMessagePreview({ content: "x".repeat(200) });
+    expect(preview.length).toBe(80);
+    expect(preview.endsWith("…")).toBe(true);
+  });
+
+  it("describes messages without text", () => {
+    expect(getMessagePreview({ content: "", parts: [{ type: "image", images: [] }] })).toBe("[Image]");
+    expect(getMessagePreview({ content: "", attachments: [{ filename: "notes.pdf" }] })).toBe("notes.pdf");
+    expect(getMessagePreview({ content: "" })).toBe("(empty)");
+  });
+});
+
+describe("layoutMessageTree", () => {
+  // a -> [b0 -> c0, b1 -> c1]
+  const messages = [
+    msg("a", null, { content: "Hi" }),
+    msg("b0", "a", { branchIndex: 0, role: "assistant" }),
+    msg("b1", "a", { branchIndex: 1, role: "assistant" }),
+    msg("c0", "b0"),
+    msg("c1", "b1"),
+  ];
+
+  it("lays out rows depth-first and gives each extra branch its own lane", () => {
+    const { nodes, edges, laneCount } = layoutMessageTree(messages, [0]);
+
+    expect(nodes.map((n) => [n.id, n.row, n.lane])).toEqual([
+      ["a", 0, 0],
+      ["b0", 1, 0],
+      ["c0", 2, 0],
+      ["b1", 3, 1],
+      ["c1", 4, 1],
+    ]);
+    expect(laneCount).toBe(2);
+    expect(edges).toHaveLength(4);
+    expect(edges.find((e) => e.to.row === 3).from).toEqual({ row: 0, lane: 0 });
+    expect(nodes[0]).toMatchObject({ preview: "Hi", isFork: true, collapsible: true });
+  });
+
+  it("orders siblings by branchIndex rather than array order", () => {
+    const shuffled = [messages[0], messages[2], messages[1], messages[4], messages[3]];
+    const { nodes } = layoutMessageTree(shuffled, [0]);
+    expect(nodes.map((n) => n.id)).toEqual(["a", "b0", "c0", "b1", "c1"]);
+  });
+
+  it("marks the messages and edges of the active branch", () => {
+    const { nodes, edges } = layoutMessageTree(messages, [1]);
+
+    expect(nodes.filter((n) => n.active).map((n) => n.id)).toEqual(["a", "b1", "c1"]);
+    expect(edges.filter((e) => e.active).map((e) => e.to.row)).toEqual([3, 4]);
+  });
+
+  it("hides the descendants of collapsed messages", () => {
+    const { nodes, laneCount } = layoutMessageTree(messages, [0], new Set(["b1"]));
+
+    expect(nodes.map((n) => n.id)).toEqual(["a", "b0", "c0", "b1"]);
+    expect(nodes[3]).toMatchObject({ collapsed: true, hiddenCount: 1 });
+    expect(laneCount).toBe(2);
+
+    const folded = layoutMessageTree(messages, [0], new Set(["a"]));
+    expect(folded.nodes).toHaveLength(1);
+    expect(folded.nodes[0].hiddenCount).toBe(4);
+  });
+
+  it("only offers collapsing at forks and where branches start", () => {
+    const { nodes } = layoutMessageTree(messages, [0]);
+    const collapsible = nodes.filter((n) => n.collapsible).map((n) => n.id);
+    expect(collapsible).toEqual(["a", "b0", "b1"]);
+  });
+
+  it("returns an empty layout for no messages", () => {
+    expect(layoutMessageTree([], [])).toEqual({ nodes: [], edges: [], laneCount: 0 });
+  });
+});
+
+
+describe("branch operations", () => {
+  // u1 ─┬─ a1 ── u2 ── a2
+  //     ├─ a3 ── u3 ─┬─ a4
+  //     │            └─ a5
+  //     └─ a6
+  const answer = (id, parentId, branchIndex = 0) =>
+    ({ ...msg(id, parentId, { branchIndex, role: "assistant", content: id }), complete: true });
+  const messages = [
+    msg("u1", null),
+    answer("a1", "u1", 0),
+    msg("u2", "a1"),
+    answer("a2", "u2"),
+    answer("a3", "u1", 1),
+    msg("u3", "a3"),
+    answer("a4", "u3", 0),
+    answer("a5", "u3", 1),
+    answer("a6", "u1", 2),
+  ];
+
+  describe("getSubtreeIds", () => {
+    it("collects a message and everything below it", () => {
+      expect([...getSubtreeIds(messages, "a3")].sort()).toEqual(["a3", "a4", "a5", "u3"]);
+      expect([...getSubtreeIds(messages, "a6")]).toEqual(["a6"]);
+    });
+
+    it("is empty for an unknown message", () => {
+      expect(getSubtreeIds(messages, "nope").size).toBe(0);
+    });
+  });
+
+  describe("deleteBranch", () => {
+    it("removes the subtree and leaves sibling indices alone", () => {
+      const result = deleteBranch(messages, "a3");
+
+      expect(result.messages.map((m) => m.id)).toEqual(["u1", "a1", "u2", "a2", "a6"]);
+      expect([...result.removedIds].sort()).toEqual(["a3", "a4", "a5", "u3"]);
+      expect(result.messages.find((m) => m.id === "a6").branchIndex).toBe(2);
+      expect(getSiblingInfo(result.messages, "a6")).toMatchObject({ current: 1, total: 2 });
+    });
+  });
+
+  describe("remapBranchPath", () => {
+    it("shifts fork indices after an earlier sibling is deleted", () => {
+      const { messages: remaining } = deleteBranch(messages, "a3");
+      expect(remapBranchPath(messages, remaining, [2])).toEqual([1]);
+    });
+
+    it("stops at the fork when the visible branch was deleted", () => {
+      const { messages: remaining } = deleteBranch(messages, "a3");
+      const path = remapBranchPath(messages, remaining, [1, 1]);
+
+      expect(path).toEqual([]);
+      expect(getMessagesForBranchPath(remaining, path).map((m) => m.id)).toEqual(["u1", "a1", "u2", "a2"]);
+    });
+
+    it("drops forks that no longer have siblings", () => {
+      const { messages: remaining } = deleteBranch(messages, "a4");
+      const path = remapBranchPath(messages, remaining, [1, 1]);
+
+      expect(path).toEqual([1]);
+      expect(getMessagesForBranchPath(remaining, path).map((m) => m.id)).toEqual(["u1", "a3", "u3", "a5"]);
+    });
+  });
+
+  describe("forkBranchPath", () => {
+    it("copies the visible branch as a single chain", () => {
+      const forked = forkBranchPath(messages, [1, 1]);
+
+      expect(forked.map((m) => m.id)).toEqual(["u1", "a3", "u3", "a5"]);
+      expect(forked.map((m) => m.parentId)).toEqual([null, "u1", "a3", "u3"]);
+      expect(forked.every((m) => m.branchIndex === 0)).toBe(true);
+      expect(messages.find((m) => m.id === "a3").branchIndex).toBe(1);
+    });
+
+    it("stops at the given message", () => {
+      expect(forkBranchPath(messages, [1, 1], "u3").map((m) => m.id)).toEqual(["u1", "a3", "u3"]);
+    });
+
+    it("copies nothing when the message is on another branch", () => {
+      expect(forkBranchPath(messages, [1, 1], "a6")).toEqual([]);
+    });
+  });
+
+  describe("getBranchFinalAnswer", () => {
+    it("follows the first branch at each fork to the last answer", () => {
+      expect(getBranchFinalAnswer(messages, "a3").id).toBe("a4");
+      expect(getBranchFinalAnswer(messages, "a1").id).toBe("a2");
+      expect(getBranchFinalAnswer(messages, "a6").id).toBe("a6");
+    });
+
+    it("ignores answers before the branch and unfinished ones", () => {
+      const withPending = [...messages, msg("u4", "a6"), { ...answer("a7", "u4"), complete: false }];
+      expect(getBranchFinalAnswer(withPending, "u4")).toBeNull();
+      expect(getBranchFinalAnswer(messages, "nope")).toBeNull();
+    });
+  });
+});
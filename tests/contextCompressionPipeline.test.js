@@ -43,6 +43,8 @@ import {
   maybeAutoCompress,
   dismissCompressionPrompt,
   formatTokenCount,
+  pruneDeletedBranch,
+  copySummariesToFork,
 } from '../app/composables/contextCompressionPipeline.js';
 
 // ---------------------------------------------------------------------------
@@ -412,6 +414,83 @@ describe('loadCompressionState', () => {
   });
 });
 
+describe('pruneDeletedBranch', () => {
+  const chunk = (ids, branchPathHash) => ({
+    id: `ctx_${ids[0]}`,
+    anchorMessageId: ids[ids.length - 1],
+    sourceMessageIds: ids,
+    summaryText: 'summary',
+    status: 'completed',
+    branchPathHash,
+  });
+
+  it('updates the sidecar and the cached state', async () => {
+    store.set('context_summary_p1', {
+      chunks: [chunk(['m0', 'm1'], '2'), chunk(['m2', 'm3'], '2')],
+    });
+    await loadCompressionState('p1');
+
+    await pruneDeletedBranch('p1', new Set(['m3']), () => [1]);
+
+    const stored = store.get('context_summary_p1').chunks;
+    expect(stored.map((c) => c.id)).toEqual(['ctx_m0']);
+    expect(stored[0].branchPathHash).toBe('1');
+    expect(getCompressionState('p1').chunks).toEqual(stored);
+  });
+
+  it('waits for a running compression and reconciles its summary', async () => {
+    let finishFetch;
+    fetchMock.mockImplementation(() => new Promise((resolve) => {
+      finishFetch = () => resolve({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'SUMMARY' } }] }),
+      });
+    }));
+    const convo = makeConvo(40);
+    await loadCompressionState('p2');
+
+    const run = compressConversation({
+      conversationId: 'p2',
+      getVisibleMessages: () => convo,
+      settings: makeSettings(),
+      apiKey: 'k',
+      branchPath: [3],
+      mode: 'auto',
+    });
+    await vi.waitFor(() => expect(finishFetch).toBeTypeOf('function'));
+
+    const pruned = pruneDeletedBranch('p2', new Set(['m39']), () => [2]);
+    finishFetch();
+    await Promise.all([run, pruned]);
+
+    const stored = store.get('context_summary_p2').chunks;
+    expect(stored).toHaveLength(1);
+    expect(stored[0].branchPathHash).toBe('2');
+  });
+});
+
+describe('copySummariesToFork', () => {
+  it('copies only summaries of forked messages', async () => {
+    store.set('context_summary_src', {
+      chunks: [
+        { id: 'ctx_a', anchorMessageId: 'm1', sourceMessageIds: ['m0', 'm1'], summaryText: 's', status: 'completed', branchPathHash: '1' },
+        { id: 'ctx_b', anchorMessageId: 'x1', sourceMessageIds: ['x0', 'x1'], summaryText: 's', status: 'completed', branchPathHash: '0' },
+      ],
+    });
+
+    await copySummariesToFork('src', 'fork', makeConvo(4));
+
+    const stored = store.get('context_summary_fork');
+    expect(stored.conversationId).toBe('fork');
+    expect(stored.chunks.map((c) => [c.id, c.branchPathHash])).toEqual([['ctx_a', 'root']]);
+  });
+
+  it('writes nothing when no summary carries over', async () => {
+    await copySummariesToFork('empty', 'fork2', makeConvo(4));
+    expect(store.has('context_summary_fork2')).toBe(false);
+  });
+});
+
 describe('formatTokenCount', () => {
   it('formats compactly', () => {
     expect(formatTokenCount(48000)).toBe('~48k');
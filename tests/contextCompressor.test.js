@@ -44,6 +44,9 @@ import {
   buildSummaryRecord,
   renderSummaryAsApiMessage,
   hashBranchPath,
+  parseBranchPathHash,
+  reconcileChunksAfterDelete,
+  selectChunksForFork,
   DEFAULT_THRESHOLD_TOKENS,
   DEFAULT_KEEP_RECENT_TOKENS,
   MAX_RANGE_TOKENS,
@@ -169,6 +172,18 @@ describe('estimateMessageTokens', () => {
     expect(estimateMessageTokens(msg)).toBe(100);
   });
 
+  it('counts inlined text and extracted PDF text of attachments', () => {
+    const msg = {
+      ...makeUser('u', ''),
+      attachments: [
+        { type: 'text', filename: 'a.py', text: 'x'.repeat(400) },
+        { type: 'pdf', filename: 'b.pdf', text: 'y'.repeat(400) },
+      ],
+    };
+    // Each filename adds its length plus 8
+    expect(estimateMessageTokens(msg)).toBe(Math.ceil((800 + 12 + 13) / 4));
+  });
+
   it('never returns zero for a message', () => {
     expect(estimateMessageTokens(makeUser('u', ''))).toBe(1);
     expect(estimateMessageTokens(null)).toBe(0);
@@ -469,3 +484,51 @@ describe('hashBranchPath', () => {
     expect(hashBranchPath([0, 1])).toBe('0-1');
   });
 });
+
+describe('parseBranchPathHash', () => {
+  it('round-trips hashBranchPath', () => {
+    expect(parseBranchPathHash('root')).toEqual([]);
+    expect(parseBranchPathHash(hashBranchPath([2, 0, 1]))).toEqual([2, 0, 1]);
+    expect(parseBranchPathHash(undefined)).toEqual([]);
+  });
+});
+
+describe('reconcileChunksAfterDelete', () => {
+  it('drops records covering deleted messages and remaps the rest', () => {
+    const chunks = [
+      makeChunk(['m0', 'm1'], { branchPathHash: '2' }),
+      makeChunk(['m2', 'm3'], { branchPathHash: '1-1' }),
+    ];
+    const remap = (path) => path.map((index) => index - 1);
+
+    const reconciled = reconcileChunksAfterDelete(chunks, new Set(['m3', 'm4']), remap);
+
+    expect(reconciled).toHaveLength(1);
+    expect(reconciled[0].sourceMessageIds).toEqual(['m0', 'm1']);
+    expect(reconciled[0].branchPathHash).toBe('1');
+    expect(chunks[0].branchPathHash).toBe('2');
+  });
+
+  it('hashes a remapped empty path as root', () => {
+    const [chunk] = reconcileChunksAfterDelete(
+      [makeChunk(['m0'], { branchPathHash: '1' })],
+      new Set(),
+      () => [],
+    );
+    expect(chunk.branchPathHash).toBe('root');
+  });
+});
+
+describe('selectChunksForFork', () => {
+  it('keeps records covering only copied messages, on the root path', () => {
+    const chunks = [
+      makeChunk(['m0', 'm1'], { branchPathHash: '1' }),
+      makeChunk(['m2', 'm9'], { branchPathHash: '1' }),
+    ];
+
+    const carried = selectChunksForFork(chunks, new Set(['m0', 'm1', 'm2', 'm3']));
+
+    expect(carried.map((c) => c.sourceMessageIds)).toEqual([['m0', 'm1']]);
+    expect(carried[0].branchPathHash).toBe('root');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * @file customTools.test.js
+ * @description Unit tests for user-defined HTTP tools: validation, request
+ * templating and registration (app/composables/customTools.js), and the
+ * server-side proxy checks (server/utils/toolProxy.js).
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+vi.mock('../app/composables/useSession', () => ({
+  getSessionToken: vi.fn(async () => 'test-session-token'),
+}));
+
+vi.mock('../app/composables/useSettings', () => ({
+  useSettings: () => ({ settings: {} }),
+}));
+
+import {
+  createCustomTool,
+  validateCustomTool,
+  buildCustomToolSchema,
+  buildCustomToolRequest,
+  registerCustomTools,
+  getCustomToolNames,
+} from '../app/composables/customTools.js';
+import { ToolManager } from '../app/composables/toolsManager.js';
+import {
+  isPrivateAddress,
+  isPrivateHost,
+  normalizeToolRequest,
+  publicAddressLookup,
+} from '../server/utils/toolProxy.js';
+
+function weatherTool(overrides = {}) {
+  return {
+    ...createCustomTool(),
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: JSON.stringify({
+      type: 'object',
+      properties: { city: { type: 'string' }, units: { type: 'string' } },
+      required: ['city'],
+    }),
+    url: 'https://api.example.com/weather/{city}',
+    headers: [{ name: 'X-Api-Key', value: 'secret' }],
+    ...overrides,
+  };
+}
+
+describe('validateCustomTool', () => {
+  it('accepts a complete tool', () => {
+    expect(validateCustomTool(weatherTool())).toBe(null);
+  });
+
+  it('rejects names the API would refuse or that shadow built-in tools', () => {
+    expect(validateCustomTool(weatherTool({ name: 'get weather' }))).toMatch(/Name/);
+    expect(validateCustomTool(weatherTool({ name: 'search' }), ['search'])).toMatch(/built-in/);
+  });
+
+  it('rejects invalid parameter schemas and URLs', () => {
+    expect(validateCustomTool(weatherTool({ parameters: '{not json' }))).toMatch(/JSON schema/);
+    expect(validateCustomTool(weatherTool({ parameters: '{"type":"string"}' }))).toMatch(/JSON schema/);
+    expect(validateCustomTool(weatherTool({ url: 'ftp://example.com' }))).toMatch(/URL/);
+  });
+});
+
+describe('buildCustomToolRequest', () => {
+  it('fills URL placeholders and sends the remaining GET arguments as query parameters', () => {
+    const request = buildCustomToolRequest(weatherTool(), { city: 'New York', units: 'metric' });
+
+    expect(request).toEqual({
+      method: 'GET',
+      url: 'https://api.example.com/weather/New%20York?units=metric',
+      headers: { 'X-Api-Key': 'secret' },
+    });
+  });
+
+  it('sends the remaining arguments as a JSON body for other methods', () => {
+    const tool = weatherTool({ method: 'POST', headers: [{ name: 'X-City', value: '{city}' }] });
+    const request = buildCustomToolRequest(tool, { city: 'Oslo', units: 'metric' });
+
+    expect(request.url).toBe('https://api.example.com/weather/Oslo');
+    expect(request.headers).toEqual({ 'X-City': 'Oslo' });
+    expect(request.body).toEqual({ units: 'metric' });
+  });
+});
+
+describe('registerCustomTools', () => {
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  it('registers valid enabled tools next to the built-ins and replaces earlier ones', () => {
+    const manager = new ToolManager();
+
+    registerCustomTools(manager, [weatherTool(), weatherTool({ name: 'off', enabled: false }), weatherTool({ name: 'search' })]);
+    expect(getCustomToolNames()).toEqual(['get_weather']);
+    expect(manager.getSchemasByNames(['get_weather'])[0]).toEqual(buildCustomToolSchema(weatherTool()));
+    expect(manager.getTool('search')).toBeDefined();
+
+    registerCustomTools(manager, []);
+    expect(manager.getTool('get_weather')).toBeUndefined();
+    expect(getCustomToolNames()).toEqual([]);
+  });
+
+  it('calls the tool through the server proxy', async () => {
+    globalThis.fetch = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ status: 200, ok: true, body: { temp: 21 }, truncated: false }),
+    }));
+    const manager = new ToolManager();
+    registerCustomTools(manager, [weatherTool()]);
+
+    const result = await manager.executeTool('get_weather', { city: 'Oslo' });
+
+    expect(result).toEqual({ temp: 21 });
+    const [url, init] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('/api/tool-proxy');
+    expect(init.headers['x-session-token']).toBe('test-session-token');
+    expect(JSON.parse(init.body)).toMatchObject({ method: 'GET', url: 'https://api.example.com/weather/Oslo' });
+  });
+
+  it('reports upstream HTTP errors to the model instead of throwing', async () => {
+    globalThis.fetch = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ status: 404, ok: false, body: 'Not found' }),
+    }));
+    const manager = new ToolManager();
+    registerCustomTools(manager, [weatherTool()]);
+
+    const result = await manager.executeTool('get_weather', { city: 'Atlantis' });
+
+    expect(result).toMatchObject({ status: 404, body: 'Not found' });
+    expect(result.error).toMatch(/404/);
+  });
+});
+
+describe('tool proxy checks', () => {
+  it('detects private and loopback addresses', () => {
+    expect(isPrivateAddress('127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('10.1.2.3')).toBe(true);
+    expect(isPrivateAddress('172.20.0.1')).toBe(true);
+    expect(isPrivateAddress('169.254.169.254')).toBe(true);
+    expect(isPrivateAddress('::1')).toBe(true);
+    expect(isPrivateAddress('::ffff:192.168.1.1')).toBe(true);
+    expect(isPrivateAddress('8.8.8.8')).toBe(false);
+  });
+
+  it('decodes IPv4 addresses embedded in IPv6 forms', () => {
+    expect(isPrivateAddress('::ffff:7f00:1')).toBe(true);
+    expect(isPrivateAddress('::ffff:a9fe:a9fe')).toBe(true);
+    expect(isPrivateAddress('::7f00:1')).toBe(true);
+    expect(isPrivateAddress('64:ff9b::a00:1')).toBe(true);
+    expect(isPrivateAddress('2002:c0a8:101::1')).toBe(true);
+    expect(isPrivateAddress('0:0:0:0:0:ffff:127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('::ffff:808:808')).toBe(false);
+    expect(isPrivateAddress('64:ff9b::808:808')).toBe(false);
+    expect(isPrivateAddress('2606:4700::1111')).toBe(false);
+  });
+
+  it('refuses to connect to names that resolve to private addresses', async () => {
+    const error = await new Promise((resolve) => {
+      publicAddressLookup('localhost', {}, (err) => resolve(err));
+    });
+
+    expect(error.code).toBe('EPRIVATEHOST');
+  });
+
+  it('treats localhost names as private without a DNS lookup', async () => {
+    expect(await isPrivateHost('localhost')).toBe(true);
+    expect(await isPrivateHost('[::1]')).toBe(true);
+  });
+
+  it('normalizes requests and strips headers the proxy controls', () => {
+    const { request } = normalizeToolRequest({
+      method: 'post',
+      url: 'https://api.example.com/x',
+      headers: { Cookie: 'a=b', 'X-Api-Key': 'k' },
+      body: { q: 1 },
+    });
+
+    expect(request.method).toBe('POST');
+    expect(request.headers).toEqual({ 'X-Api-Key': 'k', 'Content-Type': 'application/json' });
+    expect(request.body).toBe('{"q":1}');
+    expect(normalizeToolRequest({ url: 'file:///etc/passwd' }).error).toMatch(/http/);
+    expect(normalizeToolRequest({ method: 'TRACE', url: 'https://a.b' }).error).toMatch(/Unsupported/);
+  });
+});
@@ -16,6 +16,9 @@ describe("DEFAULT_PARAMETERS", () => {
       seed: null,
       max_tokens: 8192,
       grounding: false,
+      image_aspect_ratio: null,
+      image_size: null,
+      image_count: 1,
     });
   });
 
@@ -0,0 +1,45 @@
+/**
+ * @file docxText.test.js
+ * @description Unit tests for Word document text extraction
+ * (app/composables/docxText.js).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { extractDocxText } from '../app/composables/docxText.js';
+
+function buildDocx(body) {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`;
+  return zipSync({
+    '[Content_Types].xml': strToU8('<Types/>'),
+    'word/document.xml': strToU8(xml),
+  });
+}
+
+describe('extractDocxText', () => {
+  it('joins runs per paragraph and keeps tabs, breaks and entities', () => {
+    const docx = buildDocx(
+      '<w:p><w:pPr><w:pStyle w:val="Title"/></w:pPr><w:r><w:t>Quarterly </w:t></w:r><w:r><w:t xml:space="preserve">report</w:t></w:r></w:p>'
+      + '<w:p/>'
+      + '<w:p><w:r><w:t>Q1</w:t><w:tab/><w:t>R&amp;D &lt;up&gt;</w:t><w:br/><w:t>next line</w:t></w:r></w:p>',
+    );
+
+    expect(extractDocxText(docx)).toBe('Quarterly report\n\nQ1\tR&D <up>\nnext line');
+  });
+
+  it('writes tables one row per line with tab-separated cells', () => {
+    const cell = (text) => `<w:tc><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:tc>`;
+    const docx = buildDocx(
+      `<w:tbl><w:tr>${cell('Name')}${cell('Qty')}</w:tr><w:tr>${cell('Apples')}${cell('3')}</w:tr></w:tbl>`
+      + '<w:p><w:r><w:t>After the table</w:t></w:r></w:p>',
+    );
+
+    expect(extractDocxText(docx.buffer)).toBe('Name\tQty\nApples\t3\nAfter the table');
+  });
+
+  it('rejects files that are not Word documents', () => {
+    expect(() => extractDocxText(strToU8('plain text'))).toThrow('Not a Word document');
+    expect(() => extractDocxText(zipSync({ 'readme.txt': strToU8('hi') }))).toThrow('Not a Word document');
+  });
+});
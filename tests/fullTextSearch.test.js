@@ -0,0 +1,147 @@
+/**
+ * @file fullTextSearch.test.js
+ * @description Unit tests for full-text message search
+ * (app/composables/fullTextSearch.js): tokenizing, what text is indexed,
+ * incremental updates, prefix matching and highlighted snippets.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+vi.mock('localforage', () => ({
+  default: {
+    getItem: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItem: vi.fn(async (key, value) => {
+      store.set(key, structuredClone(value));
+      return value;
+    }),
+    removeItem: vi.fn(async (key) => {
+      store.delete(key);
+    }),
+  },
+}));
+
+import {
+  tokenize,
+  extractSearchableText,
+  buildSnippet,
+} from '../app/composables/fullTextSearch.js';
+
+function saveConversation(id, messages) {
+  store.set(`conversation_${id}`, { title: id, messages, branchPath: [] });
+  const metadata = (store.get('conversations_metadata') || []).filter((m) => m.id !== id);
+  store.set('conversations_metadata', [...metadata, { id, title: id }]);
+}
+
+describe('tokenize', () => {
+  it('lowercases, strips accents and keeps identifiers whole', () => {
+    expect(tokenize('Café: call fetch_json() then useState!')).toEqual(['cafe', 'call', 'fetch_json', 'then', 'usestate']);
+  });
+});
+
+describe('extractSearchableText', () => {
+  it('indexes content, reasoning and tool results of chat messages', () => {
+    const docs = extractSearchableText([
+      { id: 's', role: 'system', content: 'hidden' },
+      { id: 'a', role: 'assistant', content: 'Answer', reasoning: 'Thinking', tool_calls: [{ result: { title: 'Page' } }] },
+    ]);
+
+    expect(docs).toHaveLength(1);
+    expect(docs[0].text).toContain('Answer');
+    expect(docs[0].text).toContain('Thinking');
+    expect(docs[0].text).toContain('"title":"Page"');
+  });
+});
+
+describe('buildSnippet', () => {
+  it('centres on the first match and marks every term', () => {
+    const text = `${'filler '.repeat(30)}the debounce helper uses setTimeout to debounce calls`;
+    const segments = buildSnippet(text, ['debounce', 'set']);
+
+    expect(segments[0].text).toBe('…');
+    expect(segments.filter((s) => s.highlight).map((s) => s.text)).toEqual(['debounce', 'setTimeout', 'debounce']);
+  });
+});
+
+describe('searchMessages', () => {
+  let searchMessages;
+  let updateFullTextIndex;
+  let removeFromFullTextIndex;
+
+  // Fresh module per test so no loaded index carries over
+  beforeEach(async () => {
+    store.clear();
+    vi.resetModules();
+    ({ searchMessages, updateFullTextIndex, removeFromFullTextIndex } = await import('../app/composables/fullTextSearch.js'));
+  });
+
+  it('builds the index on first search and finds messages on every branch', async () => {
+    saveConversation('c1', [
+      { id: 'm1', role: 'user', content: 'How do I debounce a function?' },
+      { id: 'm2', role: 'assistant', content: 'Use setTimeout.', parentId: 'm1' },
+      { id: 'm3', role: 'assistant', content: 'Try lodash debounce.', parentId: 'm1', branchIndex: 1 },
+    ]);
+    saveConversation('c2', [{ id: 'x1', role: 'user', content: 'Unrelated question' }]);
+
+    const results = await searchMessages('lodash deb');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ conversationId: 'c1', messageId: 'm3' });
+    expect(results[0].snippet).toBe('Try lodash debounce.');
+  });
+
+  it('updates only the saved conversation', async () => {
+    saveConversation('c1', [{ id: 'm1', role: 'user', content: 'first draft' }]);
+    saveConversation('c2', [{ id: 'x1', role: 'user', content: 'draft notes' }]);
+    expect((await searchMessages('draft')).map((r) => r.conversationId).sort()).toEqual(['c1', 'c2']);
+
+    await updateFullTextIndex('c1', [{ id: 'm1', role: 'user', content: 'final version' }]);
+
+    expect((await searchMessages('draft')).map((r) => r.conversationId)).toEqual(['c2']);
+    expect((await searchMessages('final')).map((r) => r.conversationId)).toEqual(['c1']);
+  });
+
+  it('rewrites only the saved conversation, and only when its text changed', async () => {
+    saveConversation('c1', [{ id: 'm1', role: 'user', content: 'first draft' }]);
+    saveConversation('c2', [{ id: 'x1', role: 'user', content: 'draft notes' }]);
+    await searchMessages('draft');
+    const localforage = (await import('localforage')).default;
+    localforage.setItem.mockClear();
+
+    await updateFullTextIndex('c1', [{ id: 'm1', role: 'user', content: 'first draft', complete: true }]);
+    expect(localforage.setItem).not.toHaveBeenCalled();
+
+    await updateFullTextIndex('c1', [
+      { id: 'm1', role: 'user', content: 'first draft' },
+      { id: 'm2', role: 'assistant', content: 'second draft' },
+    ]);
+    expect(localforage.setItem.mock.calls.map(([key]) => key)).toEqual(['fulltext_docs_c1']);
+    expect((await searchMessages('second')).map((r) => r.messageId)).toEqual(['m2']);
+  });
+
+  it('drops the index stored by earlier versions', async () => {
+    store.set('fulltext_index', { version: 1, postings: {} });
+    saveConversation('c1', [{ id: 'm1', role: 'user', content: 'hello' }]);
+
+    expect(await searchMessages('hello')).toHaveLength(1);
+    expect(store.has('fulltext_index')).toBe(false);
+  });
+
+  it('forgets deleted conversations', async () => {
+    saveConversation('c1', [{ id: 'm1', role: 'user', content: 'secret recipe' }]);
+    expect(await searchMessages('recipe')).toHaveLength(1);
+
+    await removeFromFullTextIndex('c1');
+
+    expect(await searchMessages('recipe')).toEqual([]);
+  });
+
+  it('requires every term to appear in the same message', async () => {
+    saveConversation('c1', [
+      { id: 'm1', role: 'user', content: 'apples' },
+      { id: 'm2', role: 'assistant', content: 'oranges' },
+    ]);
+
+    expect(await searchMessages('apples oranges')).toEqual([]);
+  });
+});
@@ -7,6 +7,10 @@
  *   - Aborts surface a "STREAM CANCELED" yield
  *   - Missing required params are rejected immediately
  *   - Tool-call deltas are forwarded as tool_calls yields
+ *   - Denied tools are not run, and tools set to ask wait for approval
+ *   - Failed requests fall back through the model chain
+ *   - Dropped streams reconnect through /api/ai/resume
+ *   - Image models get image parameters; images of every choice are kept
  *
  * Approach:
  *   - vi.mock to stub upstream modules (systemPrompt, toolsManager, useSession)
@@ -185,6 +189,96 @@ describe("handleIncomingMessage", () => {
     );
     expect(canceled).toBeDefined();
     expect(canceled.complete).toBe(true);
+    expect(canceled.finishReason).toBe("cancelled");
+  });
+
+  it("reports the finish reason on the complete chunk", async () => {
+    installRoutedFetch(() => [
+      'data: {"choices":[{"delta":{"content":"Once upon"}}]}\n\n',
+      'data: {"choices":[{"delta":{},"finish_reason":"length"}]}\n\n',
+      'data: [DONE]\n\n',
+    ]);
+
+    const { handleIncomingMessage } = await import("../app/composables/message.js");
+    const chunks = [];
+    for await (const c of handleIncomingMessage("story", [], new AbortController())) {
+      chunks.push(c);
+    }
+
+    expect(chunks.find((c) => c.complete).finishReason).toBe("length");
+  });
+
+  it("sends a partial reply after the user turn when continuing it", async () => {
+    installRoutedFetch(() => ['data: {"choices":[{"delta":{"content":" a time"}}]}\n\n', 'data: [DONE]\n\n']);
+
+    const { handleIncomingMessage, CONTINUE_INSTRUCTION } = await import("../app/composables/message.js");
+    const partial = { role: "assistant", parts: [{ type: "content", content: "Once upon" }] };
+    for await (const c of handleIncomingMessage(
+      "story", [], new AbortController(), "moonshotai/kimi-k2.6", {}, {}, [], false, false, [], null,
+      { continuation: partial },
+    )) {
+      void c;
+    }
+
+    const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+    expect(body.messages.slice(1)).toEqual([
+      { role: "user", content: "story" },
+      { role: "assistant", content: "Once upon" },
+      { role: "user", content: CONTINUE_INSTRUCTION },
+    ]);
+  });
+
+  it("prefills the partial reply only while reasoning is off", async () => {
+    installRoutedFetch(() => ['data: {"choices":[{"delta":{"content":" a time"}}]}\n\n', 'data: [DONE]\n\n']);
+
+    const { handleIncomingMessage, CONTINUE_INSTRUCTION } = await import("../app/composables/message.js");
+    const partial = { role: "assistant", parts: [{ type: "content", content: "Once upon " }] };
+    for (const effort of ["none", "default"]) {
+      for await (const c of handleIncomingMessage(
+        "story", [], new AbortController(), "anthropic/claude-sonnet-4.5", { reasoning: { effort } }, {}, [], false, false, [], null,
+        { continuation: partial },
+      )) {
+        void c;
+      }
+    }
+
+    const [withoutReasoning, withReasoning] = globalThis.fetch.mock.calls
+      .filter(([url]) => String(url).includes("/api/ai"))
+      .map(([, init]) => JSON.parse(init.body));
+    expect(withoutReasoning.messages.slice(-1)).toEqual([{ role: "assistant", content: "Once upon" }]);
+    expect(withoutReasoning.reasoning).toEqual({ enabled: false });
+    expect(withReasoning.messages.slice(-2)).toEqual([
+      { role: "assistant", content: "Once upon " },
+      { role: "user", content: CONTINUE_INSTRUCTION },
+    ]);
+    expect(withReasoning.reasoning).toEqual({ enabled: true });
+  });
+
+  it("extracts the text of older PDF attachments once and stores it on them", async () => {
+    installRoutedFetch(() => ['data: {"choices":[{"delta":{"content":"ok"}}]}\n\n', 'data: [DONE]\n\n']);
+
+    const content = "BT (Quarterly results) Tj ET";
+    const pdf = [
+      "%PDF-1.4",
+      "1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj",
+      "2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj",
+      "3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R >> endobj",
+      `4 0 obj << /Length ${content.length} >>\nstream\n${content}\nendstream endobj`,
+    ].join("\n");
+    const attachment = { id: "p1", type: "pdf", filename: "report.pdf", dataUrl: `data:application/pdf;base64,${btoa(pdf)}` };
+    const history = [{ role: "user", content: "read this", attachments: [attachment], complete: true }];
+
+    const { handleIncomingMessage } = await import("../app/composables/message.js");
+    for await (const c of handleIncomingMessage("summarize it", history, new AbortController(), "test/model", {}, {})) {
+      void c;
+    }
+
+    expect(attachment.text).toBe("[Page 1]\nQuarterly results");
+    const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+    expect(body.messages[1].content[1]).toEqual({
+      type: "text",
+      text: "File: report.pdf\n```\n[Page 1]\nQuarterly results\n```",
+    });
   });
 
   it("yields a tool_calls chunk when the stream contains a tool_call delta", async () => {
@@ -207,4 +301,370 @@ describe("handleIncomingMessage", () => {
     expect(toolCallChunks.length).toBeGreaterThan(0);
     expect(toolCallChunks[0].tool_calls[0].id).toBe("call_1");
   });
+
+  describe("tool permissions", () => {
+    const toolCallStream = [
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_1","function":{"name":"search","arguments":"{\\"q\\":\\"hello\\"}"}}]}}]}\n\n',
+      'data: [DONE]\n\n',
+    ];
+    const doneStream = ['data: {"choices":[{"delta":{"content":"done"}}]}\n\n', 'data: [DONE]\n\n'];
+
+    beforeEach(() => {
+      mocks.toolManager.getSchemasByNames.mockReturnValue([{ type: "function", function: { name: "search" } }]);
+      installRoutedFetch((call) => (call === 0 ? toolCallStream : doneStream));
+    });
+
+    async function runTurn(settings) {
+      const executor = vi.fn(async () => ({ results: [] }));
+      mocks.toolManager.getTool.mockReturnValue({ executor });
+      const { handleIncomingMessage } = await import("../app/composables/message.js");
+      const { resolveToolApproval, usePendingToolApprovals } = await import("../app/composables/toolPermissions.js");
+
+      const chunks = [];
+      const turn = (async () => {
+        for await (const c of handleIncomingMessage("q", [], new AbortController(), undefined, {}, settings, [], true)) {
+          chunks.push(c);
+        }
+      })();
+      return { executor, chunks, turn, resolveToolApproval, pending: usePendingToolApprovals() };
+    }
+
+    it("returns an error to the model instead of running a denied tool", async () => {
+      const { executor, chunks, turn } = await runTurn({ tool_policies: { search: "deny" } });
+      await turn;
+
+      expect(executor).not.toHaveBeenCalled();
+      const result = chunks.find((c) => c.tool_result);
+      expect(JSON.parse(result.tool_result.result).error).toMatch(/did not allow/);
+      expect(chunks.find((c) => c.complete).content).toBe("done");
+    });
+
+    it("pauses until the user approves a tool set to ask", async () => {
+      const { executor, turn, resolveToolApproval, pending } = await runTurn({ tool_policies: { search: "ask" } });
+      await vi.waitFor(() => expect(pending).toHaveLength(1));
+
+      expect(executor).not.toHaveBeenCalled();
+      await resolveToolApproval("call_1", true);
+      await turn;
+
+      expect(executor).toHaveBeenCalledWith({ q: "hello" }, [], { signal: expect.any(AbortSignal), conversationId: null, isIncognito: false });
+    });
+
+    it("replays the reasoning details of a tool call with its result", async () => {
+      installRoutedFetch((call) => (call === 0 ? [
+        'data: {"choices":[{"delta":{"reasoning_details":[{"type":"reasoning.text","text":"Search ","index":0}]}}]}\n\n',
+        'data: {"choices":[{"delta":{"reasoning_details":[{"type":"reasoning.text","text":"first.","signature":"sig-1","index":0}]}}]}\n\n',
+        ...toolCallStream,
+      ] : doneStream));
+      const { turn } = await runTurn({});
+      await turn;
+
+      const second = JSON.parse(globalThis.fetch.mock.calls[1][1].body);
+      const toolTurn = second.messages.find((m) => m.tool_calls);
+      expect(toolTurn.reasoning_details).toEqual([
+        { type: "reasoning.text", text: "Search first.", signature: "sig-1", index: 0 },
+      ]);
+    });
+  });
+
+  describe("image generation", () => {
+    it("sends the image parameters and collects the images of every choice", async () => {
+      installRoutedFetch(() => [
+        'data: {"choices":[{"index":0,"delta":{"content":"Here you go.","images":[{"image_url":{"url":"data:image/png;base64,AAA"}}]}}]}\n\n',
+        'data: {"choices":[{"index":1,"delta":{"content":"Here you go.","images":[{"image_url":{"url":"data:image/png;base64,BBB"}}]}}]}\n\n',
+        "data: [DONE]\n\n",
+      ]);
+
+      const { handleIncomingMessage } = await import("../app/composables/message.js");
+      const chunks = [];
+      const parameters = { image_aspect_ratio: "16:9", image_size: "2K", image_count: 2 };
+      for await (const c of handleIncomingMessage("a cat", [], new AbortController(), "google/gemini-3.1-flash-image-preview", parameters)) {
+        chunks.push(c);
+      }
+
+      const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+      expect(body.modalities).toEqual(["image", "text"]);
+      expect(body.image_config).toEqual({ aspect_ratio: "16:9", image_size: "2K" });
+      expect(body.n).toBe(2);
+
+      const urls = chunks.filter((c) => c.images).flatMap((c) => c.images.map((image) => image.image_url.url));
+      expect(urls).toEqual(["data:image/png;base64,AAA", "data:image/png;base64,BBB"]);
+      expect(chunks.find((c) => c.complete).content).toBe("Here you go.");
+    });
+  });
+
+  describe("model fallback", () => {
+    const PRIMARY = "anthropic/claude-fable-5";
+    const FALLBACK = "anthropic/claude-sonnet-5";
+    const fallbackSettings = { model_fallback_chain: [FALLBACK], model_fallback_retries: 0 };
+
+    function installResponses(responses) {
+      let call = 0;
+      globalThis.fetch = vi.fn(async () => {
+        const next = responses[call++];
+        if (next.status) {
+          return {
+            ok: false,
+            status: next.status,
+            headers: { get: () => null },
+            json: async () => ({ error: { message: next.message } }),
+          };
+        }
+        return { ok: true, body: makeSseStream(next) };
+      });
+    }
+
+    async function run(settings) {
+      const { handleIncomingMessage } = await import("../app/composables/message.js");
+      const chunks = [];
+      for await (const c of handleIncomingMessage("q", [], new AbortController(), PRIMARY, {}, settings)) {
+        chunks.push(c);
+      }
+      return chunks;
+    }
+
+    it("retries on the next model after a 5xx and records which model answered", async () => {
+      installResponses([
+        { status: 503, message: "overloaded" },
+        ['data: {"choices":[{"delta":{"content":"ok"}}]}\n\n', "data: [DONE]\n\n"],
+      ]);
+
+      const chunks = await run(fallbackSettings);
+
+      const sentModels = globalThis.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).model);
+      expect(sentModels).toEqual([PRIMARY, FALLBACK]);
+
+      const fallback = chunks.find((c) => c.fallback);
+      expect(fallback.fallback).toMatchObject({ from: PRIMARY, model: FALLBACK, switched: true, discardPartial: false });
+
+      const final = chunks.find((c) => c.complete);
+      expect(final.content).toBe("ok");
+      expect(final.model).toBe(FALLBACK);
+      expect(chunks.some((c) => c.error)).toBe(false);
+    });
+
+    it("asks the UI to discard partial output when the stream errors mid-way", async () => {
+      installResponses([
+        [
+          'data: {"choices":[{"delta":{"content":"partial"}}]}\n\n',
+          'data: {"error":{"message":"upstream dropped","code":502}}\n\n',
+        ],
+        ['data: {"choices":[{"delta":{"content":"complete"}}]}\n\n', "data: [DONE]\n\n"],
+      ]);
+
+      const chunks = await run(fallbackSettings);
+
+      expect(chunks.find((c) => c.fallback).fallback.discardPartial).toBe(true);
+      expect(chunks.find((c) => c.complete).content).toBe("complete");
+    });
+
+    it("does not fall back on authentication errors", async () => {
+      installResponses([{ status: 401, message: "bad key" }]);
+
+      const chunks = await run(fallbackSettings);
+
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+      expect(chunks.some((c) => c.fallback)).toBe(false);
+      expect(chunks.find((c) => c.error).errorDetails.message).toMatch(/401/);
+    });
+
+    it("reports the stream error once the chain is exhausted", async () => {
+      installResponses([['data: {"error":{"message":"boom","code":500}}\n\n']]);
+
+      const chunks = await run({ model_fallback_retries: 0 });
+
+      expect(chunks.some((c) => c.content === "\n\n[ERROR: boom]")).toBe(true);
+      expect(chunks[chunks.length - 1].error).toBe(true);
+    });
+  });
+
+  describe("resumable streams", () => {
+    function droppingStream(chunks) {
+      const encoder = new TextEncoder();
+      let i = 0;
+      return {
+        getReader: () => ({
+          read: async () => {
+            if (i < chunks.length) return { done: false, value: encoder.encode(chunks[i++]) };
+            throw new TypeError("network error");
+          },
+          releaseLock: () => {},
+          cancel: async () => {},
+        }),
+      };
+    }
+
+    it("reconnects at the consumed offset after the connection drops", async () => {
+      globalThis.fetch = vi.fn(async (url) => {
+        if (String(url).startsWith("/api/ai/resume")) {
+          return {
+            ok: true,
+            body: makeSseStream(['data: {"choices":[{"delta":{"content":" world"}}]}\n\n', "data: [DONE]\n\n"]),
+          };
+        }
+        return {
+          ok: true,
+          headers: { get: (name) => (name.toLowerCase() === "x-stream-id" ? "stream-1" : null) },
+          body: droppingStream(['data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n']),
+        };
+      });
+
+      const { handleIncomingMessage } = await import("../app/composables/message.js");
+      const chunks = [];
+      for await (const c of handleIncomingMessage("q", [], new AbortController(), "test/model", {}, {})) {
+        chunks.push(c);
+      }
+
+      const resumeUrl = globalThis.fetch.mock.calls.map(([url]) => url).find((url) => url.startsWith("/api/ai/resume"));
+      expect(resumeUrl).toBe("/api/ai/resume?id=stream-1&offset=1");
+      expect(chunks.some((c) => c.fallback)).toBe(false);
+      expect(chunks.find((c) => c.complete).content).toBe("Hello world");
+    });
+
+    it("retries a resume request that fails", async () => {
+      let resumeAttempts = 0;
+      globalThis.fetch = vi.fn(async (url) => {
+        if (String(url).startsWith("/api/ai/resume")) {
+          if (++resumeAttempts === 1) throw new TypeError("network error");
+          return {
+            ok: true,
+            body: makeSseStream(['data: {"choices":[{"delta":{"content":" world"}}]}\n\n', "data: [DONE]\n\n"]),
+          };
+        }
+        return {
+          ok: true,
+          headers: { get: (name) => (name.toLowerCase() === "x-stream-id" ? "stream-1" : null) },
+          body: droppingStream(['data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n']),
+        };
+      });
+
+      const { handleIncomingMessage } = await import("../app/composables/message.js");
+      const chunks = [];
+      for await (const c of handleIncomingMessage("q", [], new AbortController(), "test/model", {}, {})) {
+        chunks.push(c);
+      }
+
+      expect(resumeAttempts).toBe(2);
+      expect(chunks.some((c) => c.fallback)).toBe(false);
+      expect(chunks.find((c) => c.complete).content).toBe("Hello world");
+    });
+
+    it("resumes a stream that stalls or closes before [DONE]", async () => {
+      vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout"] });
+      try {
+        const encoder = new TextEncoder();
+        const stalledStream = () => {
+          let sent = false;
+          let endRead;
+          return {
+            getReader: () => ({
+              read: () => {
+                if (sent) return new Promise((resolve) => { endRead = resolve; });
+                sent = true;
+                return Promise.resolve({ done: false, value: encoder.encode('data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n') });
+              },
+              releaseLock: () => {},
+              cancel: async () => endRead?.({ done: true, value: undefined }),
+            }),
+          };
+        };
+        const resumed = [
+          // Closes cleanly but without [DONE]
+          ['data: {"choices":[{"delta":{"content":" big"}}]}\n\n'],
+          ['data: {"choices":[{"delta":{"content":" world"}}]}\n\n', "data: [DONE]\n\n"],
+        ];
+        globalThis.fetch = vi.fn(async (url) => {
+          if (String(url).startsWith("/api/ai/resume")) return { ok: true, body: makeSseStream(resumed.shift()) };
+          return {
+            ok: true,
+            headers: { get: (name) => (name.toLowerCase() === "x-stream-id" ? "stream-1" : null) },
+            body: stalledStream(),
+          };
+        });
+
+        const { handleIncomingMessage } = await import("../app/composables/message.js");
+        const chunks = [];
+        const done = (async () => {
+          for await (const c of handleIncomingMessage("q", [], new AbortController(), "test/model", {}, {})) {
+            chunks.push(c);
+          }
+        })();
+        await vi.advanceTimersByTimeAsync(60_000 + 1000 + 2000);
+        await done;
+
+        const resumeUrls = globalThis.fetch.mock.calls.map(([url]) => url).filter((url) => url.startsWith("/api/ai/resume"));
+        expect(resumeUrls).toEqual(["/api/ai/resume?id=stream-1&offset=1", "/api/ai/resume?id=stream-1&offset=2"]);
+        expect(chunks.find((c) => c.complete).content).toBe("Hello big world");
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("resumes a stored stream from its checkpoint", async () => {
+      globalThis.fetch = vi.fn(async () => ({
+        ok: true,
+        body: makeSseStream(['data: {"choices":[{"delta":{"content":"rest"}}]}\n\n', "data: [DONE]\n\n"]),
+      }));
+
+      const { resumeChatStream } = await import("../app/composables/message.js");
+      const chunks = [];
+      for await (const c of resumeChatStream("stream-2", 4, new AbortController())) {
+        chunks.push(c);
+      }
+
+      expect(globalThis.fetch.mock.calls[0][0]).toBe("/api/ai/resume?id=stream-2&offset=4");
+      expect(incrementalContent(chunks)).toEqual(["rest"]);
+      expect(chunks[chunks.length - 1]).toMatchObject({ complete: true, content: "rest" });
+    });
+
+    it("leaves the server stream running when detached, and cancels it otherwise", async () => {
+      globalThis.fetch = vi.fn(async (url, init) => {
+        if (url === "/api/ai/cancel") return { ok: true };
+        const encoder = new TextEncoder();
+        let sent = false;
+        return {
+          ok: true,
+          body: {
+            getReader: () => ({
+              read: () => {
+                if (!sent) {
+                  sent = true;
+                  return Promise.resolve({ done: false, value: encoder.encode('data: {"choices":[{"delta":{"content":"part"}}]}\n\n') });
+                }
+                if (init.signal.aborted) return Promise.reject(ABORT_ERROR);
+                return new Promise((resolve, reject) => init.signal.addEventListener("abort", () => reject(ABORT_ERROR)));
+              },
+              releaseLock: () => {},
+              cancel: async () => {},
+            }),
+          },
+        };
+      });
+
+      const { resumeChatStream, DETACH_STREAM } = await import("../app/composables/message.js");
+      const cancelRequests = async (reason) => {
+        const controller = new AbortController();
+        for await (const c of resumeChatStream("stream-3", 0, controller)) {
+          if (c.content === "part") controller.abort(reason);
+        }
+        await Promise.resolve();
+        return globalThis.fetch.mock.calls.filter(([url]) => url === "/api/ai/cancel").length;
+      };
+
+      expect(await cancelRequests(DETACH_STREAM)).toBe(0);
+      expect(await cancelRequests()).toBe(1);
+    });
+
+    it("reports an error when the server no longer has the stream", async () => {
+      globalThis.fetch = vi.fn(async () => ({ ok: false, status: 404, json: async () => ({}) }));
+
+      const { resumeChatStream } = await import("../app/composables/message.js");
+      const chunks = [];
+      for await (const c of resumeChatStream("gone", 0, new AbortController())) {
+        chunks.push(c);
+      }
+
+      expect(chunks[chunks.length - 1].error).toBe(true);
+    });
+  });
 });
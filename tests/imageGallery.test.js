@@ -0,0 +1,111 @@
+/**
+ * @file imageGallery.test.js
+ * @description Unit tests for the image gallery (app/composables/imageGallery.js):
+ * collecting generated images with their prompts from stored conversations,
+ * and the prompt and filename used by the gallery's actions.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+
+vi.mock('localforage', () => ({
+  default: {
+    getItem: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+  },
+}));
+
+import {
+  collectConversationImages,
+  loadGalleryImages,
+  getImagePrompt,
+  getImageFilename,
+} from '../app/composables/imageGallery.js';
+
+function imageMessage(id, parentId, urls, timestamp, revisedPrompt = null) {
+  return {
+    id,
+    role: 'assistant',
+    parentId,
+    timestamp,
+    model: 'google/gemini-2.5-flash-image',
+    parts: [
+      { type: 'content', content: 'Here it is.' },
+      { type: 'image', images: urls.map((url) => ({ url, revised_prompt: revisedPrompt })) },
+    ],
+  };
+}
+
+describe('collectConversationImages', () => {
+  it('lists each image with the prompt that produced it', () => {
+    const conversation = {
+      title: 'Cats',
+      messages: [
+        { id: 'u1', role: 'user', parentId: null, content: 'Draw a cat' },
+        imageMessage('a1', 'u1', ['data:image/png;base64,AAA', 'data:image/png;base64,BBB'], '2026-01-01T00:00:00Z'),
+        { id: 'u2', role: 'user', parentId: 'a1', content: 'Now a dog' },
+        { id: 'a2', role: 'assistant', parentId: 'u2', parts: [{ type: 'content', content: 'No.' }] },
+      ],
+    };
+
+    const images = collectConversationImages('c1', conversation);
+
+    expect(images.map((image) => image.url)).toEqual(['data:image/png;base64,AAA', 'data:image/png;base64,BBB']);
+    expect(images[0]).toMatchObject({
+      prompt: 'Draw a cat',
+      conversationId: 'c1',
+      conversationTitle: 'Cats',
+      messageId: 'a1',
+      model: 'google/gemini-2.5-flash-image',
+    });
+    expect(images[0].id).not.toBe(images[1].id);
+  });
+
+  it('finds the prompt of messages stored before branching', () => {
+    const images = collectConversationImages('c1', {
+      messages: [
+        { id: 'u1', role: 'user', content: 'A lighthouse' },
+        imageMessage('a1', undefined, ['https://example.com/a.png'], null),
+      ],
+    });
+
+    expect(images[0].prompt).toBe('A lighthouse');
+    expect(images[0].conversationTitle).toBe('Untitled');
+  });
+});
+
+describe('loadGalleryImages', () => {
+  beforeEach(() => store.clear());
+
+  it('gathers images from every stored conversation, newest first', async () => {
+    store.set('conversations_metadata', [{ id: 'old' }, { id: 'new' }, { id: 'missing' }]);
+    store.set('conversation_old', {
+      title: 'Old',
+      messages: [imageMessage('a1', null, ['data:image/png;base64,OLD'], '2026-01-01T00:00:00Z')],
+    });
+    store.set('conversation_new', {
+      title: 'New',
+      messages: [imageMessage('a2', null, ['data:image/png;base64,NEW'], '2026-02-01T00:00:00Z')],
+    });
+
+    const images = await loadGalleryImages();
+
+    expect(images.map((image) => image.conversationTitle)).toEqual(['New', 'Old']);
+  });
+});
+
+describe('getImagePrompt', () => {
+  it("prefers the model's revised prompt", () => {
+    expect(getImagePrompt({ revisedPrompt: 'A tabby cat, watercolor', prompt: 'Draw a cat' })).toBe('A tabby cat, watercolor');
+    expect(getImagePrompt({ revisedPrompt: null, prompt: 'Draw a cat' })).toBe('Draw a cat');
+  });
+});
+
+describe('getImageFilename', () => {
+  it('names the file by date and position, with an extension from the data URL', () => {
+    const image = { url: 'data:image/jpeg;base64,AAA', timestamp: '2026-03-04T10:00:00Z' };
+
+    expect(getImageFilename(image, 2)).toBe('image-2026-03-04-3.jpg');
+    expect(getImageFilename({ url: 'https://example.com/a', timestamp: 'nope' })).toBe('image-1.png');
+  });
+});
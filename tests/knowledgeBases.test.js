@@ -0,0 +1,178 @@
+/**
+ * @file knowledgeBases.test.js
+ * @description Unit tests for knowledge bases
+ * (app/composables/knowledgeBases.js): adding and removing documents,
+ * retrieval with citations, attaching collections to conversations, and
+ * concurrent writes.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+vi.mock('localforage', () => ({
+  default: {
+    getItem: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItem: vi.fn(async (key, value) => {
+      store.set(key, structuredClone(value));
+      return value;
+    }),
+    removeItem: vi.fn(async (key) => {
+      store.delete(key);
+    }),
+  },
+}));
+
+vi.mock('../app/composables/useSession', () => ({
+  getSessionToken: async () => 'session-token',
+}));
+
+// Texts about cats and about taxes get embeddings that share half their bits
+function fakeEmbedding(text) {
+  const topic = /cat/i.test(text) ? 0 : 1;
+  return Array.from({ length: 768 }, (_, i) => (topic === 0 ? i % 2 : (i >> 1) % 2));
+}
+
+function mockEmbeddingsApi() {
+  const fetchMock = vi.fn(async (url, options) => {
+    const { input } = JSON.parse(options.body);
+    return {
+      ok: true,
+      json: async () => ({
+        data: input.map((text, index) => ({ index, embedding: fakeEmbedding(text) })),
+      }),
+    };
+  });
+  globalThis.fetch = fetchMock;
+  return fetchMock;
+}
+
+function textFile(name, text) {
+  return new File([text], name, { type: 'text/plain' });
+}
+
+describe('knowledge bases', () => {
+  let kb;
+
+  // Fresh module per test so the loaded list does not carry over
+  beforeEach(async () => {
+    store.clear();
+    vi.resetModules();
+    kb = await import('../app/composables/knowledgeBases.js');
+  });
+
+  it('chunks and embeds an added document, reporting progress', async () => {
+    const fetchMock = mockEmbeddingsApi();
+    const onProgress = vi.fn();
+    const { id } = await kb.createKnowledgeBase('Pets');
+
+    const document = await kb.addDocument(id, textFile('cats.md', 'Cats sleep a lot. '.repeat(150)), { onProgress });
+
+    expect(document).toMatchObject({ name: 'cats.md', pageCount: 1 });
+    expect(document.chunkCount).toBeGreaterThan(1);
+    expect(onProgress).toHaveBeenLastCalledWith(document.chunkCount, document.chunkCount);
+    expect(fetchMock.mock.calls[0][0]).toBe('/api/embeddings');
+    expect(store.get(`${kb.KNOWLEDGE_CHUNKS_KEY_PREFIX}${id}`)).toHaveLength(document.chunkCount);
+    expect((await kb.loadKnowledgeBases())[0].documents).toEqual([document]);
+  });
+
+  it('rejects unsupported and empty files', async () => {
+    mockEmbeddingsApi();
+    const { id } = await kb.createKnowledgeBase('Docs');
+
+    await expect(kb.addDocument(id, textFile('photo.png', 'x'))).rejects.toThrow('unsupported file type');
+    await expect(kb.addDocument(id, textFile('empty.txt', '   '))).rejects.toThrow('no extractable text');
+  });
+
+  it('reads PDF pages in a worker', async () => {
+    const posted = [];
+    vi.stubGlobal('Worker', class {
+      terminate() {}
+      postMessage(data) {
+        posted.push(data);
+        queueMicrotask(() => this.onmessage({ data: { text: '', pages: ['One', 'Two'] } }));
+      }
+    });
+
+    try {
+      const pages = await kb.readDocumentPages(new File(['%PDF-1.4'], 'doc.pdf', { type: 'application/pdf' }));
+
+      expect(posted).toHaveLength(1);
+      expect(pages).toEqual([{ page: 1, text: 'One' }, { page: 2, text: 'Two' }]);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('returns the closest chunks with their source', async () => {
+    mockEmbeddingsApi();
+    const pets = await kb.createKnowledgeBase('Pets');
+    const money = await kb.createKnowledgeBase('Money');
+    await kb.addDocument(pets.id, textFile('cats.txt', 'A cat needs fresh water every day.'));
+    await kb.addDocument(money.id, textFile('taxes.txt', 'File your return before April.'));
+
+    const results = await kb.searchKnowledge([pets.id, money.id], 'how much should my cat drink');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({
+      source: 'cats.txt',
+      page: null,
+      knowledgeBase: 'Pets',
+      text: 'A cat needs fresh water every day.',
+      similarity: 1,
+    });
+    expect(await kb.searchKnowledge([money.id], 'cat water')).toEqual([]);
+  });
+
+  it('stops returning removed documents', async () => {
+    mockEmbeddingsApi();
+    const { id } = await kb.createKnowledgeBase('Pets');
+    const document = await kb.addDocument(id, textFile('cats.txt', 'Cats purr.'));
+
+    await kb.removeDocument(id, document.id);
+
+    expect(store.get(`${kb.KNOWLEDGE_CHUNKS_KEY_PREFIX}${id}`)).toEqual([]);
+    expect(await kb.searchKnowledge([id], 'cats')).toEqual([]);
+  });
+
+  it('moves attachments chosen for a new chat to the created conversation', async () => {
+    const { id } = await kb.createKnowledgeBase('Pets');
+    await kb.setConversationKnowledgeBases(null, [id, 'deleted-kb']);
+
+    await kb.adoptNewConversationKnowledgeBases('c1');
+
+    expect(await kb.getConversationKnowledgeBases('c1')).toEqual([id]);
+    expect(await kb.getConversationKnowledgeBases(null)).toEqual([]);
+
+    await kb.deleteKnowledgeBase(id);
+    expect(await kb.getConversationKnowledgeBases('c1')).toEqual([]);
+
+    await kb.deleteConversationKnowledgeBases('c1');
+    expect(store.has(`${kb.KNOWLEDGE_ATTACHMENTS_KEY_PREFIX}c1`)).toBe(false);
+  });
+
+  it('keeps incognito attachments in memory, apart from new chats', async () => {
+    const { id } = await kb.createKnowledgeBase('Pets');
+    await kb.setConversationKnowledgeBases(kb.INCOGNITO_CHAT_ID, [id]);
+
+    expect(await kb.getConversationKnowledgeBases(kb.INCOGNITO_CHAT_ID)).toEqual([id]);
+    expect(await kb.getConversationKnowledgeBases(null)).toEqual([]);
+    expect([...store.keys()].some((key) => key.startsWith(kb.KNOWLEDGE_ATTACHMENTS_KEY_PREFIX))).toBe(false);
+
+    await kb.adoptNewConversationKnowledgeBases('c1');
+    expect(await kb.getConversationKnowledgeBases('c1')).toEqual([]);
+  });
+
+  it('keeps the chunks of documents that finish at the same time', async () => {
+    mockEmbeddingsApi();
+    const { id } = await kb.createKnowledgeBase('Pets');
+
+    const [cats, dogs] = await Promise.all([
+      kb.addDocument(id, textFile('cats.txt', 'Cats purr.')),
+      kb.addDocument(id, textFile('dogs.txt', 'Dogs bark.')),
+    ]);
+
+    const chunks = store.get(`${kb.KNOWLEDGE_CHUNKS_KEY_PREFIX}${id}`);
+    expect(chunks.map((chunk) => chunk.documentId).sort()).toEqual([cats.id, dogs.id].sort());
+    expect((await kb.loadKnowledgeBases())[0].documents).toHaveLength(2);
+  });
+});
@@ -0,0 +1,277 @@
+// @vitest-environment node
+/**
+ * @file mcp.test.js
+ * @description Tests for MCP support: the server-side client
+ * (server/utils/mcpClient.js) against a local stub MCP server speaking both
+ * the streamable HTTP and legacy HTTP + SSE transports, and tool
+ * registration on the client (app/composables/mcp.js).
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+
+vi.mock('../app/composables/useSession', () => ({
+  getSessionToken: vi.fn(async () => 'test-session-token'),
+}));
+
+vi.mock('../app/composables/useSettings', () => ({
+  useSettings: () => ({ settings: {} }),
+}));
+
+vi.mock('h3', async (importOriginal) => ({
+  ...(await importOriginal()),
+  readBody: vi.fn(async (event) => event.body),
+}));
+
+import { McpClient, normalizeMcpServer, listMcpCapabilities, withMcpClient } from '../server/utils/mcpClient.js';
+import { readMcpRequest } from '../server/utils/mcpRequest.js';
+import { fetchPublic } from '../server/utils/toolProxy.js';
+import {
+  buildMcpToolName,
+  parseMcpToolName,
+  formatMcpToolResult,
+  registerMcpTools,
+  getMcpToolNames,
+} from '../app/composables/mcp.js';
+import { ToolManager } from '../app/composables/toolsManager.js';
+
+// --- Stub MCP server ---
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Echo the input',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+  },
+];
+
+function handleRpc(message) {
+  switch (message.method) {
+    case 'initialize':
+      return {
+        protocolVersion: '2025-03-26',
+        capabilities: { tools: {}, resources: {} },
+        serverInfo: { name: 'stub', version: '0.0.1' },
+      };
+    case 'tools/list':
+      return message.params?.cursor ? { tools: [] } : { tools: TOOLS, nextCursor: 'page-2' };
+    case 'tools/call':
+      return { content: [{ type: 'text', text: `echo: ${message.params.arguments.text}` }] };
+    case 'resources/list':
+      return { resources: [{ uri: 'stub://readme', name: 'README' }] };
+    default:
+      return null;
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => resolve(JSON.parse(raw)));
+  });
+}
+
+let server;
+let baseUrl;
+const requests = [];
+const eventStreams = new Set();
+
+beforeAll(async () => {
+  server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Legacy transport: event stream announcing the message endpoint
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('event: endpoint\ndata: /messages?session=abc\n\n');
+      eventStreams.add(res);
+      req.on('close', () => eventStreams.delete(res));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const message = await readJson(req);
+      res.writeHead(202).end();
+      if (message.id !== undefined) {
+        const reply = { jsonrpc: '2.0', id: message.id, result: handleRpc(message) };
+        for (const stream of eventStreams) stream.write(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+      }
+      return;
+    }
+
+    // Streamable HTTP transport
+    if (req.method === 'POST' && url.pathname === '/mcp') {
+      const message = await readJson(req);
+      requests.push({ message, sessionId: req.headers['mcp-session-id'] });
+
+      if (message.id === undefined) {
+        res.writeHead(202).end();
+        return;
+      }
+
+      const reply = { jsonrpc: '2.0', id: message.id, result: handleRpc(message) };
+      if (message.method === 'tools/call') {
+        // Answer over SSE, after an unrelated notification
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"jsonrpc":"2.0","method":"notifications/progress","params":{}}\n\n');
+        res.end(`data: ${JSON.stringify(reply)}\n\n`);
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        ...(message.method === 'initialize' && { 'Mcp-Session-Id': 'session-1' }),
+      });
+      res.end(JSON.stringify(reply));
+      return;
+    }
+
+    res.writeHead(404).end();
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  for (const stream of eventStreams) stream.end();
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function stubServer(path, transport = 'http') {
+  return normalizeMcpServer({ url: `${baseUrl}${path}`, transport }).server;
+}
+
+// --- Tests ---
+
+describe('McpClient', () => {
+  it('initializes over streamable HTTP and keeps the session id', async () => {
+    const client = new McpClient(stubServer('/mcp'));
+    await client.connect();
+
+    expect(client.serverInfo.name).toBe('stub');
+    expect(requests.map((r) => r.message.method)).toEqual(['initialize', 'notifications/initialized']);
+    expect(requests[1].sessionId).toBe('session-1');
+    await client.close();
+  });
+
+  it('lists every page and reads replies sent as an event stream', async () => {
+    const client = new McpClient(stubServer('/mcp'));
+    await client.connect();
+
+    const listing = await listMcpCapabilities(client);
+    expect(listing.tools.map((t) => t.name)).toEqual(['echo']);
+    expect(listing.resources).toHaveLength(1);
+    expect(listing.prompts).toEqual([]);
+
+    const result = await client.request('tools/call', { name: 'echo', arguments: { text: 'hi' } });
+    expect(result.content[0].text).toBe('echo: hi');
+    await client.close();
+  });
+
+  it('speaks the legacy HTTP + SSE transport', async () => {
+    const client = new McpClient(stubServer('/sse', 'sse'));
+    await client.connect();
+
+    expect(client.endpoint.pathname).toBe('/messages');
+    const result = await client.request('tools/call', { name: 'echo', arguments: { text: 'old' } });
+    expect(result.content[0].text).toBe('echo: old');
+    await client.close();
+  });
+
+  it('reuses a connected session across calls', async () => {
+    requests.length = 0;
+    const server = stubServer('/mcp');
+
+    await withMcpClient(server, (client) => client.request('tools/list'));
+    await withMcpClient(server, (client) => client.request('tools/list'));
+
+    expect(requests.filter((r) => r.message.method === 'initialize')).toHaveLength(1);
+  });
+
+  it('rejects non-http server URLs', () => {
+    expect(normalizeMcpServer({ url: 'file:///tmp/mcp' }).error).toMatch(/http/);
+  });
+});
+
+describe('readMcpRequest', () => {
+  beforeAll(() => {
+    vi.stubGlobal('useRuntimeConfig', () => ({}));
+    vi.stubGlobal('createError', ({ statusCode, statusMessage }) =>
+      Object.assign(new Error(statusMessage), { statusCode }));
+  });
+
+  afterAll(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('refuses IPv4-mapped IPv6 addresses written in hex', async () => {
+    const event = { body: { server: { url: 'http://[::ffff:7f00:1]/mcp' } } };
+
+    await expect(readMcpRequest(event)).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('hands back a fetch that only connects to public addresses', async () => {
+    const event = { body: { server: { url: 'https://mcp.example.com/mcp' } } };
+
+    const { server, fetch } = await readMcpRequest(event);
+    expect(server.url.hostname).toBe('mcp.example.com');
+    expect(fetch).toBe(fetchPublic);
+  });
+});
+
+describe('MCP tool registration', () => {
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  it('namespaces tool names by server and parses them back', () => {
+    const name = buildMcpToolName({ name: 'My Server' }, 'search.issues');
+    expect(name).toBe('mcp__My_Server__search_issues');
+    expect(parseMcpToolName(name)).toEqual({ server: 'My_Server', tool: 'search_issues' });
+    expect(parseMcpToolName('search')).toBe(null);
+  });
+
+  it('flattens tool results and surfaces tool errors', () => {
+    expect(formatMcpToolResult({ content: [{ type: 'text', text: 'a' }, { type: 'image', mimeType: 'image/png' }] }))
+      .toEqual({ content: 'a\n\n[image: image/png]' });
+    expect(formatMcpToolResult({ isError: true, content: [{ type: 'text', text: 'nope' }] }))
+      .toEqual({ error: 'nope' });
+  });
+
+  it('registers listed tools and resources, and calls them through the server route', async () => {
+    globalThis.fetch = vi.fn(async (url, init) => {
+      const body = JSON.parse(init.body);
+      if (url === '/api/mcp/list') {
+        return { ok: true, json: async () => ({ serverInfo: null, tools: TOOLS, resources: [{ uri: 'stub://readme' }], prompts: [] }) };
+      }
+      return { ok: true, json: async () => handleRpc(body) };
+    });
+    const manager = new ToolManager();
+    const servers = [{ id: 'a', name: 'stub', url: 'https://mcp.example.com', transport: 'http', headers: [] }];
+
+    const { names, errors } = await registerMcpTools(manager, servers);
+
+    expect(errors).toEqual([]);
+    expect(names).toEqual(['mcp__stub__echo', 'mcp__stub__read_resource']);
+    expect(manager.getSchemasByNames(['mcp__stub__echo'])[0].function.parameters.required).toEqual(['text']);
+
+    const result = await manager.executeTool('mcp__stub__echo', { text: 'yo' });
+    expect(result).toEqual({ content: 'echo: yo' });
+    const callBody = JSON.parse(globalThis.fetch.mock.calls[1][1].body);
+    expect(callBody).toMatchObject({ method: 'tools/call', params: { name: 'echo' }, server: { url: 'https://mcp.example.com' } });
+  });
+
+  it('skips unreachable servers and drops their old tools', async () => {
+    globalThis.fetch = vi.fn(async () => ({ ok: false, status: 502, json: async () => ({ statusMessage: 'down' }) }));
+    const manager = new ToolManager();
+
+    const { names, errors } = await registerMcpTools(manager, [{ id: 'a', name: 'stub', url: 'https://mcp.example.com' }]);
+
+    expect(names).toEqual([]);
+    expect(getMcpToolNames()).toEqual([]);
+    expect(errors).toEqual([{ server: 'stub', message: 'down' }]);
+  });
+});
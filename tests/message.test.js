@@ -13,7 +13,13 @@
  */
 
 import { describe, it, expect } from "vitest";
-import { formatMessageForAPI } from "../app/composables/message.js";
+import {
+  formatMessageForAPI,
+  buildContinuationMessages,
+  canContinueMessage,
+  CONTINUE_INSTRUCTION,
+  IMAGE_MASK_NOTE,
+} from "../app/composables/message.js";
 
 describe("formatMessageForAPI - user messages", () => {
   it("formats a plain user message with string content", () => {
@@ -57,6 +63,24 @@ describe("formatMessageForAPI - user messages", () => {
     });
   });
 
+  it("introduces the mask of an image edit request", () => {
+    const result = formatMessageForAPI({
+      role: "user",
+      content: "make the sky purple",
+      attachments: [
+        { type: "image", dataUrl: "data:image/png;base64,IMG" },
+        { type: "image", dataUrl: "data:image/png;base64,MASK", mask: true },
+      ],
+    });
+
+    expect(result.content).toEqual([
+      { type: "text", text: "make the sky purple" },
+      { type: "image_url", image_url: { url: "data:image/png;base64,IMG" } },
+      { type: "text", text: IMAGE_MASK_NOTE },
+      { type: "image_url", image_url: { url: "data:image/png;base64,MASK" } },
+    ]);
+  });
+
   it("builds a content-parts array when PDFs are attached", () => {
     const result = formatMessageForAPI({
       role: "user",
@@ -75,6 +99,59 @@ describe("formatMessageForAPI - user messages", () => {
       },
     });
   });
+
+  it("inlines text attachments as fenced blocks", () => {
+    const result = formatMessageForAPI({
+      role: "user",
+      content: "review this",
+      attachments: [
+        { type: "text", filename: "app.py", language: "python", text: "print('hi')" },
+        { type: "text", filename: "notes.md", language: "markdown", text: "Use ```js fences```" },
+      ],
+    });
+
+    expect(result.content[1]).toEqual({
+      type: "text",
+      text: "File: app.py\n```python\nprint('hi')\n```",
+    });
+    // The fence outgrows backtick runs inside the file
+    expect(result.content[2].text).toBe("File: notes.md\n````markdown\nUse ```js fences```\n````");
+  });
+
+  it("sends extracted PDF text to models without file input", () => {
+    const msg = {
+      role: "user",
+      content: "summarize",
+      attachments: [
+        { id: "p1", type: "pdf", filename: "doc.pdf", dataUrl: "data:application/pdf;base64,XYZ", text: "[Page 1]\nHello" },
+        { id: "p2", type: "pdf", filename: "scan.pdf", dataUrl: "data:application/pdf;base64,XYZ", text: "" },
+      ],
+    };
+
+    const result = formatMessageForAPI(msg, { fileInput: false });
+
+    expect(result.content[1]).toEqual({ type: "text", text: "File: doc.pdf\n```\n[Page 1]\nHello\n```" });
+    // Without a text layer the file is still sent
+    expect(result.content[2].type).toBe("file");
+    expect(formatMessageForAPI(msg).content[1].type).toBe("file");
+  });
+
+  it("sends recordings as input_audio only to models that accept audio", () => {
+    const msg = {
+      role: "user",
+      content: "what do you hear",
+      attachments: [
+        { type: "audio", filename: "recording.wav", dataUrl: "data:audio/wav;base64,UklGRg==", format: "wav", transcript: "what do you hear" },
+      ],
+    };
+
+    expect(formatMessageForAPI(msg, { audioInput: true }).content[1]).toEqual({
+      type: "input_audio",
+      input_audio: { data: "UklGRg==", format: "wav" },
+    });
+    // Other models get the transcript that is already in the text
+    expect(formatMessageForAPI(msg).content).toEqual([{ type: "text", text: "what do you hear" }]);
+  });
 });
 
 describe("formatMessageForAPI - tool messages", () => {
@@ -214,3 +291,58 @@ describe("formatMessageForAPI - unknown roles", () => {
     expect(result).toEqual({ role: "weird", content: "hi" });
   });
 });
+
+describe("buildContinuationMessages", () => {
+  const partial = {
+    role: "assistant",
+    parts: [
+      { type: "reasoning", content: "Plan the list." },
+      { type: "content", content: "1. First\n2. Sec  \n" },
+    ],
+  };
+
+  it("prefills the partial reply without its reasoning or trailing whitespace", () => {
+    expect(buildContinuationMessages(partial, { prefill: true })).toEqual([
+      { role: "assistant", content: "1. First\n2. Sec" },
+    ]);
+  });
+
+  it("asks models without prefill to continue in a follow-up user message", () => {
+    const messages = buildContinuationMessages(partial);
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0].role).toBe("assistant");
+    expect(messages[1]).toEqual({ role: "user", content: CONTINUE_INSTRUCTION });
+  });
+
+  it("falls back to the instruction when the reply doesn't end in plain text", () => {
+    const withTool = {
+      role: "assistant",
+      parts: [
+        { type: "tool_group", tools: [{ id: "call_1", function: { name: "search", arguments: "{}" }, result: "done" }] },
+      ],
+    };
+
+    const messages = buildContinuationMessages(withTool, { prefill: true });
+
+    expect(messages.map((m) => m.role)).toEqual(["assistant", "tool", "user"]);
+    expect(messages[2].content).toBe(CONTINUE_INSTRUCTION);
+  });
+});
+
+describe("canContinueMessage", () => {
+  const reply = { role: "assistant", complete: true, parts: [{ type: "content", content: "Once upon" }] };
+
+  it("is true for replies cut off at max_tokens or cancelled", () => {
+    expect(canContinueMessage({ ...reply, finishReason: "length" })).toBe(true);
+    expect(canContinueMessage({ ...reply, finishReason: "cancelled" })).toBe(true);
+  });
+
+  it("is false for finished, failed, streaming or empty replies", () => {
+    expect(canContinueMessage({ ...reply, finishReason: "stop" })).toBe(false);
+    expect(canContinueMessage({ ...reply })).toBe(false);
+    expect(canContinueMessage({ ...reply, finishReason: "length", error: true })).toBe(false);
+    expect(canContinueMessage({ ...reply, finishReason: "length", complete: false })).toBe(false);
+    expect(canContinueMessage({ ...reply, finishReason: "cancelled", parts: [] })).toBe(false);
+  });
+});
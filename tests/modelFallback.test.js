@@ -0,0 +1,91 @@
+/**
+ * @file modelFallback.test.js
+ * @description Unit tests for the model fallback chain: chain building,
+ * retry/fallback decisions, backoff and Retry-After parsing.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ModelFallbackChain,
+  buildFallbackChain,
+  createModelRequestError,
+  getBackoffDelay,
+  parseRetryAfter,
+  isRetryableError,
+  isRecoverableError,
+  MAX_BACKOFF_MS,
+} from '../app/composables/modelFallback.js';
+
+const models = [
+  { category: 'A', models: [{ id: 'a/one' }, { id: 'a/two' }] },
+  { category: 'B', models: [{ id: 'b/three' }] },
+];
+
+describe('buildFallbackChain', () => {
+  it('puts the primary first and drops unknown or duplicate ids', () => {
+    expect(buildFallbackChain('a/one', ['a/two', 'a/one', 'missing', 'b/three', 'a/two'], models))
+      .toEqual(['a/one', 'a/two', 'b/three']);
+  });
+
+  it('tolerates a missing fallback list', () => {
+    expect(buildFallbackChain('a/one', undefined, models)).toEqual(['a/one']);
+  });
+});
+
+describe('error classification', () => {
+  it('treats rate limits, server errors and network failures as retryable', () => {
+    expect(isRetryableError(createModelRequestError('x', { status: 429 }))).toBe(true);
+    expect(isRetryableError(createModelRequestError('x', { status: 503 }))).toBe(true);
+    expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isRetryableError(createModelRequestError('x', { status: 400 }))).toBe(false);
+  });
+
+  it('never recovers from auth errors or aborts', () => {
+    expect(isRecoverableError(createModelRequestError('x', { status: 401 }))).toBe(false);
+    const abort = new Error('aborted');
+    abort.name = 'AbortError';
+    expect(isRecoverableError(abort)).toBe(false);
+    expect(isRecoverableError(createModelRequestError('x', { status: 400 }))).toBe(true);
+  });
+});
+
+describe('backoff', () => {
+  it('doubles per attempt up to the cap', () => {
+    expect(getBackoffDelay(1)).toBe(1000);
+    expect(getBackoffDelay(2)).toBe(2000);
+    expect(getBackoffDelay(10)).toBe(MAX_BACKOFF_MS);
+  });
+
+  it('honours Retry-After', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(null)).toBeUndefined();
+    expect(getBackoffDelay(1, 2500)).toBe(2500);
+  });
+});
+
+describe('ModelFallbackChain', () => {
+  it('retries the same model for transient errors, then moves on', () => {
+    const chain = new ModelFallbackChain(['a/one', 'a/two'], { retriesPerModel: 1 });
+    const error = createModelRequestError('busy', { status: 429 });
+
+    expect(chain.next(error)).toEqual({ model: 'a/one', delayMs: 1000, switched: false });
+    expect(chain.next(error)).toEqual({ model: 'a/two', delayMs: 0, switched: true });
+    expect(chain.hasFallenBack).toBe(true);
+    expect(chain.next(error)).toEqual({ model: 'a/two', delayMs: 1000, switched: false });
+    expect(chain.next(error)).toBeNull();
+  });
+
+  it('skips same-model retries for non-transient errors', () => {
+    const chain = new ModelFallbackChain(['a/one', 'a/two'], { retriesPerModel: 2 });
+    expect(chain.next(createModelRequestError('bad', { status: 400 })).model).toBe('a/two');
+  });
+
+  it('resets the retry budget after a success', () => {
+    const chain = new ModelFallbackChain(['a/one'], { retriesPerModel: 1 });
+    const error = createModelRequestError('busy', { status: 500 });
+    expect(chain.next(error)).not.toBeNull();
+    chain.succeed();
+    expect(chain.next(error)).not.toBeNull();
+    expect(chain.next(error)).toBeNull();
+  });
+});
@@ -345,6 +345,85 @@ describe("PartsBuilder", () => {
   });
 });
 
+describe("PartsBuilder snapshot/restore", () => {
+  it("rolls back parts and tool tracking added after the snapshot", () => {
+    const pb = new PartsBuilder();
+    pb.appendContent("kept");
+    const snap = pb.snapshot();
+
+    pb.appendContent(" dropped");
+    pb.addOrUpdateTool("function", { index: 0, id: "call_1", function: { name: "search", arguments: "" } });
+    pb.restore(snap);
+
+    const parts = pb.getParts();
+    expect(parts).toHaveLength(1);
+    expect(parts[0].content).toBe("kept");
+
+    // The rolled-back tool id is free to be created again
+    pb.addOrUpdateTool("function", { index: 0, id: "call_1", function: { name: "search", arguments: "{}" } });
+    expect(pb.getAllTools()).toHaveLength(1);
+    expect(pb.getAllTools()[0].function.arguments).toBe("{}");
+  });
+});
+
+describe("PartsBuilder.loadParts", () => {
+  function interruptedParts() {
+    const pb = new PartsBuilder();
+    pb.addOrUpdateTool("function", { index: 0, id: "done", function: { name: "search", arguments: "{}" } });
+    pb.setToolResult("done", { ok: true });
+    pb.addOrUpdateTool("function", { index: 0, id: "open", function: { name: "crawl", arguments: '{"url":' } });
+    pb.appendContent("Partial");
+    return pb.getParts();
+  }
+
+  it("continues the open content part", () => {
+    const pb = new PartsBuilder();
+    pb.loadParts(interruptedParts());
+    pb.appendContent(" answer");
+
+    const content = pb.getParts().filter((p) => p.type === "content");
+    expect(content).toHaveLength(1);
+    expect(content[0].content).toBe("Partial answer");
+  });
+
+  it("maps unfinished tools to API indices so deltas keep streaming into them", () => {
+    const pb = new PartsBuilder();
+    pb.loadParts(interruptedParts());
+    pb.addOrUpdateTool("function", { index: 0, function: { arguments: '"x"}' } });
+
+    const tools = pb.getAllTools();
+    expect(tools).toHaveLength(2);
+    expect(tools[1].function.arguments).toBe('{"url":"x"}');
+    expect(pb.isToolCompleted("done")).toBe(true);
+    expect(pb.isToolCompleted("open")).toBe(false);
+  });
+});
+
+describe("PartsBuilder.reopenContent", () => {
+  it("extends finalized content at the end of the message", () => {
+    const pb = new PartsBuilder();
+    pb.appendContent("Once upon");
+    pb.finalizeContent();
+    pb.reopenContent();
+    pb.appendContent(" a time");
+
+    const content = pb.getParts().filter((p) => p.type === "content");
+    expect(content).toHaveLength(1);
+    expect(content[0].content).toBe("Once upon a time");
+  });
+
+  it("leaves content before a later part finalized", () => {
+    const pb = new PartsBuilder();
+    pb.appendContent("Looking it up.");
+    pb.finalizeContent();
+    pb.addOrUpdateTool("function", { index: 0, id: "call_1", function: { name: "search", arguments: "{}" } });
+    pb.reopenContent();
+    pb.appendContent("Found it.");
+
+    expect(pb.getParts().map((p) => p.type)).toEqual(["content", "tool_group", "content"]);
+  });
+});
+
 describe("TimingTracker", () => {
   it("marks first token only once", () => {
     const msg = {};
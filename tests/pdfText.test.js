@@ -0,0 +1,160 @@
+/**
+ * @file pdfText.test.js
+ * @description Unit tests for PDF text extraction
+ * (app/composables/pdfText.js): page order, compressed streams and object
+ * streams, ToUnicode maps and rejected files, and reading PDFs off the
+ * main thread.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { zlibSync, strToU8 } from 'fflate';
+import {
+  extractPdfText,
+  formatPdfPages,
+  getPdfPageText,
+  readPdfText,
+  readPdfPages,
+} from '../app/composables/pdfText.js';
+
+function latin1(bytes) {
+  let text = '';
+  for (const byte of bytes) text += String.fromCharCode(byte);
+  return text;
+}
+
+function stream(content, { compress = false, dict = '' } = {}) {
+  const data = compress ? latin1(zlibSync(strToU8(content))) : content;
+  const filter = compress ? ' /Filter /FlateDecode' : '';
+  return `<< /Length ${data.length}${filter}${dict} >>\nstream\n${data}\nendstream`;
+}
+
+// Builds a PDF from object bodies numbered from 1; cross-reference tables
+// are not needed by the extractor
+function buildPdf(objects) {
+  const body = objects.map((object, index) => `${index + 1} 0 obj\n${object}\nendobj\n`).join('');
+  const pdf = `%PDF-1.7\n${body}trailer\n<< /Root 1 0 R >>\n%%EOF\n`;
+  return Uint8Array.from(pdf, (c) => c.charCodeAt(0));
+}
+
+function twoPagePdf({ compress = false } = {}) {
+  return buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /Resources << /Font << /F1 7 0 R >> >> >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 6 0 R >>',
+    stream('BT /F1 12 Tf 72 720 Td (Hello, world) Tj 0 -14 Td [(Second) -300 (line)] TJ ET', { compress }),
+    stream('BT /F1 12 Tf 72 720 Td (Page \\(two\\)) Tj ET', { compress }),
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ]);
+}
+
+describe('extractPdfText', () => {
+  it('returns the text of each page in order', () => {
+    expect(extractPdfText(twoPagePdf()).pages).toEqual(['Hello, world\nSecond line', 'Page (two)']);
+  });
+
+  it('inflates Flate-encoded content streams', () => {
+    expect(extractPdfText(twoPagePdf({ compress: true }).buffer).pages).toEqual(['Hello, world\nSecond line', 'Page (two)']);
+  });
+
+  it('reads objects packed into compressed object streams', () => {
+    const packed = '<< /Type /Pages /Kids [3 0 R] /Count 1 >>';
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 9 0 R >>',
+      stream(`9 0 ${packed}`, { compress: true, dict: ' /Type /ObjStm /N 1 /First 4' }),
+      '<< /Type /Page /Parent 9 0 R /Contents 4 0 R >>',
+      stream('BT (Packed page) Tj ET'),
+    ]);
+
+    expect(extractPdfText(pdf).pages).toEqual(['Packed page']);
+  });
+
+  it('decodes two-byte codes through a ToUnicode map', () => {
+    const cmap = [
+      'begincmap',
+      '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+      '1 beginbfchar <0001> <00C9> endbfchar',
+      '1 beginbfrange <0002> <0004> <0074> endbfrange',
+      'endcmap',
+    ].join('\n');
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F0 5 0 R >> >> /Contents 4 0 R >>',
+      stream('BT /F0 10 Tf <0001000200030004> Tj ET'),
+      '<< /Type /Font /Subtype /Type0 /ToUnicode 6 0 R >>',
+      stream(cmap),
+    ]);
+
+    expect(extractPdfText(pdf).pages).toEqual(['Étuv']);
+  });
+
+  it('rejects files that are not PDFs or are encrypted', () => {
+    expect(() => extractPdfText(strToU8('plain text'))).toThrow('Not a PDF file');
+
+    const encrypted = strToU8('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R /Encrypt 2 0 R >>\n');
+    expect(() => extractPdfText(encrypted)).toThrow('Encrypted PDFs are not supported');
+  });
+});
+
+describe('formatPdfPages', () => {
+  it('marks each page and returns nothing for PDFs without text', () => {
+    expect(formatPdfPages(['First', '', 'Third'])).toBe('[Page 1]\nFirst\n\n[Page 2]\n\n[Page 3]\nThird');
+    expect(formatPdfPages(['', ' '])).toBe('');
+  });
+});
+
+describe('readPdfText', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reads a data URL of the file', () => {
+    const dataUrl = `data:application/pdf;base64,${btoa(latin1(twoPagePdf()))}`;
+    expect(getPdfPageText(dataUrl)).toBe(formatPdfPages(extractPdfText(twoPagePdf()).pages));
+  });
+
+  it('extracts the text in a worker and stops it afterwards', async () => {
+    const workers = [];
+    vi.stubGlobal('Worker', class {
+      constructor() {
+        this.terminate = vi.fn();
+        workers.push(this);
+      }
+      postMessage(data) {
+        queueMicrotask(() => this.onmessage({ data: { text: getPdfPageText(data) } }));
+      }
+    });
+
+    await expect(readPdfText(twoPagePdf())).resolves.toBe('[Page 1]\nHello, world\nSecond line\n\n[Page 2]\nPage (two)');
+    expect(workers[0].terminate).toHaveBeenCalled();
+  });
+
+  it('reads each page in a worker', async () => {
+    const workers = [];
+    vi.stubGlobal('Worker', class {
+      constructor() {
+        this.terminate = vi.fn();
+        workers.push(this);
+      }
+      postMessage(data) {
+        const { pages } = extractPdfText(data);
+        queueMicrotask(() => this.onmessage({ data: { text: formatPdfPages(pages), pages } }));
+      }
+    });
+
+    await expect(readPdfPages(twoPagePdf())).resolves.toEqual(['Hello, world\nSecond line', 'Page (two)']);
+    expect(workers[0].terminate).toHaveBeenCalled();
+  });
+
+  it('rejects with the error the worker reports', async () => {
+    vi.stubGlobal('Worker', class {
+      terminate() {}
+      postMessage() {
+        queueMicrotask(() => this.onmessage({ data: { error: 'Not a PDF file' } }));
+      }
+    });
+
+    await expect(readPdfText(strToU8('plain text'))).rejects.toThrow('Not a PDF file');
+  });
+});
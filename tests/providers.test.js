@@ -0,0 +1,210 @@
+/**
+ * @file providers.test.js
+ * @description Unit tests for the provider registry: client-side request
+ * fields/headers (app/composables/providers.js) and server-side resolution
+ * (server/utils/providers.js).
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+
+vi.mock('localforage', () => ({
+  default: {
+    getItem: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+  },
+}));
+
+import {
+  buildProviderFields,
+  buildProviderHeaders,
+  getProviderApiKey,
+  hasUsableApiKey,
+  getStoredProviderFields,
+} from '../app/composables/providers.js';
+import {
+  getProviderRegistry,
+  resolveProvider,
+  resolveApiKey,
+  buildAuthHeaders,
+  listPublicProviders,
+} from '../server/utils/providers.js';
+
+const localProvider = {
+  id: 'custom-local',
+  name: 'Local',
+  baseURL: 'http://localhost:8080/v1',
+  authScheme: 'none',
+  authHeader: '',
+  apiKey: '',
+};
+
+const gatewayProvider = {
+  id: 'custom-gw',
+  name: 'Gateway',
+  baseURL: 'https://gw.example.com/v1',
+  authScheme: 'header',
+  authHeader: 'api-key',
+  apiKey: 'gw-key',
+};
+
+describe('buildProviderFields', () => {
+  it('sends the provider id and general key for server providers', () => {
+    const fields = buildProviderFields({ selected_provider_id: 'hackclub', custom_api_key: 'k' });
+    expect(fields).toEqual({ providerId: 'hackclub', customApiKey: 'k' });
+  });
+
+  it('sends the custom definition without its key', () => {
+    const fields = buildProviderFields({
+      selected_provider_id: 'custom-gw',
+      custom_providers: [gatewayProvider],
+      custom_api_key: 'general',
+    });
+    expect(fields.providerId).toBeUndefined();
+    expect(fields.customProvider).toEqual({
+      name: 'Gateway',
+      api: 'openai',
+      baseURL: 'https://gw.example.com/v1',
+      authScheme: 'header',
+      authHeader: 'api-key',
+    });
+    expect(fields.customApiKey).toBe('gw-key');
+  });
+
+  it('omits the key for auth-less providers', () => {
+    const settings = { selected_provider_id: 'custom-local', custom_providers: [localProvider], custom_api_key: 'k' };
+    expect(buildProviderFields(settings).customApiKey).toBeUndefined();
+    expect(getProviderApiKey(settings)).toBe('');
+    expect(hasUsableApiKey(settings)).toBe(true);
+  });
+
+  it('never sends the general key to a custom provider without its own', () => {
+    const settings = {
+      selected_provider_id: 'custom-gw',
+      custom_providers: [{ ...gatewayProvider, apiKey: '' }],
+      custom_api_key: 'general',
+    };
+    expect(getProviderApiKey(settings)).toBe('');
+    expect(buildProviderFields(settings).customApiKey).toBeUndefined();
+    expect(hasUsableApiKey(settings)).toBe(false);
+  });
+
+  it('requires a key for server providers without one', () => {
+    expect(hasUsableApiKey({ selected_provider_id: 'hackclub' })).toBe(false);
+  });
+});
+
+describe('buildProviderHeaders', () => {
+  it('encodes custom providers into the X-Provider header', () => {
+    const headers = buildProviderHeaders({ selected_provider_id: 'custom-gw', custom_providers: [gatewayProvider] });
+    expect(JSON.parse(decodeURIComponent(headers['X-Provider'])).baseURL).toBe('https://gw.example.com/v1');
+    expect(headers['X-API-Key']).toBe('gw-key');
+  });
+
+  it('uses X-Provider-Id for server providers', () => {
+    const headers = buildProviderHeaders({ selected_provider_id: 'team', custom_api_key: 'k' });
+    expect(headers).toEqual({ 'X-Provider-Id': 'team', 'X-API-Key': 'k' });
+  });
+});
+
+describe('getStoredProviderFields', () => {
+  beforeEach(() => store.clear());
+
+  it('falls back to the caller key when no settings are stored', async () => {
+    expect(await getStoredProviderFields('abc')).toEqual({ customApiKey: 'abc' });
+  });
+
+  it('routes to the persisted provider', async () => {
+    store.set('settings', { selected_provider_id: 'custom-local', custom_providers: [localProvider] });
+    const fields = await getStoredProviderFields('abc');
+    expect(fields.customProvider.baseURL).toBe('http://localhost:8080/v1');
+  });
+
+  it('does not send the caller key to a custom provider', async () => {
+    store.set('settings', { selected_provider_id: 'custom-gw', custom_providers: [{ ...gatewayProvider, apiKey: '' }] });
+    expect((await getStoredProviderFields('abc')).customApiKey).toBeUndefined();
+  });
+});
+
+describe('server provider registry', () => {
+  it('always includes the built-in Hack Club provider', () => {
+    const registry = getProviderRegistry({});
+    expect(registry.get('hackclub').baseURL).toBe('https://ai.hackclub.com/proxy/v1');
+  });
+
+  it('parses providers from a JSON string and derives the search base URL', () => {
+    const registry = getProviderRegistry({
+      providers: JSON.stringify({ team: { name: 'Team', baseURL: 'https://team.example.com/v1/', apiKey: 'srv' } }),
+    });
+    const team = registry.get('team');
+    expect(team.baseURL).toBe('https://team.example.com/v1');
+    expect(team.searchBaseURL).toBe('https://team.example.com/v1/exa');
+  });
+
+  it('never exposes server keys in the public list', () => {
+    const list = listPublicProviders({ providers: { team: { baseURL: 'https://t.example.com', apiKey: 'srv' } } });
+    const team = list.find((p) => p.id === 'team');
+    expect(team.hasServerKey).toBe(true);
+    expect(team.apiKey).toBeUndefined();
+  });
+
+  it('applies native API auth defaults and disables search for them', () => {
+    const anthropic = getProviderRegistry({}).get('anthropic');
+    expect(anthropic.api).toBe('anthropic');
+    expect(anthropic.authScheme).toBe('header');
+    expect(anthropic.authHeader).toBe('x-api-key');
+    expect(anthropic.searchBaseURL).toBeNull();
+  });
+
+  it('rejects unknown provider ids', async () => {
+    const { provider, error } = await resolveProvider({}, { providerId: 'ghost' });
+    expect(provider).toBeNull();
+    expect(error.code).toBe(400);
+  });
+
+  it('rejects custom providers when disabled', async () => {
+    const { error } = await resolveProvider({ allowUserProviders: false }, { customProvider: { baseURL: 'http://x' } });
+    expect(error.code).toBe(403);
+  });
+
+  it('ignores keys smuggled in a custom definition', async () => {
+    const { provider } = await resolveProvider({}, { customProvider: { baseURL: 'http://203.0.113.7/v1', apiKey: 'nope' } });
+    expect(provider.apiKey).toBeNull();
+  });
+
+  it('rejects custom providers on private network hosts', async () => {
+    const local = await resolveProvider({}, { customProvider: { baseURL: 'http://127.0.0.1:11434/v1' } });
+    expect(local.provider).toBeNull();
+    expect(local.error.code).toBe(403);
+
+    const search = await resolveProvider({}, {
+      customProvider: { baseURL: 'https://203.0.113.7/v1', searchBaseURL: 'http://localhost:8080/exa' },
+    });
+    expect(search.provider).toBeNull();
+    expect(search.error.message).toContain('localhost');
+
+    const mapped = await resolveProvider({}, { customProvider: { baseURL: 'http://[::ffff:a9fe:a9fe]/v1' } });
+    expect(mapped.provider).toBeNull();
+    expect(mapped.error.code).toBe(403);
+  });
+
+  it('keeps operator-configured local providers', async () => {
+    const { provider, error } = await resolveProvider(
+      { providers: { ollama: { baseURL: 'http://127.0.0.1:11434/v1', authScheme: 'none' } } },
+      { providerId: 'ollama' },
+    );
+    expect(error).toBeNull();
+    expect(provider.baseURL).toBe('http://127.0.0.1:11434/v1');
+  });
+
+  it('prefers the server key over the user key', async () => {
+    const { provider } = await resolveProvider({ providers: { team: { baseURL: 'https://t', apiKey: 'srv' } } }, { providerId: 'team' });
+    expect(resolveApiKey(provider, 'user')).toBe('srv');
+  });
+
+  it('builds auth headers per scheme', () => {
+    expect(buildAuthHeaders({ authScheme: 'bearer' }, 'k')).toEqual({ Authorization: 'Bearer k' });
+    expect(buildAuthHeaders({ authScheme: 'header', authHeader: 'api-key' }, 'k')).toEqual({ 'api-key': 'k' });
+    expect(buildAuthHeaders({ authScheme: 'none' }, 'k')).toEqual({});
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @file readAloud.test.js
+ * @description Unit tests for read-aloud (app/composables/readAloud.js):
+ * collecting readable text from rendered messages, sentence splitting,
+ * highlight ranges and speech requests.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  collectSpeakableText,
+  splitSentences,
+  rangeForOffsets,
+  fetchSpeech,
+  DEFAULT_SPEECH_MODEL,
+  DEFAULT_SPEECH_VOICE,
+} from '../app/composables/readAloud.js';
+
+vi.mock('../app/composables/useSession', () => ({
+  getSessionToken: async () => 'session-token',
+}));
+
+function render(html) {
+  const root = document.createElement('div');
+  root.className = 'markdown-content';
+  root.innerHTML = html;
+  return root;
+}
+
+describe('collectSpeakableText', () => {
+  it('skips code blocks, inline code and math, keeping blocks apart', () => {
+    const root = render([
+      '<h2>Setup</h2>',
+      '<p>Install it with <code>npm i</code> first.</p>',
+      '<div class="code-block-wrapper"><div class="code-block-header"><span>bash</span></div><pre><code>npm i</code></pre></div>',
+      '<p>The area is <span class="katex">πr²</span> for a <strong>circle</strong>.</p>',
+      '<ul><li>One</li><li>Two</li></ul>',
+    ].join(''));
+
+    const { text } = collectSpeakableText([root]);
+
+    expect(text).toBe('Setup\nInstall it with  first.\nThe area is  for a circle.\nOne\nTwo');
+  });
+});
+
+describe('splitSentences', () => {
+  it('splits on sentence ends and line breaks, with offsets into the text', () => {
+    const text = 'Hello there. How are you?\nFine!\n\n---';
+    const sentences = splitSentences(text);
+
+    expect(sentences.map((s) => s.text)).toEqual(['Hello there.', 'How are you?', 'Fine!']);
+    for (const sentence of sentences) {
+      expect(text.slice(sentence.start, sentence.end)).toBe(sentence.text);
+    }
+  });
+});
+
+describe('rangeForOffsets', () => {
+  it('spans a sentence across inline elements', () => {
+    const root = render('<p>Read <em>this part</em> aloud. Not this.</p>');
+    const { text, nodes } = collectSpeakableText([root]);
+    const [first] = splitSentences(text);
+
+    const range = rangeForOffsets(nodes, first.start, first.end);
+
+    expect(range.toString()).toBe('Read this part aloud.');
+  });
+});
+
+describe('fetchSpeech', () => {
+  it('posts the text with the speech provider and returns the audio', async () => {
+    const audio = new Blob(['mp3'], { type: 'audio/mpeg' });
+    const fetchMock = vi.fn(async () => ({ ok: true, blob: async () => audio }));
+    globalThis.fetch = fetchMock;
+
+    const result = await fetchSpeech('Hello.', { selected_provider_id: 'chat', speech_provider_id: 'voice' });
+
+    expect(result).toBe(audio);
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/speech');
+    expect(options.headers['x-session-token']).toBe('session-token');
+    expect(JSON.parse(options.body)).toEqual({
+      input: 'Hello.',
+      model: DEFAULT_SPEECH_MODEL,
+      voice: DEFAULT_SPEECH_VOICE,
+      providerId: 'voice',
+    });
+  });
+
+  it("throws the server's error message", async () => {
+    globalThis.fetch = vi.fn(async () => ({
+      ok: false,
+      status: 400,
+      json: async () => ({ error: { message: "Provider 'Claude' does not support speech." } }),
+    }));
+
+    await expect(fetchSpeech('Hello.')).rejects.toThrow('does not support speech');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @file resultCache.test.js
+ * @description Unit tests for the server's search and page-contents cache
+ * (server/utils/resultCache.js), and that the client cache
+ * (app/composables/toolResultCache.js) normalizes keys the same way, through
+ * shared/cacheKeys.js, and keeps its index intact under concurrent writes.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// In-memory stand-in for the client cache's storage
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+vi.mock('localforage', () => ({
+  default: {
+    getItem: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItem: vi.fn(async (key, value) => {
+      store.set(key, structuredClone(value));
+      return value;
+    }),
+    removeItem: vi.fn(async (key) => {
+      store.delete(key);
+    }),
+  },
+}));
+import {
+  createTtlCache,
+  normalizeSearchQuery,
+  normalizeUrl,
+  cacheScope,
+  resultCacheTtlMs,
+} from '../server/utils/resultCache.js';
+import * as clientCache from '../app/composables/toolResultCache.js';
+import * as sharedKeys from '../shared/cacheKeys.js';
+
+describe('createTtlCache', () => {
+  it('expires entries after their TTL', () => {
+    const cache = createTtlCache();
+    cache.set('k', { v: 1 }, 1000, 0);
+
+    expect(cache.get('k', 999)).toEqual({ v: 1 });
+    expect(cache.get('k', 1000)).toBeUndefined();
+    expect(cache.size()).toBe(0);
+  });
+
+  it('evicts the oldest entries past the limit and ignores a zero TTL', () => {
+    const cache = createTtlCache({ maxEntries: 2 });
+    cache.set('a', 1, 1000, 0);
+    cache.set('b', 2, 1000, 0);
+    cache.set('c', 3, 1000, 0);
+    cache.set('d', 4, 0, 0);
+
+    expect(cache.get('a', 0)).toBeUndefined();
+    expect(cache.get('c', 0)).toBe(3);
+    expect(cache.get('d', 0)).toBeUndefined();
+  });
+});
+
+describe('cache keys', () => {
+  it('normalizes queries and URLs', () => {
+    expect(normalizeSearchQuery('  Rust   Async ')).toBe('rust async');
+    expect(normalizeUrl('HTTPS://Example.com:443/docs/?b=2&utm_source=x&a=1#top'))
+      .toBe('https://example.com/docs/?a=1&b=2');
+    expect(normalizeUrl('https://example.com/docs/')).toBe('https://example.com/docs');
+    expect(normalizeUrl('not a url')).toBe('not a url');
+  });
+
+  it('normalizes the same way on the client', () => {
+    for (const url of ['https://Example.com/a/?utm_medium=m&z=1#x', 'https://example.com/']) {
+      expect(clientCache.normalizeUrl(url)).toBe(normalizeUrl(url));
+    }
+    expect(clientCache.normalizeSearchQuery(' A  b')).toBe(normalizeSearchQuery(' A  b'));
+    // Both caches use the one shared implementation
+    expect(clientCache.normalizeUrl).toBe(sharedKeys.normalizeUrl);
+    expect(normalizeSearchQuery).toBe(sharedKeys.normalizeSearchQuery);
+  });
+
+  it('scopes keys to the provider and API key without exposing the key', () => {
+    const provider = { id: 'hackclub', searchBaseURL: 'https://search.example' };
+    const scope = cacheScope(provider, 'secret-key');
+
+    expect(scope).not.toContain('secret-key');
+    expect(scope).not.toBe(cacheScope(provider, 'other-key'));
+    expect(scope).not.toBe(cacheScope({ ...provider, searchBaseURL: 'https://other.example' }, 'secret-key'));
+  });
+
+  it('reads the TTL from runtime config', () => {
+    expect(resultCacheTtlMs({})).toBe(3600 * 1000);
+    expect(resultCacheTtlMs({ resultCacheTtlSeconds: 0 })).toBe(0);
+  });
+});
+
+describe('client cache writes', () => {
+  it('keeps every key in the index when results are stored concurrently', async () => {
+    store.clear();
+    const keys = ['a', 'b', 'c', 'd', 'e'];
+
+    await Promise.all(keys.map((key) => clientCache.setCachedToolResult(key, { key })));
+
+    expect(store.get('tool_cache_index')).toEqual(keys);
+    for (const key of keys) {
+      expect(await clientCache.getCachedToolResult(key)).toEqual({ key });
+    }
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * @file semanticSearch.test.js
+ * @description Unit tests for semantic search over past conversations
+ * (app/composables/semanticSearch.js): bit packing and Hamming distance,
+ * chunking, incremental indexing and ranking search results.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+vi.mock('localforage', () => ({
+  default: {
+    getItem: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItem: vi.fn(async (key, value) => {
+      store.set(key, structuredClone(value));
+      return value;
+    }),
+    removeItem: vi.fn(async (key) => {
+      store.delete(key);
+    }),
+  },
+}));
+
+vi.mock('../app/composables/useSession', () => ({
+  getSessionToken: async () => 'session-token',
+}));
+
+import {
+  packBits,
+  hammingDistance,
+  chunkMessages,
+  indexConversation,
+  searchConversations,
+  deleteSemanticIndex,
+  isSemanticSearchEnabled,
+  SEMANTIC_INDEX_KEY_PREFIX,
+} from '../app/composables/semanticSearch.js';
+
+// Texts about cats and about taxes get embeddings that share half their bits
+function fakeEmbedding(text) {
+  const topic = /cat/i.test(text) ? 0 : 1;
+  return Array.from({ length: 768 }, (_, i) => (topic === 0 ? i % 2 : (i >> 1) % 2));
+}
+
+function mockEmbeddingsApi() {
+  const fetchMock = vi.fn(async (url, options) => {
+    const { input } = JSON.parse(options.body);
+    return {
+      ok: true,
+      json: async () => ({
+        data: input.map((text, index) => ({ index, embedding: fakeEmbedding(text) })),
+      }),
+    };
+  });
+  globalThis.fetch = fetchMock;
+  return fetchMock;
+}
+
+function saveConversation(id, messages) {
+  store.set(`conversation_${id}`, { title: id, messages, branchPath: [] });
+  const metadata = (store.get('conversations_metadata') || []).filter((m) => m.id !== id);
+  store.set('conversations_metadata', [...metadata, { id, title: id, lastUpdated: new Date() }]);
+}
+
+describe('packBits / hammingDistance', () => {
+  it('packs eight dimensions per byte and counts differing bits', () => {
+    const a = packBits([1, 0, 1, 0, 1, 0, 1, 0, 1]);
+    const b = packBits([1, 1, 1, 1, 1, 0, 1, 0, 0]);
+
+    expect(a).toEqual(new Uint8Array([0b10101010, 0b10000000]));
+    expect(hammingDistance(a, b)).toBe(3);
+    expect(hammingDistance(a, a)).toBe(0);
+  });
+});
+
+describe('isSemanticSearchEnabled', () => {
+  it('stays off until the user opts in', () => {
+    expect(isSemanticSearchEnabled({ custom_api_key: 'key' })).toBe(false);
+    expect(isSemanticSearchEnabled({ custom_api_key: 'key', semantic_search_enabled: true })).toBe(true);
+    expect(isSemanticSearchEnabled({ semantic_search_enabled: true })).toBe(false);
+  });
+});
+
+describe('chunkMessages', () => {
+  it('chunks finished user and assistant messages only', () => {
+    const chunks = chunkMessages([
+      { id: 's', role: 'system', content: 'system prompt' },
+      { id: 'u', role: 'user', content: 'hello' },
+      { id: 'a', role: 'assistant', content: 'still streaming', complete: false },
+      { id: 't', role: 'tool', content: '{}' },
+      { id: 'e', role: 'assistant', content: '   ' },
+    ]);
+
+    expect(chunks.map((c) => c.id)).toEqual(['u:0']);
+  });
+
+  it('splits long messages on word boundaries', () => {
+    const content = 'word '.repeat(500);
+    const chunks = chunkMessages([{ id: 'm', role: 'assistant', content }]);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every((c) => c.text.length <= 1000 && c.messageId === 'm')).toBe(true);
+    expect(chunks.map((c) => c.text).join(' ').split(' ').length).toBe(500);
+  });
+});
+
+describe('indexing and search', () => {
+  beforeEach(() => {
+    store.clear();
+  });
+
+  it('only embeds chunks that changed since the last indexing', async () => {
+    const fetchMock = mockEmbeddingsApi();
+    saveConversation('c1', [
+      { id: 'm1', role: 'user', content: 'Tell me about cats' },
+      { id: 'm2', role: 'assistant', content: 'Cats are small carnivores.' },
+    ]);
+
+    expect(await indexConversation('c1')).toBe(2);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][1].headers['x-session-token']).toBe('session-token');
+
+    saveConversation('c1', [
+      { id: 'm1', role: 'user', content: 'Tell me about cats' },
+      { id: 'm2', role: 'assistant', content: 'Cats are small carnivorous mammals.' },
+    ]);
+
+    expect(await indexConversation('c1')).toBe(1);
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).input).toEqual(['Cats are small carnivorous mammals.']);
+    expect(store.get(`${SEMANTIC_INDEX_KEY_PREFIX}c1`).chunks).toHaveLength(2);
+  });
+
+  it('returns the best matching message per conversation', async () => {
+    mockEmbeddingsApi();
+    saveConversation('pets', [
+      { id: 'p1', role: 'user', content: 'What should I feed my cat?' },
+      { id: 'p2', role: 'assistant', content: 'A balanced cat food works well.' },
+    ]);
+    saveConversation('money', [
+      { id: 'x1', role: 'user', content: 'How do I file my taxes?' },
+    ]);
+    await indexConversation('pets');
+    await indexConversation('money');
+
+    const results = await searchConversations('feline nutrition for cats');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ conversationId: 'pets', messageId: 'p1', similarity: 1 });
+    expect(results[0].snippet).toBe('What should I feed my cat?');
+  });
+
+  it('forgets deleted conversations', async () => {
+    mockEmbeddingsApi();
+    saveConversation('c1', [{ id: 'm1', role: 'user', content: 'cats' }]);
+    await indexConversation('c1');
+
+    await deleteSemanticIndex('c1');
+
+    expect(store.has(`${SEMANTIC_INDEX_KEY_PREFIX}c1`)).toBe(false);
+    expect(await searchConversations('cats')).toEqual([]);
+  });
+
+  it('reports embedding API errors', async () => {
+    globalThis.fetch = vi.fn(async () => ({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: { message: 'API key is required.' } }),
+    }));
+
+    await expect(searchConversations('cats')).rejects.toThrow('API key is required.');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @file streamBuffer.test.js
+ * @description Unit tests for server/utils/streamBuffer.js: buffering of
+ * /api/ai stream events for replay, subscriber notification and expiry.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  STREAM_TTL_MS,
+  IDLE_STREAM_TTL_MS,
+  createStreamBuffer,
+  getStreamBuffer,
+  appendStreamEvent,
+  finishStream,
+  cancelStream,
+  subscribeToStream,
+  pruneStreamBuffers,
+} from '../server/utils/streamBuffer.js';
+
+describe('streamBuffer', () => {
+  it('buffers events for replay by id', () => {
+    const record = createStreamBuffer();
+    appendStreamEvent(record, 'data: a\n\n');
+    appendStreamEvent(record, 'data: b\n\n');
+
+    expect(getStreamBuffer(record.id).events.slice(1)).toEqual(['data: b\n\n']);
+    expect(getStreamBuffer('unknown')).toBe(null);
+  });
+
+  it('notifies subscribers of new events and then null on finish', () => {
+    const record = createStreamBuffer();
+    const listener = vi.fn();
+    subscribeToStream(record, listener);
+
+    appendStreamEvent(record, 'data: a\n\n');
+    finishStream(record);
+    appendStreamEvent(record, 'data: late\n\n');
+
+    expect(listener.mock.calls).toEqual([['data: a\n\n'], [null]]);
+    expect(record.events).toEqual(['data: a\n\n']);
+  });
+
+  it('stops unsubscribed listeners from receiving events', () => {
+    const record = createStreamBuffer();
+    const listener = vi.fn();
+    const unsubscribe = subscribeToStream(record, listener);
+
+    unsubscribe();
+    appendStreamEvent(record, 'data: a\n\n');
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('aborts the upstream request when cancelled', () => {
+    const record = createStreamBuffer();
+
+    expect(cancelStream(record.id)).toBe(true);
+    expect(record.controller.signal.aborted).toBe(true);
+    expect(cancelStream('unknown')).toBe(false);
+  });
+
+  it('drops finished streams after their TTL', () => {
+    const running = createStreamBuffer();
+    const finished = createStreamBuffer();
+    finishStream(finished);
+
+    pruneStreamBuffers(Date.now() + STREAM_TTL_MS + 1);
+
+    expect(getStreamBuffer(finished.id)).toBe(null);
+    expect(getStreamBuffer(running.id)).toBe(running);
+  });
+
+  it('stops and drops unfinished streams that stay idle past their TTL', () => {
+    const stuck = createStreamBuffer();
+    const listener = vi.fn();
+    subscribeToStream(stuck, listener);
+
+    pruneStreamBuffers(Date.now() + IDLE_STREAM_TTL_MS + 1);
+
+    expect(getStreamBuffer(stuck.id)).toBe(null);
+    expect(stuck.controller.signal.aborted).toBe(true);
+    expect(listener).toHaveBeenCalledWith(null);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @file toolPermissions.test.js
+ * @description Unit tests for per-tool permission policies and approval
+ * requests (app/composables/toolPermissions.js).
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { store, settingsManager } = vi.hoisted(() => ({
+  store: new Map(),
+  settingsManager: {
+    settings: { tool_policies: {} },
+    setSetting(key, value) { this.settings[key] = value; },
+    saveSettings: async () => {},
+  },
+}));
+
+vi.mock('localforage', () => ({
+  default: {
+    getItem: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItem: vi.fn(async (key, value) => {
+      store.set(key, structuredClone(value));
+      return value;
+    }),
+    removeItem: vi.fn(async (key) => {
+      store.delete(key);
+    }),
+  },
+}));
+
+vi.mock('../app/composables/useSettings', () => ({
+  useSettings: () => settingsManager,
+}));
+
+import {
+  getToolPolicy,
+  requestToolApproval,
+  resolveToolApproval,
+  usePendingToolApprovals,
+  deleteConversationToolDecisions,
+  TOOL_DECISIONS_KEY_PREFIX,
+} from '../app/composables/toolPermissions.js';
+
+describe('toolPermissions', () => {
+  beforeEach(async () => {
+    store.clear();
+    settingsManager.settings.tool_policies = {};
+    await deleteConversationToolDecisions('convo-1');
+  });
+
+  it('falls back to allowing tools without a saved policy', async () => {
+    settingsManager.settings.tool_policies = { search: 'deny', runJavaScript: 'bogus' };
+
+    expect(await getToolPolicy('search', settingsManager.settings)).toBe('deny');
+    expect(await getToolPolicy('runJavaScript', settingsManager.settings)).toBe('allow');
+    expect(await getToolPolicy('other', {})).toBe('allow');
+  });
+
+  it('waits for the user and lists the request while it is pending', async () => {
+    const pending = usePendingToolApprovals();
+    const approval = requestToolApproval({ id: 'call_1', name: 'search', args: { q: 'x' } });
+
+    expect(pending.map((p) => p.id)).toEqual(['call_1']);
+    await resolveToolApproval('call_1', true);
+
+    expect(await approval).toBe(true);
+    expect(pending).toHaveLength(0);
+  });
+
+  it('remembers a decision for the rest of the conversation', async () => {
+    const settings = { tool_policies: { search: 'ask' } };
+    const approval = requestToolApproval({ id: 'call_2', name: 'search', args: {}, conversationId: 'convo-1' });
+    await resolveToolApproval('call_2', false, 'conversation');
+
+    expect(await approval).toBe(false);
+    expect(await getToolPolicy('search', settings, 'convo-1')).toBe('deny');
+    expect(await getToolPolicy('search', settings, 'convo-2')).toBe('ask');
+    expect(store.get(`${TOOL_DECISIONS_KEY_PREFIX}convo-1`)).toEqual({ search: 'deny' });
+  });
+
+  it('saves an "always" decision as the tool policy', async () => {
+    const approval = requestToolApproval({ id: 'call_3', name: 'runJavaScript', args: {} });
+    await resolveToolApproval('call_3', true, 'always');
+
+    expect(await approval).toBe(true);
+    expect(settingsManager.settings.tool_policies).toEqual({ runJavaScript: 'allow' });
+  });
+
+  it('answers the request even when saving the decision fails', async () => {
+    const saveSettings = vi.spyOn(settingsManager, 'saveSettings').mockRejectedValueOnce(new Error('quota exceeded'));
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const approval = requestToolApproval({ id: 'call_5', name: 'runJavaScript', args: {} });
+
+    await resolveToolApproval('call_5', true, 'always');
+
+    expect(await approval).toBe(true);
+    expect(consoleError).toHaveBeenCalled();
+    saveSettings.mockRestore();
+    consoleError.mockRestore();
+  });
+
+  it('withdraws the request when the turn is aborted', async () => {
+    const controller = new AbortController();
+    const approval = requestToolApproval({ id: 'call_4', name: 'search', args: {} }, controller.signal);
+
+    controller.abort();
+
+    await expect(approval).rejects.toMatchObject({ name: 'AbortError' });
+    expect(usePendingToolApprovals()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @file toolRunner.test.js
+ * @description Unit tests for running one iteration's tool calls
+ * (app/composables/toolRunner.js): the concurrency limit, results yielded
+ * in completion order, and per-tool time limits.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const mocks = vi.hoisted(() => ({
+  tools: new Map(),
+}));
+
+vi.mock('../app/composables/toolsManager', () => ({
+  toolManager: { getTool: (name) => mocks.tools.get(name) },
+}));
+
+vi.mock('../app/composables/useSettings', () => ({
+  useSettings: () => ({ settings: {} }),
+}));
+
+import { runToolCalls } from '../app/composables/toolRunner.js';
+
+function call(id, name, args = {}) {
+  return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+async function collect(generator) {
+  const results = [];
+  for await (const result of generator) results.push(result);
+  return results;
+}
+
+describe('runToolCalls', () => {
+  afterEach(() => {
+    mocks.tools.clear();
+    vi.useRealTimers();
+  });
+
+  it('runs calls concurrently up to the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    mocks.tools.set('fetchPage', {
+      executor: async ({ ms }) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        running--;
+        return { ms };
+      },
+    });
+
+    const calls = [10, 10, 10, 10, 10].map((ms, i) => call(`call_${i}`, 'fetchPage', { ms }));
+    const results = await collect(runToolCalls(calls, [], { settings: { tool_concurrency: 2 } }));
+
+    expect(peak).toBe(2);
+    expect(results.map((r) => r.tool_call_id).sort()).toEqual(calls.map((c) => c.id));
+  });
+
+  it('yields each result as its tool finishes', async () => {
+    mocks.tools.set('wait', {
+      executor: ({ ms }) => new Promise((resolve) => setTimeout(() => resolve({ ms }), ms)),
+    });
+
+    const results = await collect(runToolCalls([
+      call('slow', 'wait', { ms: 30 }),
+      call('fast', 'wait', { ms: 1 }),
+    ]));
+
+    expect(results.map((r) => r.tool_call_id)).toEqual(['fast', 'slow']);
+    expect(JSON.parse(results[0].content)).toEqual({ ms: 1 });
+  });
+
+  it('stops a call that runs past the time limit and reports it to the model', async () => {
+    vi.useFakeTimers();
+    let signal;
+    mocks.tools.set('hang', {
+      executor: (args, history, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      },
+    });
+
+    const pending = collect(runToolCalls([call('call_1', 'hang')], [], { settings: { tool_timeout_seconds: 5 } }));
+    await vi.advanceTimersByTimeAsync(5000);
+    const [result] = await pending;
+
+    expect(JSON.parse(result.content).error).toMatch(/timed out after 5s/);
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('turns failures and unknown tools into error results', async () => {
+    mocks.tools.set('broken', { executor: async () => { throw new Error('boom'); } });
+
+    const results = await collect(runToolCalls([
+      call('a', 'broken'),
+      call('b', 'missing'),
+      { id: 'c', function: { name: 'broken', arguments: '{bad' } },
+    ]));
+
+    const errors = Object.fromEntries(results.map((r) => [r.tool_call_id, JSON.parse(r.content).error]));
+    expect(errors.a).toMatch(/boom/);
+    expect(errors.b).toMatch(/Unknown tool/);
+    expect(errors.c).toMatch(/Invalid JSON/);
+  });
+});
@@ -7,6 +7,7 @@
  *   - The executeTool happy path
  *   - The default `search` tool, using vi.mock to stub `useSettings` and
  *     `globalThis.fetch` (introduces the mocking pattern in this codebase)
+ *   - Reuse of cached search and page-contents results
  */
 
 import {
@@ -25,6 +26,25 @@ vi.mock("../app/composables/useSettings", () => ({
   useSettings: () => ({ settings: { custom_api_key: "test-key-123" } }),
 }));
 
+vi.mock("../app/composables/useSession", () => ({
+  getSessionToken: vi.fn(async () => "test-session-token"),
+}));
+
+// In-memory stand-in for the client-side result cache's storage
+const { store } = vi.hoisted(() => ({ store: new Map() }));
+vi.mock("localforage", () => ({
+  default: {
+    getItem: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItem: vi.fn(async (key, value) => {
+      store.set(key, structuredClone(value));
+      return value;
+    }),
+    removeItem: vi.fn(async (key) => {
+      store.delete(key);
+    }),
+  },
+}));
+
 import { ToolManager, toolManager } from "../app/composables/toolsManager.js";
 
 describe("ToolManager (custom-registered tool, no defaults)", () => {
@@ -34,6 +54,8 @@ describe("ToolManager (custom-registered tool, no defaults)", () => {
     const tm = new ToolManager();
     tm.unregisterTool("search");
     tm.unregisterTool("getPageContents");
+    tm.unregisterTool("runJavaScript");
+    tm.unregisterTool("searchKnowledge");
     return tm;
   }
 
@@ -95,6 +117,7 @@ describe("ToolManager.executeTool", () => {
     const tm = new ToolManager();
     tm.unregisterTool("search");
     tm.unregisterTool("getPageContents");
+    tm.unregisterTool("runJavaScript");
     return tm;
   }
 
@@ -119,6 +142,7 @@ describe("default `search` tool (with mocked fetch)", () => {
   let fetchSpy;
 
   beforeEach(() => {
+    store.clear();
     fetchSpy = vi.fn();
     globalThis.fetch = fetchSpy;
   });
@@ -154,6 +178,7 @@ describe("default `search` tool (with mocked fetch)", () => {
     expect(url).toContain("q=hello");
     expect(url).toContain("numResults=3");
     expect(init.headers["X-API-Key"]).toBe("test-key-123");
+    expect(init.headers["x-session-token"]).toBe("test-session-token");
 
     // Verify the result is reformatted with the new field set
     expect(result.results).toHaveLength(1);
@@ -178,3 +203,63 @@ describe("default `search` tool (with mocked fetch)", () => {
     await expect(toolManager.executeTool("search", {})).rejects.toThrow(/query/);
   });
 });
+
+describe("cached search and page-contents results", () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    store.clear();
+    fetchSpy = vi.fn();
+    globalThis.fetch = fetchSpy;
+  });
+
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  it("reuses a search for the same normalized query and marks it cached", async () => {
+    fetchSpy.mockResolvedValue({
+      ok: true,
+      json: async () => ({ results: [{ title: "x", url: "u", highlights: [], subpages: [] }] }),
+    });
+
+    const first = await toolManager.executeTool("search", { q: "Hello  World" });
+    const second = await toolManager.executeTool("search", { q: " hello world" });
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(first.cached).toBeUndefined();
+    expect(second).toMatchObject({ cached: true, query: " hello world" });
+    expect(second.results).toEqual(first.results);
+  });
+
+  it("passes on the server's cached marker", async () => {
+    fetchSpy.mockResolvedValue({
+      ok: true,
+      json: async () => ({ results: [{ title: "x", url: "u" }], cached: true }),
+    });
+
+    const result = await toolManager.executeTool("search", { q: "served from server cache" });
+    expect(result.cached).toBe(true);
+  });
+
+  it("only requests pages that are not cached yet", async () => {
+    const page = (url) => ({ url, title: url, content: "text", publishedDate: null });
+    fetchSpy.mockImplementation(async (url, init) => ({
+      ok: true,
+      json: async () => ({ results: JSON.parse(init.body).urls.map(page) }),
+    }));
+
+    await toolManager.executeTool("getPageContents", { urls: ["https://a.example/post#intro"] });
+    const result = await toolManager.executeTool("getPageContents", {
+      urls: ["https://a.example/post?utm_source=x", "https://b.example/"],
+    });
+
+    expect(JSON.parse(fetchSpy.mock.calls[1][1].body).urls).toEqual(["https://b.example/"]);
+    expect(result.results.map((r) => r.url)).toEqual(["https://a.example/post#intro", "https://b.example/"]);
+    expect(result.cached).toBeUndefined();
+
+    const again = await toolManager.executeTool("getPageContents", { urls: ["https://b.example"] });
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+    expect(again.cached).toBe(true);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @file useAttachments.test.js
+ * @description Unit tests for text, code, CSV, JSON and Word attachments in
+ * app/composables/useAttachments.js: type detection, previews and the
+ * context-based size limit.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  useAttachments,
+  describeTextFile,
+  summarizeTextAttachment,
+} from '../app/composables/useAttachments.js';
+
+describe('describeTextFile', () => {
+  it('detects the preview kind and fence language', () => {
+    expect(describeTextFile('main.py')).toEqual({ kind: 'code', language: 'python' });
+    expect(describeTextFile('data.csv')).toEqual({ kind: 'csv', language: 'csv' });
+    expect(describeTextFile('config.json')).toEqual({ kind: 'json', language: 'json' });
+    expect(describeTextFile('server.log')).toEqual({ kind: 'text', language: '' });
+    expect(describeTextFile('report.docx')).toEqual({ kind: 'docx', language: '' });
+    expect(describeTextFile('Makefile', 'text/plain')).toEqual({ kind: 'text', language: '' });
+  });
+
+  it('ignores binary files', () => {
+    expect(describeTextFile('photo.png', 'image/png')).toBeNull();
+    expect(describeTextFile('archive.constructor')).toBeNull();
+  });
+});
+
+describe('summarizeTextAttachment', () => {
+  it('summarizes each kind', () => {
+    expect(summarizeTextAttachment({ kind: 'csv', language: 'csv', text: 'a,b,c\n1,2,3\n4,5,6\n' })).toBe('3 rows × 3 columns');
+    expect(summarizeTextAttachment({ kind: 'json', language: 'json', text: '[1,2]' })).toBe('JSON array · 2 items');
+    expect(summarizeTextAttachment({ kind: 'code', language: 'python', text: 'a\nb' })).toBe('python · 2 lines');
+    expect(summarizeTextAttachment({ kind: 'docx', language: '', text: 'three short words' })).toBe('Word document · 3 words');
+  });
+});
+
+describe('addFile with text files', () => {
+  it('reads text files without requiring vision', async () => {
+    const { attachments, addFile } = useAttachments();
+
+    const result = await addFile(new File(['\uFEFFname,qty\r\napples,3'], 'fruit.csv', { type: 'text/csv' }), false);
+
+    expect(result).toEqual({ success: true });
+    expect(attachments.value[0]).toMatchObject({
+      type: 'text',
+      kind: 'csv',
+      language: 'csv',
+      filename: 'fruit.csv',
+      text: 'name,qty\napples,3',
+    });
+  });
+
+  it('limits text attachments to a share of the model context', async () => {
+    const { attachments, error, addFile } = useAttachments();
+    const model = { id: 'small', context_length: 1000 };
+
+    expect((await addFile(new File(['x'.repeat(1200)], 'a.txt'), false, model)).success).toBe(true);
+    const result = await addFile(new File(['y'.repeat(1200)], 'b.txt'), false, model);
+
+    expect(result.success).toBe(false);
+    expect(error.value).toContain('tokens left for attachments');
+    expect(attachments.value).toHaveLength(1);
+
+    // A model with a larger window accepts the same file
+    expect((await addFile(new File(['y'.repeat(1200)], 'b.txt'), false, { context_length: 10000 })).success).toBe(true);
+  });
+});
+
+describe('addFile with PDFs', () => {
+  it('stores the page-marked text alongside the file', async () => {
+    const { attachments, addFile } = useAttachments();
+    const content = 'BT (Quarterly results) Tj ET';
+    const pdf = [
+      '%PDF-1.4',
+      '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+      '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+      '3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R >> endobj',
+      `4 0 obj << /Length ${content.length} >>\nstream\n${content}\nendstream endobj`,
+    ].join('\n');
+
+    expect((await addFile(new File([pdf], 'report.pdf', { type: 'application/pdf' }))).success).toBe(true);
+
+    expect(attachments.value[0]).toMatchObject({ type: 'pdf', text: '[Page 1]\nQuarterly results' });
+    expect(attachments.value[0].dataUrl).toMatch(/^data:application\/pdf;base64,/);
+  });
+});
+
+describe('addRecording', () => {
+  it('adds a WAV attachment that later changes show through', () => {
+    const { attachments, addRecording } = useAttachments();
+
+    const { success, attachment } = addRecording('UklGRg==', 2.5);
+    attachment.transcript = 'hello';
+
+    expect(success).toBe(true);
+    expect(attachments.value[0]).toMatchObject({
+      type: 'audio',
+      dataUrl: 'data:audio/wav;base64,UklGRg==',
+      mimeType: 'audio/wav',
+      format: 'wav',
+      duration: 2.5,
+      transcript: 'hello',
+    });
+    expect(attachments.value[0].filename).toMatch(/^recording-[\d-]+\.wav$/);
+  });
+});
+
+describe('addImageEdit', () => {
+  it('adds the image and its mask', () => {
+    const { attachments, addImageEdit } = useAttachments();
+
+    const result = addImageEdit('data:image/webp;base64,SU1H', 'data:image/png;base64,TUFTSw==');
+
+    expect(result.success).toBe(true);
+    expect(result.attachments).toHaveLength(2);
+    expect(attachments.value[0]).toMatchObject({ type: 'image', filename: 'image.webp', mimeType: 'image/webp' });
+    expect(attachments.value[0].mask).toBeUndefined();
+    expect(attachments.value[1]).toMatchObject({ type: 'image', filename: 'mask.png', mimeType: 'image/png', mask: true });
+  });
+
+  it('adds only the image when no mask was drawn, within the attachment limit', () => {
+    const { attachments, addImageEdit, MAX_ATTACHMENTS } = useAttachments();
+
+    expect(addImageEdit('data:image/png;base64,SU1H').attachments).toHaveLength(1);
+    for (let i = 1; i < MAX_ATTACHMENTS; i++) addImageEdit('data:image/png;base64,SU1H');
+
+    const result = addImageEdit('data:image/png;base64,SU1H', 'data:image/png;base64,TUFTSw==');
+    expect(result.success).toBe(false);
+    expect(attachments.value).toHaveLength(MAX_ATTACHMENTS);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @file voiceInput.test.js
+ * @description Unit tests for voice input (app/composables/voiceInput.js):
+ * WAV encoding, base64 conversion, and transcription requests routed to the
+ * provider chosen for transcription.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  encodeWav,
+  bytesToBase64,
+  buildTranscriptionProviderFields,
+  transcribeAudio,
+  DEFAULT_TRANSCRIPTION_MODEL,
+} from '../app/composables/voiceInput.js';
+
+vi.mock('../app/composables/useSession', () => ({
+  getSessionToken: async () => 'session-token',
+}));
+
+function text(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+describe('encodeWav', () => {
+  it('writes a 16-bit mono PCM header followed by clamped samples', () => {
+    const bytes = encodeWav(new Float32Array([0, 1, -1, 2]), 16000);
+    const view = new DataView(bytes.buffer);
+
+    expect(bytes.length).toBe(44 + 8);
+    expect(text(bytes, 0, 4)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(36 + 8);
+    expect(text(bytes, 8, 8)).toBe('WAVEfmt ');
+    expect(view.getUint16(22, true)).toBe(1);
+    expect(view.getUint32(24, true)).toBe(16000);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(text(bytes, 36, 4)).toBe('data');
+    expect(view.getUint32(40, true)).toBe(8);
+    expect([0, 1, 2, 3].map((i) => view.getInt16(44 + i * 2, true))).toEqual([0, 32767, -32768, 32767]);
+  });
+});
+
+describe('bytesToBase64', () => {
+  it('encodes inputs longer than one slice', () => {
+    const bytes = new Uint8Array(0x8000 + 3).fill(65);
+    expect(atob(bytesToBase64(bytes))).toBe('A'.repeat(0x8000 + 3));
+    expect(bytesToBase64(new Uint8Array([104, 105]))).toBe('aGk=');
+  });
+});
+
+describe('buildTranscriptionProviderFields', () => {
+  it('uses the transcription provider, falling back to the active one', () => {
+    expect(buildTranscriptionProviderFields({ selected_provider_id: 'chat', transcription_provider_id: 'whisper' }))
+      .toEqual({ providerId: 'whisper' });
+    expect(buildTranscriptionProviderFields({ selected_provider_id: 'chat', transcription_provider_id: '' }))
+      .toEqual({ providerId: 'chat' });
+  });
+});
+
+describe('transcribeAudio', () => {
+  it('posts the recording and returns the trimmed transcript', async () => {
+    const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ text: ' Hello there \n' }) }));
+    globalThis.fetch = fetchMock;
+
+    const transcript = await transcribeAudio('UklGRg==', { transcription_provider_id: 'whisper' });
+
+    expect(transcript).toBe('Hello there');
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/transcribe');
+    expect(options.headers['x-session-token']).toBe('session-token');
+    expect(JSON.parse(options.body)).toEqual({
+      audio: 'UklGRg==',
+      format: 'wav',
+      model: DEFAULT_TRANSCRIPTION_MODEL,
+      providerId: 'whisper',
+    });
+  });
+
+  it("throws the server's error message", async () => {
+    globalThis.fetch = vi.fn(async () => ({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: { message: 'API key is required.' } }),
+    }));
+
+    await expect(transcribeAudio('UklGRg==', {})).rejects.toThrow('API key is required.');
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * @file voiceMode.test.js
+ * @description Unit tests for hands-free voice mode
+ * (app/composables/voiceMode.js): voice-activity detection, resampling,
+ * turning streaming markdown into sentences to speak, and keeping the
+ * session when the first message moves the chat to its own page.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createApp, h, onMounted, ref } from 'vue';
+import {
+  useVoiceConversation,
+  useVoiceMode,
+  measureLevel,
+  createVoiceActivityDetector,
+  downsample,
+  markdownToSpeech,
+  takeReadySentences,
+  SPEECH_THRESHOLD,
+  BARGE_IN_THRESHOLD,
+} from '../app/composables/voiceMode.js';
+
+vi.mock('../app/composables/useSession', () => ({
+  getSessionToken: async () => 'session-token',
+}));
+
+const { spoken } = vi.hoisted(() => ({ spoken: [] }));
+vi.mock('../app/composables/voiceInput', async (importOriginal) => ({
+  ...(await importOriginal()),
+  transcribeAudio: vi.fn(async () => 'What is the weather?'),
+}));
+vi.mock('../app/composables/readAloud', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createSpeechQueue: () => ({
+    enqueue: (text) => spoken.push(text),
+    finish: () => {},
+    stop: () => {},
+    done: Promise.resolve(),
+  }),
+}));
+
+describe('measureLevel', () => {
+  it('returns the RMS of a frame', () => {
+    expect(measureLevel(new Float32Array([0.5, -0.5, 0.5, -0.5]))).toBeCloseTo(0.5);
+    expect(measureLevel(new Float32Array())).toBe(0);
+  });
+});
+
+describe('createVoiceActivityDetector', () => {
+  const loud = 0.1;
+  const quiet = 0.001;
+
+  it('starts after sustained speech and ends after a long pause', () => {
+    const vad = createVoiceActivityDetector({ minSpeechMs: 100, silenceMs: 500 });
+
+    expect(vad.update(loud, 0)).toBeNull();
+    expect(vad.update(loud, 50)).toBeNull();
+    expect(vad.update(loud, 100)).toBe('start');
+    // A short pause between words doesn't end the utterance
+    expect(vad.update(quiet, 300)).toBeNull();
+    expect(vad.update(loud, 400)).toBeNull();
+    expect(vad.update(quiet, 800)).toBeNull();
+    expect(vad.update(quiet, 900)).toBe('end');
+  });
+
+  it('ignores clicks and sound below the threshold given', () => {
+    const vad = createVoiceActivityDetector({ minSpeechMs: 100, silenceMs: 500 });
+
+    expect(vad.update(loud, 0)).toBeNull();
+    expect(vad.update(quiet, 150)).toBeNull();
+    expect(vad.update(loud, 200)).toBeNull();
+    expect(vad.update(loud, 250)).toBeNull();
+
+    const level = (SPEECH_THRESHOLD + BARGE_IN_THRESHOLD) / 2;
+    const bargeIn = createVoiceActivityDetector({ minSpeechMs: 0 });
+    expect(bargeIn.update(level, 0, BARGE_IN_THRESHOLD)).toBeNull();
+    expect(bargeIn.update(level, 10, SPEECH_THRESHOLD)).toBe('start');
+  });
+});
+
+describe('downsample', () => {
+  it('averages groups of samples', () => {
+    const output = downsample(new Float32Array([1, 0, 0.5, 0.5, 0, 0]), 48000, 16000);
+
+    expect(output).toHaveLength(2);
+    expect(output[0]).toBeCloseTo(0.5);
+    expect(output[1]).toBeCloseTo(1 / 6);
+  });
+});
+
+describe('markdownToSpeech', () => {
+  it('drops code, math and markup', () => {
+    const markdown = [
+      '## Result',
+      'Use **bold** and `inline()` with [docs](https://example.com).',
+      '```js',
+      'console.log(1);',
+      '```',
+      'The area is $\\pi r^2$ or',
+      '$$',
+      'E = mc^2',
+      '$$',
+      '- first_item and __strong__',
+      '| a | b |',
+      '|---|---|',
+    ].join('\n');
+
+    expect(markdownToSpeech(markdown).split('\n').map((line) => line.trim()).filter(Boolean)).toEqual([
+      'Result',
+      'Use bold and   with docs.',
+      'The area is   or',
+      'first_item and strong',
+      'a   b',
+    ]);
+  });
+
+  it('drops a code block that is still streaming', () => {
+    expect(markdownToSpeech('Here it is.\n```python\nprint(').trim()).toBe('Here it is.');
+  });
+});
+
+describe('takeReadySentences', () => {
+  it('holds back the last sentence until the response completes', () => {
+    expect(takeReadySentences('First one. Second', 0, false)).toEqual(['First one.']);
+    expect(takeReadySentences('First one. Second one.', 1, false)).toEqual([]);
+    expect(takeReadySentences('First one. Second one.', 1, true)).toEqual(['Second one.']);
+  });
+});
+
+describe('useVoiceConversation', () => {
+  afterEach(() => {
+    useVoiceMode().closeVoiceMode();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    spoken.length = 0;
+  });
+
+  function installMicrophone() {
+    const track = { stop: vi.fn() };
+    const processor = { connect: vi.fn(), disconnect: vi.fn(), onaudioprocess: null };
+    const context = {
+      sampleRate: 16000,
+      destination: {},
+      createMediaStreamSource: () => ({ connect: vi.fn() }),
+      createScriptProcessor: () => processor,
+      close: vi.fn(),
+    };
+    const getUserMedia = vi.fn(async () => ({ getTracks: () => [track] }));
+    vi.stubGlobal('navigator', { mediaDevices: { getUserMedia } });
+    vi.stubGlobal('AudioContext', function AudioContext() {
+      return context;
+    });
+    return { track, processor, getUserMedia };
+  }
+
+  // Mounts a page's voice overlay the way VoiceModeOverlay runs it
+  function mountOverlay(messages, send) {
+    let voice;
+    const app = createApp({
+      setup() {
+        voice = useVoiceConversation({
+          messages: () => messages.value,
+          isLoading: () => false,
+          settings: () => ({}),
+          send,
+          abort: () => {},
+        });
+        onMounted(() => voice.start());
+        return () => h('div');
+      },
+    });
+    app.mount(document.createElement('div'));
+    return { app, voice };
+  }
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  it('keeps the microphone and speaks the reply after the first message opens the conversation page', async () => {
+    const { track, processor, getUserMedia } = installMicrophone();
+    let now = 0;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    const frame = (level) => ({ inputBuffer: { getChannelData: () => new Float32Array(2048).fill(level) } });
+
+    useVoiceMode().openVoiceMode();
+    const conversationMessages = ref([]);
+    let conversationPage = null;
+    const newChat = mountOverlay(ref([]), (text) => {
+      // Sending from the new chat page navigates to the conversation's page
+      conversationMessages.value = [{ id: 'u1', role: 'user', content: text }];
+      newChat.app.unmount();
+      conversationPage = mountOverlay(conversationMessages, vi.fn());
+    });
+    await flush();
+
+    for (const t of [0, 100, 200, 300, 400, 500]) {
+      now = t;
+      processor.onaudioprocess(frame(0.1));
+    }
+    for (const t of [600, 1000, 1500]) {
+      now = t;
+      processor.onaudioprocess(frame(0));
+    }
+    await flush();
+    await flush();
+
+    expect(conversationPage).not.toBe(null);
+    expect(getUserMedia).toHaveBeenCalledTimes(1);
+    expect(track.stop).not.toHaveBeenCalled();
+    expect(conversationPage.voice.state.value).toBe('thinking');
+    expect(conversationPage.voice.heard.value).toBe('What is the weather?');
+
+    conversationMessages.value = [
+      ...conversationMessages.value,
+      { id: 'a1', role: 'assistant', content: 'It is sunny.', complete: true },
+    ];
+    await flush();
+    expect(spoken).toEqual(['It is sunny.']);
+
+    conversationPage.app.unmount();
+    useVoiceMode().closeVoiceMode();
+    expect(track.stop).toHaveBeenCalled();
+  });
+
+  it('releases the microphone when voice mode is closed', async () => {
+    const { track } = installMicrophone();
+    useVoiceMode().openVoiceMode();
+    const { app } = mountOverlay(ref([]), vi.fn());
+    await flush();
+
+    useVoiceMode().closeVoiceMode();
+    app.unmount();
+
+    expect(track.stop).toHaveBeenCalled();
+  });
+});
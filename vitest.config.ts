@@ -5,6 +5,8 @@ import { fileURLToPath } from "node:url";
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // In Nuxt, `~` points to the `app/` directory.
 const appDir = path.join(__dirname, "app").replace(/\\/g, "/");
+// `#shared` points to the `shared/` directory used by both app and server.
+const sharedDir = path.join(__dirname, "shared").replace(/\\/g, "/");
 
 export default defineConfig({
   test: {
@@ -15,6 +17,7 @@ export default defineConfig({
   resolve: {
     alias: {
       "~": appDir,
+      "#shared": sharedDir,
     },
   },
 });